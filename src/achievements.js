@@ -0,0 +1,241 @@
+(function defineAchievements(global) {
+  "use strict";
+
+  const SoulsData =
+    global.SoulsData ||
+    (typeof require !== "undefined" ? require("./souls-data.js") : null);
+  const SoulsProfile =
+    global.SoulsProfile ||
+    (typeof require !== "undefined" ? require("./souls-profile.js") : null);
+
+  if (!SoulsData || !SoulsProfile) {
+    throw new Error("Achievements requires SoulsData and SoulsProfile.");
+  }
+
+  // Snake colors unlocked by achievements: [head, body], like the per-snake
+  // variants in the renderer.
+  const SKINS = Object.freeze([
+    Object.freeze({ id: "obsidiana", name: "Obsidiana", colors: Object.freeze(["#2b1840", "#4a2a6b"]) }),
+    Object.freeze({ id: "brasa", name: "Brasa", colors: Object.freeze(["#a33b12", "#d9581f"]) }),
+    Object.freeze({ id: "prisma", name: "Prisma", colors: Object.freeze(["#1b7f86", "#2fb0aa"]) }),
+    Object.freeze({ id: "fliperama", name: "Fliperama", colors: Object.freeze(["#8c7a0e", "#c2ad24"]) }),
+  ]);
+
+  function sumValues(tally) {
+    return Object.values(tally).reduce((sum, count) => sum + count, 0);
+  }
+
+  function hasAllPowersMaxed(powers) {
+    return SoulsData.POWER_POOL.every((power) => (powers?.[power.id] ?? 0) >= power.maxStacks);
+  }
+
+  // Event achievements unlock when `unlocksOn(event)` holds for a gameplay
+  // event; progress achievements unlock once `progress(profile)` reaches
+  // `goal`. Hidden ones show as "???" in the gallery until unlocked.
+  const ACHIEVEMENTS = Object.freeze([
+    Object.freeze({
+      id: "primeiros_passos",
+      name: "Primeiros passos",
+      description: "Conclua o primeiro andar do Souls.",
+      hidden: false,
+      skinId: null,
+      unlocksOn: (event) => event.type === "floor_cleared",
+    }),
+    Object.freeze({
+      id: "intocavel",
+      name: "Intocável",
+      description: "Derrote o Abissal sem perder armadura no andar.",
+      hidden: true,
+      skinId: "obsidiana",
+      unlocksOn: (event) =>
+        event.type === "floor_cleared" && event.bossId === "abissal" && event.armorLost === 0,
+    }),
+    Object.freeze({
+      id: "segunda_volta",
+      name: "Segunda volta",
+      description: "Derrote o boss final do ciclo 2 do Souls.",
+      hidden: false,
+      skinId: "brasa",
+      unlocksOn: (event) =>
+        event.type === "floor_cleared" && event.stageType === "final_boss" && event.cycle >= 2,
+    }),
+    Object.freeze({
+      id: "arsenal_completo",
+      name: "Arsenal completo",
+      description: "Leve todos os poderes ao máximo numa mesma run.",
+      hidden: false,
+      skinId: "prisma",
+      unlocksOn: (event) => event.type === "powers_picked" && hasAllPowersMaxed(event.powers),
+    }),
+    Object.freeze({
+      id: "nada_se_perde",
+      name: "Nada se perde",
+      description: "Recupere um eco de 200 runas ou mais.",
+      hidden: false,
+      skinId: null,
+      unlocksOn: (event) => event.type === "echo_recovered" && event.runes >= 200,
+    }),
+    Object.freeze({
+      id: "centenario",
+      name: "Centenário",
+      description: "Faça 100 pontos no modo Tradicional.",
+      hidden: false,
+      skinId: "fliperama",
+      unlocksOn: (event) =>
+        event.type === "score" && event.mode === "traditional" && event.score >= 100,
+    }),
+    Object.freeze({
+      id: "tao_perto",
+      name: "Tão perto",
+      description: "Caia diante do boss final.",
+      hidden: true,
+      skinId: null,
+      unlocksOn: (event) => event.type === "death" && event.stageType === "final_boss",
+    }),
+    Object.freeze({
+      id: "devorador",
+      name: "Devorador",
+      description: "Colete 500 comidas no Souls.",
+      hidden: false,
+      skinId: null,
+      goal: 500,
+      progress: (profile) => profile.stats.foodCollected,
+    }),
+    Object.freeze({
+      id: "cacador_de_chefes",
+      name: "Caçador de chefes",
+      description: "Derrote 20 bosses no Souls.",
+      hidden: false,
+      skinId: null,
+      goal: 20,
+      progress: (profile) => sumValues(profile.bossKills),
+    }),
+    Object.freeze({
+      id: "veterano",
+      name: "Veterano",
+      description: "Comece 100 partidas.",
+      hidden: false,
+      skinId: null,
+      goal: 100,
+      progress: (profile) => profile.stats.runsStarted,
+    }),
+  ]);
+
+  function getAchievementById(achievementId) {
+    return ACHIEVEMENTS.find((achievement) => achievement.id === achievementId) ?? null;
+  }
+
+  function getSkinById(skinId) {
+    return SKINS.find((skin) => skin.id === skinId) ?? null;
+  }
+
+  function getProgress(profile, achievementId) {
+    const achievement = getAchievementById(achievementId);
+    if (!achievement?.progress) {
+      return null;
+    }
+    const safeProfile = SoulsProfile.sanitizeProfile(profile);
+    return {
+      current: Math.min(achievement.goal, achievement.progress(safeProfile)),
+      goal: achievement.goal,
+    };
+  }
+
+  // Unlocks whatever `event` satisfies plus any progress achievement that
+  // reached its goal; `event` may be null to only re-check progress.
+  // Returns { profile, unlocked } with the newly unlocked definitions.
+  function recordEvent(profile, event) {
+    const safeProfile = SoulsProfile.sanitizeProfile(profile);
+    const unlocked = ACHIEVEMENTS.filter((achievement) => {
+      if (safeProfile.achievements.includes(achievement.id)) {
+        return false;
+      }
+      if (achievement.progress) {
+        return achievement.progress(safeProfile) >= achievement.goal;
+      }
+      return Boolean(event) && achievement.unlocksOn(event);
+    });
+
+    if (unlocked.length === 0) {
+      return { profile: safeProfile, unlocked };
+    }
+    return {
+      profile: {
+        ...safeProfile,
+        achievements: [...safeProfile.achievements, ...unlocked.map((achievement) => achievement.id)],
+      },
+      unlocked,
+    };
+  }
+
+  // Achievements in `next` but not in `previous`, for the unlock toast.
+  function getNewlyUnlocked(previous, next) {
+    const before = SoulsProfile.sanitizeProfile(previous).achievements;
+    return SoulsProfile.sanitizeProfile(next)
+      .achievements.filter((achievementId) => !before.includes(achievementId))
+      .map(getAchievementById)
+      .filter(Boolean);
+  }
+
+  function listGallery(profile) {
+    const safeProfile = SoulsProfile.sanitizeProfile(profile);
+    return ACHIEVEMENTS.map((achievement) => {
+      const unlocked = safeProfile.achievements.includes(achievement.id);
+      const concealed = achievement.hidden && !unlocked;
+      return {
+        id: achievement.id,
+        name: concealed ? "???" : achievement.name,
+        description: concealed ? "Conquista secreta." : achievement.description,
+        hidden: achievement.hidden,
+        unlocked,
+        progress: getProgress(safeProfile, achievement.id),
+        skin: concealed ? null : getSkinById(achievement.skinId),
+      };
+    });
+  }
+
+  function getUnlockedSkins(profile) {
+    const safeProfile = SoulsProfile.sanitizeProfile(profile);
+    const skinIds = ACHIEVEMENTS.filter(
+      (achievement) => achievement.skinId && safeProfile.achievements.includes(achievement.id)
+    ).map((achievement) => achievement.skinId);
+    return SKINS.filter((skin) => skinIds.includes(skin.id));
+  }
+
+  // The chosen skin, or null for the snake's own colors. A skin whose
+  // achievement isn't unlocked (an edited save) is ignored.
+  function getActiveSkin(profile) {
+    const safeProfile = SoulsProfile.sanitizeProfile(profile);
+    return (
+      getUnlockedSkins(safeProfile).find((skin) => skin.id === safeProfile.selectedSkinId) ?? null
+    );
+  }
+
+  function selectSkin(profile, skinId) {
+    const safeProfile = SoulsProfile.sanitizeProfile(profile);
+    if (skinId !== null && !getUnlockedSkins(safeProfile).some((skin) => skin.id === skinId)) {
+      return safeProfile;
+    }
+    return { ...safeProfile, selectedSkinId: skinId };
+  }
+
+  const api = Object.freeze({
+    ACHIEVEMENTS,
+    SKINS,
+    getAchievementById,
+    getSkinById,
+    getProgress,
+    recordEvent,
+    getNewlyUnlocked,
+    listGallery,
+    getUnlockedSkins,
+    getActiveSkin,
+    selectSkin,
+  });
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  global.Achievements = api;
+})(typeof globalThis !== "undefined" ? globalThis : window);
@@ -0,0 +1,594 @@
+(function defineBalanceSim(global) {
+  "use strict";
+
+  const SnakeLogic =
+    global.SnakeLogic ||
+    (typeof require !== "undefined" ? require("./snake-logic.js") : null);
+  const RunSeed =
+    global.RunSeed ||
+    (typeof require !== "undefined" ? require("./run-seed.js") : null);
+  const SoulsData =
+    global.SoulsData ||
+    (typeof require !== "undefined" ? require("./souls-data.js") : null);
+  const SoulsProfile =
+    global.SoulsProfile ||
+    (typeof require !== "undefined" ? require("./souls-profile.js") : null);
+  const SnakeModes =
+    global.SnakeModes ||
+    (typeof require !== "undefined" ? require("./snake-modes.js") : null);
+  const SnakeAutopilot =
+    global.SnakeAutopilot ||
+    (typeof require !== "undefined" ? require("./snake-autopilot.js") : null);
+
+  if (!SnakeLogic || !RunSeed || !SoulsData || !SoulsProfile || !SnakeModes) {
+    throw new Error("BalanceSim requires SnakeLogic, RunSeed, SoulsData, SoulsProfile and SnakeModes.");
+  }
+
+  const SIM_STEP_MS = 1000 / 90;
+  const DEFAULT_MAX_RUN_MS = 10 * 60 * 1000;
+  const CARDINAL_DIRECTIONS = Object.freeze(["UP", "RIGHT", "DOWN", "LEFT"]);
+  // Bosses keep up with the snake's normal speed, so the smarter bots boost
+  // away when one gets this close, keeping some stamina to avoid exhaustion.
+  const BOOST_THREAT_RANGE = 5;
+  const BOOST_STAMINA_RESERVE = 15;
+  const BALANCE_KEYS = Object.freeze([
+    "RUNE_REWARDS",
+    "UNLOCK_COSTS",
+    "REROLL_COST",
+    "getDifficultyScale",
+    "getObjectiveTarget",
+  ]);
+
+  function keyForPosition(position) {
+    return `${position.x},${position.y}`;
+  }
+
+  function getEntityCells(entity) {
+    if (!entity) return [];
+    const width = Math.max(1, entity.width ?? entity.size ?? 1);
+    const height = Math.max(1, entity.height ?? entity.size ?? 1);
+    const cells = [];
+    for (let dy = 0; dy < height; dy += 1) {
+      for (let dx = 0; dx < width; dx += 1) {
+        cells.push({ x: entity.x + dx, y: entity.y + dy });
+      }
+    }
+    return cells;
+  }
+
+  function buildBlockedKeys(state) {
+    const blocked = new Set();
+    const add = (position) => blocked.add(keyForPosition(position));
+
+    state.barriers.forEach(add);
+    // The tail moves away on the next step, so it never blocks the head.
+    state.base.snake.slice(0, -1).forEach(add);
+    getEntityCells(state.enemy).forEach(add);
+    if (state.mode === "souls") {
+      state.souls.minions.forEach((minion) => getEntityCells(minion).forEach(add));
+      state.souls.hazards.forEach(add);
+    }
+    return blocked;
+  }
+
+  function buildThreatKeys(state) {
+    // Cells an enemy can step into next tick; bots avoid them when they can.
+    const threats = new Set();
+    const entities = [state.enemy];
+    if (state.mode === "souls") {
+      entities.push(...state.souls.minions);
+    }
+    for (const entity of entities) {
+      for (const cell of getEntityCells(entity)) {
+        for (const direction of CARDINAL_DIRECTIONS) {
+          const vector = SnakeLogic.DIRECTION_VECTORS[direction];
+          threats.add(keyForPosition({ x: cell.x + vector.x, y: cell.y + vector.y }));
+        }
+      }
+    }
+    return threats;
+  }
+
+  function getBotTarget(state) {
+    if (state.mode === "souls" && state.souls.objectiveType === "sigil") {
+      return state.souls.sigil ?? state.base.food;
+    }
+    return state.base.food;
+  }
+
+  function listSafeDirections(state) {
+    const head = state.base.snake[0];
+    const blocked = buildBlockedKeys(state);
+    const safe = CARDINAL_DIRECTIONS.filter((direction) => {
+      if (
+        state.base.snake.length > 1 &&
+        SnakeLogic.isOppositeDirection(state.base.direction, direction)
+      ) {
+        return false;
+      }
+      const vector = SnakeLogic.DIRECTION_VECTORS[direction];
+      return !blocked.has(keyForPosition({ x: head.x + vector.x, y: head.y + vector.y }));
+    });
+
+    const threats = buildThreatKeys(state);
+    const calm = safe.filter((direction) => {
+      const vector = SnakeLogic.DIRECTION_VECTORS[direction];
+      return !threats.has(keyForPosition({ x: head.x + vector.x, y: head.y + vector.y }));
+    });
+    return calm.length > 0 ? calm : safe;
+  }
+
+  function wantsSoulsBoost(state) {
+    const stamina = state.mode === "souls" ? state.souls.stamina : null;
+    if (!stamina || stamina.phase !== "ready" || stamina.current <= BOOST_STAMINA_RESERVE) {
+      return false;
+    }
+
+    const head = state.base.snake[0];
+    return [state.enemy, ...state.souls.minions].some((entity) =>
+      getEntityCells(entity).some(
+        (cell) => Math.abs(cell.x - head.x) + Math.abs(cell.y - head.y) <= BOOST_THREAT_RANGE
+      )
+    );
+  }
+
+  function pickRandomPower(state, options, rng) {
+    return options[Math.floor(rng() * options.length)] ?? options[0];
+  }
+
+  function createGreedyBot() {
+    const recentHeads = [];
+
+    return Object.freeze({
+      id: "greedy",
+      decide(state, rng) {
+        const safe = listSafeDirections(state);
+        if (safe.length === 0) {
+          return null;
+        }
+
+        const head = state.base.snake[0];
+        const headKey = keyForPosition(head);
+        const visits = recentHeads.filter((key) => key === headKey).length;
+        recentHeads.push(headKey);
+        if (recentHeads.length > 32) {
+          recentHeads.shift();
+        }
+        if (visits >= 2) {
+          // Break orbits around a boss standing between the head and the target.
+          return safe[Math.floor(rng() * safe.length)];
+        }
+
+        const target = getBotTarget(state);
+        if (!target) {
+          return safe.includes(state.base.direction) ? null : safe[0];
+        }
+
+        const distanceAfter = (direction) => {
+          const vector = SnakeLogic.DIRECTION_VECTORS[direction];
+          return Math.abs(head.x + vector.x - target.x) + Math.abs(head.y + vector.y - target.y);
+        };
+        let best = safe[0];
+        let bestDistance = Infinity;
+        for (const direction of safe) {
+          const distance = distanceAfter(direction);
+          if (distance < bestDistance) {
+            best = direction;
+            bestDistance = distance;
+          }
+        }
+
+        // Nothing gets closer: the target is behind the head, often with a
+        // boss chasing in between. Turn so the next move can head back,
+        // instead of running straight on forever.
+        const currentDistance = Math.abs(head.x - target.x) + Math.abs(head.y - target.y);
+        if (bestDistance > currentDistance && best === state.base.direction) {
+          const turns = safe.filter((direction) => direction !== state.base.direction);
+          if (turns.length > 0) {
+            return turns.reduce((pick, direction) =>
+              distanceAfter(direction) < distanceAfter(pick) ? direction : pick
+            );
+          }
+        }
+        return best;
+      },
+      boost: wantsSoulsBoost,
+      choosePower: pickRandomPower,
+    });
+  }
+
+  function createRandomBot() {
+    return Object.freeze({
+      id: "random",
+      decide(state, rng) {
+        const safe = listSafeDirections(state);
+        if (safe.length === 0) {
+          return null;
+        }
+        if (safe.includes(state.base.direction) && rng() < 0.75) {
+          return null;
+        }
+        return safe[Math.floor(rng() * safe.length)];
+      },
+      choosePower: pickRandomPower,
+    });
+  }
+
+  function createScriptedBot(directions) {
+    // Repeats a fixed list of turns, one per snake move ("-" keeps the heading).
+    const script = (Array.isArray(directions) ? directions : [])
+      .map((direction) => String(direction).trim().toUpperCase())
+      .filter((direction) => direction === "-" || SnakeLogic.isValidDirection(direction));
+    let cursor = 0;
+
+    return Object.freeze({
+      id: "scripted",
+      decide() {
+        if (script.length === 0) {
+          return null;
+        }
+        const direction = script[cursor % script.length];
+        cursor += 1;
+        return direction === "-" ? null : direction;
+      },
+      choosePower: pickRandomPower,
+    });
+  }
+
+  function createAutopilotBot() {
+    const controller = SnakeAutopilot.createAutopilotController();
+    return Object.freeze({
+      id: "ai",
+      decide(state) {
+        return controller.decide(state);
+      },
+      boost: wantsSoulsBoost,
+      choosePower: pickRandomPower,
+    });
+  }
+
+  const BOT_FACTORIES = {
+    greedy: createGreedyBot,
+    random: createRandomBot,
+    scripted: createScriptedBot,
+  };
+
+  if (SnakeAutopilot) {
+    BOT_FACTORIES.ai = createAutopilotBot;
+  }
+
+  function registerBot(id, factory) {
+    BOT_FACTORIES[id] = factory;
+  }
+
+  function listBotIds() {
+    return Object.keys(BOT_FACTORIES);
+  }
+
+  function createBot(id, options = {}) {
+    const factory = BOT_FACTORIES[id];
+    if (!factory) {
+      throw new Error(`Bot desconhecido: ${id}. Use: ${listBotIds().join(", ")}.`);
+    }
+    return factory(options.script);
+  }
+
+  function createSoulsDataVariant(baseData, overrides = {}) {
+    // Builds a SoulsData look-alike with balance constants replaced. Function
+    // overrides receive the original implementation as their last argument.
+    const runeRewards = Object.freeze({
+      ...baseData.RUNE_REWARDS,
+      ...(overrides.RUNE_REWARDS ?? {}),
+    });
+    const unlockCosts = Object.freeze(
+      Array.isArray(overrides.UNLOCK_COSTS)
+        ? overrides.UNLOCK_COSTS.slice()
+        : baseData.UNLOCK_COSTS.slice()
+    );
+    const wrap = (name) => {
+      if (typeof overrides[name] !== "function") {
+        return baseData[name];
+      }
+      const original = baseData[name];
+      return (...args) => {
+        const padded = Array.from({ length: original.length }, (_, index) => args[index]);
+        return overrides[name](...padded, original);
+      };
+    };
+
+    return Object.freeze({
+      ...baseData,
+      RUNE_REWARDS: runeRewards,
+      UNLOCK_COSTS: unlockCosts,
+      REROLL_COST: Number.isFinite(overrides.REROLL_COST)
+        ? overrides.REROLL_COST
+        : baseData.REROLL_COST,
+      getDifficultyScale: wrap("getDifficultyScale"),
+      getObjectiveTarget: wrap("getObjectiveTarget"),
+      getRuneReward: (type) => runeRewards[type] ?? 0,
+      getUnlockCostByIndex: (index) => unlockCosts[index] ?? null,
+    });
+  }
+
+  function getTotalRunes(state) {
+    return state.souls.carriedRunes + state.souls.profile.walletRunes;
+  }
+
+  function simulateSoulsRun(options = {}) {
+    const modes = options.snakeModes ?? SnakeModes;
+    const seed = RunSeed.normalizeSeed(options.seed) ?? 0;
+    const bot = options.bot ?? createGreedyBot();
+    const botRng = RunSeed.createSeededRng(RunSeed.deriveSeed(seed, "bot"));
+    const maxRunMs = options.maxRunMs ?? DEFAULT_MAX_RUN_MS;
+    const maxFloor = options.maxFloor ?? Infinity;
+    const profile = options.soulsProfile ?? SoulsProfile.createDefaultProfile();
+
+    let state = modes.createModeState({
+      mode: "souls",
+      seed,
+      soulsProfile: profile,
+      soulsSnakeId: options.soulsSnakeId,
+      viewportAspect: options.viewportAspect ?? 1,
+    });
+
+    const runesByFloor = {};
+    const bossKills = [];
+    const powersOffered = {};
+    const powersPicked = {};
+    let elapsedMs = 0;
+    let floorStartMs = 0;
+    let currentFloor = state.souls.floor;
+    let lastRunes = getTotalRunes(state);
+    let decidedAtHead = null;
+    let endReason = null;
+
+    while (!endReason) {
+      if (state.souls.reward) {
+        const choices = state.souls.reward.options;
+        choices.forEach((powerId) => {
+          powersOffered[powerId] = (powersOffered[powerId] ?? 0) + 1;
+        });
+        const picked = bot.choosePower(state, choices, botRng);
+        powersPicked[picked] = (powersPicked[picked] ?? 0) + 1;
+        state = modes.chooseSoulsReward(state, picked);
+      }
+
+      const headKey = keyForPosition(state.base.snake[0]);
+      if (
+        state.souls.stageFlow.phase === "idle" &&
+        state.base.inputQueue.length === 0 &&
+        headKey !== decidedAtHead
+      ) {
+        // One decision per snake move, like a player reacting to each step.
+        decidedAtHead = headKey;
+        const direction = bot.decide(state, botRng);
+        if (direction && direction !== state.base.direction) {
+          state = modes.queueModeDirection(state, direction);
+        }
+      }
+
+      const previousPhase = state.souls.stageFlow.phase;
+      const previousStageType = state.souls.stageType;
+      const previousBossId = state.enemy?.id ?? null;
+      state = modes.stepModeState(state, {
+        deltaMs: SIM_STEP_MS,
+        // Holding the current direction is how players boost.
+        holdCurrentDirection: bot.boost?.(state) === true,
+      });
+      elapsedMs += SIM_STEP_MS;
+
+      const totalRunes = getTotalRunes(state);
+      if (totalRunes > lastRunes) {
+        runesByFloor[currentFloor] = (runesByFloor[currentFloor] ?? 0) + totalRunes - lastRunes;
+      }
+      lastRunes = totalRunes;
+
+      const clearedStage =
+        previousPhase === "idle" &&
+        !state.isGameOver &&
+        (state.souls.stageFlow.phase === "reward" || state.souls.stageFlow.phase === "message");
+      if (clearedStage && previousStageType !== "normal") {
+        bossKills.push({
+          floor: currentFloor,
+          bossId: previousBossId,
+          timeMs: Math.round(elapsedMs - floorStartMs),
+        });
+      }
+
+      if (state.souls.floor !== currentFloor) {
+        currentFloor = state.souls.floor;
+        floorStartMs = elapsedMs;
+      }
+
+      if (state.isGameOver) {
+        endReason = state.souls.lastDeathCause ?? "unknown";
+      } else if (clearedStage && currentFloor >= maxFloor) {
+        endReason = "max_floor";
+      } else if (elapsedMs >= maxRunMs) {
+        endReason = "timeout";
+      }
+    }
+
+    return {
+      seed: RunSeed.formatSeed(seed),
+      snakeId: state.souls.selectedSnakeId,
+      bot: bot.id,
+      floorReached: state.souls.floor,
+      endReason,
+      durationMs: Math.round(elapsedMs),
+      score: state.base.score,
+      runesByFloor,
+      bossKills,
+      powersOffered,
+      powersPicked,
+    };
+  }
+
+  function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
+  function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  }
+
+  function summarizeRuns(runs) {
+    const floors = runs.map((run) => run.floorReached);
+    const floorDistribution = {};
+    const endReasons = {};
+    const runeTotals = {};
+    const runsPerFloor = {};
+    const bossTimes = {};
+    const offered = {};
+    const picked = {};
+
+    for (const run of runs) {
+      floorDistribution[run.floorReached] = (floorDistribution[run.floorReached] ?? 0) + 1;
+      endReasons[run.endReason] = (endReasons[run.endReason] ?? 0) + 1;
+      for (let floor = 1; floor <= run.floorReached; floor += 1) {
+        runsPerFloor[floor] = (runsPerFloor[floor] ?? 0) + 1;
+      }
+      for (const [floor, runes] of Object.entries(run.runesByFloor)) {
+        runeTotals[floor] = (runeTotals[floor] ?? 0) + runes;
+      }
+      for (const kill of run.bossKills) {
+        const key = kill.bossId ?? `andar-${kill.floor}`;
+        (bossTimes[key] = bossTimes[key] ?? []).push(kill.timeMs);
+      }
+      for (const [powerId, count] of Object.entries(run.powersOffered)) {
+        offered[powerId] = (offered[powerId] ?? 0) + count;
+      }
+      for (const [powerId, count] of Object.entries(run.powersPicked)) {
+        picked[powerId] = (picked[powerId] ?? 0) + count;
+      }
+    }
+
+    const runeIncomePerFloor = {};
+    for (const floor of Object.keys(runsPerFloor)) {
+      runeIncomePerFloor[floor] = round((runeTotals[floor] ?? 0) / runsPerFloor[floor]);
+    }
+
+    const bossKillTimes = {};
+    for (const [bossId, times] of Object.entries(bossTimes)) {
+      bossKillTimes[bossId] = {
+        kills: times.length,
+        meanMs: Math.round(times.reduce((sum, time) => sum + time, 0) / times.length),
+        medianMs: Math.round(median(times)),
+      };
+    }
+
+    const totalPicks = Object.values(picked).reduce((sum, count) => sum + count, 0);
+    const powerPickRates = {};
+    for (const powerId of Object.keys(offered)) {
+      powerPickRates[powerId] = {
+        offered: offered[powerId],
+        picked: picked[powerId] ?? 0,
+        pickRate: round((picked[powerId] ?? 0) / offered[powerId], 4),
+        shareOfPicks: totalPicks > 0 ? round((picked[powerId] ?? 0) / totalPicks, 4) : 0,
+      };
+    }
+
+    return {
+      runs: runs.length,
+      floor: {
+        mean: runs.length > 0 ? round(floors.reduce((sum, floor) => sum + floor, 0) / runs.length) : 0,
+        median: median(floors),
+        max: floors.length > 0 ? Math.max(...floors) : 0,
+        distribution: floorDistribution,
+      },
+      endReasons,
+      runeIncomePerFloor,
+      bossKillTimes,
+      powerPickRates,
+    };
+  }
+
+  function runSimulation(options = {}) {
+    const runCount = Math.max(1, Math.floor(options.runs ?? 100));
+    const baseSeed = RunSeed.normalizeSeed(options.seed) ?? RunSeed.generateSeed();
+    const botId = options.botId ?? "greedy";
+    const runs = [];
+
+    for (let index = 0; index < runCount; index += 1) {
+      runs.push(
+        simulateSoulsRun({
+          ...options,
+          seed: RunSeed.deriveSeed(baseSeed, "sim", index),
+          bot: createBot(botId, options),
+        })
+      );
+      if (typeof options.onProgress === "function") {
+        options.onProgress(index + 1, runCount);
+      }
+    }
+
+    return {
+      seed: RunSeed.formatSeed(baseSeed),
+      bot: botId,
+      summary: summarizeRuns(runs),
+      runs,
+    };
+  }
+
+  const CSV_COLUMNS = Object.freeze([
+    "seed",
+    "snakeId",
+    "bot",
+    "floorReached",
+    "endReason",
+    "durationMs",
+    "score",
+    "runes",
+    "bossKills",
+    "powersPicked",
+  ]);
+
+  function toCsvCell(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function formatRunsAsCsv(runs) {
+    const rows = runs.map((run) => [
+      run.seed,
+      run.snakeId,
+      run.bot,
+      run.floorReached,
+      run.endReason,
+      run.durationMs,
+      run.score,
+      Object.values(run.runesByFloor).reduce((sum, runes) => sum + runes, 0),
+      run.bossKills.map((kill) => `${kill.bossId}@${kill.floor}:${kill.timeMs}`).join(" "),
+      Object.entries(run.powersPicked)
+        .map(([powerId, count]) => `${powerId}x${count}`)
+        .join(" "),
+    ]);
+    return [CSV_COLUMNS, ...rows].map((row) => row.map(toCsvCell).join(",")).join("\n");
+  }
+
+  const api = Object.freeze({
+    SIM_STEP_MS,
+    DEFAULT_MAX_RUN_MS,
+    BALANCE_KEYS,
+    CSV_COLUMNS,
+    listSafeDirections,
+    createBot,
+    registerBot,
+    listBotIds,
+    createSoulsDataVariant,
+    simulateSoulsRun,
+    summarizeRuns,
+    runSimulation,
+    formatRunsAsCsv,
+  });
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  global.BalanceSim = api;
+})(typeof globalThis !== "undefined" ? globalThis : window);
@@ -0,0 +1,270 @@
+(function defineChallenges(global) {
+  "use strict";
+
+  const RunSeed =
+    global.RunSeed ||
+    (typeof require !== "undefined" ? require("./run-seed.js") : null);
+  const SoulsData =
+    global.SoulsData ||
+    (typeof require !== "undefined" ? require("./souls-data.js") : null);
+  const SnakeModes =
+    global.SnakeModes ||
+    (typeof require !== "undefined" ? require("./snake-modes.js") : null);
+
+  if (!RunSeed || !SoulsData || !SnakeModes) {
+    throw new Error("Challenges requires RunSeed, SoulsData and SnakeModes.");
+  }
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Daily runs are Souls, weekly runs are Levels. Periods roll over at
+  // midnight UTC so everyone shares the same challenge.
+  const CHALLENGE_KINDS = Object.freeze({
+    daily: Object.freeze({ mode: "souls", label: "Desafio diário" }),
+    weekly: Object.freeze({ mode: "levels", label: "Desafio semanal" }),
+  });
+
+  // `options` modifiers are plain run options; the rest are engine rules
+  // (SnakeModes.RUN_MODIFIERS).
+  const CHALLENGE_MODIFIERS = Object.freeze({
+    doubleRunes: Object.freeze({
+      modes: ["souls"],
+      label: "Runas em dobro",
+      description: "Toda runa ganha vale o dobro.",
+    }),
+    noArmor: Object.freeze({
+      modes: ["souls"],
+      label: "Sem armadura",
+      description: "Nenhuma carga de armadura por fase.",
+    }),
+    hasty: Object.freeze({
+      modes: ["souls"],
+      label: "Apressada",
+      description: "A cobra anda 15% mais rápido.",
+    }),
+    horde: Object.freeze({
+      modes: ["levels"],
+      label: "Horda",
+      description: "Inimigos extras desde o nível 3.",
+    }),
+    noPowerUps: Object.freeze({
+      modes: ["levels"],
+      label: "Sem power-ups",
+      description: "Nenhum power-up aparece no tabuleiro.",
+    }),
+    portals: Object.freeze({
+      modes: ["levels"],
+      label: "Paredes-portal",
+      description: "As bordas levam ao lado oposto.",
+      options: Object.freeze({ wrapWalls: true }),
+    }),
+    eightWay: Object.freeze({
+      modes: ["souls", "levels"],
+      label: "8 direções",
+      description: "Diagonais liberadas.",
+      options: Object.freeze({ movement: "8way" }),
+    }),
+  });
+
+  const DAILY_MAX_POWERS = 2;
+  const WEEKLY_STARTING_EFFECTS = Object.freeze(["shield", "magnet", "slowTime"]);
+
+  function pad(value) {
+    return String(value).padStart(2, "0");
+  }
+
+  function toUtcDay(date) {
+    const source = date instanceof Date ? date : new Date(date);
+    return new Date(
+      Date.UTC(source.getUTCFullYear(), source.getUTCMonth(), source.getUTCDate())
+    );
+  }
+
+  function toDateKey(date) {
+    const day = toUtcDay(date);
+    return `${day.getUTCFullYear()}-${pad(day.getUTCMonth() + 1)}-${pad(day.getUTCDate())}`;
+  }
+
+  // ISO 8601 week: weeks start on Monday and belong to the year of their
+  // Thursday.
+  function toWeekKey(date) {
+    const thursday = toUtcDay(date);
+    const weekday = thursday.getUTCDay() || 7;
+    thursday.setUTCDate(thursday.getUTCDate() + 4 - weekday);
+    const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((thursday.getTime() - yearStart) / DAY_MS + 1) / 7);
+    return `${thursday.getUTCFullYear()}-W${pad(week)}`;
+  }
+
+  function pickDistinct(pool, count, rng) {
+    const remaining = [...pool];
+    const picked = [];
+    while (picked.length < count && remaining.length > 0) {
+      const index = Math.floor(rng() * remaining.length);
+      picked.push(remaining.splice(index, 1)[0]);
+    }
+    return picked;
+  }
+
+  function listModifierIds(mode) {
+    return Object.keys(CHALLENGE_MODIFIERS).filter((modifierId) =>
+      CHALLENGE_MODIFIERS[modifierId].modes.includes(mode)
+    );
+  }
+
+  function createChallenge(kind, periodKey) {
+    const { mode } = CHALLENGE_KINDS[kind];
+    const seed = RunSeed.normalizeSeed(`desafio-${kind}-${periodKey}`);
+    // Rules get their own stream so they never shift the run's RNG.
+    const rng = RunSeed.createSeededRng(RunSeed.deriveSeed(seed, "regras"));
+    const modifiers = pickDistinct(listModifierIds(mode), 1 + Math.floor(rng() * 2), rng);
+
+    const challenge = {
+      id: `${kind}:${periodKey}`,
+      kind,
+      mode,
+      periodKey,
+      seed,
+      snakeId: null,
+      powers: {},
+      effects: {},
+      modifiers,
+    };
+
+    if (mode === "souls") {
+      challenge.snakeId = pickDistinct(SoulsData.SNAKES, 1, rng)[0].id;
+      const powerCount = Math.floor(rng() * (DAILY_MAX_POWERS + 1));
+      for (const power of pickDistinct(SoulsData.POWER_POOL, powerCount, rng)) {
+        challenge.powers[power.id] = 1;
+      }
+    } else if (rng() < 0.5) {
+      const type = pickDistinct(WEEKLY_STARTING_EFFECTS, 1, rng)[0];
+      challenge.effects[type] = SnakeModes.LEVELS_POWER_UPS[type].durationMs;
+    }
+
+    return challenge;
+  }
+
+  function getDailyChallenge(date = new Date()) {
+    return createChallenge("daily", toDateKey(date));
+  }
+
+  function getWeeklyChallenge(date = new Date()) {
+    return createChallenge("weekly", toWeekKey(date));
+  }
+
+  // Options for SnakeModes.createModeState. Board rules are pinned so menu
+  // toggles can't make one player's challenge easier than another's.
+  function getChallengeModeOptions(challenge, options = {}) {
+    const runOptions = { movement: "4way", wrapWalls: false };
+    const engineModifiers = [];
+    for (const modifierId of challenge.modifiers) {
+      const modifier = CHALLENGE_MODIFIERS[modifierId];
+      if (modifier?.options) {
+        Object.assign(runOptions, modifier.options);
+      } else if (modifier) {
+        engineModifiers.push(modifierId);
+      }
+    }
+
+    return {
+      ...runOptions,
+      seed: challenge.seed,
+      challenge: {
+        id: challenge.id,
+        kind: challenge.kind,
+        practice: options.practice === true,
+        snakeId: challenge.snakeId,
+        powers: { ...challenge.powers },
+        effects: { ...challenge.effects },
+        modifiers: engineModifiers,
+      },
+    };
+  }
+
+  function getAttempt(history, challengeId) {
+    return history?.[challengeId] ?? null;
+  }
+
+  // The scored attempt is claimed when it starts, so quitting or reloading
+  // can't buy a second try.
+  function startScoredAttempt(history, challenge) {
+    if (getAttempt(history, challenge.id)) {
+      return history;
+    }
+    return {
+      ...history,
+      [challenge.id]: { kind: challenge.kind, status: "started", score: 0, progress: 0 },
+    };
+  }
+
+  function finishScoredAttempt(history, challengeId, result) {
+    const attempt = getAttempt(history, challengeId);
+    if (!attempt || attempt.status !== "started") {
+      return history;
+    }
+    return {
+      ...history,
+      [challengeId]: {
+        ...attempt,
+        status: "finished",
+        score: Math.max(0, Math.floor(result.score ?? 0)),
+        progress: Math.max(0, Math.floor(result.progress ?? 0)),
+      },
+    };
+  }
+
+  // Month grid for the history view: Monday-first rows so each row is one
+  // ISO week and carries that week's Levels attempt alongside the days.
+  function buildMonthCalendar(history, year, monthIndex, today = new Date()) {
+    const first = new Date(Date.UTC(year, monthIndex, 1));
+    const offset = (first.getUTCDay() || 7) - 1;
+    const start = new Date(first.getTime() - offset * DAY_MS);
+    const todayKey = toDateKey(today);
+    const weeks = [];
+
+    let cursor = start;
+    do {
+      const weekKey = toWeekKey(cursor);
+      const days = [];
+      for (let index = 0; index < 7; index += 1) {
+        const dateKey = toDateKey(cursor);
+        days.push({
+          dateKey,
+          day: cursor.getUTCDate(),
+          inMonth: cursor.getUTCMonth() === monthIndex,
+          isToday: dateKey === todayKey,
+          attempt: getAttempt(history, `daily:${dateKey}`),
+        });
+        cursor = new Date(cursor.getTime() + DAY_MS);
+      }
+      weeks.push({ weekKey, attempt: getAttempt(history, `weekly:${weekKey}`), days });
+    } while (cursor.getUTCMonth() === monthIndex);
+
+    return {
+      year,
+      monthIndex,
+      weeks,
+    };
+  }
+
+  const api = Object.freeze({
+    CHALLENGE_KINDS,
+    CHALLENGE_MODIFIERS,
+    toDateKey,
+    toWeekKey,
+    getDailyChallenge,
+    getWeeklyChallenge,
+    getChallengeModeOptions,
+    getAttempt,
+    startScoredAttempt,
+    finishScoredAttempt,
+    buildMonthCalendar,
+  });
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  global.Challenges = api;
+})(typeof globalThis !== "undefined" ? globalThis : window);
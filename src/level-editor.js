@@ -0,0 +1,303 @@
+(function defineLevelEditor(global) {
+  "use strict";
+
+  const LevelsCampaign =
+    global.LevelsCampaign ||
+    (typeof require !== "undefined" ? require("./levels-campaign.js") : null);
+
+  if (!LevelsCampaign) {
+    throw new Error("LevelEditor requires LevelsCampaign.");
+  }
+
+  const SYMBOLS = LevelsCampaign.LAYOUT_SYMBOLS;
+  const TOOLS = Object.freeze({
+    barrier: SYMBOLS.BARRIER,
+    start: SYMBOLS.START,
+    food: SYMBOLS.FOOD,
+    enemy: SYMBOLS.ENEMY,
+    powerUp: SYMBOLS.POWER_UP,
+    erase: SYMBOLS.EMPTY,
+  });
+  const DEFAULT_SIZE = 20;
+  const SHARE_PREFIX = "SNKL1:";
+  const ROW_SEPARATOR = "/";
+
+  function clampSize(value) {
+    const size = Number.isFinite(Number(value)) ? Math.floor(Number(value)) : DEFAULT_SIZE;
+    return Math.max(
+      LevelsCampaign.MIN_BOARD_SIZE,
+      Math.min(LevelsCampaign.MAX_BOARD_SIZE, size)
+    );
+  }
+
+  function createEmptyRows(width, height) {
+    return Array.from({ length: height }, () => SYMBOLS.EMPTY.repeat(width));
+  }
+
+  function setSymbol(rows, position, symbol) {
+    return rows.map((row, y) =>
+      y === position.y
+        ? `${row.slice(0, position.x)}${symbol}${row.slice(position.x + 1)}`
+        : row
+    );
+  }
+
+  function createEditorState(options = {}) {
+    const width = clampSize(options.width ?? DEFAULT_SIZE);
+    const height = clampSize(options.height ?? DEFAULT_SIZE);
+    const rows = setSymbol(
+      createEmptyRows(width, height),
+      { x: Math.floor(width / 2), y: Math.floor(height / 2) },
+      SYMBOLS.START
+    );
+
+    return {
+      id: "meu-nivel",
+      name: "Meu nível",
+      width,
+      height,
+      target: 5,
+      parSeconds: null,
+      startDirection: "RIGHT",
+      enemy: null,
+      rows,
+    };
+  }
+
+  function isInsideEditor(editor, position) {
+    return (
+      Number.isInteger(position?.x) &&
+      Number.isInteger(position?.y) &&
+      position.x >= 0 &&
+      position.x < editor.width &&
+      position.y >= 0 &&
+      position.y < editor.height
+    );
+  }
+
+  function paintCell(editor, position, tool) {
+    const symbol = TOOLS[tool];
+    if (symbol === undefined || !isInsideEditor(editor, position)) {
+      return editor;
+    }
+    if (editor.rows[position.y][position.x] === symbol) {
+      return editor;
+    }
+
+    // The snake start is unique: placing it again moves it.
+    const rows =
+      symbol === SYMBOLS.START
+        ? editor.rows.map((row) => row.replaceAll(SYMBOLS.START, SYMBOLS.EMPTY))
+        : editor.rows;
+
+    return {
+      ...editor,
+      rows: setSymbol(rows, position, symbol),
+    };
+  }
+
+  function resizeEditor(editor, width, height) {
+    const nextWidth = clampSize(width);
+    const nextHeight = clampSize(height);
+    const rows = Array.from({ length: nextHeight }, (_, y) =>
+      (editor.rows[y] ?? "").slice(0, nextWidth).padEnd(nextWidth, SYMBOLS.EMPTY)
+    );
+
+    return {
+      ...editor,
+      width: nextWidth,
+      height: nextHeight,
+      rows,
+    };
+  }
+
+  function slugify(text) {
+    const slug = String(text ?? "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+    return slug || "meu-nivel";
+  }
+
+  function updateEditorMeta(editor, meta = {}) {
+    const next = { ...editor };
+    if (typeof meta.name === "string") {
+      next.name = meta.name.trim() || "Meu nível";
+      next.id = slugify(next.name);
+    }
+    if (meta.target !== undefined) {
+      const target = Math.floor(Number(meta.target));
+      if (Number.isFinite(target) && target > 0) next.target = target;
+    }
+    if (meta.parSeconds !== undefined) {
+      const parSeconds = Number(meta.parSeconds);
+      next.parSeconds = Number.isFinite(parSeconds) && parSeconds > 0 ? parSeconds : null;
+    }
+    if (Object.prototype.hasOwnProperty.call(LevelsCampaign.START_DIRECTIONS, meta.startDirection)) {
+      next.startDirection = meta.startDirection;
+    }
+    return next;
+  }
+
+  function toLevelJson(editor) {
+    return {
+      version: LevelsCampaign.LEVEL_FORMAT_VERSION,
+      id: editor.id,
+      name: editor.name,
+      width: editor.width,
+      height: editor.height,
+      target: editor.target,
+      ...(editor.parSeconds ? { parSeconds: editor.parSeconds } : {}),
+      startDirection: editor.startDirection,
+      ...(editor.enemy ? { enemy: editor.enemy } : {}),
+      layout: [...editor.rows],
+    };
+  }
+
+  function validateEditor(editor) {
+    return LevelsCampaign.parseLevel(toLevelJson(editor), { label: "do editor" });
+  }
+
+  function fromLevelJson(raw) {
+    const parsed = LevelsCampaign.parseLevel(raw, { label: "importado" });
+    if (!parsed.ok) {
+      return { ok: false, error: parsed.error, editor: null };
+    }
+
+    return {
+      ok: true,
+      error: null,
+      editor: {
+        id: parsed.level.id,
+        name: parsed.level.name,
+        width: parsed.level.width,
+        height: parsed.level.height,
+        target: parsed.level.target,
+        parSeconds: raw.parSeconds ?? null,
+        startDirection: parsed.level.startDirection,
+        enemy: raw.enemy ?? null,
+        rows: [...raw.layout],
+      },
+    };
+  }
+
+  function encodeLayout(rows) {
+    // Run-length encoding: "12.3#S" keeps share strings short for sparse maps.
+    return rows
+      .join(ROW_SEPARATOR)
+      .replace(/(.)\1*/g, (run, symbol) => (run.length > 1 ? `${run.length}${symbol}` : symbol));
+  }
+
+  function decodeLayout(encoded) {
+    const text = String(encoded).replace(/(\d+)(\D)/g, (_, count, symbol) =>
+      symbol.repeat(Number(count))
+    );
+    return text.split(ROW_SEPARATOR);
+  }
+
+  function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = "";
+    bytes.forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  function fromBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  }
+
+  function encodeShareString(editor) {
+    const level = toLevelJson(editor);
+    return `${SHARE_PREFIX}${toBase64Url(
+      JSON.stringify({ ...level, layout: encodeLayout(level.layout) })
+    )}`;
+  }
+
+  function decodeShareString(text) {
+    const trimmed = typeof text === "string" ? text.trim() : "";
+    if (!trimmed.startsWith(SHARE_PREFIX)) {
+      return { ok: false, error: "Código de nível inválido.", editor: null };
+    }
+
+    let raw;
+    try {
+      raw = JSON.parse(fromBase64Url(trimmed.slice(SHARE_PREFIX.length)));
+    } catch {
+      return { ok: false, error: "Código de nível corrompido.", editor: null };
+    }
+    return fromLevelJson({ ...raw, layout: decodeLayout(raw?.layout ?? "") });
+  }
+
+  // A Levels-shaped state for the board renderer; spawn points that the
+  // engine would pick between are drawn as translucent markers.
+  function buildPreviewState(editor) {
+    const barriers = [];
+    const markers = [];
+    let start = null;
+    editor.rows.forEach((row, y) => {
+      Array.from(row).forEach((symbol, x) => {
+        if (symbol === SYMBOLS.BARRIER) barriers.push({ x, y });
+        else if (symbol === SYMBOLS.START) start = { x, y };
+        else if (symbol === SYMBOLS.FOOD) markers.push({ x, y, kind: "food" });
+        else if (symbol === SYMBOLS.ENEMY) markers.push({ x, y, kind: "enemy" });
+        else if (symbol === SYMBOLS.POWER_UP) markers.push({ x, y, kind: "powerUp" });
+      });
+    });
+
+    const snake = start
+      ? LevelsCampaign.buildStartSnake(start, editor.startDirection).filter((segment) =>
+        isInsideEditor(editor, segment)
+      )
+      : [];
+
+    return {
+      mode: "levels",
+      base: {
+        width: editor.width,
+        height: editor.height,
+        snake,
+        direction: editor.startDirection,
+        inputQueue: [],
+        food: null,
+        score: 0,
+        isGameOver: false,
+        isPaused: true,
+      },
+      level: 1,
+      levelProgress: 0,
+      levelTarget: editor.target,
+      barriers,
+      enemy: null,
+      powerUp: null,
+      markers,
+      souls: null,
+    };
+  }
+
+  const api = Object.freeze({
+    TOOLS,
+    SHARE_PREFIX,
+    createEditorState,
+    paintCell,
+    resizeEditor,
+    updateEditorMeta,
+    toLevelJson,
+    validateEditor,
+    fromLevelJson,
+    encodeShareString,
+    decodeShareString,
+    buildPreviewState,
+  });
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  global.LevelEditor = api;
+})(typeof globalThis !== "undefined" ? globalThis : window);
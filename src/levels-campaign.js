@@ -0,0 +1,309 @@
+(function defineLevelsCampaign(global) {
+  "use strict";
+
+  const LEVEL_FORMAT_VERSION = 1;
+  const CAMPAIGN_MANIFEST = "campaign.json";
+  const MIN_BOARD_SIZE = 8;
+  const MAX_BOARD_SIZE = 40;
+  const START_LENGTH = 3;
+
+  const LAYOUT_SYMBOLS = Object.freeze({
+    EMPTY: ".",
+    BARRIER: "#",
+    START: "S",
+    ENEMY: "E",
+    POWER_UP: "P",
+    FOOD: "F",
+  });
+
+  const START_DIRECTIONS = Object.freeze({
+    UP: Object.freeze({ x: 0, y: -1 }),
+    DOWN: Object.freeze({ x: 0, y: 1 }),
+    LEFT: Object.freeze({ x: -1, y: 0 }),
+    RIGHT: Object.freeze({ x: 1, y: 0 }),
+  });
+
+  function keyForPosition(position) {
+    return `${position.x},${position.y}`;
+  }
+
+  function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+  }
+
+  function isInsideBoard(position, width, height) {
+    return (
+      position.x >= 0 &&
+      position.x < width &&
+      position.y >= 0 &&
+      position.y < height
+    );
+  }
+
+  function fail(label, message) {
+    return { ok: false, error: `Nível ${label}: ${message}`, level: null };
+  }
+
+  function readLayout(rows, width, height) {
+    const cells = {
+      barriers: [],
+      starts: [],
+      enemySpawns: [],
+      powerUpSpots: [],
+      foodSpots: [],
+    };
+
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        const symbol = rows[y][x];
+        const position = { x, y };
+        if (symbol === LAYOUT_SYMBOLS.BARRIER) cells.barriers.push(position);
+        else if (symbol === LAYOUT_SYMBOLS.START) cells.starts.push(position);
+        else if (symbol === LAYOUT_SYMBOLS.ENEMY) cells.enemySpawns.push(position);
+        else if (symbol === LAYOUT_SYMBOLS.POWER_UP) cells.powerUpSpots.push(position);
+        else if (symbol === LAYOUT_SYMBOLS.FOOD) cells.foodSpots.push(position);
+        else if (symbol !== LAYOUT_SYMBOLS.EMPTY) {
+          return { error: `símbolo "${symbol}" desconhecido em (${x}, ${y}).` };
+        }
+      }
+    }
+
+    return { cells };
+  }
+
+  function buildStartSnake(start, direction, length = START_LENGTH) {
+    // The body trails behind the head, opposite to the starting direction.
+    const vector = START_DIRECTIONS[direction];
+    return Array.from({ length }, (_, index) => ({
+      x: start.x - vector.x * index,
+      y: start.y - vector.y * index,
+    }));
+  }
+
+  function parsePatrol(rawPatrol, width, height, barrierKeys) {
+    if (rawPatrol === undefined) {
+      return { patrol: [] };
+    }
+    if (!Array.isArray(rawPatrol) || rawPatrol.length < 2) {
+      return { error: "enemy.patrol precisa de pelo menos 2 pontos." };
+    }
+
+    const patrol = [];
+    for (const point of rawPatrol) {
+      const position = { x: point?.x, y: point?.y };
+      if (!Number.isInteger(position.x) || !Number.isInteger(position.y)) {
+        return { error: "enemy.patrol aceita apenas pontos { x, y } inteiros." };
+      }
+      if (!isInsideBoard(position, width, height)) {
+        return { error: `ponto de patrulha (${position.x}, ${position.y}) fora do tabuleiro.` };
+      }
+      if (barrierKeys.has(keyForPosition(position))) {
+        return { error: `ponto de patrulha (${position.x}, ${position.y}) sobre uma barreira.` };
+      }
+      patrol.push(position);
+    }
+    return { patrol };
+  }
+
+  // Turns a level file into the plain, JSON-safe definition the Levels engine
+  // consumes. Coordinates are board cells with (0, 0) in the top-left corner.
+  function parseLevel(raw, options = {}) {
+    const fallbackLabel = options.label ?? `#${(options.index ?? 0) + 1}`;
+    if (!raw || typeof raw !== "object") {
+      return fail(fallbackLabel, "arquivo vazio ou inválido.");
+    }
+
+    const id = typeof raw.id === "string" && raw.id.trim() ? raw.id.trim() : null;
+    const label = id ? `"${id}"` : fallbackLabel;
+    if (!id) {
+      return fail(label, "campo id obrigatório.");
+    }
+    if ((raw.version ?? LEVEL_FORMAT_VERSION) !== LEVEL_FORMAT_VERSION) {
+      return fail(label, "versão de formato não suportada.");
+    }
+
+    const { width, height } = raw;
+    if (
+      !isPositiveInteger(width) ||
+      !isPositiveInteger(height) ||
+      width < MIN_BOARD_SIZE ||
+      height < MIN_BOARD_SIZE ||
+      width > MAX_BOARD_SIZE ||
+      height > MAX_BOARD_SIZE
+    ) {
+      return fail(label, `width/height devem ficar entre ${MIN_BOARD_SIZE} e ${MAX_BOARD_SIZE}.`);
+    }
+
+    if (!isPositiveInteger(raw.target)) {
+      return fail(label, "target deve ser um inteiro positivo.");
+    }
+    if (raw.parSeconds !== undefined && !(Number.isFinite(raw.parSeconds) && raw.parSeconds > 0)) {
+      return fail(label, "parSeconds deve ser um número positivo.");
+    }
+
+    const rows = raw.layout;
+    if (
+      !Array.isArray(rows) ||
+      rows.length !== height ||
+      rows.some((row) => typeof row !== "string" || row.length !== width)
+    ) {
+      return fail(label, `layout deve ter ${height} linhas com ${width} colunas.`);
+    }
+
+    const parsedLayout = readLayout(rows, width, height);
+    if (parsedLayout.error) {
+      return fail(label, parsedLayout.error);
+    }
+    const { barriers, starts, enemySpawns, powerUpSpots, foodSpots } = parsedLayout.cells;
+    if (starts.length !== 1) {
+      return fail(label, `layout precisa de exatamente um "${LAYOUT_SYMBOLS.START}".`);
+    }
+
+    const startDirection = raw.startDirection ?? "RIGHT";
+    if (!Object.prototype.hasOwnProperty.call(START_DIRECTIONS, startDirection)) {
+      return fail(label, "startDirection deve ser UP, DOWN, LEFT ou RIGHT.");
+    }
+
+    const barrierKeys = new Set(barriers.map(keyForPosition));
+    const snake = buildStartSnake(starts[0], startDirection);
+    const blockedStart = snake.some(
+      (segment) =>
+        !isInsideBoard(segment, width, height) || barrierKeys.has(keyForPosition(segment))
+    );
+    if (blockedStart) {
+      return fail(label, "o corpo inicial atrás de S precisa de espaço livre.");
+    }
+
+    let enemy = null;
+    const rawEnemy = raw.enemy;
+    if (rawEnemy !== undefined && rawEnemy !== null) {
+      if (typeof rawEnemy !== "object") {
+        return fail(label, "enemy deve ser um objeto.");
+      }
+      if (rawEnemy.stepEveryTicks !== undefined && !isPositiveInteger(rawEnemy.stepEveryTicks)) {
+        return fail(label, "enemy.stepEveryTicks deve ser um inteiro positivo.");
+      }
+      const parsedPatrol = parsePatrol(rawEnemy.patrol, width, height, barrierKeys);
+      if (parsedPatrol.error) {
+        return fail(label, parsedPatrol.error);
+      }
+      enemy = {
+        stepEveryTicks: rawEnemy.stepEveryTicks ?? null,
+        patrol: parsedPatrol.patrol,
+      };
+    }
+
+    const spawns = enemySpawns.length > 0 ? enemySpawns : enemy?.patrol.slice(0, 1) ?? [];
+    if (enemy && spawns.length === 0) {
+      return fail(label, `enemy precisa de um "${LAYOUT_SYMBOLS.ENEMY}" no layout ou de patrulha.`);
+    }
+    if (!enemy && enemySpawns.length > 0) {
+      enemy = { stepEveryTicks: null, patrol: [] };
+    }
+
+    return {
+      ok: true,
+      error: null,
+      level: {
+        id,
+        name: typeof raw.name === "string" && raw.name.trim() ? raw.name.trim() : id,
+        width,
+        height,
+        target: raw.target,
+        parTimeMs: raw.parSeconds !== undefined ? Math.round(raw.parSeconds * 1000) : null,
+        barriers,
+        snake,
+        startDirection,
+        enemySpawns: spawns,
+        enemy,
+        powerUpSpots,
+        foodSpots,
+      },
+    };
+  }
+
+  function parseCampaign(manifest, levelSources) {
+    if (!manifest || typeof manifest !== "object" || !Array.isArray(manifest.levels)) {
+      return { ok: false, error: "Campanha inválida: levels ausente.", campaign: null };
+    }
+    if (manifest.levels.length === 0) {
+      return { ok: false, error: "Campanha inválida: nenhum nível listado.", campaign: null };
+    }
+
+    const levels = [];
+    const seenIds = new Set();
+    for (let index = 0; index < manifest.levels.length; index += 1) {
+      const parsed = parseLevel(levelSources[index], {
+        index,
+        label: String(manifest.levels[index]),
+      });
+      if (!parsed.ok) {
+        return { ok: false, error: parsed.error, campaign: null };
+      }
+      if (seenIds.has(parsed.level.id)) {
+        return {
+          ok: false,
+          error: `Campanha inválida: id "${parsed.level.id}" repetido.`,
+          campaign: null,
+        };
+      }
+      seenIds.add(parsed.level.id);
+      levels.push(parsed.level);
+    }
+
+    return {
+      ok: true,
+      error: null,
+      campaign: {
+        name:
+          typeof manifest.name === "string" && manifest.name.trim()
+            ? manifest.name.trim()
+            : "Campanha",
+        levels,
+      },
+    };
+  }
+
+  // Fetches `campaign.json` and every level file it lists, in order.
+  async function loadCampaign(baseUrl = "levels/", fetchImpl = global.fetch) {
+    if (typeof fetchImpl !== "function") {
+      return { ok: false, error: "Campanha indisponível: fetch ausente.", campaign: null };
+    }
+
+    const readJson = async (fileName) => {
+      const response = await fetchImpl(`${baseUrl}${fileName}`);
+      if (!response.ok) {
+        throw new Error(`Falha ao carregar ${fileName} (${response.status}).`);
+      }
+      return response.json();
+    };
+
+    try {
+      const manifest = await readJson(CAMPAIGN_MANIFEST);
+      const fileNames = Array.isArray(manifest?.levels) ? manifest.levels : [];
+      const levelSources = await Promise.all(fileNames.map(readJson));
+      return parseCampaign(manifest, levelSources);
+    } catch (error) {
+      return { ok: false, error: `Campanha indisponível: ${error.message}`, campaign: null };
+    }
+  }
+
+  const api = Object.freeze({
+    LEVEL_FORMAT_VERSION,
+    CAMPAIGN_MANIFEST,
+    MIN_BOARD_SIZE,
+    MAX_BOARD_SIZE,
+    LAYOUT_SYMBOLS,
+    START_DIRECTIONS,
+    buildStartSnake,
+    parseLevel,
+    parseCampaign,
+    loadCampaign,
+  });
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  global.LevelsCampaign = api;
+})(typeof globalThis !== "undefined" ? globalThis : window);
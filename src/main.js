@@ -1,35 +1,94 @@
 "use strict";
 
-const { directionFromInputKey } = window.SnakeLogic;
+const {
+  directionFromInputKey,
+  inputSchemeForKey,
+  normalizeMovement,
+  PLAYER_INPUTS,
+} = window.SnakeLogic;
+const RunSeed = window.RunSeed;
 const SoulsData = window.SoulsData;
 const SoulsProfile = window.SoulsProfile;
+const SaveSlots = window.SaveSlots;
+const SaveTransfer = window.SaveTransfer;
 const DevCodes = window.DevCodes;
 const { calculateFixedSteps } = window.SoulsLoop;
+const RunReplay = window.RunReplay;
+const RunHistory = window.RunHistory;
+const Achievements = window.Achievements;
+const SnakeAutopilot = window.SnakeAutopilot;
+const LevelsCampaign = window.LevelsCampaign;
+const LevelEditor = window.LevelEditor;
+const TimeAttack = window.TimeAttack;
+const SnakeRival = window.SnakeRival;
+const Challenges = window.Challenges;
+const NetProtocol = window.NetProtocol;
 const {
   buildRewardRenderKey = () => null,
   canSelectReward = () => false,
+  getRewardOptionsForSeat = (reward) => reward?.options ?? [],
+  getRewardSeat = () => 0,
 } = window.SoulsUiHelpers || {};
 const {
+  activateSoulsAbility,
+  applyModeController,
   createModeState,
   devSetSoulsBoss,
   devSetSoulsFloor,
   chooseSoulsReward,
+  flushSoulsPlayTime,
+  getRunDeathCause,
+  getSoulsAbilityStatus,
   queueModeDirection,
   rerollSoulsReward,
   restartModeState,
   stepModeState,
   toggleModePause,
+  SLOW_TIME_FACTOR,
+  TIME_ATTACK_COURSES,
 } = window.SnakeModes;
 
 const GRID_WIDTH = 20;
 const GRID_HEIGHT = 20;
 const THEME_KEY = "snake-theme";
 const SETTINGS_KEY = "snake-settings-v1";
-const GAME_VERSION = "v0.12.0";
+const MENU_DEMO_IDLE_MS = 30000;
+const DEMO_RESTART_DELAY_MS = 2500;
+const ONLINE_PING_INTERVAL_MS = 2000;
+const ACHIEVEMENT_TOAST_MS = 3500;
+const GAME_VERSION = "v0.37.0";
+const CAMPAIGN_BASE_URL = "levels/";
+// Board color and legend swatch per Levels power-up type.
+const POWER_UP_STYLES = Object.freeze({
+  shield: Object.freeze({ label: "Escudo", color: "--power", swatch: "power-up" }),
+  slowTime: Object.freeze({ label: "Tempo lento", color: "--power-slow", swatch: "power-slow" }),
+  enemyFreeze: Object.freeze({ label: "Congelar", color: "--power-freeze", swatch: "power-freeze" }),
+  scoreMultiplier: Object.freeze({ label: "Pontos x2", color: "--power-score", swatch: "power-score" }),
+  shrinkTail: Object.freeze({ label: "Encolher", color: "--power-shrink", swatch: "power-shrink" }),
+  magnet: Object.freeze({ label: "Ímã", color: "--power-magnet", swatch: "power-magnet" }),
+});
+const ENEMY_ARCHETYPE_COLORS = Object.freeze({
+  chaser: "--enemy",
+  patroller: "--enemy-patroller",
+  ambusher: "--enemy-ambusher",
+  wallHugger: "--enemy-hugger",
+});
+// Versus and co-op seats, in player order.
+const PLAYER_COLORS = Object.freeze([
+  Object.freeze({ head: "--snake-head", body: "--snake" }),
+  Object.freeze({ head: "--rival-head", body: "--rival" }),
+]);
+const PLAYER_SEAT_LABELS = Object.freeze(["cobra verde", "cobra azul"]);
+const EDITOR_MARKER_COLORS = Object.freeze({
+  food: "--food",
+  enemy: "--enemy",
+  powerUp: "--power",
+});
 
 const SCREEN_MENU = "menu";
 const SCREEN_PLAYING = "playing";
 const SCREEN_GAMEOVER = "gameover";
+const SCREEN_EDITOR = "editor";
 const SOULS_FIXED_STEP_MS = 1000 / 90;
 const SOULS_MAX_STEPS_PER_FRAME = 4;
 const SOULS_MAX_FRAME_DELTA_MS = 120;
@@ -42,7 +101,66 @@ const menuModeButtons = Array.from(
   document.querySelectorAll("[data-mode-option]")
 );
 const menuSettingsOptionButton = document.getElementById("menu-settings-option");
+const menuProfilesOptionButton = document.getElementById("menu-profiles-option");
+const menuProfilesActiveElement = document.getElementById("menu-profiles-active");
+const profilesMenuElement = document.getElementById("profiles-menu");
+const profileSlotCardsElement = document.getElementById("profile-slot-cards");
+const profileNameInputElement = document.getElementById("profile-name-input");
+const profileCreateButton = document.getElementById("profile-create-btn");
+const profilesFeedbackElement = document.getElementById("profiles-feedback");
+const menuStatsOptionButton = document.getElementById("menu-stats-option");
+const statsMenuElement = document.getElementById("stats-menu");
+const statsCardsElement = document.getElementById("stats-cards");
+const menuHistoryOptionButton = document.getElementById("menu-history-option");
+const historyMenuElement = document.getElementById("history-menu");
+const historyModeFilterElement = document.getElementById("history-mode-filter");
+const historySnakeFilterElement = document.getElementById("history-snake-filter");
+const historyCauseFilterElement = document.getElementById("history-cause-filter");
+const historyListElement = document.getElementById("history-list");
+const historyDetailElement = document.getElementById("history-detail");
+const menuAchievementsOptionButton = document.getElementById("menu-achievements-option");
+const menuAchievementsCountElement = document.getElementById("menu-achievements-count");
+const achievementsMenuElement = document.getElementById("achievements-menu");
+const achievementSkinSelectElement = document.getElementById("achievement-skin-select");
+const achievementCardsElement = document.getElementById("achievement-cards");
+const achievementToastElement = document.getElementById("achievement-toast");
+const saveExportSettingsInputElement = document.getElementById("save-export-settings-input");
+const saveExportFileButton = document.getElementById("save-export-file-btn");
+const saveExportCodeButton = document.getElementById("save-export-code-btn");
+const saveImportFileInput = document.getElementById("save-import-file-input");
+const saveCodeInputElement = document.getElementById("save-code-input");
+const saveImportCodeButton = document.getElementById("save-import-code-btn");
+const saveImportPreviewElement = document.getElementById("save-import-preview");
+const saveImportTitleElement = document.getElementById("save-import-title");
+const saveImportChangesElement = document.getElementById("save-import-changes");
+const saveImportConfirmButton = document.getElementById("save-import-confirm-btn");
+const saveImportCancelButton = document.getElementById("save-import-cancel-btn");
+const menuEditorOptionButton = document.getElementById("menu-editor-option");
+const menuChallengesOptionButton = document.getElementById("menu-challenges-option");
+const challengesMenuElement = document.getElementById("challenges-menu");
+const challengeCardsElement = document.getElementById("challenge-cards");
+const challengeMonthLabelElement = document.getElementById("challenge-month-label");
+const challengePrevMonthButton = document.getElementById("challenge-prev-month");
+const challengeNextMonthButton = document.getElementById("challenge-next-month");
+const challengeCalendarGridElement = document.getElementById("challenge-calendar-grid");
+const menuOnlineOptionButton = document.getElementById("menu-online-option");
+const onlineMenuElement = document.getElementById("online-menu");
+const onlineServerInputElement = document.getElementById("online-server-input");
+const onlineNameInputElement = document.getElementById("online-name-input");
+const onlineConnectButton = document.getElementById("online-connect-btn");
+const onlineLobbyElement = document.getElementById("online-lobby");
+const onlineCreateButton = document.getElementById("online-create-btn");
+const onlineRoomInputElement = document.getElementById("online-room-input");
+const onlineJoinButton = document.getElementById("online-join-btn");
+const onlineRoomElement = document.getElementById("online-room");
+const onlineRoomCodeElement = document.getElementById("online-room-code");
+const onlineRoomRulesElement = document.getElementById("online-room-rules");
+const onlineMembersElement = document.getElementById("online-members");
+const onlineReadyButton = document.getElementById("online-ready-btn");
+const onlineLeaveButton = document.getElementById("online-leave-btn");
+const onlineStatusElement = document.getElementById("online-status");
 const startButton = document.getElementById("start-btn");
+const seedInputElement = document.getElementById("seed-input");
 const menuButton = document.getElementById("menu-btn");
 const settingsMenuElement = document.getElementById("settings-menu");
 const gameVersionElement = document.getElementById("game-version");
@@ -53,14 +171,17 @@ const soulsWalletMenuElement = document.getElementById("souls-wallet-menu");
 const soulsClearsMenuElement = document.getElementById("souls-clears-menu");
 const soulsUnlockLabelElement = document.getElementById("souls-unlock-label");
 const soulsUnlockButton = document.getElementById("souls-unlock-btn");
+const soulsUpgradesElement = document.getElementById("souls-upgrades");
+const soulsCoopInputElement = document.getElementById("souls-coop-input");
 
 const gridElement = document.getElementById("grid");
 const scoreElement = document.getElementById("score");
 const statusElement = document.getElementById("status");
 const modeLabelElement = document.getElementById("mode-label");
+const runSeedElement = document.getElementById("run-seed");
 const levelValueElement = document.getElementById("level-value");
 const levelProgressElement = document.getElementById("level-progress");
-const shieldTimeElement = document.getElementById("shield-time");
+const levelsEffectsElement = document.getElementById("levels-effects");
 const soulsPowersListElement = document.getElementById("souls-powers-list");
 
 const soulsFloorElement = document.getElementById("souls-floor");
@@ -88,6 +209,9 @@ const gameAreaElement = document.querySelector(".game-area");
 const soulsRewardModalElement = document.getElementById("souls-reward-modal");
 const soulsRewardOptionsElement = document.getElementById("souls-reward-options");
 const soulsRerollButton = document.getElementById("souls-reroll-btn");
+const soulsRewardSeatElement = document.getElementById("souls-reward-seat");
+const soulsRewardTitleElement = document.getElementById("souls-reward-title");
+const soulsRewardHelpElement = document.getElementById("souls-reward-help");
 
 const soulsDeathSummaryElement = document.getElementById("souls-death-summary");
 const soulsDeathRunesElement = document.getElementById("souls-death-runes");
@@ -98,7 +222,13 @@ const soulsSigilArrowElement = document.getElementById("souls-sigil-arrow");
 const soulsSigilDistanceElement = document.getElementById("souls-sigil-distance");
 const soulsStaminaElement = document.getElementById("souls-stamina");
 const soulsStaminaFillElement = document.getElementById("souls-stamina-fill");
+const soulsPartnerStaminaElement = document.getElementById("souls-partner-stamina");
+const soulsPartnerStaminaFillElement = document.getElementById("souls-partner-stamina-fill");
 const floatingPauseButton = document.getElementById("floating-pause-btn");
+const soulsAbilityButton = document.getElementById("souls-ability-btn");
+const soulsAbilityLabelElement = document.getElementById("souls-ability-label");
+const soulsPartnerAbilityElement = document.getElementById("souls-partner-ability");
+const soulsPartnerAbilityLabelElement = document.getElementById("souls-partner-ability-label");
 const bossIntelListElement = document.getElementById("boss-intel-list");
 const devPanelElement = document.getElementById("dev-panel");
 const devCodeInputElement = document.getElementById("dev-code-input");
@@ -110,13 +240,63 @@ const gameOverModeElement = document.getElementById("gameover-mode");
 const gameOverScoreElement = document.getElementById("gameover-score");
 const gameOverLengthElement = document.getElementById("gameover-length");
 const gameOverTimeElement = document.getElementById("gameover-time");
+const gameOverSeedElement = document.getElementById("gameover-seed");
 const gameOverExtraTitleElement = document.getElementById("gameover-extra-title");
 const gameOverExtraElement = document.getElementById("gameover-extra");
 const gameOverRestartButton = document.getElementById("gameover-restart-btn");
 const gameOverMenuButton = document.getElementById("gameover-menu-btn");
-
-const initialSoulsProfile = loadSoulsProfileFromStorage();
-const initialUiSettings = loadUiSettings();
+const gameOverReplayButton = document.getElementById("gameover-replay-btn");
+const replayBarElement = document.getElementById("replay-bar");
+const replayToggleButton = document.getElementById("replay-toggle-btn");
+const replaySeekElement = document.getElementById("replay-seek");
+const replayFrameLabelElement = document.getElementById("replay-frame-label");
+const replaySpeedElement = document.getElementById("replay-speed");
+const replayExportButton = document.getElementById("replay-export-btn");
+const replayExitButton = document.getElementById("replay-exit-btn");
+const replayImportInputElement = document.getElementById("replay-import-input");
+const menuFeedbackElement = document.getElementById("menu-feedback");
+const demoButton = document.getElementById("demo-btn");
+const wrapWallsInputElement = document.getElementById("wrap-walls-input");
+const eightWayInputElement = document.getElementById("eight-way-input");
+const campaignInputElement = document.getElementById("campaign-input");
+const levelParElement = document.getElementById("level-par");
+const timeAttackCourseOptionElement = document.getElementById("time-attack-course-option");
+const timeAttackCourseInputElement = document.getElementById("time-attack-course-input");
+const rivalDifficultyOptionElement = document.getElementById("rival-difficulty-option");
+const rivalDifficultyInputElement = document.getElementById("rival-difficulty-input");
+const versusBestOfOptionElement = document.getElementById("versus-best-of-option");
+const versusBestOfInputElement = document.getElementById("versus-best-of-input");
+const versusRoundElement = document.getElementById("versus-round");
+const versusScoreElement = document.getElementById("versus-score");
+const versusRoundMessageElement = document.getElementById("versus-round-message");
+const gameOverRoundsElement = document.getElementById("gameover-rounds");
+const timeAttackClockElement = document.getElementById("time-attack-clock");
+const timeAttackSplitsElement = document.getElementById("time-attack-splits");
+const timeAttackDeltaElement = document.getElementById("time-attack-delta");
+const gameOverSplitsElement = document.getElementById("gameover-splits");
+const editorBarElement = document.getElementById("editor-bar");
+const editorToolButtons = Array.from(document.querySelectorAll("[data-editor-tool]"));
+const editorNameInput = document.getElementById("editor-name");
+const editorWidthInput = document.getElementById("editor-width");
+const editorHeightInput = document.getElementById("editor-height");
+const editorResizeButton = document.getElementById("editor-resize-btn");
+const editorTargetInput = document.getElementById("editor-target");
+const editorParInput = document.getElementById("editor-par");
+const editorDirectionSelect = document.getElementById("editor-direction");
+const editorPlaytestButton = document.getElementById("editor-playtest-btn");
+const editorExportButton = document.getElementById("editor-export-btn");
+const editorImportInput = document.getElementById("editor-import-input");
+const editorShareInput = document.getElementById("editor-share-input");
+const editorShareCopyButton = document.getElementById("editor-share-copy-btn");
+const editorShareLoadButton = document.getElementById("editor-share-load-btn");
+const editorExitButton = document.getElementById("editor-exit-btn");
+const editorFeedbackElement = document.getElementById("editor-feedback");
+const autopilotButton = document.getElementById("autopilot-btn");
+
+const initialSaveSlots = loadSaveSlotsFromStorage();
+const initialSoulsProfileLoad = loadSoulsProfileFromStorage(initialSaveSlots.activeSlotId);
+const initialSoulsProfile = initialSoulsProfileLoad.profile;
+const initialUiSettings = loadUiSettings(initialSaveSlots.activeSlotId);
 
 const appState = {
   screen: SCREEN_MENU,
@@ -127,20 +307,75 @@ const appState = {
   soulsAccumulatorMs: 0,
   soulsPendingDirection: null,
   pressedDirections: new Set(),
+  // Held keys per versus seat, so WASD and arrow chords never mix.
+  playerPressedDirections: [new Set(), new Set()],
   rewardRenderKey: null,
   isDevPanelOpen: false,
   devFeedback: "Digite um código e pressione Enter ou clique em Executar.",
   devFeedbackType: "info",
   currentTickMs: null,
+  saveSlots: initialSaveSlots,
+  isProfilesOpen: false,
+  profilesFeedback: "",
+  pendingDeleteSlotId: null,
+  pendingSaveImport: null,
+  isStatsOpen: false,
+  // Interval-mode play time not yet added to the profile stats (Souls runs
+  // count their own time inside the engine).
+  pendingPlayTimeMs: 0,
+  runHistory: loadRunHistoryFromStorage(initialSaveSlots.activeSlotId),
+  isHistoryOpen: false,
+  historyFilters: { mode: "all", snakeId: "all", deathCause: "all" },
+  historyDetailId: null,
+  isAchievementsOpen: false,
+  // Unlock messages waiting for the toast, shown one at a time.
+  achievementToasts: [],
+  achievementToastTimerId: null,
   soulsProfile: initialSoulsProfile,
+  soulsProfileSaveBlocked: initialSoulsProfileLoad.saveBlocked,
   selectedSoulsSnakeId: initialSoulsProfile.selectedSnakeId,
   selectedMenuMode: "traditional",
   uiSettings: initialUiSettings,
   isSettingsOpen: false,
+  isChallengesOpen: false,
+  challengeMonth: null,
+  isOnlineOpen: false,
+  // Live connection to a net server (tools/net-server.mjs), or null.
+  online: null,
+  onlineFeedback: "",
   mobileInstructionsExpanded: false,
   runStartedAtMs: 0,
   runEndedAtMs: null,
   gestureSession: null,
+  fixedSeed: null,
+  recording: null,
+  recordedFrame: 0,
+  recordedHold: false,
+  recordedPartnerHold: false,
+  recordedViewportAspect: 1,
+  lastRecording: null,
+  replay: null,
+  replayRafId: null,
+  replayLastTs: null,
+  replayReturn: null,
+  menuFeedback: initialSoulsProfileLoad.error
+    ? formatSoulsProfileLoadError(initialSoulsProfileLoad)
+    : "",
+  autopilot: null,
+  isDemo: false,
+  menuDemoTimerId: null,
+  demoRestartTimerId: null,
+  levelsCampaign: null,
+  levelsCampaignError: null,
+  editor: null,
+  editorTool: "barrier",
+  editorFeedback: "",
+  editorPainting: false,
+  editorPlaytest: false,
+  timeAttackRecords: loadTimeAttackRecordsFromStorage(initialSaveSlots.activeSlotId),
+  timeAttackBest: null,
+  timeAttackNewBest: false,
+  runAssisted: false,
 };
 
 const initiallySelectedMenuButton = menuModeButtons.find((button) =>
@@ -171,19 +406,132 @@ function getColor(name) {
   return value;
 }
 
-function loadSoulsProfileFromStorage() {
+function loadSaveSlotsFromStorage() {
   try {
-    const raw = window.localStorage.getItem(SoulsData.STORAGE_KEY);
-    return SoulsProfile.loadProfile(raw);
+    return SaveSlots.loadIndex(window.localStorage.getItem(SaveSlots.STORAGE_KEY));
   } catch {
-    return SoulsProfile.createDefaultProfile();
+    return SaveSlots.createDefaultIndex();
+  }
+}
+
+function saveSaveSlots(index) {
+  try {
+    window.localStorage.setItem(SaveSlots.STORAGE_KEY, SaveSlots.saveIndex(index));
+  } catch {
+    // Ignore storage errors
+  }
+}
+
+// Everything stored per save slot; the first slot uses these keys as-is.
+function getSlotStorageKeys() {
+  return [
+    SoulsData.STORAGE_KEY,
+    SoulsData.PROFILE_BACKUP_STORAGE_KEY,
+    SETTINGS_KEY,
+    THEME_KEY,
+    RunHistory.STORAGE_KEY,
+    TimeAttack.STORAGE_KEY,
+  ];
+}
+
+function getActiveSlotKey(baseKey) {
+  return SaveSlots.getSlotStorageKey(baseKey, appState.saveSlots.activeSlotId);
+}
+
+function loadSoulsProfileFromStorage(slotId) {
+  let result;
+  try {
+    result = SoulsProfile.readProfile(
+      window.localStorage.getItem(SaveSlots.getSlotStorageKey(SoulsData.STORAGE_KEY, slotId))
+    );
+  } catch {
+    return { profile: SoulsProfile.createDefaultProfile(), error: null, saveBlocked: false };
+  }
+
+  // A blocked save is re-read on every load; only write its backup once so
+  // the key isn't rewritten each time.
+  if (result.backup !== null) {
+    try {
+      const backupKey = SaveSlots.getSlotStorageKey(SoulsData.PROFILE_BACKUP_STORAGE_KEY, slotId);
+      if (window.localStorage.getItem(backupKey) !== result.backup) {
+        window.localStorage.setItem(backupKey, result.backup);
+      }
+    } catch {
+      // Ignore storage errors
+    }
   }
+  // A failed migration leaves the stored save untouched so the next load
+  // retries it; a corrupt save is simply replaced (its backup was kept above).
+  return {
+    profile: result.profile,
+    error: result.error,
+    saveBlocked: !result.ok && result.fromVersion !== null,
+  };
+}
+
+function formatSoulsProfileLoadError(loaded) {
+  return loaded.saveBlocked
+    ? `${loaded.error} O save original foi mantido e o progresso desta sessão não será salvo.`
+    : `${loaded.error} Uma cópia do save original foi guardada.`;
 }
 
 function saveSoulsProfile(profile) {
+  if (appState.soulsProfileSaveBlocked) {
+    return;
+  }
   try {
     const payload = SoulsProfile.saveProfile(profile);
-    window.localStorage.setItem(SoulsData.STORAGE_KEY, payload);
+    window.localStorage.setItem(getActiveSlotKey(SoulsData.STORAGE_KEY), payload);
+  } catch {
+    // Ignore storage errors
+  }
+}
+
+function loadRunHistoryFromStorage(slotId) {
+  try {
+    const raw = window.localStorage.getItem(SaveSlots.getSlotStorageKey(RunHistory.STORAGE_KEY, slotId));
+    return RunHistory.loadHistory(raw);
+  } catch {
+    return RunHistory.createEmptyHistory();
+  }
+}
+
+function saveRunHistory(history) {
+  try {
+    window.localStorage.setItem(getActiveSlotKey(RunHistory.STORAGE_KEY), RunHistory.saveHistory(history));
+  } catch {
+    // Ignore storage errors
+  }
+}
+
+// Demo runs and replays never reach the history; challenges do, tagged.
+function recordRunHistory(deathCause) {
+  if (appState.isDemo || appState.replay || !appState.modeState) {
+    return;
+  }
+
+  const entry = RunHistory.createRunEntry(appState.modeState, {
+    endedAt: appState.runEndedAtMs,
+    durationMs: getCurrentRunDurationMs(appState.modeState),
+    deathCause,
+    online: isOnlineMatch(),
+  });
+  appState.runHistory = RunHistory.addEntry(appState.runHistory, entry);
+  saveRunHistory(appState.runHistory);
+}
+
+function loadTimeAttackRecordsFromStorage(slotId) {
+  try {
+    const raw = window.localStorage.getItem(SaveSlots.getSlotStorageKey(TimeAttack.STORAGE_KEY, slotId));
+    return TimeAttack.loadRecords(raw);
+  } catch {
+    return TimeAttack.createEmptyRecords();
+  }
+}
+
+function saveTimeAttackRecords(records) {
+  try {
+    window.localStorage.setItem(getActiveSlotKey(TimeAttack.STORAGE_KEY), TimeAttack.saveRecords(records));
   } catch {
     // Ignore storage errors
   }
@@ -203,12 +551,12 @@ function normalizeMobileControl(value) {
   return "dpad";
 }
 
-function loadUiSettings() {
+function loadUiSettings(slotId) {
   const fallback = {
     mobileControl: "dpad",
   };
   try {
-    const raw = window.localStorage.getItem(SETTINGS_KEY);
+    const raw = window.localStorage.getItem(SaveSlots.getSlotStorageKey(SETTINGS_KEY, slotId));
     if (!raw) {
       return fallback;
     }
@@ -226,7 +574,7 @@ function saveUiSettings(settings) {
     const payload = JSON.stringify({
       mobileControl: normalizeMobileControl(settings?.mobileControl),
     });
-    window.localStorage.setItem(SETTINGS_KEY, payload);
+    window.localStorage.setItem(getActiveSlotKey(SETTINGS_KEY), payload);
   } catch {
     // Ignore storage errors
   }
@@ -243,21 +591,336 @@ function setUiSettings(partial) {
   saveUiSettings(appState.uiSettings);
 }
 
+function setSaveSlots(index) {
+  appState.saveSlots = index;
+  saveSaveSlots(index);
+}
+
+function copySlotStorage(fromSlotId, toSlotId) {
+  for (const baseKey of getSlotStorageKeys()) {
+    try {
+      const value = window.localStorage.getItem(SaveSlots.getSlotStorageKey(baseKey, fromSlotId));
+      if (value !== null) {
+        window.localStorage.setItem(SaveSlots.getSlotStorageKey(baseKey, toSlotId), value);
+      }
+    } catch {
+      // Ignore storage errors
+    }
+  }
+}
+
+function clearSlotStorage(slotId) {
+  for (const baseKey of getSlotStorageKeys()) {
+    try {
+      window.localStorage.removeItem(SaveSlots.getSlotStorageKey(baseKey, slotId));
+    } catch {
+      // Ignore storage errors
+    }
+  }
+}
+
+function readSlotProfile(slotId) {
+  if (slotId === appState.saveSlots.activeSlotId) {
+    return appState.soulsProfile;
+  }
+  try {
+    return SoulsProfile.loadProfile(
+      window.localStorage.getItem(SaveSlots.getSlotStorageKey(SoulsData.STORAGE_KEY, slotId))
+    );
+  } catch {
+    return SoulsProfile.createDefaultProfile();
+  }
+}
+
+// Switches profile, UI settings and theme to the index's active slot.
+function activateSaveSlot(index) {
+  setSaveSlots(index);
+  const loaded = loadSoulsProfileFromStorage(index.activeSlotId);
+  appState.soulsProfile = loaded.profile;
+  appState.soulsProfileSaveBlocked = loaded.saveBlocked;
+  appState.selectedSoulsSnakeId = loaded.profile.selectedSnakeId;
+  appState.uiSettings = loadUiSettings(index.activeSlotId);
+  appState.runHistory = loadRunHistoryFromStorage(index.activeSlotId);
+  appState.timeAttackRecords = loadTimeAttackRecordsFromStorage(index.activeSlotId);
+  appState.historyDetailId = null;
+  appState.gestureSession = null;
+  applyTheme(getInitialTheme());
+  return loaded.error ? formatSoulsProfileLoadError(loaded) : null;
+}
+
+function readProfileNameInput() {
+  return profileNameInputElement?.value ?? "";
+}
+
+function finishProfileAction(feedback) {
+  appState.profilesFeedback = feedback;
+  appState.pendingDeleteSlotId = null;
+  appState.pendingSaveImport = null;
+  if (profileNameInputElement) {
+    profileNameInputElement.value = "";
+  }
+  render();
+}
+
+function useSaveSlot(slotId) {
+  const result = SaveSlots.selectSlot(appState.saveSlots, slotId);
+  if (!result.ok) {
+    finishProfileAction(result.error);
+    return;
+  }
+  const error = activateSaveSlot(result.index);
+  finishProfileAction(error ?? `Jogando como "${SaveSlots.getActiveSlot(result.index).name}".`);
+}
+
+function createSaveSlot() {
+  const result = SaveSlots.createSlot(appState.saveSlots, readProfileNameInput());
+  if (!result.ok) {
+    appState.profilesFeedback = result.error;
+    render();
+    return;
+  }
+  clearSlotStorage(result.slot.id);
+  setSaveSlots(result.index);
+  useSaveSlot(result.slot.id);
+}
+
+function renameSaveSlot(slotId) {
+  if (!readProfileNameInput().trim()) {
+    appState.profilesFeedback = "Digite o novo nome no campo abaixo e clique em Renomear.";
+    render();
+    return;
+  }
+  const result = SaveSlots.renameSlot(appState.saveSlots, slotId, readProfileNameInput());
+  if (!result.ok) {
+    appState.profilesFeedback = result.error;
+    render();
+    return;
+  }
+  setSaveSlots(result.index);
+  finishProfileAction(`Perfil renomeado para "${SaveSlots.getSlot(result.index, slotId).name}".`);
+}
+
+function duplicateSaveSlot(slotId) {
+  const result = SaveSlots.duplicateSlot(appState.saveSlots, slotId, readProfileNameInput());
+  if (!result.ok) {
+    appState.profilesFeedback = result.error;
+    render();
+    return;
+  }
+  clearSlotStorage(result.slot.id);
+  copySlotStorage(slotId, result.slot.id);
+  setSaveSlots(result.index);
+  finishProfileAction(`"${result.source.name}" copiado para "${result.slot.name}".`);
+}
+
+function deleteSaveSlot(slotId) {
+  // The first click only arms the button; the second one deletes.
+  if (appState.pendingDeleteSlotId !== slotId) {
+    appState.pendingDeleteSlotId = slotId;
+    appState.profilesFeedback = "Clique em Confirmar para apagar o perfil e todo o progresso dele.";
+    render();
+    return;
+  }
+
+  const name = SaveSlots.getSlot(appState.saveSlots, slotId)?.name;
+  const result = SaveSlots.deleteSlot(appState.saveSlots, slotId);
+  if (!result.ok) {
+    finishProfileAction(result.error);
+    return;
+  }
+  clearSlotStorage(slotId);
+  let error = null;
+  if (appState.saveSlots.activeSlotId === slotId) {
+    error = activateSaveSlot(result.index);
+  } else {
+    setSaveSlots(result.index);
+  }
+  finishProfileAction(error ?? `Perfil "${name}" apagado.`);
+}
+
+function getSaveFileName(slotName) {
+  const slug = slotName
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  return `snake-souls-save-${slug || "perfil"}.json`;
+}
+
+function buildActiveSaveBundle() {
+  const settings = saveExportSettingsInputElement?.checked
+    ? { mobileControl: appState.uiSettings.mobileControl, theme: getCurrentTheme() }
+    : null;
+  return SaveTransfer.createSaveBundle(appState.soulsProfile, settings);
+}
+
+function exportSaveFile() {
+  const slot = SaveSlots.getActiveSlot(appState.saveSlots);
+  downloadJson(getSaveFileName(slot.name), SaveTransfer.encodeSaveFile(buildActiveSaveBundle()));
+  finishProfileAction(`Save de "${slot.name}" exportado.`);
+}
+
+function exportSaveCode() {
+  saveCodeInputElement.value = SaveTransfer.encodeSaveCode(buildActiveSaveBundle());
+  saveCodeInputElement.select();
+  // No clipboard API outside secure contexts and in some webviews.
+  if (!navigator.clipboard) {
+    finishProfileAction("Código do save gerado; copie do campo.");
+    return;
+  }
+  navigator.clipboard.writeText(saveCodeInputElement.value).then(
+    () => finishProfileAction("Código do save copiado."),
+    () => finishProfileAction("Código do save gerado; copie do campo.")
+  );
+}
+
+// Imports never apply straight away: the parsed save waits in
+// pendingSaveImport until the preview is confirmed.
+function previewSaveImport(text) {
+  const result = SaveTransfer.parseSaveImport(text);
+  appState.pendingDeleteSlotId = null;
+  appState.pendingSaveImport = result.ok ? result.save : null;
+  appState.profilesFeedback = result.ok ? "" : result.error;
+  render();
+}
+
+function confirmSaveImport() {
+  const save = appState.pendingSaveImport;
+  if (!save) {
+    return;
+  }
+
+  // An imported save replaces the one that failed to migrate.
+  appState.soulsProfileSaveBlocked = false;
+  setSoulsProfile(save.profile);
+  if (save.settings?.mobileControl) {
+    setUiSettings({ mobileControl: save.settings.mobileControl });
+    appState.gestureSession = null;
+  }
+  if (save.settings?.theme) {
+    applyTheme(save.settings.theme);
+    saveTheme(save.settings.theme);
+  }
+  if (saveCodeInputElement) {
+    saveCodeInputElement.value = "";
+  }
+  finishProfileAction(`Save importado para "${SaveSlots.getActiveSlot(appState.saveSlots).name}".`);
+}
+
+// Souls runs keep their stats on the run's profile copy (see
+// syncSoulsProfileFromModeState); the other modes are tracked from here.
+function isTrackingLifetimeStats() {
+  return (
+    Boolean(appState.modeState) &&
+    !appState.isDemo &&
+    !appState.replay &&
+    !appState.modeState.challenge
+  );
+}
+
+function recordLifetimeStats(delta) {
+  // Stats can complete progress achievements (runs started, for one).
+  const result = Achievements.recordEvent(SoulsProfile.addStats(appState.soulsProfile, delta), null);
+  setSoulsProfile(result.profile);
+  announceAchievements(result.unlocked);
+}
+
+// Achievements for the interval modes; Souls unlocks them inside the engine.
+function recordAchievementEvent(event) {
+  if (!isTrackingLifetimeStats()) {
+    return;
+  }
+  const result = Achievements.recordEvent(appState.soulsProfile, event);
+  if (result.unlocked.length > 0) {
+    setSoulsProfile(result.profile);
+    announceAchievements(result.unlocked);
+  }
+}
+
+function announceAchievements(unlocked) {
+  for (const achievement of unlocked) {
+    const skin = Achievements.getSkinById(achievement.skinId);
+    appState.achievementToasts.push(
+      skin
+        ? `Conquista desbloqueada: ${achievement.name} (visual ${skin.name} liberado)`
+        : `Conquista desbloqueada: ${achievement.name}`
+    );
+  }
+  showNextAchievementToast();
+}
+
+function showNextAchievementToast() {
+  if (!achievementToastElement || appState.achievementToastTimerId !== null) {
+    return;
+  }
+  const message = appState.achievementToasts.shift();
+  achievementToastElement.classList.toggle("hidden", !message);
+  if (!message) {
+    return;
+  }
+  achievementToastElement.textContent = message;
+  appState.achievementToastTimerId = window.setTimeout(() => {
+    appState.achievementToastTimerId = null;
+    showNextAchievementToast();
+  }, ACHIEVEMENT_TOAST_MS);
+}
+
+function addPendingPlayTime(ms) {
+  const modeState = appState.modeState;
+  if (isTrackingLifetimeStats() && !modeState.isPaused && !modeState.isGameOver) {
+    appState.pendingPlayTimeMs += ms;
+  }
+}
+
+function flushPendingPlayTime() {
+  // Souls keeps its own tally inside the run (see SnakeModes.flushSoulsPlayTime).
+  if (appState.modeState?.mode === "souls") {
+    // A replay plays on the recording's profile snapshot, not the player's.
+    if (appState.replay) {
+      return;
+    }
+    appState.modeState = flushSoulsPlayTime(appState.modeState);
+    syncSoulsProfileFromModeState();
+  }
+  const ms = Math.round(appState.pendingPlayTimeMs);
+  appState.pendingPlayTimeMs = 0;
+  if (ms <= 0 || !appState.modeState) {
+    return;
+  }
+  const mode = isOnlineMatch() ? "online" : appState.modeState.mode;
+  recordLifetimeStats({ timePlayedMs: { [mode]: ms } });
+}
+
 function syncSoulsProfileFromModeState() {
-  if (!appState.modeState || appState.modeState.mode !== "souls") {
+  // Challenge runs play on a blank profile so echoes and unlocks stay out of
+  // them; replays carry the recorded profile, which may be someone else's.
+  // Once the autopilot has played a run, nothing more it earns is kept.
+  if (
+    !appState.modeState ||
+    appState.modeState.mode !== "souls" ||
+    appState.modeState.challenge ||
+    appState.isDemo ||
+    appState.replay ||
+    appState.runAssisted
+  ) {
     return;
   }
 
+  const previousProfile = appState.soulsProfile;
   const profile = SoulsProfile.selectSnake(
     appState.modeState.souls.profile,
     appState.modeState.souls.selectedSnakeId
   );
   setSoulsProfile(profile);
+  if (appState.soulsProfile.achievements.length !== previousProfile.achievements.length) {
+    announceAchievements(Achievements.getNewlyUnlocked(previousProfile, appState.soulsProfile));
+  }
 }
 
 function getSavedTheme() {
   try {
-    return window.localStorage.getItem(THEME_KEY);
+    return window.localStorage.getItem(getActiveSlotKey(THEME_KEY));
   } catch {
     return null;
   }
@@ -265,7 +928,7 @@ function getSavedTheme() {
 
 function saveTheme(theme) {
   try {
-    window.localStorage.setItem(THEME_KEY, theme);
+    window.localStorage.setItem(getActiveSlotKey(THEME_KEY), theme);
   } catch {
     // Ignore storage errors
   }
@@ -300,14 +963,77 @@ function getCurrentTheme() {
   return theme === "dark" ? "dark" : "light";
 }
 
+function formatRunSeed(modeState) {
+  if (!modeState || !Number.isFinite(modeState.seed)) {
+    return "-";
+  }
+  return RunSeed.formatSeed(modeState.seed);
+}
+
+function readMenuSeed() {
+  const value = seedInputElement?.value ?? "";
+  return RunSeed.parseSeed(value);
+}
+
+function readMenuTimeAttackCourse() {
+  return timeAttackCourseInputElement?.value === "levels" ? "levels" : "score";
+}
+
+function readMenuRivalDifficulty() {
+  return SnakeRival?.normalizeDifficulty(rivalDifficultyInputElement?.value) ?? undefined;
+}
+
+function readMenuSoulsCoop() {
+  return Boolean(soulsCoopInputElement?.checked);
+}
+
+function readMenuVersusBestOf() {
+  return Number(versusBestOfInputElement?.value) || undefined;
+}
+
+function readMenuCampaign() {
+  if (!appState.levelsCampaign || !campaignInputElement?.checked) {
+    return undefined;
+  }
+  return appState.levelsCampaign;
+}
+
+function loadLevelsCampaign() {
+  if (!LevelsCampaign) {
+    return;
+  }
+
+  LevelsCampaign.loadCampaign(CAMPAIGN_BASE_URL).then((result) => {
+    appState.levelsCampaign = result.campaign;
+    appState.levelsCampaignError = result.error;
+    // Keeps a save-recovery notice from startup rather than replacing it.
+    if (!result.ok && !appState.menuFeedback) {
+      appState.menuFeedback = result.error;
+    }
+    render();
+  });
+}
+
+function readMenuMovement() {
+  return eightWayInputElement?.checked ? "8way" : "4way";
+}
+
+function getCurrentMovement() {
+  return appState.modeState
+    ? normalizeMovement(appState.modeState.base.movement)
+    : readMenuMovement();
+}
+
 function formatModeLabel(mode) {
   if (mode === "levels") return "Níveis";
   if (mode === "souls") return "Souls";
+  if (mode === "timeattack") return "Contra o relógio";
+  if (mode === "versus") return "Versus local";
   return "Clássico";
 }
 
 function normalizeMenuMode(mode) {
-  if (mode === "levels" || mode === "souls") {
+  if (["levels", "souls", "timeattack", "versus"].includes(mode)) {
     return mode;
   }
   return "traditional";
@@ -333,6 +1059,16 @@ function getStatusText() {
     return "Pronto";
   }
 
+  if (appState.replay) {
+    return appState.replay.isPlaying
+      ? `Replay ${appState.replay.speed}x`
+      : "Replay pausado";
+  }
+
+  if (appState.isDemo) {
+    return "Demo IA (qualquer tecla volta ao menu)";
+  }
+
   if (appState.modeState.mode === "souls" && appState.modeState.souls.reward) {
     return "Escolha recompensa";
   }
@@ -341,6 +1077,20 @@ function getStatusText() {
     return "Fim de jogo";
   }
 
+  if (appState.modeState.versus?.roundPauseMsRemaining > 0) {
+    return "Fim da rodada";
+  }
+
+  if (isOnlineMatch()) {
+    return NetProtocol.canAdvancePrediction(appState.online.prediction)
+      ? "Online"
+      : "Aguardando o servidor";
+  }
+
+  if (appState.autopilot) {
+    return appState.modeState.isPaused ? "Pausado (piloto IA)" : "Piloto IA";
+  }
+
   if (appState.modeState.isPaused) {
     return "Pausado";
   }
@@ -355,6 +1105,33 @@ function setScreen(screen) {
   const isMenu = screen === SCREEN_MENU;
   menuScreenElement.classList.toggle("hidden", !isMenu);
   gameScreenElement.classList.toggle("hidden", isMenu);
+  scheduleMenuDemo();
+}
+
+function scheduleMenuDemo() {
+  if (appState.menuDemoTimerId !== null) {
+    window.clearTimeout(appState.menuDemoTimerId);
+    appState.menuDemoTimerId = null;
+  }
+  if (appState.screen !== SCREEN_MENU || !SnakeAutopilot) {
+    return;
+  }
+
+  appState.menuDemoTimerId = window.setTimeout(() => {
+    appState.menuDemoTimerId = null;
+    if (
+      appState.screen === SCREEN_MENU &&
+      !appState.isSettingsOpen &&
+      !appState.isProfilesOpen &&
+      !appState.isStatsOpen &&
+      !appState.isHistoryOpen &&
+      !appState.isAchievementsOpen &&
+      !appState.isChallengesOpen &&
+      !appState.isOnlineOpen
+    ) {
+      startDemo();
+    }
+  }, MENU_DEMO_IDLE_MS);
 }
 
 function setModeDataset() {
@@ -381,6 +1158,8 @@ function setMobileControlDataset() {
   appElement.dataset.mobileControl = normalizeMobileControl(
     appState.uiSettings.mobileControl
   );
+  // Shows the diagonal D-pad buttons only when the run accepts them.
+  appElement.dataset.movement = getCurrentMovement();
 }
 
 function isMobileViewport() {
@@ -499,12 +1278,14 @@ function renderBoard(modeState) {
     paint(barrier, "--barrier");
   }
 
-  if (modeState.mode === "souls") {
-    for (const hazard of modeState.souls.hazards) {
+  // Souls stages and Levels boss arenas share hazards, telegraphs and sigils.
+  const arena = modeState.mode === "souls" ? modeState.souls : modeState.bossStage;
+  if (arena) {
+    for (const hazard of arena.hazards) {
       paint(hazard, "--hazard");
     }
 
-    const telegraph = modeState.souls.enemyTeleportPreview;
+    const telegraph = arena.enemyTeleportPreview;
     if (telegraph) {
       const width = telegraph.width ?? telegraph.size ?? 1;
       const height = telegraph.height ?? telegraph.size ?? 1;
@@ -515,12 +1296,16 @@ function renderBoard(modeState) {
       }
     }
 
-    if (modeState.souls.sigil) {
-      paint(modeState.souls.sigil, "--sigil");
+    if (arena.sigil) {
+      paint(arena.sigil, "--sigil");
+    }
+
+    if (arena.sigilForecast) {
+      paint(arena.sigilForecast, "--sigil", 0.4);
     }
 
-    if (modeState.souls.echo?.position) {
-      paint(modeState.souls.echo.position, "--echo");
+    if (arena.echo?.position) {
+      paint(arena.echo.position, "--echo");
     }
   }
 
@@ -528,31 +1313,43 @@ function renderBoard(modeState) {
     paint(modeState.base.food, "--food");
   }
 
+  // Level editor spawn points (several food/enemy/power-up cells at once).
+  for (const marker of modeState.markers ?? []) {
+    paint(marker, EDITOR_MARKER_COLORS[marker.kind] ?? "--food", 0.6);
+  }
+
   if (modeState.powerUp) {
-    paint(modeState.powerUp, "--power");
+    paint(modeState.powerUp, POWER_UP_STYLES[modeState.powerUp.type]?.color ?? "--power");
   }
 
   if (modeState.enemy) {
     const enemyWidth = modeState.enemy.width ?? modeState.enemy.size ?? 1;
     const enemyHeight = modeState.enemy.height ?? modeState.enemy.size ?? 1;
+    const enemyColor = ENEMY_ARCHETYPE_COLORS[modeState.enemy.archetype] ?? "--enemy";
     for (let dy = 0; dy < enemyHeight; dy += 1) {
       for (let dx = 0; dx < enemyWidth; dx += 1) {
-        paint({ x: modeState.enemy.x + dx, y: modeState.enemy.y + dy }, "--enemy");
+        paint({ x: modeState.enemy.x + dx, y: modeState.enemy.y + dy }, enemyColor);
       }
     }
   }
 
+  for (const extraEnemy of modeState.extraEnemies ?? []) {
+    paint(extraEnemy, ENEMY_ARCHETYPE_COLORS[extraEnemy.archetype] ?? "--enemy");
+  }
+
   if (modeState.mode === "souls" && Array.isArray(modeState.souls.minions)) {
     for (const minion of modeState.souls.minions) {
       paint(minion, "--enemy", 1, "minion");
     }
   }
 
-  const snakeLength = modeState.base.snake.length;
   const variantId = modeState.mode === "souls" ? modeState.souls.selectedSnakeId : null;
+  // A skin from an achievement overrides the snake's own colors everywhere.
+  const skin = Achievements.getActiveSkin(appState.soulsProfile);
 
   // Map variant to color variables if they exist, else default
   const getSnakeColor = (isHead) => {
+    if (skin) return skin.colors[isHead ? 0 : 1];
     if (!variantId) return isHead ? "--snake-head" : "--snake";
     // Check if variant specific colors exist in CSS
     // Based on old CSS: .cell.snake.variant-veloz { background: #2b77d8; }
@@ -576,37 +1373,146 @@ function renderBoard(modeState) {
     return isHead ? getColor("--snake-head") : getColor("--snake");
   };
 
-  for (let i = 0; i < modeState.base.snake.length; i += 1) {
-    const worldPos = modeState.base.snake[i];
-    const renderPosition = toRenderPosition(modeState, worldPos, soulsOrigin);
-    if (!renderPosition || !isInsideGrid(renderPosition)) continue;
+  const paintSnake = (snake, colorFor, fade = 1) => {
+    for (let i = 0; i < snake.length; i += 1) {
+      const worldPos = snake[i];
+      const renderPosition = toRenderPosition(modeState, worldPos, soulsOrigin);
+      if (!renderPosition || !isInsideGrid(renderPosition)) continue;
+
+      let opacity = 1;
+      if (i > 0) {
+        const ratio = snake.length > 1 ? i / (snake.length - 1) : 1;
+        opacity = Math.max(0.25, 1 - ratio * 0.75);
+      }
 
-    let opacity = 1;
-    if (i > 0) {
-      const ratio = snakeLength > 1 ? i / (snakeLength - 1) : 1;
-      opacity = Math.max(0.25, 1 - ratio * 0.75);
+      canvasCtx.globalAlpha = opacity * fade;
+      const color = colorFor(i === 0);
+      if (color.startsWith("#")) {
+        canvasCtx.fillStyle = color;
+      } else {
+        canvasCtx.fillStyle = getColor(color);
+      }
+      canvasCtx.fillRect(renderPosition.x, renderPosition.y, 1, 1);
+      canvasCtx.globalAlpha = 1;
     }
+  };
 
-    canvasCtx.globalAlpha = opacity;
-    const color = getSnakeColor(i === 0);
-    if (color.startsWith("#")) {
-      canvasCtx.fillStyle = color;
-    } else {
-      canvasCtx.fillStyle = getColor(color);
+  if (modeState.base.players) {
+    modeState.base.players.forEach((player, index) => {
+      const colors = PLAYER_COLORS[index] ?? PLAYER_COLORS[0];
+      paintSnake(
+        player.snake,
+        (isHead) => (isHead ? colors.head : colors.body),
+        player.isEliminated ? 0.4 : 1
+      );
+    });
+    return;
+  }
+
+  if (modeState.rival && !modeState.rival.isDead) {
+    const colors = PLAYER_COLORS[1];
+    paintSnake(modeState.rival.snake, (isHead) => (isHead ? colors.head : colors.body));
+  }
+
+  // A downed co-op snake fades out; its echo marks where to revive it.
+  const coop = modeState.mode === "souls" ? modeState.souls.coop : null;
+  const downedIndex = coop?.downed?.playerIndex ?? null;
+  if (coop) {
+    const colors = PLAYER_COLORS[1];
+    paintSnake(
+      coop.partner.snake,
+      (isHead) => (isHead ? colors.head : colors.body),
+      downedIndex === 1 ? 0.3 : 1
+    );
+    if (coop.downed) {
+      paint(coop.downed.position, "--echo");
     }
-    canvasCtx.fillRect(renderPosition.x, renderPosition.y, 1, 1);
-    canvasCtx.globalAlpha = 1;
   }
+  paintSnake(modeState.base.snake, getSnakeColor, downedIndex === 0 ? 0.3 : 1);
 }
 
-function renderBossIntelSidebar() {
-  if (!bossIntelListElement || !SoulsData?.BOSS_INTEL) {
-    return;
+function formatPlayerLabel(player, index) {
+  const member = isOnlineMatch() ? appState.online.room?.members[index] : null;
+  if (member) {
+    return index === appState.online.seat ? `${member.name} (você)` : member.name;
   }
+  const keys = player.input === "wasd" ? "WASD" : "setas";
+  return `Jogador ${index + 1} (${keys})`;
+}
 
-  bossIntelListElement.innerHTML = "";
-  const bossKills = appState.soulsProfile.bossKills ?? {};
-  const bosses = Object.values(SoulsData.BOSS_INTEL);
+function getPlayerIndexById(modeState, playerId) {
+  return modeState.base.players.findIndex((player) => player.id === playerId);
+}
+
+function formatVersusRoundResult(modeState, winnerId) {
+  const index = getPlayerIndexById(modeState, winnerId);
+  return index < 0 ? "Empate" : formatPlayerLabel(modeState.base.players[index], index);
+}
+
+function renderVersusHud(modeState) {
+  if (!versusRoundElement || !versusScoreElement) {
+    return;
+  }
+
+  const versus = modeState?.versus;
+  if (!versus) {
+    versusRoundElement.textContent = "-";
+    versusScoreElement.textContent = "-";
+    return;
+  }
+
+  const roundOver = versus.roundPauseMsRemaining > 0 || modeState.isGameOver;
+  versusRoundElement.textContent = String(versus.rounds.length + (roundOver ? 0 : 1));
+  versusScoreElement.textContent = `${versus.wins.join(" × ")} (vence com ${versus.winsNeeded})`;
+}
+
+function renderVersusRoundMessage(modeState) {
+  if (!versusRoundMessageElement) {
+    return;
+  }
+
+  const versus = modeState?.versus;
+  const shouldShow = Boolean(versus && versus.roundPauseMsRemaining > 0);
+  versusRoundMessageElement.classList.toggle("hidden", !shouldShow);
+  if (!shouldShow) {
+    return;
+  }
+
+  const lastRound = versus.rounds[versus.rounds.length - 1];
+  versusRoundMessageElement.textContent = lastRound.winnerId
+    ? `${formatVersusRoundResult(modeState, lastRound.winnerId)} vence a rodada`
+    : "Empate: ninguém pontua";
+}
+
+function renderVersusRounds(modeState) {
+  if (!gameOverRoundsElement) {
+    return;
+  }
+
+  const versus = modeState.mode === "versus" ? modeState.versus : null;
+  gameOverRoundsElement.classList.toggle("hidden", !versus);
+  gameOverRoundsElement.innerHTML = "";
+  if (!versus) {
+    return;
+  }
+
+  versus.rounds.forEach((round, index) => {
+    const item = document.createElement("li");
+    item.textContent =
+      `Rodada ${index + 1}: ${formatVersusRoundResult(modeState, round.winnerId)} · ` +
+      `tamanhos ${round.lengths.join(" × ")}`;
+    gameOverRoundsElement.appendChild(item);
+  });
+}
+
+function renderBossIntelSidebar() {
+  if (!bossIntelListElement || !SoulsData?.BOSS_INTEL) {
+    return;
+  }
+
+  bossIntelListElement.innerHTML = "";
+  const bossKills = appState.soulsProfile.bossKills ?? {};
+  const bosses = Object.values(SoulsData.BOSS_INTEL);
 
   for (const boss of bosses) {
     const kills = bossKills[boss.id] ?? 0;
@@ -974,7 +1880,10 @@ function applyDevCodeInput() {
   }
 
   try {
+    exitReplay({ silent: true });
     const message = runDevCodeCommand(parsed);
+    // Dev codes mutate the run outside the engine, so it can no longer replay.
+    appState.recording = null;
     setDevFeedback(message, "success");
   } catch (error) {
     setDevFeedback(error?.message ?? "Falha ao aplicar código.", "error");
@@ -984,13 +1893,185 @@ function applyDevCodeInput() {
   ensureTickerState();
 }
 
+function beginRunRecording(modeOptions) {
+  const modeState = appState.modeState;
+  if (!RunReplay || !modeState) {
+    appState.recording = null;
+    return;
+  }
+
+  appState.recording = RunReplay.createRecording({
+    mode: modeState.mode,
+    seed: modeState.seed,
+    stepMs: modeState.mode === "souls" ? SOULS_FIXED_STEP_MS : null,
+    modeOptions,
+  });
+  appState.recordedFrame = 0;
+  appState.recordedHold = false;
+  appState.recordedPartnerHold = false;
+  appState.recordedViewportAspect = modeOptions.viewportAspect ?? 1;
+}
+
+function recordRunEvent(type, value = null) {
+  if (!appState.recording || appState.replay) {
+    return;
+  }
+  RunReplay.recordEvent(appState.recording, appState.recordedFrame, type, value);
+}
+
+function finishRunRecording() {
+  if (!appState.recording) {
+    return;
+  }
+  appState.lastRecording = RunReplay.finishRecording(
+    appState.recording,
+    appState.recordedFrame
+  );
+  appState.recording = null;
+}
+
+function stepLiveModeState(extraOptions = {}) {
+  const holdCurrentDirection = isHoldingCurrentDirection();
+  const partnerHoldCurrentDirection = isPartnerHoldingCurrentDirection();
+  const viewportAspect = getViewportAspectRatio();
+  if (holdCurrentDirection !== appState.recordedHold) {
+    recordRunEvent("hold", holdCurrentDirection);
+    appState.recordedHold = holdCurrentDirection;
+  }
+  if (partnerHoldCurrentDirection !== appState.recordedPartnerHold) {
+    recordRunEvent("hold", { player: 1, hold: partnerHoldCurrentDirection });
+    appState.recordedPartnerHold = partnerHoldCurrentDirection;
+  }
+  if (viewportAspect !== appState.recordedViewportAspect) {
+    recordRunEvent("viewport", viewportAspect);
+    appState.recordedViewportAspect = viewportAspect;
+  }
+
+  if (appState.autopilot) {
+    const queueLength = appState.modeState.base.inputQueue.length;
+    appState.modeState = applyModeController(appState.modeState, appState.autopilot);
+    const queue = appState.modeState.base.inputQueue;
+    if (queue.length > queueLength) {
+      recordRunEvent("direction", queue[queue.length - 1]);
+    }
+  }
+
+  appState.modeState = stepModeState(appState.modeState, {
+    ...extraOptions,
+    holdCurrentDirection,
+    partnerHoldCurrentDirection,
+    viewportAspect,
+  });
+  appState.recordedFrame += 1;
+
+  if (appState.isDemo && appState.modeState.mode === "souls" && appState.modeState.souls.reward) {
+    const powerId = appState.autopilot.chooseReward(appState.modeState);
+    if (powerId) {
+      appState.modeState = chooseSoulsReward(appState.modeState, powerId);
+    }
+  }
+}
+
+// Remembers the best the run is racing against; the HUD and the results
+// screen keep comparing to it even after this run replaces it.
+function resetTimeAttackRun() {
+  const modeState = appState.modeState;
+  // Restarts keep the autopilot on, so the new run starts out assisted.
+  appState.runAssisted = Boolean(appState.autopilot);
+  appState.timeAttackNewBest = false;
+  appState.timeAttackBest =
+    modeState?.mode === "timeattack"
+      ? TimeAttack.getBest(appState.timeAttackRecords, TimeAttack.getCourseKey(modeState))
+      : null;
+}
+
+function recordTimeAttackResult() {
+  const modeState = appState.modeState;
+  if (modeState?.mode !== "timeattack" || appState.isDemo || appState.runAssisted) {
+    return;
+  }
+
+  const result = TimeAttack.recordRun(
+    appState.timeAttackRecords,
+    TimeAttack.getCourseKey(modeState),
+    modeState.timeAttack
+  );
+  appState.timeAttackNewBest = result.isNewBest;
+  if (result.isNewBest) {
+    appState.timeAttackRecords = result.records;
+    saveTimeAttackRecords(result.records);
+  }
+}
+
+function isScoredChallenge(modeState) {
+  return Boolean(modeState?.challenge && !modeState.challenge.practice && !appState.isDemo);
+}
+
+function finishChallengeAttempt() {
+  const modeState = appState.modeState;
+  if (!isScoredChallenge(modeState)) {
+    return;
+  }
+
+  const history = Challenges.finishScoredAttempt(
+    appState.soulsProfile.challengeHistory,
+    modeState.challenge.id,
+    {
+      score: modeState.base.score,
+      progress: modeState.mode === "souls" ? modeState.souls.floor : modeState.level,
+    }
+  );
+  setSoulsProfile(SoulsProfile.setChallengeHistory(appState.soulsProfile, history));
+}
+
+function handleRunGameOver() {
+  if (!appState.runEndedAtMs) {
+    appState.runEndedAtMs = Date.now();
+    const deathCause = getRunDeathCause(appState.modeState);
+    if (deathCause && appState.modeState.mode !== "souls" && isTrackingLifetimeStats()) {
+      recordLifetimeStats({ deathsByCause: { [deathCause]: 1 } });
+    }
+    recordRunHistory(deathCause);
+  }
+  flushPendingPlayTime();
+  finishRunRecording();
+  recordTimeAttackResult();
+  finishChallengeAttempt();
+  setScreen(SCREEN_GAMEOVER);
+
+  if (appState.isDemo) {
+    appState.demoRestartTimerId = window.setTimeout(() => {
+      appState.demoRestartTimerId = null;
+      if (appState.isDemo) {
+        startDemo();
+      }
+    }, DEMO_RESTART_DELAY_MS);
+  }
+}
+
+function isSeatHoldingDirection(pressed, direction) {
+  return (
+    pressed.has(direction) ||
+    resolveEffectiveDirection(pressed, getCurrentMovement()) === direction
+  );
+}
+
 function isHoldingCurrentDirection() {
   if (!appState.modeState) {
     return false;
   }
 
-  const currentDirection = appState.modeState.base.direction;
-  return appState.pressedDirections.has(currentDirection);
+  const pressed = appState.modeState.souls?.coop
+    ? appState.playerPressedDirections[0]
+    : appState.pressedDirections;
+  return isSeatHoldingDirection(pressed, appState.modeState.base.direction);
+}
+
+function isPartnerHoldingCurrentDirection() {
+  const coop = appState.modeState?.souls?.coop;
+  return Boolean(
+    coop && isSeatHoldingDirection(appState.playerPressedDirections[1], coop.partner.direction)
+  );
 }
 
 function getLegacyTickMsForCurrentInput(modeState) {
@@ -1002,21 +2083,49 @@ function getLegacyTickMsForCurrentInput(modeState) {
     return holdCurrentDirection ? base : Math.max(1, Math.round(base / slowFactor));
   }
 
-  if (modeState.mode === "levels") {
+  if (modeState.mode === "levels" || modeState.timeAttack?.course === "levels") {
     const level = modeState.level ?? 1;
     const base = Math.max(70, 130 - (level - 1) * 5);
-    return holdCurrentDirection ? base : Math.max(1, Math.round(base / slowFactor));
+    const tickMs = holdCurrentDirection ? base : Math.max(1, Math.round(base / slowFactor));
+    return modeState.effects?.slowTime > 0 ? Math.round(tickMs * SLOW_TIME_FACTOR) : tickMs;
   }
 
   return modeState.tickMs;
 }
 
+function renderLevelsEffects(effects) {
+  if (!levelsEffectsElement) {
+    return;
+  }
+
+  levelsEffectsElement.innerHTML = "";
+  const active = Object.entries(effects ?? {}).filter(([, remainingMs]) => remainingMs > 0);
+  if (active.length === 0) {
+    levelsEffectsElement.textContent = "-";
+    return;
+  }
+
+  for (const [type, remainingMs] of active) {
+    const style = POWER_UP_STYLES[type];
+    const timer = document.createElement("span");
+    timer.className = "effect-timer";
+    const swatch = document.createElement("span");
+    swatch.className = `legend-swatch ${style?.swatch ?? "power-up"}`;
+    timer.append(swatch, `${style?.label ?? type} ${(remainingMs / 1000).toFixed(1)}s`);
+    levelsEffectsElement.append(timer);
+  }
+}
+
 function renderHud(modeState) {
+  if (runSeedElement) {
+    runSeedElement.textContent = formatRunSeed(modeState);
+  }
+
   if (!modeState) {
     modeLabelElement.textContent = "-";
     levelValueElement.textContent = "-";
     levelProgressElement.textContent = "-";
-    shieldTimeElement.textContent = "0.0s";
+    renderLevelsEffects(null);
     soulsFloorElement.textContent = "-";
     soulsCycleElement.textContent = "-";
     soulsStageElement.textContent = "-";
@@ -1027,18 +2136,54 @@ function renderHud(modeState) {
     return;
   }
 
-  modeLabelElement.textContent = formatModeLabel(modeState.mode);
+  const modeTags = [
+    modeState.challenge
+      ? `${modeState.challenge.kind === "weekly" ? "semanal" : "diário"}${modeState.challenge.practice ? ", treino" : ""}`
+      : null,
+    modeState.base.wrapWalls ? "portais" : null,
+    normalizeMovement(modeState.base.movement) === "8way" ? "8 direções" : null,
+    modeState.versus ? `melhor de ${modeState.versus.bestOf}` : null,
+    isOnlineMatch()
+      ? `online${appState.online.pingMs === null ? "" : `, ${appState.online.pingMs} ms`}`
+      : null,
+    modeState.rival
+      ? `rival ${SnakeRival.RIVAL_DIFFICULTIES[modeState.rival.difficulty].label.toLowerCase()}` +
+        (modeState.rival.isDead ? ", abatido" : "")
+      : null,
+  ].filter(Boolean);
+  modeLabelElement.textContent = modeTags.length > 0
+    ? `${formatModeLabel(modeState.mode)} (${modeTags.join(", ")})`
+    : formatModeLabel(modeState.mode);
+  if (gameAreaElement) {
+    gameAreaElement.dataset.wrapWalls = modeState.base.wrapWalls ? "true" : "false";
+  }
 
   if (modeState.mode === "levels") {
-    levelValueElement.textContent = String(modeState.level);
+    const definition = modeState.campaign?.levels[modeState.level - 1] ?? null;
+    const stageName = definition?.name ??
+      (modeState.bossStage ? `Boss: ${modeState.bossStage.name}` : null);
+    levelValueElement.textContent = stageName
+      ? `${modeState.level} · ${stageName}`
+      : String(modeState.level);
     levelProgressElement.textContent = `${modeState.levelProgress}/${modeState.levelTarget}`;
-    shieldTimeElement.textContent = `${(modeState.shieldMsRemaining / 1000).toFixed(1)}s`;
+    renderLevelsEffects(modeState.effects);
+    if (levelParElement) {
+      levelParElement.textContent = definition?.parTimeMs
+        ? `${formatDurationMs(modeState.campaign.levelElapsedMs)} / ${formatDurationMs(definition.parTimeMs)}`
+        : "-";
+    }
   } else {
     levelValueElement.textContent = "-";
     levelProgressElement.textContent = "-";
-    shieldTimeElement.textContent = "0.0s";
+    renderLevelsEffects(null);
+    if (levelParElement) {
+      levelParElement.textContent = "-";
+    }
   }
 
+  renderTimeAttackHud(modeState);
+  renderVersusHud(modeState);
+
   if (modeState.mode === "souls") {
     const souls = modeState.souls;
     soulsFloorElement.textContent = String(souls.floor);
@@ -1047,7 +2192,9 @@ function renderHud(modeState) {
     soulsObjectiveElement.textContent = `${souls.objectiveProgress}/${souls.objectiveTarget}`;
     soulsCarriedElement.textContent = String(souls.carriedRunes);
     soulsWalletElement.textContent = String(souls.profile.walletRunes);
-    soulsArmorElement.textContent = String(souls.armorCharges);
+    soulsArmorElement.textContent = souls.coop
+      ? `${souls.armorCharges} · ${souls.coop.partner.armorCharges}`
+      : String(souls.armorCharges);
   } else {
     soulsFloorElement.textContent = "-";
     soulsCycleElement.textContent = "-";
@@ -1059,6 +2206,71 @@ function renderHud(modeState) {
   }
 }
 
+function renderTimeAttackHud(modeState) {
+  if (!timeAttackClockElement || !timeAttackSplitsElement || !timeAttackDeltaElement) {
+    return;
+  }
+
+  const timeAttack = modeState?.timeAttack;
+  if (!timeAttack) {
+    timeAttackClockElement.textContent = TimeAttack.formatClockMs(0);
+    timeAttackSplitsElement.textContent = "-";
+    timeAttackDeltaElement.textContent = "-";
+    delete timeAttackDeltaElement.dataset.trend;
+    return;
+  }
+
+  timeAttackClockElement.textContent = TimeAttack.formatClockMs(timeAttack.elapsedMs);
+  const splitsText = `${timeAttack.splits.length}/${timeAttack.splitCount}`;
+  timeAttackSplitsElement.textContent = timeAttack.course === "levels"
+    ? `${splitsText} (nível ${modeState.levelProgress}/${modeState.levelTarget})`
+    : splitsText;
+  const deltaMs = TimeAttack.getLiveDeltaMs(appState.timeAttackBest, timeAttack);
+  timeAttackDeltaElement.textContent = appState.timeAttackBest
+    ? TimeAttack.formatDeltaMs(deltaMs)
+    : "sem recorde";
+  if (deltaMs === null || deltaMs === 0) {
+    delete timeAttackDeltaElement.dataset.trend;
+  } else {
+    timeAttackDeltaElement.dataset.trend = deltaMs < 0 ? "ahead" : "behind";
+  }
+}
+
+function formatTimeAttackSplitLabel(timeAttack, index) {
+  if (timeAttack.course === "levels") {
+    return `Nível ${index + 1}`;
+  }
+  return `${(index + 1) * TIME_ATTACK_COURSES.score.splitEvery} pontos`;
+}
+
+function renderTimeAttackSplits(modeState) {
+  if (!gameOverSplitsElement) {
+    return;
+  }
+
+  const timeAttack = modeState.mode === "timeattack" ? modeState.timeAttack : null;
+  gameOverSplitsElement.classList.toggle("hidden", !timeAttack);
+  gameOverSplitsElement.innerHTML = "";
+  if (!timeAttack) {
+    return;
+  }
+
+  const best = appState.timeAttackBest;
+  for (let index = 0; index < timeAttack.splitCount; index += 1) {
+    const split = timeAttack.splits[index];
+    const item = document.createElement("li");
+    const label = formatTimeAttackSplitLabel(timeAttack, index);
+    if (!split) {
+      item.textContent = `${label}: -`;
+    } else {
+      const deltaMs = TimeAttack.getSplitDeltaMs(best, index, split.elapsedMs);
+      const delta = deltaMs === null ? "" : ` (${TimeAttack.formatDeltaMs(deltaMs)})`;
+      item.innerHTML = `${label}: <strong>${TimeAttack.formatClockMs(split.elapsedMs)}</strong> · parcial ${TimeAttack.formatClockMs(split.splitMs)}${delta}`;
+    }
+    gameOverSplitsElement.appendChild(item);
+  }
+}
+
 function renderSoulsDeathSummary(modeState) {
   if (!modeState || modeState.mode !== "souls" || !modeState.isGameOver) {
     soulsDeathSummaryElement.classList.add("hidden");
@@ -1102,6 +2314,15 @@ function renderSoulsStageMessage(modeState) {
   }
 
   const stageFlow = modeState.souls.stageFlow;
+  const downed = modeState.souls.coop?.downed;
+  if (downed && !modeState.isGameOver && stageFlow?.phase === "idle") {
+    const seconds = Math.ceil(downed.msRemaining / 1000);
+    soulsStageMessageElement.textContent =
+      `Jogador ${downed.playerIndex + 1} caiu: pegue o eco em ${seconds}s`;
+    soulsStageMessageElement.classList.remove("hidden");
+    return;
+  }
+
   if (!stageFlow || stageFlow.phase !== "message" || !stageFlow.message) {
     soulsStageMessageElement.classList.add("hidden");
     return;
@@ -1152,20 +2373,92 @@ function renderSoulsStamina(modeState) {
     !modeState.isGameOver &&
     !modeState.souls.reward;
 
-  soulsStaminaElement.classList.toggle("hidden", !showBar);
+  renderStaminaBar(
+    soulsStaminaElement,
+    soulsStaminaFillElement,
+    showBar ? modeState.souls.stamina : null,
+    showBar
+  );
+  if (soulsPartnerStaminaElement && soulsPartnerStaminaFillElement) {
+    const coop = showBar ? modeState.souls.coop : null;
+    renderStaminaBar(
+      soulsPartnerStaminaElement,
+      soulsPartnerStaminaFillElement,
+      coop?.partner.stamina ?? null,
+      Boolean(coop)
+    );
+  }
+}
+
+function renderStaminaBar(element, fillElement, stamina, showBar) {
+  element.classList.toggle("hidden", !showBar);
   if (!showBar) {
-    soulsStaminaFillElement.style.width = "0%";
-    delete soulsStaminaElement.dataset.phase;
+    fillElement.style.width = "0%";
+    delete element.dataset.phase;
     return;
   }
 
-  const stamina = modeState.souls.stamina;
   const max = Math.max(1, stamina?.max ?? 1);
   const current = Math.max(0, Math.min(max, stamina?.current ?? max));
   const percent = Math.round((current / max) * 100);
 
-  soulsStaminaElement.dataset.phase = stamina?.phase ?? "ready";
-  soulsStaminaFillElement.style.width = `${percent}%`;
+  element.dataset.phase = stamina?.phase ?? "ready";
+  fillElement.style.width = `${percent}%`;
+}
+
+function renderSoulsAbilities(modeState) {
+  const showRing =
+    modeState &&
+    modeState.mode === "souls" &&
+    appState.screen !== SCREEN_MENU &&
+    !modeState.isGameOver &&
+    !modeState.souls.reward &&
+    appElement.dataset.soulsUi === "immersive";
+
+  if (soulsAbilityButton) {
+    renderAbilityRing(
+      soulsAbilityButton,
+      soulsAbilityLabelElement,
+      showRing ? getSoulsAbilityStatus(modeState, 0) : null,
+      "E"
+    );
+  }
+  if (soulsPartnerAbilityElement) {
+    renderAbilityRing(
+      soulsPartnerAbilityElement,
+      soulsPartnerAbilityLabelElement,
+      showRing && modeState.souls.coop ? getSoulsAbilityStatus(modeState, 1) : null,
+      "Enter"
+    );
+  }
+}
+
+// The ring fills as the ability recharges and shows the seconds left;
+// `data-state` tells ready, active, charging and blocked (no stamina or,
+// for Presságio, no sigil to foresee) apart.
+function renderAbilityRing(element, labelElement, status, keyLabel) {
+  element.classList.toggle("hidden", !status);
+  if (!status) {
+    delete element.dataset.state;
+    return;
+  }
+
+  const { ability } = status;
+  element.dataset.state = status.active
+    ? "active"
+    : status.ready
+      ? "ready"
+      : status.cooldownMsRemaining > 0
+        ? "charging"
+        : "blocked";
+  element.style.setProperty("--ability-charge", String(status.charge));
+  element.title = `${ability.name} (${keyLabel}): ${ability.description} Custa ${ability.staminaCost} de estamina.`;
+  if (labelElement) {
+    labelElement.textContent =
+      status.cooldownMsRemaining > 0
+        ? String(Math.ceil(status.cooldownMsRemaining / 1000))
+        : ability.name;
+  }
 }
 
 function renderFloatingPause(modeState) {
@@ -1203,7 +2496,7 @@ function stopTicker() {
   appState.soulsLastTs = null;
   appState.soulsAccumulatorMs = 0;
   appState.soulsPendingDirection = null;
-  appState.pressedDirections.clear();
+  clearPressedDirections();
 }
 
 function shouldRunSoulsRaf(modeState) {
@@ -1278,18 +2571,11 @@ function runSoulsFrame(timestamp) {
     for (let i = 0; i < schedule.steps; i += 1) {
       // Input queue is already populated in the mode state, stepModeState will process it.
 
-      appState.modeState = stepModeState(appState.modeState, {
-        deltaMs: SOULS_FIXED_STEP_MS,
-        holdCurrentDirection: isHoldingCurrentDirection(),
-        viewportAspect: getViewportAspectRatio(),
-      });
+      stepLiveModeState({ deltaMs: SOULS_FIXED_STEP_MS });
       syncSoulsProfileFromModeState();
 
       if (appState.modeState.isGameOver) {
-        if (!appState.runEndedAtMs) {
-          appState.runEndedAtMs = Date.now();
-        }
-        setScreen(SCREEN_GAMEOVER);
+        handleRunGameOver();
         break;
       }
     }
@@ -1320,7 +2606,7 @@ function startSoulsTicker() {
 }
 
 function ensureTickerState() {
-  if (!appState.modeState || appState.screen === SCREEN_MENU) {
+  if (!appState.modeState || appState.screen === SCREEN_MENU || appState.replay) {
     stopTicker();
     return;
   }
@@ -1347,23 +2633,28 @@ function ensureTickerState() {
     return;
   }
 
-  const desiredTickMs = getLegacyTickMsForCurrentInput(appState.modeState);
+  // Online clients keep the server's pace; holding a key can't speed them up.
+  const desiredTickMs = isOnlineMatch()
+    ? appState.online.tickMs
+    : getLegacyTickMsForCurrentInput(appState.modeState);
   if (appState.currentTickMs !== desiredTickMs || appState.tickerId === null) {
     startTicker(desiredTickMs);
   }
 }
 
 function handleSoulsRewardSelect(powerId) {
-  if (!canSelectReward(appState.modeState)) {
+  if (appState.replay || !canSelectReward(appState.modeState)) {
     return;
   }
 
   const reward = appState.modeState.souls.reward;
-  if (!reward.options.includes(powerId)) {
+  const seat = getRewardSeat(reward);
+  if (!getRewardOptionsForSeat(reward, seat).includes(powerId)) {
     return;
   }
 
-  appState.modeState = chooseSoulsReward(appState.modeState, powerId);
+  recordRunEvent("reward", reward.picks ? { player: seat, powerId } : powerId);
+  appState.modeState = chooseSoulsReward(appState.modeState, powerId, { playerIndex: seat });
   appState.rewardRenderKey = null;
   syncSoulsProfileFromModeState();
   setScreen(SCREEN_PLAYING);
@@ -1377,7 +2668,9 @@ function renderSoulsRewardModal() {
     modeState &&
     modeState.mode === "souls" &&
     modeState.souls.reward &&
-    appState.screen !== SCREEN_MENU;
+    appState.screen !== SCREEN_MENU &&
+    !appState.replay &&
+    !appState.isDemo;
 
   soulsRewardModalElement.classList.toggle("hidden", !shouldShow);
 
@@ -1392,11 +2685,28 @@ function renderSoulsRewardModal() {
 
   const reward = modeState.souls.reward;
   const rewardKey = buildRewardRenderKey(reward, modeState.souls.powers);
+  const seat = getRewardSeat(reward);
+  const rerollsLeft = reward.rerolled
+    ? 0
+    : 1 +
+      SoulsProfile.getMetaUpgradeBonus(modeState.souls.profile, "reroll_extra") -
+      (reward.rerollsUsed ?? 0);
+  if (soulsRewardTitleElement) {
+    soulsRewardTitleElement.textContent =
+      reward.source === "start" ? "Poder inicial" : "Recompensa do Boss";
+    soulsRewardHelpElement.textContent =
+      `Escolha um poder para sua build. Rerolls restantes: ${rerollsLeft} ` +
+      `(${SoulsData.REROLL_COST} runas cada).`;
+  }
+  if (soulsRewardSeatElement) {
+    soulsRewardSeatElement.classList.toggle("hidden", !reward.picks);
+    soulsRewardSeatElement.textContent = `Vez do Jogador ${seat + 1} (${PLAYER_SEAT_LABELS[seat]})`;
+  }
 
   if (rewardKey !== appState.rewardRenderKey) {
     soulsRewardOptionsElement.innerHTML = "";
 
-    for (const powerId of reward.options) {
+    for (const powerId of getRewardOptionsForSeat(reward, seat)) {
       const power = SoulsData.getPowerById(powerId);
       const currentStack = modeState.souls.powers[powerId] ?? 0;
 
@@ -1441,6 +2751,26 @@ function renderMenuModeOptions() {
   }
 
   startButton.textContent = `Iniciar ${formatModeLabel(selectedMode)}`;
+  if (wrapWallsInputElement) {
+    // Souls is an endless world, so portal walls only apply to the grid modes.
+    wrapWallsInputElement.disabled = selectedMode === "souls";
+  }
+  if (timeAttackCourseOptionElement) {
+    timeAttackCourseOptionElement.classList.toggle("hidden", selectedMode !== "timeattack");
+  }
+  if (versusBestOfOptionElement) {
+    versusBestOfOptionElement.classList.toggle("hidden", selectedMode !== "versus");
+  }
+  if (rivalDifficultyOptionElement) {
+    rivalDifficultyOptionElement.classList.toggle("hidden", selectedMode !== "traditional");
+  }
+  if (campaignInputElement) {
+    const racesLevels =
+      selectedMode === "levels" ||
+      (selectedMode === "timeattack" && readMenuTimeAttackCourse() === "levels");
+    campaignInputElement.disabled = !racesLevels || !appState.levelsCampaign;
+    campaignInputElement.parentElement.title = appState.levelsCampaignError ?? "";
+  }
 }
 
 function renderMenuSettingsPanel() {
@@ -1499,10 +2829,18 @@ function formatDurationMs(durationMs) {
   return `${String(minutes).padStart(2, "0")}:${String(seconds).padStart(2, "0")}`;
 }
 
+function formatScore(modeState) {
+  return modeState.versus ? modeState.versus.wins.join(" × ") : String(modeState.base.score);
+}
+
 function getCurrentRunDurationMs(modeState) {
   if (!modeState) {
     return 0;
   }
+  if (modeState.timeAttack) {
+    // Time Attack is timed in game ticks so pauses never count.
+    return modeState.timeAttack.elapsedMs;
+  }
   if (!appState.runStartedAtMs) {
     return 0;
   }
@@ -1524,97 +2862,839 @@ function renderGameOverPanel(modeState) {
     return;
   }
 
-  const isGameOver = Boolean(modeState && modeState.isGameOver);
+  const isGameOver =
+    Boolean(modeState && modeState.isGameOver) && !appState.replay && !appState.isDemo;
   gameOverPanelElement.classList.toggle("hidden", !isGameOver);
   if (!isGameOver) {
     return;
   }
 
+  if (gameOverReplayButton) {
+    gameOverReplayButton.disabled = !appState.lastRecording;
+  }
+
   if (!appState.runEndedAtMs) {
     appState.runEndedAtMs = Date.now();
   }
 
   gameOverModeElement.textContent = formatModeLabel(modeState.mode);
-  gameOverScoreElement.textContent = String(modeState.base.score);
-  gameOverLengthElement.textContent = String(modeState.base.snake.length);
+  gameOverScoreElement.textContent = formatScore(modeState);
+  gameOverLengthElement.textContent = modeState.base.players
+    ? modeState.base.players.map((player) => player.snake.length).join(" × ")
+    : String(modeState.base.snake.length);
   gameOverTimeElement.textContent = formatDurationMs(getCurrentRunDurationMs(modeState));
+  if (gameOverSeedElement) {
+    gameOverSeedElement.textContent = formatRunSeed(modeState);
+  }
 
   if (modeState.mode === "souls") {
-    gameOverSummaryElement.textContent =
-      "Você foi derrotado. Reorganize sua build e tente novamente.";
+    gameOverSummaryElement.textContent = appState.runAssisted && !appState.isDemo
+      ? "Run com piloto IA: runas, conquistas e estatísticas dela não foram salvas."
+      : "Você foi derrotado. Reorganize sua build e tente novamente.";
     gameOverExtraTitleElement.textContent = "Andar alcançado";
     gameOverExtraElement.textContent = `${modeState.souls.floor} (ciclo ${modeState.souls.cycle})`;
+  } else if (modeState.mode === "timeattack") {
+    const { timeAttack } = modeState;
+    const bestMs = appState.timeAttackBest?.elapsedMs ?? null;
+    if (!timeAttack.completed) {
+      gameOverSummaryElement.textContent =
+        "Percurso interrompido. Só percursos completos contam como recorde.";
+    } else if (appState.timeAttackNewBest) {
+      gameOverSummaryElement.textContent = bestMs === null
+        ? "Percurso completo! Primeiro recorde registrado."
+        : `Novo recorde! ${TimeAttack.formatDeltaMs(timeAttack.elapsedMs - bestMs)} no total.`;
+    } else if (appState.runAssisted) {
+      gameOverSummaryElement.textContent =
+        "Percurso completo com piloto IA: o tempo não vale como recorde.";
+    } else {
+      gameOverSummaryElement.textContent =
+        `Percurso completo, ${TimeAttack.formatDeltaMs(timeAttack.elapsedMs - bestMs)} do recorde.`;
+    }
+    gameOverTimeElement.textContent = TimeAttack.formatClockMs(timeAttack.elapsedMs);
+    gameOverExtraTitleElement.textContent = "Recorde";
+    gameOverExtraElement.textContent = appState.timeAttackNewBest
+      ? TimeAttack.formatClockMs(timeAttack.elapsedMs)
+      : bestMs === null ? "-" : TimeAttack.formatClockMs(bestMs);
+  } else if (modeState.mode === "versus") {
+    gameOverSummaryElement.textContent =
+      `${formatVersusRoundResult(modeState, modeState.versus.winnerId)} vence a partida por ${modeState.versus.wins.join(" × ")}.`;
+    gameOverExtraTitleElement.textContent = "Rodadas";
+    gameOverExtraElement.textContent = String(modeState.versus.rounds.length);
   } else if (modeState.mode === "levels") {
     gameOverSummaryElement.textContent =
       "Fim de partida. Você pode reiniciar para buscar um nível maior.";
     gameOverExtraTitleElement.textContent = "Nível alcançado";
     gameOverExtraElement.textContent = String(modeState.level);
+  } else if (modeState.rival) {
+    gameOverSummaryElement.textContent = modeState.rival.caughtPlayer
+      ? "O rival fechou seu caminho. Use o corpo dele contra ele na próxima."
+      : "Fim de partida. Cada rival abatido vale pontos extras.";
+    gameOverExtraTitleElement.textContent = "Rivais abatidos";
+    gameOverExtraElement.textContent =
+      `${modeState.rival.deaths} (+${modeState.rival.deaths * SnakeRival.RIVAL_KILL_BONUS} pts)`;
   } else {
     gameOverSummaryElement.textContent =
       "Fim de partida. Tente uma rota mais segura na próxima tentativa.";
     gameOverExtraTitleElement.textContent = "Maior sequência";
     gameOverExtraElement.textContent = String(modeState.base.snake.length);
   }
+  if (modeState.challenge) {
+    gameOverSummaryElement.textContent = modeState.challenge.practice
+      ? "Treino encerrado. Só a tentativa valendo entra no histórico."
+      : "Tentativa valendo registrada no histórico de desafios.";
+  }
+  renderTimeAttackSplits(modeState);
+  renderVersusRounds(modeState);
 }
 
-function renderSoulsMenu() {
-  const isSoulsMode = getSelectedMenuMode() === "souls";
-  soulsMenuElement.classList.toggle("hidden", !isSoulsMode);
+function describeChallengeBonuses(challenge) {
+  const powers = Object.keys(challenge.powers).map(
+    (powerId) => SoulsData.getPowerById(powerId)?.name ?? powerId
+  );
+  const effects = Object.keys(challenge.effects).map(
+    (type) => POWER_UP_STYLES[type]?.label ?? type
+  );
+  if (powers.length > 0) return `Poderes iniciais: ${powers.join(", ")}`;
+  if (effects.length > 0) return `Efeito inicial: ${effects.join(", ")}`;
+  return "Sem bônus iniciais";
+}
 
-  if (!isSoulsMode) {
-    return;
-  }
+function describeChallengeAttempt(challenge, attempt) {
+  if (!attempt) return "Tentativa valendo disponível.";
+  if (attempt.status === "started") return "Tentativa valendo não concluída.";
+  const progressLabel = challenge.mode === "souls" ? "andar" : "nível";
+  return `Resultado: ${attempt.score} pts · ${progressLabel} ${attempt.progress}`;
+}
 
-  const profile = appState.soulsProfile;
-  soulsWalletMenuElement.textContent = String(profile.walletRunes);
-  soulsClearsMenuElement.textContent = String(profile.finalBossClears);
+function buildChallengeCard(challenge) {
+  const attempt = Challenges.getAttempt(appState.soulsProfile.challengeHistory, challenge.id);
+  const card = document.createElement("div");
+  card.className = "challenge-card";
+
+  const title = document.createElement("h3");
+  title.textContent = `${Challenges.CHALLENGE_KINDS[challenge.kind].label} · ${challenge.periodKey}`;
+  card.appendChild(title);
+
+  const rules = document.createElement("p");
+  const snake = challenge.snakeId ? SoulsData.getSnakeById(challenge.snakeId) : null;
+  rules.textContent = [
+    formatModeLabel(challenge.mode),
+    snake ? `cobra ${snake.name}` : null,
+    describeChallengeBonuses(challenge),
+  ].filter(Boolean).join(" · ");
+  card.appendChild(rules);
+
+  const modifiers = document.createElement("ul");
+  for (const modifierId of challenge.modifiers) {
+    const modifier = Challenges.CHALLENGE_MODIFIERS[modifierId];
+    const item = document.createElement("li");
+    item.innerHTML = `<strong>${modifier.label}</strong>: ${modifier.description}`;
+    modifiers.appendChild(item);
+  }
+  card.appendChild(modifiers);
+
+  const status = document.createElement("p");
+  status.textContent = describeChallengeAttempt(challenge, attempt);
+  card.appendChild(status);
+
+  const actions = document.createElement("div");
+  actions.className = "challenge-card-actions";
+  const scoredButton = document.createElement("button");
+  scoredButton.type = "button";
+  scoredButton.textContent = "Jogar valendo";
+  scoredButton.disabled = Boolean(attempt);
+  scoredButton.addEventListener("click", () => startChallenge(challenge.kind, false));
+  const practiceButton = document.createElement("button");
+  practiceButton.type = "button";
+  practiceButton.textContent = "Praticar";
+  practiceButton.addEventListener("click", () => startChallenge(challenge.kind, true));
+  actions.append(scoredButton, practiceButton);
+  card.appendChild(actions);
+
+  return card;
+}
 
-  soulsSnakesElement.innerHTML = "";
-  for (const snake of SoulsData.SNAKES) {
-    const unlocked = profile.unlockedSnakeIds.includes(snake.id);
-    const selected = appState.selectedSoulsSnakeId === snake.id;
+function formatAttemptTitle(label, attempt) {
+  if (!attempt) return `${label}: sem tentativa`;
+  if (attempt.status === "started") return `${label}: não concluída`;
+  return `${label}: ${attempt.score} pts`;
+}
 
-    const card = document.createElement("div");
-    card.className = `snake-card ${selected ? "active" : ""} ${unlocked ? "" : "locked"
-      }`.trim();
+function renderChallengeCalendar() {
+  const now = new Date();
+  const month = appState.challengeMonth ?? {
+    year: now.getUTCFullYear(),
+    monthIndex: now.getUTCMonth(),
+  };
+  const calendar = Challenges.buildMonthCalendar(
+    appState.soulsProfile.challengeHistory,
+    month.year,
+    month.monthIndex,
+    now
+  );
 
-    const title = document.createElement("div");
-    title.className = "snake-card-title";
-    title.innerHTML = `<span>${snake.name}</span>`;
+  challengeMonthLabelElement.textContent = new Date(
+    Date.UTC(month.year, month.monthIndex, 1)
+  ).toLocaleDateString("pt-BR", { month: "long", year: "numeric", timeZone: "UTC" });
+
+  challengeCalendarGridElement.innerHTML = "";
+  const addCell = (text, classNames, title = "") => {
+    const cell = document.createElement("span");
+    cell.className = classNames.filter(Boolean).join(" ");
+    cell.textContent = text;
+    cell.title = title;
+    challengeCalendarGridElement.appendChild(cell);
+  };
+  for (const label of ["Seg", "Ter", "Qua", "Qui", "Sex", "Sáb", "Dom", "Semana"]) {
+    addCell(label, ["challenge-calendar-label"]);
+  }
+  for (const week of calendar.weeks) {
+    for (const day of week.days) {
+      addCell(String(day.day), [
+        !day.inMonth && "is-outside",
+        day.isToday && "is-today",
+        day.attempt && `is-${day.attempt.status}`,
+      ], formatAttemptTitle(day.dateKey, day.attempt));
+    }
+    addCell(
+      week.attempt?.status === "finished" ? String(week.attempt.score) : "-",
+      [week.attempt && `is-${week.attempt.status}`],
+      formatAttemptTitle(week.weekKey, week.attempt)
+    );
+  }
+}
 
-    const dot = document.createElement("span");
-    dot.className = "snake-color-dot";
-    dot.style.background = snake.color;
-    title.appendChild(dot);
-    card.appendChild(title);
+function buildProfileSlotCard(slot) {
+  const index = appState.saveSlots;
+  const isActive = slot.id === index.activeSlotId;
+  const summary = SaveSlots.summarizeProfile(readSlotProfile(slot.id));
 
-    const detail = document.createElement("small");
-    if (snake.id === "basica") {
-      detail.textContent = "Neutra.";
-    } else if (snake.id === "veloz") {
-      detail.textContent = "+velocidade, trava 1 tick após virar.";
-    } else if (snake.id === "tanque") {
-      detail.textContent = "+armadura, objetivo maior.";
-    } else {
-      detail.textContent = "+controle de sigilo, arena normal menor.";
-    }
-    card.appendChild(detail);
+  const card = document.createElement("article");
+  card.className = `challenge-card profile-slot-card ${isActive ? "active" : ""}`.trim();
+
+  const title = document.createElement("h3");
+  title.textContent = slot.name;
+  card.appendChild(title);
+
+  const stats = document.createElement("p");
+  stats.textContent =
+    `${summary.walletRunes} runas na carteira · ` +
+    `boss final vencido ${summary.finalBossClears}x`;
+  card.appendChild(stats);
 
+  const snakes = document.createElement("p");
+  snakes.textContent = `Cobras: ${summary.unlockedSnakeNames.join(", ")}`;
+  card.appendChild(snakes);
+
+  const actions = document.createElement("div");
+  actions.className = "challenge-card-actions";
+  const addAction = (label, onClick, disabled = false) => {
     const button = document.createElement("button");
     button.type = "button";
+    button.textContent = label;
+    button.disabled = disabled;
+    button.addEventListener("click", onClick);
+    actions.appendChild(button);
+  };
+  addAction(isActive ? "Em uso" : "Usar", () => useSaveSlot(slot.id), isActive);
+  addAction("Renomear", () => renameSaveSlot(slot.id));
+  addAction(
+    "Duplicar",
+    () => duplicateSaveSlot(slot.id),
+    index.slots.length >= SaveSlots.MAX_SLOTS
+  );
+  addAction(
+    appState.pendingDeleteSlotId === slot.id ? "Confirmar" : "Apagar",
+    () => deleteSaveSlot(slot.id),
+    index.slots.length <= 1
+  );
+  card.appendChild(actions);
 
-    if (!unlocked) {
-      button.textContent = "Bloqueada";
-      button.disabled = true;
-    } else if (selected) {
-      button.textContent = "Selecionada";
-      button.disabled = true;
-    } else {
-      button.textContent = "Selecionar";
-      button.addEventListener("click", () => {
-        const updated = SoulsProfile.selectSnake(appState.soulsProfile, snake.id);
-        setSoulsProfile(updated);
-        render();
+  return card;
+}
+
+function renderSaveImportPreview() {
+  if (!saveImportPreviewElement) {
+    return;
+  }
+
+  const save = appState.pendingSaveImport;
+  saveImportPreviewElement.classList.toggle("hidden", !save);
+  if (!save) {
+    return;
+  }
+
+  const slot = SaveSlots.getActiveSlot(appState.saveSlots);
+  const diff = SaveTransfer.diffProfiles(appState.soulsProfile, save.profile);
+  saveImportTitleElement.textContent = `Substituir o perfil "${slot.name}"?`;
+  saveImportChangesElement.innerHTML = "";
+  const addChange = (text) => {
+    const item = document.createElement("li");
+    item.textContent = text;
+    saveImportChangesElement.appendChild(item);
+  };
+  addChange(`Runas na carteira: ${diff.walletRunes.from} → ${diff.walletRunes.to}`);
+  addChange(`Boss final vencido: ${diff.finalBossClears.from} → ${diff.finalBossClears.to}`);
+  if (diff.snakesGained.length > 0) {
+    addChange(`Cobras desbloqueadas: ${diff.snakesGained.join(", ")}`);
+  }
+  if (diff.snakesLost.length > 0) {
+    addChange(`Cobras perdidas: ${diff.snakesLost.join(", ")}`);
+  }
+  if (diff.snakesGained.length === 0 && diff.snakesLost.length === 0) {
+    addChange("Cobras: sem mudança");
+  }
+  addChange(
+    `Chefes derrotados: ${diff.bossKills
+      .map((boss) => `${boss.name} ${boss.from} → ${boss.to}`)
+      .join(", ")}`
+  );
+  if (save.settings) {
+    addChange("Tema e controles também serão substituídos.");
+  }
+}
+
+function renderProfilesPanel() {
+  if (menuProfilesActiveElement) {
+    menuProfilesActiveElement.textContent = `Em uso: ${SaveSlots.getActiveSlot(appState.saveSlots).name}.`;
+  }
+  if (!profilesMenuElement) {
+    return;
+  }
+
+  profilesMenuElement.classList.toggle("hidden", !appState.isProfilesOpen);
+  if (menuProfilesOptionButton) {
+    menuProfilesOptionButton.classList.toggle("active", appState.isProfilesOpen);
+    menuProfilesOptionButton.setAttribute(
+      "aria-pressed",
+      appState.isProfilesOpen ? "true" : "false"
+    );
+  }
+  if (!appState.isProfilesOpen) {
+    return;
+  }
+
+  profileSlotCardsElement.innerHTML = "";
+  for (const slot of appState.saveSlots.slots) {
+    profileSlotCardsElement.appendChild(buildProfileSlotCard(slot));
+  }
+  profileCreateButton.disabled = appState.saveSlots.slots.length >= SaveSlots.MAX_SLOTS;
+  renderSaveImportPreview();
+  profilesFeedbackElement.textContent = appState.profilesFeedback;
+  profilesFeedbackElement.classList.toggle("hidden", !appState.profilesFeedback);
+}
+
+function formatPlayTime(ms) {
+  const totalMinutes = Math.floor(ms / 60000);
+  if (totalMinutes < 1) {
+    return `${Math.floor(ms / 1000)}s`;
+  }
+  const hours = Math.floor(totalMinutes / 60);
+  return hours > 0 ? `${hours}h ${totalMinutes % 60}min` : `${totalMinutes}min`;
+}
+
+const STAT_DEATH_CAUSE_LABELS = Object.freeze({
+  wall: "Parede",
+  self: "O próprio corpo",
+  barrier: "Barreira",
+  boss: "Boss",
+  minion: "Inimigos e lacaios",
+  hazard: "Perigo de arena",
+  other: "Sem espaço / outros",
+});
+
+function buildStatsCard(title, rows, emptyText = "") {
+  const card = document.createElement("article");
+  card.className = "challenge-card";
+
+  const heading = document.createElement("h3");
+  heading.textContent = title;
+  card.appendChild(heading);
+
+  if (rows.length === 0) {
+    const empty = document.createElement("p");
+    empty.textContent = emptyText;
+    card.appendChild(empty);
+    return card;
+  }
+
+  const list = document.createElement("ul");
+  for (const [label, value] of rows) {
+    const item = document.createElement("li");
+    item.textContent = `${label}: ${value}`;
+    list.appendChild(item);
+  }
+  card.appendChild(list);
+  return card;
+}
+
+function renderStatsPanel() {
+  if (!statsMenuElement) {
+    return;
+  }
+
+  statsMenuElement.classList.toggle("hidden", !appState.isStatsOpen);
+  if (menuStatsOptionButton) {
+    menuStatsOptionButton.classList.toggle("active", appState.isStatsOpen);
+    menuStatsOptionButton.setAttribute("aria-pressed", appState.isStatsOpen ? "true" : "false");
+  }
+  if (!appState.isStatsOpen) {
+    return;
+  }
+
+  const stats = appState.soulsProfile.stats;
+  const totalDeaths = Object.values(stats.deathsByCause).reduce((sum, count) => sum + count, 0);
+  const totalTimeMs = Object.values(stats.timePlayedMs).reduce((sum, ms) => sum + ms, 0);
+  const picks = SoulsData.POWER_POOL.filter((power) => stats.powerPicks[power.id] > 0).sort(
+    (a, b) => stats.powerPicks[b.id] - stats.powerPicks[a.id]
+  );
+
+  statsCardsElement.innerHTML = "";
+  statsCardsElement.append(
+    buildStatsCard("Geral", [
+      ["Partidas iniciadas", stats.runsStarted],
+      ["Mortes", totalDeaths],
+      ["Tempo de jogo", formatPlayTime(totalTimeMs)],
+    ]),
+    buildStatsCard(
+      "Mortes por causa",
+      SoulsProfile.STAT_DEATH_CAUSES.map((cause) => [
+        STAT_DEATH_CAUSE_LABELS[cause],
+        stats.deathsByCause[cause],
+      ])
+    ),
+    buildStatsCard("Souls: coleta e runas", [
+      ["Comida", stats.foodCollected],
+      ["Sigilos", stats.sigilsCollected],
+      ["Runas ganhas", stats.runesEarned],
+      ["Runas perdidas em ecos", stats.runesLostToEchoes],
+    ]),
+    buildStatsCard(
+      "Souls: andar mais fundo",
+      SoulsData.SNAKES.map((snake) => [snake.name, stats.deepestFloorBySnake[snake.id] || "-"])
+    ),
+    buildStatsCard(
+      "Tempo por modo",
+      SoulsProfile.STAT_PLAY_MODES.map((mode) => [
+        mode === "online" ? "Online (LAN)" : formatModeLabel(mode),
+        formatPlayTime(stats.timePlayedMs[mode]),
+      ])
+    ),
+    buildStatsCard(
+      "Souls: poderes escolhidos",
+      picks.map((power) => [power.name, `${stats.powerPicks[power.id]}x`]),
+      "Nenhum poder escolhido ainda."
+    )
+  );
+}
+
+function formatHistoryDate(endedAt) {
+  return new Date(endedAt).toLocaleString("pt-BR", {
+    day: "2-digit",
+    month: "2-digit",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function formatHistoryMode(entry) {
+  const mode = entry.mode === "online" ? "Online (LAN)" : formatModeLabel(entry.mode);
+  if (!entry.challenge) {
+    return mode;
+  }
+  const kind = Challenges?.CHALLENGE_KINDS[entry.challenge.kind]?.label ?? "Desafio";
+  return `${mode} · ${kind}${entry.challenge.practice ? " (treino)" : ""}`;
+}
+
+function formatHistoryEnd(entry) {
+  if (entry.deathCause) {
+    return `Morte: ${STAT_DEATH_CAUSE_LABELS[entry.deathCause].toLowerCase()}`;
+  }
+  if (entry.versusWins) {
+    return `Placar ${entry.versusWins.join(" × ")}`;
+  }
+  return entry.mode === "timeattack" ? "Percurso completo" : "Fim de partida";
+}
+
+function formatHistoryProgress(entry) {
+  if (entry.mode === "souls") {
+    return `andar ${entry.floor} (ciclo ${entry.cycle})`;
+  }
+  if (entry.floor !== null) {
+    return `nível ${entry.floor}`;
+  }
+  return entry.score !== null ? `${entry.score} pts` : "";
+}
+
+function buildHistoryRow(entry) {
+  const snake = entry.snakeId ? SoulsData.getSnakeById(entry.snakeId) : null;
+  const card = document.createElement("article");
+  card.className = "challenge-card";
+
+  const title = document.createElement("h3");
+  title.textContent = [formatHistoryMode(entry), snake?.name, formatHistoryProgress(entry)]
+    .filter(Boolean)
+    .join(" · ");
+  card.appendChild(title);
+
+  const summary = document.createElement("p");
+  summary.textContent =
+    `${formatHistoryDate(entry.endedAt)} · ${formatDurationMs(entry.durationMs)} · ${formatHistoryEnd(entry)}`;
+  card.appendChild(summary);
+
+  const actions = document.createElement("div");
+  actions.className = "challenge-card-actions";
+  const detailButton = document.createElement("button");
+  detailButton.type = "button";
+  detailButton.textContent = "Detalhes";
+  detailButton.addEventListener("click", () => {
+    appState.historyDetailId = entry.id;
+    render();
+  });
+  actions.appendChild(detailButton);
+  card.appendChild(actions);
+
+  return card;
+}
+
+function renderHistoryDetail(entry) {
+  const snake = entry.snakeId ? SoulsData.getSnakeById(entry.snakeId) : null;
+  historyDetailElement.innerHTML = "";
+
+  const title = document.createElement("h3");
+  title.textContent = `${formatHistoryMode(entry)} · ${formatHistoryDate(entry.endedAt)}`;
+  historyDetailElement.appendChild(title);
+
+  const rows = [
+    ["Cobra", snake?.name],
+    ["Seed", entry.seed === null ? null : RunSeed.formatSeed(entry.seed)],
+    ["Duração", formatDurationMs(entry.durationMs)],
+    ["Pontos", entry.score],
+    ["Placar", entry.versusWins?.join(" × ")],
+    ["Andar alcançado", entry.mode === "souls" ? `${entry.floor} (ciclo ${entry.cycle})` : null],
+    ["Nível alcançado", entry.mode === "souls" ? null : entry.floor],
+    ["Fim", formatHistoryEnd(entry)],
+    [
+      "Runas",
+      entry.runes
+        ? `${entry.runes.carried} em jogo · ${entry.runes.banked} depositadas · ${entry.runes.echoed} no eco`
+        : null,
+    ],
+    [
+      "Build",
+      entry.powers
+        ? SoulsData.POWER_POOL.filter((power) => entry.powers[power.id])
+          .map((power) => `${power.name} x${entry.powers[power.id]}`)
+          .join(", ") || "sem poderes"
+        : null,
+    ],
+  ];
+  const list = document.createElement("ul");
+  for (const [label, value] of rows) {
+    if (value === null || value === undefined || value === "") continue;
+    const item = document.createElement("li");
+    item.textContent = `${label}: ${value}`;
+    list.appendChild(item);
+  }
+  historyDetailElement.appendChild(list);
+
+  if (entry.timeline.length > 0) {
+    const timelineTitle = document.createElement("p");
+    timelineTitle.textContent = "Tempo por andar concluído:";
+    historyDetailElement.appendChild(timelineTitle);
+
+    const timeline = document.createElement("ul");
+    for (const step of entry.timeline) {
+      const item = document.createElement("li");
+      const stage = step.stageType === "normal" ? "" : step.stageType === "boss" ? " (boss)" : " (boss final)";
+      item.textContent = `Andar ${step.floor}${stage}: ${formatDurationMs(step.clearMs)}`;
+      timeline.appendChild(item);
+    }
+    historyDetailElement.appendChild(timeline);
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "challenge-card-actions";
+  const backButton = document.createElement("button");
+  backButton.type = "button";
+  backButton.textContent = "Voltar à lista";
+  backButton.addEventListener("click", () => {
+    appState.historyDetailId = null;
+    render();
+  });
+  actions.appendChild(backButton);
+  historyDetailElement.appendChild(actions);
+}
+
+function renderHistoryPanel() {
+  if (!historyMenuElement) {
+    return;
+  }
+
+  historyMenuElement.classList.toggle("hidden", !appState.isHistoryOpen);
+  if (menuHistoryOptionButton) {
+    menuHistoryOptionButton.classList.toggle("active", appState.isHistoryOpen);
+    menuHistoryOptionButton.setAttribute("aria-pressed", appState.isHistoryOpen ? "true" : "false");
+  }
+  if (!appState.isHistoryOpen) {
+    return;
+  }
+
+  const detail =
+    appState.historyDetailId === null
+      ? null
+      : RunHistory.getEntry(appState.runHistory, appState.historyDetailId);
+  historyListElement.classList.toggle("hidden", Boolean(detail));
+  historyDetailElement.classList.toggle("hidden", !detail);
+  if (detail) {
+    renderHistoryDetail(detail);
+    return;
+  }
+
+  const entries = RunHistory.filterEntries(appState.runHistory, appState.historyFilters);
+  historyListElement.innerHTML = "";
+  if (entries.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "sidebar-muted";
+    empty.textContent =
+      appState.runHistory.entries.length === 0
+        ? "Nenhuma partida terminada ainda."
+        : "Nenhuma partida com esses filtros.";
+    historyListElement.appendChild(empty);
+    return;
+  }
+  for (const entry of entries) {
+    historyListElement.appendChild(buildHistoryRow(entry));
+  }
+}
+
+function buildAchievementCard(entry) {
+  const card = document.createElement("article");
+  card.className = `challenge-card achievement-card ${entry.unlocked ? "unlocked" : "locked"}`;
+
+  const heading = document.createElement("h3");
+  heading.textContent = entry.unlocked ? `${entry.name} ✓` : entry.name;
+  const description = document.createElement("p");
+  description.textContent = entry.description;
+  card.append(heading, description);
+
+  if (entry.progress && !entry.unlocked) {
+    const progress = document.createElement("p");
+    progress.textContent = `Progresso: ${entry.progress.current}/${entry.progress.goal}`;
+    card.appendChild(progress);
+  }
+  if (entry.skin) {
+    const reward = document.createElement("p");
+    reward.textContent = `Recompensa: visual ${entry.skin.name}.`;
+    card.appendChild(reward);
+  }
+  return card;
+}
+
+function renderAchievementsPanel() {
+  if (!achievementsMenuElement) {
+    return;
+  }
+
+  const gallery = Achievements.listGallery(appState.soulsProfile);
+  if (menuAchievementsCountElement) {
+    const unlockedCount = gallery.filter((entry) => entry.unlocked).length;
+    menuAchievementsCountElement.textContent = `${unlockedCount}/${gallery.length} desbloqueadas.`;
+  }
+  achievementsMenuElement.classList.toggle("hidden", !appState.isAchievementsOpen);
+  if (menuAchievementsOptionButton) {
+    menuAchievementsOptionButton.classList.toggle("active", appState.isAchievementsOpen);
+    menuAchievementsOptionButton.setAttribute(
+      "aria-pressed",
+      appState.isAchievementsOpen ? "true" : "false"
+    );
+  }
+  if (!appState.isAchievementsOpen) {
+    return;
+  }
+
+  achievementSkinSelectElement.innerHTML = "";
+  const defaultOption = document.createElement("option");
+  defaultOption.value = "";
+  defaultOption.textContent = "Cores da cobra";
+  achievementSkinSelectElement.appendChild(defaultOption);
+  for (const skin of Achievements.getUnlockedSkins(appState.soulsProfile)) {
+    const option = document.createElement("option");
+    option.value = skin.id;
+    option.textContent = skin.name;
+    achievementSkinSelectElement.appendChild(option);
+  }
+  achievementSkinSelectElement.value =
+    Achievements.getActiveSkin(appState.soulsProfile)?.id ?? "";
+
+  achievementCardsElement.innerHTML = "";
+  for (const entry of gallery) {
+    achievementCardsElement.appendChild(buildAchievementCard(entry));
+  }
+}
+
+function renderChallengesPanel() {
+  if (!challengesMenuElement || !Challenges) {
+    return;
+  }
+
+  challengesMenuElement.classList.toggle("hidden", !appState.isChallengesOpen);
+  if (menuChallengesOptionButton) {
+    menuChallengesOptionButton.classList.toggle("active", appState.isChallengesOpen);
+    menuChallengesOptionButton.setAttribute(
+      "aria-pressed",
+      appState.isChallengesOpen ? "true" : "false"
+    );
+  }
+  if (!appState.isChallengesOpen) {
+    return;
+  }
+
+  challengeCardsElement.innerHTML = "";
+  challengeCardsElement.append(
+    buildChallengeCard(Challenges.getDailyChallenge()),
+    buildChallengeCard(Challenges.getWeeklyChallenge())
+  );
+  renderChallengeCalendar();
+}
+
+function shiftChallengeMonth(delta) {
+  const now = new Date();
+  const current = appState.challengeMonth ?? {
+    year: now.getUTCFullYear(),
+    monthIndex: now.getUTCMonth(),
+  };
+  const shifted = new Date(Date.UTC(current.year, current.monthIndex + delta, 1));
+  appState.challengeMonth = {
+    year: shifted.getUTCFullYear(),
+    monthIndex: shifted.getUTCMonth(),
+  };
+  render();
+}
+
+function buildSoulsUpgradeCard(upgrade, profile) {
+  const level = SoulsProfile.getMetaUpgradeLevel(profile, upgrade.id);
+  const cost = SoulsData.getMetaUpgradeCost(upgrade.id, level);
+  const missing = SoulsProfile.getMissingMetaRequirements(profile, upgrade.id);
+
+  const card = document.createElement("div");
+  card.className = `snake-card ${missing.length > 0 ? "locked" : ""}`.trim();
+
+  const title = document.createElement("div");
+  title.className = "snake-card-title";
+  const name = document.createElement("span");
+  name.textContent = upgrade.name;
+  const levelLabel = document.createElement("small");
+  levelLabel.textContent = `Nv ${level}/${upgrade.costs.length}`;
+  title.append(name, levelLabel);
+  card.appendChild(title);
+
+  const detail = document.createElement("small");
+  detail.textContent = upgrade.description;
+  card.appendChild(detail);
+
+  if (missing.length > 0) {
+    const requirement = document.createElement("small");
+    requirement.textContent = `Requer: ${missing
+      .map((item) => `${SoulsData.getMetaUpgradeById(item.id).name} Nv ${item.level}`)
+      .join(", ")}.`;
+    card.appendChild(requirement);
+  }
+
+  const button = document.createElement("button");
+  button.type = "button";
+  if (cost === null) {
+    button.textContent = "Máximo";
+    button.disabled = true;
+  } else {
+    button.textContent = `Comprar (${cost})`;
+    button.disabled = missing.length > 0 || profile.walletRunes < cost;
+    button.addEventListener("click", () => {
+      const purchase = SoulsProfile.purchaseMetaUpgrade(appState.soulsProfile, upgrade.id);
+      if (!purchase.ok) return;
+      setSoulsProfile(purchase.profile);
+      render();
+    });
+  }
+  card.appendChild(button);
+  return card;
+}
+
+function renderSoulsUpgrades(profile) {
+  if (!soulsUpgradesElement) {
+    return;
+  }
+  soulsUpgradesElement.innerHTML = "";
+  for (const upgrade of SoulsData.META_UPGRADES) {
+    soulsUpgradesElement.appendChild(buildSoulsUpgradeCard(upgrade, profile));
+  }
+}
+
+function renderSoulsMenu() {
+  const isSoulsMode = getSelectedMenuMode() === "souls";
+  soulsMenuElement.classList.toggle("hidden", !isSoulsMode);
+
+  if (!isSoulsMode) {
+    return;
+  }
+
+  const profile = appState.soulsProfile;
+  soulsWalletMenuElement.textContent = String(profile.walletRunes);
+  soulsClearsMenuElement.textContent = String(profile.finalBossClears);
+
+  soulsSnakesElement.innerHTML = "";
+  for (const snake of SoulsData.SNAKES) {
+    const unlocked = profile.unlockedSnakeIds.includes(snake.id);
+    const selected = appState.selectedSoulsSnakeId === snake.id;
+
+    const card = document.createElement("div");
+    card.className = `snake-card ${selected ? "active" : ""} ${unlocked ? "" : "locked"
+      }`.trim();
+
+    const title = document.createElement("div");
+    title.className = "snake-card-title";
+    title.innerHTML = `<span>${snake.name}</span>`;
+
+    const dot = document.createElement("span");
+    dot.className = "snake-color-dot";
+    dot.style.background = snake.color;
+    title.appendChild(dot);
+    card.appendChild(title);
+
+    const detail = document.createElement("small");
+    if (snake.id === "basica") {
+      detail.textContent = "Neutra.";
+    } else if (snake.id === "veloz") {
+      detail.textContent = "+velocidade, trava 1 tick após virar.";
+    } else if (snake.id === "tanque") {
+      detail.textContent = "+armadura, objetivo maior.";
+    } else {
+      detail.textContent = "+controle de sigilo, arena normal menor.";
+    }
+    card.appendChild(detail);
+
+    const abilityDetail = document.createElement("small");
+    abilityDetail.className = "snake-card-ability";
+    abilityDetail.textContent = `${snake.ability.name} (E): ${snake.ability.description}`;
+    abilityDetail.title = `Recarga de ${snake.ability.cooldownMs / 1000} s, custa ${snake.ability.staminaCost} de estamina.`;
+    card.appendChild(abilityDetail);
+
+    const button = document.createElement("button");
+    button.type = "button";
+
+    if (!unlocked) {
+      button.textContent = "Bloqueada";
+      button.disabled = true;
+    } else if (selected) {
+      button.textContent = "Selecionada";
+      button.disabled = true;
+    } else {
+      button.textContent = "Selecionar";
+      button.addEventListener("click", () => {
+        const updated = SoulsProfile.selectSnake(appState.soulsProfile, snake.id);
+        setSoulsProfile(updated);
+        render();
       });
     }
 
@@ -1622,6 +3702,8 @@ function renderSoulsMenu() {
     soulsSnakesElement.appendChild(card);
   }
 
+  renderSoulsUpgrades(profile);
+
   const nextUnlock = SoulsProfile.getNextUnlock(profile);
   if (!nextUnlock) {
     soulsUnlockLabelElement.textContent = "Todas as cobras já foram desbloqueadas.";
@@ -1647,9 +3729,34 @@ function renderButtons(modeState) {
   const waitingReward =
     hasGame && modeState.mode === "souls" && Boolean(modeState.souls.reward);
 
-  pauseButton.disabled = !hasGame || isMenu || isGameOver || waitingReward;
+  const isReplay = Boolean(appState.replay);
+
+  const isOnline = isOnlineMatch();
+
+  pauseButton.disabled =
+    !hasGame || isMenu || isGameOver || waitingReward || isReplay || isOnline;
   pauseButton.textContent = hasGame && modeState.isPaused ? "Retomar" : "Pausar";
-  restartButton.disabled = !hasGame || isMenu;
+  restartButton.disabled = !hasGame || isMenu || isReplay || (isOnline && !isGameOver);
+  if (gameOverRestartButton) {
+    const rematchRequested = isOnline && isOnlineRematchRequested();
+    gameOverRestartButton.textContent = !isOnline
+      ? "Jogar novamente"
+      : rematchRequested
+        ? "Aguardando revanche..."
+        : "Revanche";
+    gameOverRestartButton.disabled = rematchRequested;
+  }
+  if (autopilotButton) {
+    autopilotButton.disabled =
+      !hasGame ||
+      isMenu ||
+      isReplay ||
+      appState.isDemo ||
+      isScoredChallenge(modeState) ||
+      modeState.mode === "versus";
+    autopilotButton.textContent = appState.autopilot ? "Desligar piloto IA" : "Piloto IA";
+    autopilotButton.setAttribute("aria-pressed", appState.autopilot ? "true" : "false");
+  }
   menuButton.disabled = isMenu;
   startButton.disabled = false;
 }
@@ -1660,56 +3767,379 @@ function render() {
 
   const modeState = appState.modeState;
   setSoulsUiDataset(modeState);
-  scoreElement.textContent = String(modeState ? modeState.base.score : 0);
+  scoreElement.textContent = modeState ? formatScore(modeState) : "0";
   statusElement.textContent = getStatusText();
 
   if (modeState) {
     ensureGrid(modeState.base.width, modeState.base.height);
     renderBoard(modeState);
+  } else if (appState.screen === SCREEN_EDITOR && appState.editor) {
+    const preview = LevelEditor.buildPreviewState(appState.editor);
+    ensureGrid(preview.base.width, preview.base.height);
+    renderBoard(preview);
   }
 
   renderHud(modeState);
   renderSoulsDeathSummary(modeState);
   renderSoulsCountdown(modeState);
   renderSoulsStageMessage(modeState);
+  renderVersusRoundMessage(modeState);
   renderSoulsSigilArrow(modeState);
   renderSoulsStamina(modeState);
+  renderSoulsAbilities(modeState);
   renderFloatingPause(modeState);
   renderButtons(modeState);
   renderSoulsRewardModal();
   renderMenuModeOptions();
   renderMenuSettingsPanel();
+  renderProfilesPanel();
+  renderStatsPanel();
+  renderHistoryPanel();
+  renderAchievementsPanel();
+  renderChallengesPanel();
+  renderOnlinePanel();
   renderVersionLabel();
   renderInstructionsPanel();
   renderGameOverPanel(modeState);
+  renderReplayBar();
+  renderEditorBar();
+  renderMenuFeedback();
   renderSoulsMenu();
   renderBossIntelSidebar();
   renderSoulsPowersSidebar(modeState);
   renderDevPanel();
 }
 
-function startGame(mode) {
+function renderMenuFeedback() {
+  if (!menuFeedbackElement) {
+    return;
+  }
+  menuFeedbackElement.textContent = appState.menuFeedback;
+  menuFeedbackElement.classList.toggle("hidden", !appState.menuFeedback);
+}
+
+function renderReplayBar() {
+  if (!replayBarElement) {
+    return;
+  }
+
+  const player = appState.replay;
+  replayBarElement.classList.toggle("hidden", !player);
+  if (!player) {
+    return;
+  }
+
+  const total = player.recording.frameCount;
+  replayToggleButton.textContent = player.isPlaying ? "Pausar replay" : "Reproduzir";
+  replaySeekElement.max = String(total);
+  if (document.activeElement !== replaySeekElement) {
+    replaySeekElement.value = String(player.frame);
+  }
+  replayFrameLabelElement.textContent = `${player.frame}/${total}`;
+  replaySpeedElement.value = String(player.speed);
+}
+
+function scheduleReplayFrame() {
+  if (appState.replayRafId !== null || !appState.replay?.isPlaying) {
+    return;
+  }
+  appState.replayLastTs = null;
+  appState.replayRafId = window.requestAnimationFrame(runReplayFrame);
+}
+
+function runReplayFrame(timestamp) {
+  appState.replayRafId = null;
+  const player = appState.replay;
+  if (!player) {
+    return;
+  }
+
+  if (appState.replayLastTs === null) {
+    appState.replayLastTs = timestamp;
+  }
+  const frameDeltaMs = Math.min(250, Math.max(0, timestamp - appState.replayLastTs));
+  appState.replayLastTs = timestamp;
+
+  RunReplay.advanceReplayPlayer(player, frameDeltaMs);
+  appState.modeState = player.state;
+  render();
+
+  if (player.isPlaying) {
+    appState.replayRafId = window.requestAnimationFrame(runReplayFrame);
+  }
+}
+
+function startReplay(recording) {
+  if (!RunReplay || !recording) {
+    return;
+  }
+
+  stopTicker();
+  if (!appState.replay) {
+    appState.replayReturn = {
+      modeState: appState.modeState,
+      screen: appState.screen,
+    };
+  }
+  appState.replay = RunReplay.createReplayPlayer(recording);
+  appState.modeState = appState.replay.state;
+  appState.rewardRenderKey = null;
+  setScreen(SCREEN_PLAYING);
+  ensureGrid(appState.modeState.base.width, appState.modeState.base.height);
+  render();
+  scheduleReplayFrame();
+}
+
+function toggleReplayPlayback() {
+  const player = appState.replay;
+  if (!player) {
+    return;
+  }
+
+  if (!player.isPlaying && RunReplay.isReplayFinished(player)) {
+    RunReplay.seekReplayPlayer(player, 0);
+    appState.modeState = player.state;
+  }
+  player.isPlaying = !player.isPlaying;
+  render();
+  scheduleReplayFrame();
+}
+
+function exitReplay(options = {}) {
+  if (!appState.replay) {
+    return;
+  }
+
+  if (appState.replayRafId !== null) {
+    window.cancelAnimationFrame(appState.replayRafId);
+    appState.replayRafId = null;
+  }
+  appState.replay = null;
+  const previous = appState.replayReturn;
+  appState.replayReturn = null;
+  appState.modeState = previous?.modeState ?? null;
+  appState.rewardRenderKey = null;
+  if (options.silent) {
+    return;
+  }
+
+  setScreen(previous?.modeState ? previous.screen : SCREEN_MENU);
+  render();
+  ensureTickerState();
+}
+
+function downloadRecording(recording) {
+  if (!recording) {
+    return;
+  }
+
+  downloadJson(
+    `snake-souls-replay-${recording.mode}-${RunSeed.formatSeed(recording.seed)}.json`,
+    RunReplay.serializeRecording(recording)
+  );
+}
+
+function downloadJson(fileName, text) {
+  const blob = new Blob([text], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function setEditorFeedback(message) {
+  appState.editorFeedback = message;
+  render();
+}
+
+function renderEditorBar() {
+  if (!editorBarElement) {
+    return;
+  }
+
+  const editor = appState.editor;
+  const isEditor = appState.screen === SCREEN_EDITOR && Boolean(editor);
+  editorBarElement.classList.toggle("hidden", !isEditor);
+  if (!isEditor) {
+    return;
+  }
+
+  for (const button of editorToolButtons) {
+    button.setAttribute(
+      "aria-pressed",
+      button.dataset.editorTool === appState.editorTool ? "true" : "false"
+    );
+  }
+  // Leave fields alone while the designer is typing in them.
+  const fieldValues = [
+    [editorNameInput, editor.name],
+    [editorWidthInput, editor.width],
+    [editorHeightInput, editor.height],
+    [editorTargetInput, editor.target],
+    [editorParInput, editor.parSeconds ?? ""],
+    [editorDirectionSelect, editor.startDirection],
+  ];
+  for (const [element, value] of fieldValues) {
+    if (element && document.activeElement !== element) {
+      element.value = String(value);
+    }
+  }
+  editorFeedbackElement.textContent = appState.editorFeedback;
+  editorFeedbackElement.classList.toggle("hidden", !appState.editorFeedback);
+}
+
+function openEditor() {
+  if (!LevelEditor) {
+    return;
+  }
+
+  exitReplay({ silent: true });
+  clearDemoRestart();
+  stopTicker();
   appState.isSettingsOpen = false;
-  if (mode === "souls") {
-    appState.modeState = createModeState({
-      mode,
-      soulsProfile: appState.soulsProfile,
-      soulsSnakeId: appState.selectedSoulsSnakeId,
-      viewportAspect: getViewportAspectRatio(),
-    });
+  appState.isProfilesOpen = false;
+  appState.isStatsOpen = false;
+  appState.isHistoryOpen = false;
+  appState.isAchievementsOpen = false;
+  appState.editorPlaytest = false;
+  appState.editorFeedback = "";
+  appState.recording = null;
+  appState.autopilot = null;
+  appState.modeState = null;
+  appState.editor = appState.editor ?? LevelEditor.createEditorState();
+  setScreen(SCREEN_EDITOR);
+  render();
+}
+
+function updateEditor(nextEditor) {
+  if (nextEditor === appState.editor) {
+    return;
+  }
+  appState.editor = nextEditor;
+  appState.editorFeedback = "";
+  render();
+}
+
+function getEditorCellFromEvent(event) {
+  const rect = gridElement.getBoundingClientRect();
+  if (rect.width <= 0 || rect.height <= 0) {
+    return null;
+  }
+  return {
+    x: Math.floor(((event.clientX - rect.left) / rect.width) * gridWidth),
+    y: Math.floor(((event.clientY - rect.top) / rect.height) * gridHeight),
+  };
+}
+
+function paintEditorFromEvent(event) {
+  const cell = getEditorCellFromEvent(event);
+  if (cell) {
+    updateEditor(LevelEditor.paintCell(appState.editor, cell, appState.editorTool));
+  }
+}
+
+function playtestEditorLevel() {
+  const parsed = LevelEditor.validateEditor(appState.editor);
+  if (!parsed.ok) {
+    setEditorFeedback(parsed.error);
+    return;
+  }
+
+  appState.editorPlaytest = true;
+  startGame("levels", { campaign: { name: "Editor", levels: [parsed.level] } });
+}
+
+function applyImportedEditor(result) {
+  if (!result.ok) {
+    setEditorFeedback(result.error);
+    return;
+  }
+  appState.editor = result.editor;
+  setEditorFeedback(`Nível "${result.editor.name}" carregado.`);
+}
+
+function startGame(mode, options = {}) {
+  exitReplay({ silent: true });
+  clearDemoRestart();
+  flushPendingPlayTime();
+  appState.isSettingsOpen = false;
+  appState.isProfilesOpen = false;
+  appState.isStatsOpen = false;
+  appState.isHistoryOpen = false;
+  appState.isAchievementsOpen = false;
+  appState.isChallengesOpen = false;
+  appState.isOnlineOpen = false;
+  appState.menuFeedback = "";
+  appState.isDemo = Boolean(options.demo);
+  appState.autopilot = appState.isDemo ? SnakeAutopilot.createAutopilotController() : null;
+  const challengeOptions = options.challenge
+    ? Challenges.getChallengeModeOptions(options.challenge, { practice: options.practice })
+    : null;
+  appState.fixedSeed = appState.isDemo ? null : challengeOptions?.seed ?? readMenuSeed();
+  const seed = appState.fixedSeed ?? undefined;
+  const modeOptions =
+    mode === "souls"
+      ? {
+        // The demo and challenges play on a fresh profile and never touch the
+        // saved one.
+        soulsProfile: appState.isDemo || challengeOptions
+          ? SoulsProfile.createDefaultProfile()
+          : appState.soulsProfile,
+        soulsSnakeId: appState.selectedSoulsSnakeId,
+        viewportAspect: getViewportAspectRatio(),
+        movement: challengeOptions?.movement ?? readMenuMovement(),
+        // Challenges are ranked solo; the demo has a single autopilot.
+        coop: !challengeOptions && !appState.isDemo && readMenuSoulsCoop(),
+      }
+      : {
+        width: GRID_WIDTH,
+        height: GRID_HEIGHT,
+        wrapWalls: challengeOptions?.wrapWalls ?? Boolean(wrapWallsInputElement?.checked),
+        movement: challengeOptions?.movement ?? readMenuMovement(),
+        campaign:
+          mode === "levels" && !challengeOptions
+            ? options.campaign ?? readMenuCampaign()
+            : undefined,
+      };
+  if (challengeOptions) {
+    modeOptions.challenge = challengeOptions.challenge;
+  }
+  if (mode === "versus") {
+    modeOptions.bestOf = readMenuVersusBestOf();
+  }
+  if (mode === "traditional") {
+    modeOptions.rival = readMenuRivalDifficulty();
+  }
+  if (mode === "timeattack") {
+    modeOptions.course = readMenuTimeAttackCourse();
+    if (modeOptions.course === "levels") {
+      modeOptions.campaign = readMenuCampaign();
+    }
+  }
+  appState.modeState = createModeState({
+    ...modeOptions,
+    mode,
+    seed,
+  });
+  if (mode !== "souls" && isTrackingLifetimeStats()) {
+    recordLifetimeStats({ runsStarted: 1 });
+  }
+  if (appState.isDemo) {
+    appState.recording = null;
   } else {
-    appState.modeState = createModeState({
-      mode,
-      width: GRID_WIDTH,
-      height: GRID_HEIGHT,
-    });
+    beginRunRecording(modeOptions);
   }
 
   appState.soulsPendingDirection = null;
-  appState.pressedDirections.clear();
+  clearPressedDirections();
   appState.rewardRenderKey = null;
   appState.runStartedAtMs = Date.now();
   appState.runEndedAtMs = null;
+  resetTimeAttackRun();
   syncSoulsProfileFromModeState();
   setScreen(SCREEN_PLAYING);
   ensureGrid(appState.modeState.base.width, appState.modeState.base.height);
@@ -1717,17 +4147,401 @@ function startGame(mode) {
   ensureTickerState();
 }
 
-function restartGame() {
-  if (!appState.modeState) return;
+function startChallenge(kind, practice) {
+  const challenge =
+    kind === "weekly" ? Challenges.getWeeklyChallenge() : Challenges.getDailyChallenge();
+  if (!practice) {
+    const history = appState.soulsProfile.challengeHistory;
+    if (Challenges.getAttempt(history, challenge.id)) {
+      return;
+    }
+    setSoulsProfile(
+      SoulsProfile.setChallengeHistory(
+        appState.soulsProfile,
+        Challenges.startScoredAttempt(history, challenge)
+      )
+    );
+  }
+  startGame(challenge.mode, { challenge, practice });
+}
 
+function getDefaultOnlineServerUrl() {
+  if (window.location.protocol === "http:" || window.location.protocol === "https:") {
+    const scheme = window.location.protocol === "https:" ? "wss" : "ws";
+    return `${scheme}://${window.location.host}/`;
+  }
+  return `ws://localhost:${NetProtocol.DEFAULT_PORT}/`;
+}
+
+function isOnlineMatch() {
+  return Boolean(appState.online?.prediction);
+}
+
+function sendOnline(type, payload = {}) {
+  const socket = appState.online?.socket;
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(NetProtocol.encodeMessage(type, payload));
+  }
+}
+
+function setOnlineFeedback(message) {
+  appState.onlineFeedback = message;
+  render();
+}
+
+function connectOnline() {
+  if (!NetProtocol || appState.online) {
+    return;
+  }
+
+  const url = onlineServerInputElement?.value.trim() || getDefaultOnlineServerUrl();
+  let socket;
+  try {
+    socket = new WebSocket(url);
+  } catch {
+    setOnlineFeedback("Endereço de servidor inválido.");
+    return;
+  }
+
+  appState.online = {
+    socket,
+    connected: false,
+    room: null,
+    seat: null,
+    prediction: null,
+    tickMs: null,
+    pingMs: null,
+    pingTimerId: null,
+  };
+  socket.addEventListener("open", () => {
+    sendOnline("hello", {
+      protocol: NetProtocol.PROTOCOL_VERSION,
+      name: NetProtocol.normalizeName(onlineNameInputElement?.value),
+    });
+    appState.online.pingTimerId = window.setInterval(() => {
+      sendOnline("ping", { sentAt: Date.now() });
+    }, ONLINE_PING_INTERVAL_MS);
+  });
+  socket.addEventListener("message", (event) => handleOnlineMessage(event.data));
+  socket.addEventListener("close", () => {
+    if (appState.online?.socket === socket) {
+      closeOnlineSession(
+        appState.online.connected
+          ? "Conexão com o servidor encerrada."
+          : "Não foi possível conectar ao servidor."
+      );
+    }
+  });
+  setOnlineFeedback("Conectando...");
+}
+
+function closeOnlineSession(message) {
+  const online = appState.online;
+  if (!online) {
+    return;
+  }
+
+  window.clearInterval(online.pingTimerId);
+  appState.online = null;
+  online.socket.close();
+  if (online.prediction && appState.modeState) {
+    appState.menuFeedback = message;
+    backToMenu();
+  }
+  setOnlineFeedback(message);
+}
+
+function handleOnlineMessage(data) {
+  const parsed = NetProtocol.parseServerMessage(data);
+  const online = appState.online;
+  if (!parsed.ok || !online) {
+    return;
+  }
+
+  const message = parsed.message;
+  if (message.type === "welcome") {
+    online.connected = true;
+    setOnlineFeedback("Conectado. Crie uma sala ou entre com um código.");
+  } else if (message.type === "room") {
+    // The room only leaves "playing" early when the other seat walked out.
+    const matchAborted =
+      isOnlineMatch() &&
+      message.room?.status !== "playing" &&
+      !appState.modeState?.isGameOver;
+    online.room = message.room;
+    online.seat = message.seat;
+    if (matchAborted) {
+      online.prediction = null;
+      appState.menuFeedback = message.notice ?? "";
+      backToMenu();
+    }
+    setOnlineFeedback(message.notice ?? (message.room ? "" : "Você saiu da sala."));
+  } else if (message.type === "start") {
+    startOnlineMatch(message.seat, message.snapshot, message.tickMs);
+  } else if (message.type === "snapshot") {
+    applyOnlineSnapshot(message);
+  } else if (message.type === "pong") {
+    online.pingMs = Math.max(0, Date.now() - message.sentAt);
+  } else if (message.type === "error") {
+    setOnlineFeedback(message.message);
+  }
+}
+
+function joinOnlineRoom() {
+  const roomId = NetProtocol.normalizeRoomCode(onlineRoomInputElement?.value);
+  if (!roomId) {
+    setOnlineFeedback("Código de sala inválido.");
+    return;
+  }
+  sendOnline("join", { roomId });
+}
+
+function readOnlineRoomOptions() {
+  return {
+    mode: "versus",
+    bestOf: readMenuVersusBestOf(),
+    wrapWalls: Boolean(wrapWallsInputElement?.checked),
+    movement: readMenuMovement(),
+  };
+}
+
+function startOnlineMatch(seat, snapshot, tickMs) {
+  exitReplay({ silent: true });
+  clearDemoRestart();
+  stopTicker();
+  flushPendingPlayTime();
+  appState.isSettingsOpen = false;
+  appState.isProfilesOpen = false;
+  appState.isStatsOpen = false;
+  appState.isHistoryOpen = false;
+  appState.isAchievementsOpen = false;
+  appState.isChallengesOpen = false;
+  appState.menuFeedback = "";
+  appState.isDemo = false;
+  appState.autopilot = null;
+  appState.recording = null;
+  appState.lastRecording = null;
+  appState.fixedSeed = null;
+  appState.online.seat = seat;
+  appState.online.tickMs = tickMs;
+  appState.online.prediction = NetProtocol.createPrediction(seat, snapshot);
+  appState.modeState = appState.online.prediction.state;
+  recordLifetimeStats({ runsStarted: 1 });
+  appState.rewardRenderKey = null;
+  appState.runStartedAtMs = Date.now();
+  appState.runEndedAtMs = null;
+  clearPressedDirections();
+
+  setScreen(SCREEN_PLAYING);
+  ensureGrid(appState.modeState.base.width, appState.modeState.base.height);
+  render();
+  ensureTickerState();
+}
+
+function applyOnlineSnapshot(snapshot) {
+  const online = appState.online;
+  if (!online.prediction) {
+    return;
+  }
+
+  online.prediction = NetProtocol.reconcilePrediction(online.prediction, snapshot);
+  appState.modeState = online.prediction.state;
+  if (appState.modeState.isGameOver && appState.screen !== SCREEN_GAMEOVER) {
+    handleRunGameOver();
+  }
+  render();
+  ensureTickerState();
+}
+
+// Only the server ends a match: a predicted death waits for its snapshot.
+function stepOnlinePrediction() {
+  const online = appState.online;
+  const next = NetProtocol.advancePrediction(online.prediction);
+  if (next.state.isGameOver) {
+    return;
+  }
+  online.prediction = next;
+  appState.modeState = next.state;
+}
+
+function queueOnlineDirection(direction) {
+  const online = appState.online;
+  const predicted = NetProtocol.predictDirection(online.prediction, direction, Date.now());
+  online.prediction = predicted.prediction;
+  appState.modeState = predicted.prediction.state;
+  sendOnline("input", predicted.input);
+}
+
+function isOnlineRematchRequested() {
+  const online = appState.online;
+  return Boolean(online?.room?.members[online.seat]?.ready);
+}
+
+function renderOnlinePanel() {
+  if (!onlineMenuElement || !NetProtocol) {
+    return;
+  }
+
+  onlineMenuElement.classList.toggle("hidden", !appState.isOnlineOpen);
+  if (menuOnlineOptionButton) {
+    menuOnlineOptionButton.classList.toggle("active", appState.isOnlineOpen);
+    menuOnlineOptionButton.setAttribute("aria-pressed", appState.isOnlineOpen ? "true" : "false");
+  }
+  if (!appState.isOnlineOpen) {
+    return;
+  }
+
+  const online = appState.online;
+  const room = online?.room ?? null;
+  if (onlineServerInputElement && !onlineServerInputElement.value) {
+    onlineServerInputElement.value = getDefaultOnlineServerUrl();
+  }
+  onlineServerInputElement.disabled = Boolean(online);
+  onlineNameInputElement.disabled = Boolean(online);
+  onlineConnectButton.textContent = online ? "Desconectar" : "Conectar";
+  onlineLobbyElement.classList.toggle("hidden", !online?.connected || Boolean(room));
+  onlineRoomElement.classList.toggle("hidden", !room);
+  onlineStatusElement.textContent =
+    appState.onlineFeedback || (online?.connected ? "Conectado." : "Desconectado.");
+  if (!room) {
+    return;
+  }
+
+  onlineRoomCodeElement.textContent = room.id;
+  onlineRoomRulesElement.textContent = [
+    `melhor de ${room.options.bestOf}`,
+    room.options.wrapWalls ? "portais" : null,
+    room.options.movement === "8way" ? "8 direções" : null,
+  ]
+    .filter(Boolean)
+    .join(", ");
+  onlineMembersElement.innerHTML = "";
+  for (const member of room.members) {
+    const item = document.createElement("li");
+    item.classList.toggle("is-ready", member.ready);
+    item.textContent =
+      `${member.name}${member.seat === online.seat ? " (você)" : ""} · ` +
+      `${PLAYER_SEAT_LABELS[member.seat]} · ${member.ready ? "pronto" : "aguardando"}`;
+    onlineMembersElement.appendChild(item);
+  }
+  if (room.members.length < NetProtocol.ROOM_SEATS) {
+    const item = document.createElement("li");
+    item.textContent = `Aguardando adversário: passe o código ${room.id}.`;
+    onlineMembersElement.appendChild(item);
+  }
+  const ready = Boolean(room.members[online.seat]?.ready);
+  onlineReadyButton.textContent = ready ? "Cancelar pronto" : "Pronto";
+  onlineReadyButton.disabled = room.status === "playing";
+}
+
+function startDemo() {
+  if (!SnakeAutopilot) {
+    return;
+  }
+  // The autopilot steers one snake, so a versus pick demos the classic board.
+  const mode = getSelectedMenuMode();
+  startGame(mode === "versus" ? "traditional" : mode, { demo: true });
+}
+
+function clearDemoRestart() {
+  if (appState.demoRestartTimerId !== null) {
+    window.clearTimeout(appState.demoRestartTimerId);
+    appState.demoRestartTimerId = null;
+  }
+}
+
+function toggleAutopilot() {
+  if (
+    !SnakeAutopilot ||
+    !appState.modeState ||
+    appState.replay ||
+    appState.isDemo ||
+    isScoredChallenge(appState.modeState) ||
+    appState.modeState.mode === "versus"
+  ) {
+    return;
+  }
+
+  appState.autopilot = appState.autopilot
+    ? null
+    : SnakeAutopilot.createAutopilotController();
+  if (appState.autopilot) {
+    appState.runAssisted = true;
+  }
+  render();
+}
+
+function restartGame() {
+  if (!appState.modeState || appState.replay || appState.isDemo) return;
+  if (isOnlineMatch()) {
+    // Online, restarting is a rematch vote; the server starts it.
+    if (appState.modeState.isGameOver) {
+      sendOnline("rematch");
+    }
+    return;
+  }
+  finishChallengeAttempt();
+  flushPendingPlayTime();
+
+  // An assisted run's profile copy holds gains that were never saved.
+  const previousProfile =
+    appState.modeState.mode !== "souls"
+      ? null
+      : appState.modeState.challenge
+        ? SoulsProfile.createDefaultProfile()
+        : appState.runAssisted
+          ? appState.soulsProfile
+          : appState.modeState.souls.profile;
+  if (appState.autopilot) {
+    appState.autopilot = SnakeAutopilot.createAutopilotController();
+  }
   appState.modeState = restartModeState(appState.modeState, {
+    soulsProfile: previousProfile ?? undefined,
     viewportAspect: getViewportAspectRatio(),
+    seed: appState.fixedSeed ?? undefined,
   });
+  if (appState.modeState.mode !== "souls" && isTrackingLifetimeStats()) {
+    recordLifetimeStats({ runsStarted: 1 });
+  }
+  if (appState.modeState.challenge) {
+    // Only the first attempt is scored; every retry is practice.
+    appState.modeState = {
+      ...appState.modeState,
+      challenge: { ...appState.modeState.challenge, practice: true },
+    };
+  }
+  beginRunRecording(
+    appState.modeState.mode === "souls"
+      ? {
+        soulsProfile: previousProfile,
+        soulsSnakeId: appState.modeState.souls.selectedSnakeId,
+        viewportAspect: appState.modeState.souls.viewportAspect,
+        movement: appState.modeState.base.movement,
+        challenge: appState.modeState.challenge ?? undefined,
+      }
+      : {
+        width: appState.modeState.base.width,
+        height: appState.modeState.base.height,
+        wrapWalls: appState.modeState.base.wrapWalls === true,
+        movement: appState.modeState.base.movement,
+        campaign: appState.modeState.campaign
+          ? {
+            name: appState.modeState.campaign.name,
+            levels: appState.modeState.campaign.levels,
+          }
+          : undefined,
+        course: appState.modeState.timeAttack?.course,
+        bestOf: appState.modeState.versus?.bestOf,
+        rival: appState.modeState.rival?.difficulty,
+        challenge: appState.modeState.challenge ?? undefined,
+      }
+  );
   appState.soulsPendingDirection = null;
-  appState.pressedDirections.clear();
+  clearPressedDirections();
   appState.rewardRenderKey = null;
   appState.runStartedAtMs = Date.now();
   appState.runEndedAtMs = null;
+  resetTimeAttackRun();
   syncSoulsProfileFromModeState();
 
   setScreen(SCREEN_PLAYING);
@@ -1737,8 +4551,29 @@ function restartGame() {
 }
 
 function backToMenu() {
+  if (appState.editorPlaytest) {
+    // Playtests started from the editor return to it.
+    openEditor();
+    return;
+  }
+  exitReplay({ silent: true });
+  clearDemoRestart();
   syncSoulsProfileFromModeState();
+  flushPendingPlayTime();
+  finishChallengeAttempt();
+  if (isOnlineMatch()) {
+    // Walking out mid-match gives up the seat; after it, the room stays
+    // open in the Online panel for a rematch.
+    if (!appState.modeState.isGameOver) {
+      sendOnline("leave");
+    }
+    appState.online.prediction = null;
+    appState.isOnlineOpen = true;
+  }
   stopTicker();
+  appState.recording = null;
+  appState.autopilot = null;
+  appState.isDemo = false;
   appState.rewardRenderKey = null;
   appState.runStartedAtMs = 0;
   appState.runEndedAtMs = null;
@@ -1752,17 +4587,27 @@ function onTick() {
     return;
   }
 
-  appState.modeState = stepModeState(appState.modeState, {
-    holdCurrentDirection: isHoldingCurrentDirection(),
-    viewportAspect: getViewportAspectRatio(),
-  });
+  addPendingPlayTime(appState.currentTickMs ?? 0);
+  if (isOnlineMatch()) {
+    stepOnlinePrediction();
+    render();
+    ensureTickerState();
+    return;
+  }
+
+  const previousScore = appState.modeState.base.score;
+  stepLiveModeState();
   syncSoulsProfileFromModeState();
+  if (appState.modeState.base.score !== previousScore) {
+    recordAchievementEvent({
+      type: "score",
+      mode: appState.modeState.mode,
+      score: appState.modeState.base.score,
+    });
+  }
 
   if (appState.modeState.isGameOver) {
-    if (!appState.runEndedAtMs) {
-      appState.runEndedAtMs = Date.now();
-    }
-    setScreen(SCREEN_GAMEOVER);
+    handleRunGameOver();
   }
 
   render();
@@ -1774,27 +4619,98 @@ function togglePauseFromUi(event) {
     event.preventDefault();
     event.stopPropagation();
   }
-  if (!appState.modeState) return;
+  if (!appState.modeState || appState.replay || isOnlineMatch()) return;
   if (appState.modeState.isGameOver) return;
   if (appState.modeState.mode === "souls" && appState.modeState.souls.reward) {
     return;
   }
 
+  recordRunEvent("pause");
   appState.modeState = toggleModePause(appState.modeState);
   render();
   ensureTickerState();
 }
 
-function queueDirectionForCurrentMode(direction) {
-  if (!appState.modeState) return;
+function useSoulsAbility(playerIndex = 0, event = null) {
+  if (event) {
+    event.preventDefault();
+    event.stopPropagation();
+  }
+  const modeState = appState.modeState;
+  if (modeState?.mode !== "souls" || appState.replay || appState.isDemo) return;
+
+  const nextState = activateSoulsAbility(modeState, { playerIndex });
+  if (nextState === modeState) return;
+
+  recordRunEvent("ability", modeState.souls.coop ? { player: playerIndex } : null);
+  appState.modeState = nextState;
+  render();
+}
+
+function queueDirectionForCurrentMode(direction, playerIndex = 0) {
+  if (!appState.modeState || appState.replay) return;
   if (appState.modeState.mode === "souls" && appState.modeState.souls.reward) {
     return;
   }
+  if (isOnlineMatch()) {
+    queueOnlineDirection(direction);
+    return;
+  }
+
+  recordRunEvent(
+    "direction",
+    usesSeatKeyboard(appState.modeState) ? { player: playerIndex, direction } : direction
+  );
+  appState.modeState = queueModeDirection(appState.modeState, direction, playerIndex);
+}
+
+function clearPressedDirections() {
+  appState.pressedDirections.clear();
+  appState.playerPressedDirections.forEach((pressed) => pressed.clear());
+}
+
+// Local versus and co-op Souls split the keyboard: each seat owns a layout.
+// Online, both layouts steer the local seat.
+function usesSeatKeyboard(modeState) {
+  return (
+    (modeState?.mode === "versus" && !isOnlineMatch()) ||
+    Boolean(modeState?.mode === "souls" && modeState.souls.coop)
+  );
+}
+
+// Routes a WASD or arrow key to the seat bound to that layout.
+// Returns false for keys no seat listens to.
+function handleSeatDirectionKey(key, isDown) {
+  const scheme = inputSchemeForKey(key);
+  const playerIndex = appState.modeState.base.players
+    ? appState.modeState.base.players.findIndex((player) => player.input === scheme)
+    : PLAYER_INPUTS.indexOf(scheme);
+  const pressed = appState.playerPressedDirections[playerIndex];
+  if (!pressed) {
+    return false;
+  }
 
-  appState.modeState = queueModeDirection(appState.modeState, direction);
+  const direction = directionFromInputKey(key, scheme);
+  const movement = getCurrentMovement();
+  pressed.delete(direction);
+  if (isDown) {
+    pressed.add(direction);
+  } else if (movement !== "8way") {
+    return true;
+  }
+  const effectiveDir = resolveEffectiveDirection(pressed, movement);
+  if (effectiveDir) {
+    queueDirectionForCurrentMode(effectiveDir, playerIndex);
+  }
+  return true;
 }
 
-function resolveEffectiveDirection(pressed) {
+function resolveEffectiveDirection(pressed, movement) {
+  if (movement !== "8way") {
+    // Classic movement follows the most recently pressed key.
+    return Array.from(pressed).pop() ?? null;
+  }
+
   const up = pressed.has("UP");
   const down = pressed.has("DOWN");
   const left = pressed.has("LEFT");
@@ -1811,17 +4727,25 @@ function resolveEffectiveDirection(pressed) {
   return null;
 }
 
-function getDirectionFromDelta(deltaX, deltaY) {
+const SWIPE_SECTORS = Object.freeze([
+  "RIGHT",
+  "DOWN_RIGHT",
+  "DOWN",
+  "DOWN_LEFT",
+  "LEFT",
+  "UP_LEFT",
+  "UP",
+  "UP_RIGHT",
+]);
+
+function getDirectionFromDelta(deltaX, deltaY, movement) {
   const absX = Math.abs(deltaX);
   const absY = Math.abs(deltaY);
-  const threshold = 0.5; // For diagonals
 
-  if (absX > 0 && absY > 0) {
-    const ratio = absX / absY;
-    if (ratio > 1 - threshold && ratio < 1 + threshold) {
-      if (deltaX > 0) return deltaY > 0 ? "DOWN_RIGHT" : "UP_RIGHT";
-      return deltaY > 0 ? "DOWN_LEFT" : "UP_LEFT";
-    }
+  if (movement === "8way") {
+    // Eight 45° sectors centred on each direction (screen y grows downward).
+    const sector = Math.round(Math.atan2(deltaY, deltaX) / (Math.PI / 4));
+    return SWIPE_SECTORS[(sector + 8) % 8];
   }
 
   if (absX >= absY) {
@@ -1847,6 +4771,13 @@ function shouldUseGestureControls() {
 }
 
 document.addEventListener("keydown", (event) => {
+  if (appState.isDemo) {
+    event.preventDefault();
+    backToMenu();
+    return;
+  }
+  scheduleMenuDemo();
+
   if (event.key === "F2") {
     event.preventDefault();
     toggleDevPanel();
@@ -1862,6 +4793,44 @@ document.addEventListener("keydown", (event) => {
     return;
   }
 
+  if (onlineMenuElement?.contains(document.activeElement)) {
+    if (event.key === "Enter" && document.activeElement === onlineRoomInputElement) {
+      event.preventDefault();
+      joinOnlineRoom();
+    }
+    return;
+  }
+
+  if (profilesMenuElement?.contains(document.activeElement)) {
+    if (event.key === "Enter" && document.activeElement === profileNameInputElement) {
+      event.preventDefault();
+      createSaveSlot();
+    } else if (event.key === "Enter" && document.activeElement === saveCodeInputElement) {
+      event.preventDefault();
+      previewSaveImport(saveCodeInputElement.value);
+    }
+    return;
+  }
+
+  if (document.activeElement === seedInputElement && event.key !== "Enter") {
+    return;
+  }
+
+  if (appState.screen === SCREEN_EDITOR) {
+    return;
+  }
+
+  if (appState.replay) {
+    if (event.key === " " || event.key.toLowerCase() === "p") {
+      event.preventDefault();
+      toggleReplayPlayback();
+    } else if (event.key === "Escape") {
+      event.preventDefault();
+      exitReplay();
+    }
+    return;
+  }
+
   if (appState.screen === SCREEN_MENU && event.key === "Enter") {
     event.preventDefault();
     startGame(getSelectedMenuMode());
@@ -1876,11 +4845,21 @@ document.addEventListener("keydown", (event) => {
     return;
   }
 
+  if (usesSeatKeyboard(appState.modeState) && handleSeatDirectionKey(event.key, true)) {
+    event.preventDefault();
+    return;
+  }
+
   const baseDir = directionFromInputKey(event.key);
   if (baseDir) {
     event.preventDefault();
+    // Re-adding moves the key to the end so 4-way input follows the latest press.
+    appState.pressedDirections.delete(baseDir);
     appState.pressedDirections.add(baseDir);
-    const effectiveDir = resolveEffectiveDirection(appState.pressedDirections);
+    const effectiveDir = resolveEffectiveDirection(
+      appState.pressedDirections,
+      getCurrentMovement()
+    );
     if (effectiveDir) {
       queueDirectionForCurrentMode(effectiveDir);
     }
@@ -1888,6 +4867,16 @@ document.addEventListener("keydown", (event) => {
   }
 
   const key = event.key.toLowerCase();
+  // `E` fires player 1's ability; in co-op, `Enter` fires player 2's.
+  if (
+    appState.modeState.mode === "souls" &&
+    (key === "e" || (key === "enter" && appState.modeState.souls.coop))
+  ) {
+    event.preventDefault();
+    useSoulsAbility(key === "enter" ? 1 : 0);
+    return;
+  }
+
   if ((key === " " || key === "p") && !appState.modeState.isGameOver) {
     event.preventDefault();
     togglePauseFromUi();
@@ -1897,24 +4886,52 @@ document.addEventListener("keydown", (event) => {
   if (key === "r" && appState.screen !== SCREEN_MENU) {
     event.preventDefault();
     restartGame();
+    return;
+  }
+
+  if (key === "i" && appState.screen !== SCREEN_MENU) {
+    event.preventDefault();
+    toggleAutopilot();
   }
 });
 
+document.addEventListener(
+  "pointerdown",
+  (event) => {
+    if (appState.isDemo) {
+      event.preventDefault();
+      event.stopPropagation();
+      backToMenu();
+      return;
+    }
+    scheduleMenuDemo();
+  },
+  true
+);
+
 document.addEventListener("keyup", (event) => {
+  if (usesSeatKeyboard(appState.modeState) && handleSeatDirectionKey(event.key, false)) {
+    return;
+  }
+
   const baseDir = directionFromInputKey(event.key);
   if (!baseDir) {
     return;
   }
 
   appState.pressedDirections.delete(baseDir);
-  const effectiveDir = resolveEffectiveDirection(appState.pressedDirections);
+  if (getCurrentMovement() !== "8way") {
+    return;
+  }
+  // Releasing one key of a chord falls back to the key still held.
+  const effectiveDir = resolveEffectiveDirection(appState.pressedDirections, "8way");
   if (effectiveDir) {
     queueDirectionForCurrentMode(effectiveDir);
   }
 });
 
 window.addEventListener("blur", () => {
-  appState.pressedDirections.clear();
+  clearPressedDirections();
   appState.gestureSession = null;
   if (appState.modeState && appState.modeState.mode !== "souls") {
     ensureTickerState();
@@ -1925,6 +4942,10 @@ window.addEventListener("resize", () => {
   render();
 });
 
+window.addEventListener("pagehide", () => {
+  flushPendingPlayTime();
+});
+
 startButton.addEventListener("click", () => {
   startGame(getSelectedMenuMode());
 });
@@ -1956,6 +4977,17 @@ if (floatingPauseButton) {
   });
 }
 
+if (soulsAbilityButton) {
+  soulsAbilityButton.addEventListener("click", () => {
+    if (!window.PointerEvent) {
+      useSoulsAbility();
+    }
+  });
+  soulsAbilityButton.addEventListener("pointerdown", (event) => {
+    useSoulsAbility(0, event);
+  });
+}
+
 restartButton.addEventListener("click", () => {
   restartGame();
 });
@@ -1998,6 +5030,11 @@ soulsRerollButton.addEventListener("click", () => {
     return;
   }
 
+  if (appState.replay) {
+    return;
+  }
+
+  recordRunEvent("reroll");
   appState.modeState = rerollSoulsReward(appState.modeState);
   syncSoulsProfileFromModeState();
   render();
@@ -2036,13 +5073,298 @@ for (const input of mobileControlChoiceInputs) {
   });
 }
 
+if (menuEditorOptionButton) {
+  menuEditorOptionButton.addEventListener("click", () => {
+    openEditor();
+  });
+}
+
+if (editorBarElement) {
+  for (const button of editorToolButtons) {
+    button.addEventListener("click", () => {
+      appState.editorTool = button.dataset.editorTool;
+      render();
+    });
+  }
+
+  gridElement.addEventListener("pointerdown", (event) => {
+    if (appState.screen !== SCREEN_EDITOR || !appState.editor) {
+      return;
+    }
+    event.preventDefault();
+    appState.editorPainting = appState.editorTool !== "start";
+    paintEditorFromEvent(event);
+  });
+  gridElement.addEventListener("pointermove", (event) => {
+    if (appState.editorPainting && appState.screen === SCREEN_EDITOR) {
+      paintEditorFromEvent(event);
+    }
+  });
+  for (const type of ["pointerup", "pointercancel", "pointerleave"]) {
+    gridElement.addEventListener(type, () => {
+      appState.editorPainting = false;
+    });
+  }
+
+  const metaInputs = [
+    [editorNameInput, "name"],
+    [editorTargetInput, "target"],
+    [editorParInput, "parSeconds"],
+    [editorDirectionSelect, "startDirection"],
+  ];
+  for (const [element, key] of metaInputs) {
+    element.addEventListener("change", () => {
+      updateEditor(LevelEditor.updateEditorMeta(appState.editor, { [key]: element.value }));
+    });
+  }
+
+  editorResizeButton.addEventListener("click", () => {
+    updateEditor(
+      LevelEditor.resizeEditor(appState.editor, editorWidthInput.value, editorHeightInput.value)
+    );
+  });
+  editorPlaytestButton.addEventListener("click", () => {
+    playtestEditorLevel();
+  });
+  editorExportButton.addEventListener("click", () => {
+    downloadJson(
+      `${appState.editor.id}.json`,
+      `${JSON.stringify(LevelEditor.toLevelJson(appState.editor), null, 2)}\n`
+    );
+  });
+  editorImportInput.addEventListener("change", () => {
+    const file = editorImportInput.files?.[0];
+    editorImportInput.value = "";
+    if (!file) return;
+
+    file.text().then((text) => {
+      try {
+        applyImportedEditor(LevelEditor.fromLevelJson(JSON.parse(text)));
+      } catch {
+        setEditorFeedback("Arquivo de nível inválido: JSON malformado.");
+      }
+    });
+  });
+  editorShareCopyButton.addEventListener("click", () => {
+    editorShareInput.value = LevelEditor.encodeShareString(appState.editor);
+    editorShareInput.select();
+    navigator.clipboard?.writeText(editorShareInput.value).then(
+      () => setEditorFeedback("Código copiado."),
+      () => setEditorFeedback("Código gerado; copie do campo.")
+    );
+  });
+  editorShareLoadButton.addEventListener("click", () => {
+    applyImportedEditor(LevelEditor.decodeShareString(editorShareInput.value));
+  });
+  editorExitButton.addEventListener("click", () => {
+    appState.editorPlaytest = false;
+    backToMenu();
+  });
+}
+
+if (timeAttackCourseInputElement) {
+  timeAttackCourseInputElement.addEventListener("change", () => {
+    renderMenuModeOptions();
+  });
+}
+
 if (menuSettingsOptionButton) {
   menuSettingsOptionButton.addEventListener("click", () => {
     appState.isSettingsOpen = !appState.isSettingsOpen;
+    appState.isProfilesOpen = false;
+    appState.isStatsOpen = false;
+    appState.isHistoryOpen = false;
+    appState.isAchievementsOpen = false;
+    appState.isChallengesOpen = false;
+    appState.isOnlineOpen = false;
+    render();
+  });
+}
+
+if (menuProfilesOptionButton) {
+  menuProfilesOptionButton.addEventListener("click", () => {
+    appState.isProfilesOpen = !appState.isProfilesOpen;
+    appState.isStatsOpen = false;
+    appState.isHistoryOpen = false;
+    appState.isAchievementsOpen = false;
+    appState.isSettingsOpen = false;
+    appState.isChallengesOpen = false;
+    appState.isOnlineOpen = false;
+    appState.profilesFeedback = "";
+    appState.pendingDeleteSlotId = null;
+    appState.pendingSaveImport = null;
+    render();
+  });
+}
+
+if (menuStatsOptionButton) {
+  menuStatsOptionButton.addEventListener("click", () => {
+    appState.isStatsOpen = !appState.isStatsOpen;
+    appState.isHistoryOpen = false;
+    appState.isAchievementsOpen = false;
+    appState.isSettingsOpen = false;
+    appState.isProfilesOpen = false;
+    appState.isChallengesOpen = false;
+    appState.isOnlineOpen = false;
+    render();
+  });
+}
+
+if (menuHistoryOptionButton) {
+  menuHistoryOptionButton.addEventListener("click", () => {
+    appState.isHistoryOpen = !appState.isHistoryOpen;
+    appState.isAchievementsOpen = false;
+    appState.isStatsOpen = false;
+    appState.isSettingsOpen = false;
+    appState.isProfilesOpen = false;
+    appState.isChallengesOpen = false;
+    appState.isOnlineOpen = false;
+    appState.historyDetailId = null;
+    render();
+  });
+}
+
+if (menuAchievementsOptionButton) {
+  menuAchievementsOptionButton.addEventListener("click", () => {
+    appState.isAchievementsOpen = !appState.isAchievementsOpen;
+    appState.isHistoryOpen = false;
+    appState.isStatsOpen = false;
+    appState.isSettingsOpen = false;
+    appState.isProfilesOpen = false;
+    appState.isChallengesOpen = false;
+    appState.isOnlineOpen = false;
+    render();
+  });
+}
+
+if (achievementSkinSelectElement) {
+  achievementSkinSelectElement.addEventListener("change", () => {
+    setSoulsProfile(
+      Achievements.selectSkin(appState.soulsProfile, achievementSkinSelectElement.value || null)
+    );
+    render();
+  });
+}
+
+if (historySnakeFilterElement) {
+  for (const snake of SoulsData.SNAKES) {
+    const option = document.createElement("option");
+    option.value = snake.id;
+    option.textContent = snake.name;
+    historySnakeFilterElement.appendChild(option);
+  }
+}
+
+for (const [element, key] of [
+  [historyModeFilterElement, "mode"],
+  [historySnakeFilterElement, "snakeId"],
+  [historyCauseFilterElement, "deathCause"],
+]) {
+  element?.addEventListener("change", () => {
+    appState.historyFilters = { ...appState.historyFilters, [key]: element.value };
+    appState.historyDetailId = null;
+    render();
+  });
+}
+
+if (saveExportFileButton) {
+  saveExportFileButton.addEventListener("click", () => {
+    exportSaveFile();
+  });
+  saveExportCodeButton.addEventListener("click", () => {
+    exportSaveCode();
+  });
+  saveImportCodeButton.addEventListener("click", () => {
+    previewSaveImport(saveCodeInputElement.value);
+  });
+  saveImportFileInput.addEventListener("change", () => {
+    const file = saveImportFileInput.files?.[0];
+    saveImportFileInput.value = "";
+    if (!file) return;
+
+    file.text().then((text) => {
+      previewSaveImport(text);
+    });
+  });
+  saveImportConfirmButton.addEventListener("click", () => {
+    confirmSaveImport();
+  });
+  saveImportCancelButton.addEventListener("click", () => {
+    finishProfileAction("Importação cancelada.");
+  });
+}
+
+if (profileCreateButton) {
+  profileCreateButton.addEventListener("click", () => {
+    createSaveSlot();
+  });
+}
+
+if (menuChallengesOptionButton) {
+  menuChallengesOptionButton.addEventListener("click", () => {
+    appState.isChallengesOpen = !appState.isChallengesOpen;
+    appState.isSettingsOpen = false;
+    appState.isProfilesOpen = false;
+    appState.isStatsOpen = false;
+    appState.isHistoryOpen = false;
+    appState.isAchievementsOpen = false;
+    appState.isOnlineOpen = false;
+    appState.challengeMonth = null;
+    render();
+  });
+}
+
+if (menuOnlineOptionButton) {
+  menuOnlineOptionButton.addEventListener("click", () => {
+    appState.isOnlineOpen = !appState.isOnlineOpen;
+    appState.isSettingsOpen = false;
+    appState.isProfilesOpen = false;
+    appState.isStatsOpen = false;
+    appState.isHistoryOpen = false;
+    appState.isAchievementsOpen = false;
+    appState.isChallengesOpen = false;
     render();
   });
 }
 
+if (onlineConnectButton) {
+  onlineConnectButton.addEventListener("click", () => {
+    if (appState.online) {
+      closeOnlineSession("Desconectado.");
+    } else {
+      connectOnline();
+    }
+  });
+}
+
+if (onlineCreateButton) {
+  onlineCreateButton.addEventListener("click", () => {
+    sendOnline("create", { options: readOnlineRoomOptions() });
+  });
+}
+
+if (onlineJoinButton) {
+  onlineJoinButton.addEventListener("click", () => joinOnlineRoom());
+}
+
+if (onlineReadyButton) {
+  onlineReadyButton.addEventListener("click", () => {
+    sendOnline("ready", { ready: !isOnlineRematchRequested() });
+  });
+}
+
+if (onlineLeaveButton) {
+  onlineLeaveButton.addEventListener("click", () => sendOnline("leave"));
+}
+
+if (challengePrevMonthButton) {
+  challengePrevMonthButton.addEventListener("click", () => shiftChallengeMonth(-1));
+}
+
+if (challengeNextMonthButton) {
+  challengeNextMonthButton.addEventListener("click", () => shiftChallengeMonth(1));
+}
+
 if (instructionsToggleButton) {
   instructionsToggleButton.addEventListener("click", () => {
     appState.mobileInstructionsExpanded = !appState.mobileInstructionsExpanded;
@@ -2061,20 +5383,12 @@ for (const button of touchButtons) {
     queueDirectionForCurrentMode(direction);
   };
 
-  const releaseDirection = () => {
-    releaseDirectionForCurrentMode(direction);
-  };
-
   button.addEventListener("pointerdown", pressDirection);
-  button.addEventListener("pointerup", releaseDirection);
-  button.addEventListener("pointercancel", releaseDirection);
-  button.addEventListener("pointerleave", releaseDirection);
 
   // Fallback for non-pointer environments.
   button.addEventListener("click", (event) => {
     if (!window.PointerEvent) {
       pressDirection(event);
-      releaseDirection();
     }
   });
 }
@@ -2116,9 +5430,7 @@ if (gameAreaElement) {
       return;
     }
 
-    const direction = getDirectionFromDelta(deltaX, deltaY);
-    queueDirectionForCurrentMode(direction);
-    releaseDirectionForCurrentMode(direction);
+    queueDirectionForCurrentMode(getDirectionFromDelta(deltaX, deltaY, getCurrentMovement()));
     session.consumed = true;
   });
 
@@ -2136,9 +5448,9 @@ if (gameAreaElement) {
       const usesSwipeMode = appState.uiSettings.mobileControl === "swipe";
 
       if ((usesTapMode && distance >= 8) || (usesSwipeMode && distance >= 24)) {
-        const direction = getDirectionFromDelta(deltaX, deltaY);
-        queueDirectionForCurrentMode(direction);
-        releaseDirectionForCurrentMode(direction);
+        queueDirectionForCurrentMode(
+          getDirectionFromDelta(deltaX, deltaY, getCurrentMovement())
+        );
       }
     }
 
@@ -2150,6 +5462,90 @@ if (gameAreaElement) {
   });
 }
 
+if (demoButton) {
+  demoButton.addEventListener("click", () => {
+    startDemo();
+  });
+}
+
+if (autopilotButton) {
+  autopilotButton.addEventListener("click", () => {
+    toggleAutopilot();
+  });
+}
+
+if (gameOverReplayButton) {
+  gameOverReplayButton.addEventListener("click", () => {
+    startReplay(appState.lastRecording);
+  });
+}
+
+if (replayToggleButton) {
+  replayToggleButton.addEventListener("click", () => {
+    toggleReplayPlayback();
+  });
+}
+
+if (replaySeekElement) {
+  replaySeekElement.addEventListener("input", () => {
+    const player = appState.replay;
+    if (!player) return;
+    RunReplay.seekReplayPlayer(player, Number(replaySeekElement.value));
+    appState.modeState = player.state;
+    appState.replayLastTs = null;
+    render();
+  });
+}
+
+if (replaySpeedElement) {
+  replaySpeedElement.addEventListener("change", () => {
+    if (!appState.replay) return;
+    RunReplay.setReplaySpeed(appState.replay, replaySpeedElement.value);
+    render();
+  });
+}
+
+if (replayExportButton) {
+  replayExportButton.addEventListener("click", () => {
+    downloadRecording(appState.replay?.recording ?? appState.lastRecording);
+  });
+}
+
+if (replayExitButton) {
+  replayExitButton.addEventListener("click", () => {
+    exitReplay();
+  });
+}
+
+if (replayImportInputElement) {
+  replayImportInputElement.addEventListener("change", () => {
+    const file = replayImportInputElement.files?.[0];
+    replayImportInputElement.value = "";
+    if (!file) return;
+
+    // Only a failed read gets the "couldn't read" message; errors from the
+    // replay itself must not be reported as a bad file.
+    file.text().then(
+      (text) => {
+        const parsed = RunReplay.parseRecording(text);
+        if (!parsed.ok) {
+          appState.menuFeedback = parsed.error;
+          render();
+          return;
+        }
+        appState.menuFeedback = "";
+        appState.lastRecording = parsed.recording;
+        startReplay(parsed.recording);
+      },
+      () => {
+        appState.menuFeedback = "Não foi possível ler o arquivo de replay.";
+        render();
+      }
+    );
+  });
+}
+
 applyTheme(getInitialTheme());
 setScreen(SCREEN_MENU);
 render();
+loadLevelsCampaign();
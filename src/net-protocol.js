@@ -0,0 +1,457 @@
+(function defineNetProtocol(global) {
+  "use strict";
+
+  const SnakeLogic =
+    global.SnakeLogic ||
+    (typeof require !== "undefined" ? require("./snake-logic.js") : null);
+  const SnakeModes =
+    global.SnakeModes ||
+    (typeof require !== "undefined" ? require("./snake-modes.js") : null);
+
+  if (!SnakeLogic || !SnakeModes) {
+    throw new Error("NetProtocol requires SnakeLogic and SnakeModes.");
+  }
+
+  const PROTOCOL_VERSION = 1;
+  const DEFAULT_PORT = 8787;
+  const NET_MODES = Object.freeze(["versus"]);
+  const ROOM_SEATS = 2;
+  const ROOM_CODE_LENGTH = 4;
+  const ROOM_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+  const MAX_NAME_LENGTH = 16;
+  const BOARD_SIZE = 20;
+  // How far a client may run ahead of the last snapshot, and how far ahead
+  // of the server an input may be scheduled. Past that the client waits.
+  const MAX_PREDICTION_TICKS = 8;
+  // A snake queues at most three turns, so more inputs for one tick are
+  // never applied; the server drops them instead of piling them up.
+  const MAX_INPUTS_PER_TICK = 3;
+  const CLIENT_MESSAGE_TYPES = Object.freeze([
+    "hello",
+    "create",
+    "join",
+    "leave",
+    "ready",
+    "rematch",
+    "input",
+    "ping",
+  ]);
+  const SERVER_MESSAGE_TYPES = Object.freeze([
+    "welcome",
+    "room",
+    "start",
+    "snapshot",
+    "pong",
+    "error",
+  ]);
+  const DIRECTIONS = Object.freeze(Object.keys(SnakeLogic.DIRECTION_VECTORS));
+
+  function isTick(value) {
+    return Number.isInteger(value) && value >= 0;
+  }
+
+  function normalizeName(value, fallback = "Jogador") {
+    const name = typeof value === "string" ? value.replace(/\s+/g, " ").trim() : "";
+    return name ? name.slice(0, MAX_NAME_LENGTH) : fallback;
+  }
+
+  function normalizeRoomCode(value) {
+    const code = typeof value === "string" ? value.trim().toUpperCase() : "";
+    return code.length === ROOM_CODE_LENGTH &&
+      [...code].every((letter) => ROOM_CODE_ALPHABET.includes(letter))
+      ? code
+      : null;
+  }
+
+  function createRoomCode(rng = Math.random) {
+    let code = "";
+    for (let index = 0; index < ROOM_CODE_LENGTH; index += 1) {
+      code += ROOM_CODE_ALPHABET[Math.floor(rng() * ROOM_CODE_ALPHABET.length)];
+    }
+    return code;
+  }
+
+  // Board rules are picked by whoever opens the room; the size is fixed so
+  // both screens agree on the grid.
+  function normalizeRoomOptions(options = {}) {
+    return {
+      mode: NET_MODES.includes(options.mode) ? options.mode : NET_MODES[0],
+      width: BOARD_SIZE,
+      height: BOARD_SIZE,
+      bestOf: SnakeModes.VERSUS_BEST_OF_OPTIONS.includes(Number(options.bestOf))
+        ? Number(options.bestOf)
+        : SnakeModes.VERSUS_DEFAULT_BEST_OF,
+      wrapWalls: options.wrapWalls === true,
+      movement: SnakeLogic.normalizeMovement(options.movement),
+    };
+  }
+
+  function encodeMessage(type, payload = {}) {
+    return JSON.stringify({ ...payload, type });
+  }
+
+  function decodeMessage(input, types) {
+    let raw;
+    try {
+      raw = typeof input === "string" ? JSON.parse(input) : input;
+    } catch {
+      return { ok: false, error: "Mensagem inválida: JSON malformado.", message: null };
+    }
+    if (!raw || typeof raw !== "object" || !types.includes(raw.type)) {
+      return { ok: false, error: "Mensagem inválida: tipo desconhecido.", message: null };
+    }
+    return { ok: true, error: null, message: raw };
+  }
+
+  // Everything a client sends goes through here before the server looks at
+  // it; the result only carries the fields each type is allowed to have.
+  function parseClientMessage(input) {
+    const decoded = decodeMessage(input, CLIENT_MESSAGE_TYPES);
+    if (!decoded.ok) {
+      return decoded;
+    }
+
+    const raw = decoded.message;
+    const fail = (error) => ({ ok: false, error, message: null });
+    let message;
+    if (raw.type === "hello") {
+      if (raw.protocol !== PROTOCOL_VERSION) {
+        return fail("Versão de protocolo incompatível.");
+      }
+      message = { type: "hello", protocol: PROTOCOL_VERSION, name: normalizeName(raw.name) };
+    } else if (raw.type === "create") {
+      message = { type: "create", options: normalizeRoomOptions(raw.options ?? {}) };
+    } else if (raw.type === "join") {
+      const roomId = normalizeRoomCode(raw.roomId);
+      if (!roomId) {
+        return fail("Código de sala inválido.");
+      }
+      message = { type: "join", roomId };
+    } else if (raw.type === "ready") {
+      message = { type: "ready", ready: raw.ready !== false };
+    } else if (raw.type === "input") {
+      if (!DIRECTIONS.includes(raw.direction)) {
+        return fail("Direção inválida.");
+      }
+      if (!isTick(raw.seq) || raw.seq === 0 || !isTick(raw.tick)) {
+        return fail("Input sem sequência ou tick.");
+      }
+      message = {
+        type: "input",
+        seq: raw.seq,
+        tick: raw.tick,
+        direction: raw.direction,
+        sentAt: Number.isFinite(raw.sentAt) ? raw.sentAt : 0,
+      };
+    } else if (raw.type === "ping") {
+      message = { type: "ping", sentAt: Number.isFinite(raw.sentAt) ? raw.sentAt : 0 };
+    } else {
+      message = { type: raw.type };
+    }
+    return { ok: true, error: null, message };
+  }
+
+  function parseServerMessage(input) {
+    return decodeMessage(input, SERVER_MESSAGE_TYPES);
+  }
+
+  function createRoom(id, options = {}) {
+    return {
+      id,
+      options: normalizeRoomOptions(options),
+      status: "lobby",
+      members: [],
+      match: null,
+    };
+  }
+
+  function getSeat(room, clientId) {
+    const seat = room.members.findIndex((member) => member.clientId === clientId);
+    return seat >= 0 ? seat : null;
+  }
+
+  function joinRoom(room, clientId, name) {
+    if (getSeat(room, clientId) !== null) {
+      return { ok: true, error: null, room };
+    }
+    if (room.members.length >= ROOM_SEATS) {
+      return { ok: false, error: "Sala cheia.", room };
+    }
+    if (room.status !== "lobby") {
+      return { ok: false, error: "A partida já começou.", room };
+    }
+    return {
+      ok: true,
+      error: null,
+      room: {
+        ...room,
+        members: [
+          ...room.members,
+          { clientId, name: normalizeName(name, `Jogador ${room.members.length + 1}`), ready: false },
+        ],
+      },
+    };
+  }
+
+  function resetReady(members) {
+    return members.map((member) => ({ ...member, ready: false }));
+  }
+
+  // A seat emptying mid-match ends the match for everyone: the room goes
+  // back to the lobby and waits for a new opponent.
+  function leaveRoom(room, clientId) {
+    if (getSeat(room, clientId) === null) {
+      return room;
+    }
+    return {
+      ...room,
+      status: "lobby",
+      match: null,
+      members: resetReady(room.members.filter((member) => member.clientId !== clientId)),
+    };
+  }
+
+  // `ready` in the lobby is the ready check; after a match it doubles as
+  // the rematch vote.
+  function setMemberReady(room, clientId, ready) {
+    if (getSeat(room, clientId) === null || room.status === "playing") {
+      return room;
+    }
+    return {
+      ...room,
+      members: room.members.map((member) =>
+        member.clientId === clientId ? { ...member, ready: ready === true } : member
+      ),
+    };
+  }
+
+  function canStartMatch(room) {
+    return (
+      room.status !== "playing" &&
+      room.members.length === ROOM_SEATS &&
+      room.members.every((member) => member.ready)
+    );
+  }
+
+  function startMatch(room, seed) {
+    const { mode, ...options } = room.options;
+    return {
+      ...room,
+      status: "playing",
+      members: resetReady(room.members),
+      match: {
+        seed,
+        tick: 0,
+        state: SnakeModes.createModeState({ ...options, mode, seed }),
+        inputs: [],
+        acks: room.members.map(() => 0),
+      },
+    };
+  }
+
+  // Inputs are stamped with the client's tick. Late ones land on the
+  // server's current tick; early ones wait for theirs, capped so a client
+  // can't schedule moves far into the future. Repeated sequence numbers and
+  // inputs past MAX_INPUTS_PER_TICK for a seat's tick are dropped.
+  function queueMatchInput(room, clientId, input) {
+    const seat = getSeat(room, clientId);
+    if (seat === null || room.status !== "playing" || input.seq <= room.match.acks[seat]) {
+      return room;
+    }
+    const { match } = room;
+    const applyTick = Math.min(
+      Math.max(input.tick, match.tick),
+      match.tick + MAX_PREDICTION_TICKS
+    );
+    const pending = match.inputs.filter((queued) => queued.seat === seat);
+    if (
+      pending.some((queued) => queued.seq === input.seq) ||
+      pending.filter((queued) => queued.applyTick === applyTick).length >= MAX_INPUTS_PER_TICK
+    ) {
+      return room;
+    }
+    return {
+      ...room,
+      match: {
+        ...match,
+        inputs: [...match.inputs, { ...input, seat, applyTick }],
+      },
+    };
+  }
+
+  function compareInputs(a, b) {
+    return a.applyTick - b.applyTick || a.sentAt - b.sentAt || a.seat - b.seat || a.seq - b.seq;
+  }
+
+  function stepMatch(room) {
+    if (room.status !== "playing") {
+      return room;
+    }
+
+    const { match } = room;
+    const due = match.inputs.filter((input) => input.applyTick <= match.tick).sort(compareInputs);
+    let state = match.state;
+    const acks = [...match.acks];
+    for (const input of due) {
+      state = SnakeModes.queueModeDirection(state, input.direction, input.seat);
+      acks[input.seat] = Math.max(acks[input.seat], input.seq);
+    }
+    state = SnakeModes.stepModeState(state);
+
+    return {
+      ...room,
+      status: state.isGameOver ? "finished" : "playing",
+      match: {
+        ...match,
+        tick: match.tick + 1,
+        state,
+        inputs: match.inputs.filter((input) => input.applyTick > match.tick),
+        acks,
+      },
+    };
+  }
+
+  function getRoomSummary(room) {
+    return {
+      id: room.id,
+      status: room.status,
+      options: room.options,
+      members: room.members.map((member, seat) => ({
+        seat,
+        name: member.name,
+        ready: member.ready,
+      })),
+    };
+  }
+
+  function createSnapshot(room) {
+    return {
+      tick: room.match.tick,
+      state: room.match.state,
+      acks: [...room.match.acks],
+    };
+  }
+
+  // Client side. The local seat's inputs are applied immediately and kept
+  // until the server acknowledges them; every snapshot rewinds to the
+  // server's state and replays whatever is still unacknowledged.
+  function createPrediction(seat, snapshot) {
+    return {
+      seat,
+      serverTick: snapshot.tick,
+      tick: snapshot.tick,
+      state: snapshot.state,
+      pending: [],
+      nextSeq: (snapshot.acks?.[seat] ?? 0) + 1,
+    };
+  }
+
+  function predictDirection(prediction, direction, sentAt = 0) {
+    const input = { seq: prediction.nextSeq, tick: prediction.tick, direction, sentAt };
+    return {
+      prediction: {
+        ...prediction,
+        state: SnakeModes.queueModeDirection(prediction.state, direction, prediction.seat),
+        pending: [...prediction.pending, input],
+        nextSeq: prediction.nextSeq + 1,
+      },
+      input,
+    };
+  }
+
+  function canAdvancePrediction(prediction) {
+    return (
+      !prediction.state.isGameOver &&
+      prediction.tick - prediction.serverTick < MAX_PREDICTION_TICKS
+    );
+  }
+
+  function advancePrediction(prediction) {
+    if (!canAdvancePrediction(prediction)) {
+      return prediction;
+    }
+    return {
+      ...prediction,
+      tick: prediction.tick + 1,
+      state: SnakeModes.stepModeState(prediction.state),
+    };
+  }
+
+  function reconcilePrediction(prediction, snapshot) {
+    if (snapshot.tick < prediction.serverTick) {
+      return prediction;
+    }
+
+    const ack = snapshot.acks?.[prediction.seat] ?? 0;
+    const pending = prediction.pending.filter((input) => input.seq > ack);
+    const targetTick = snapshot.state.isGameOver
+      ? snapshot.tick
+      : Math.max(prediction.tick, snapshot.tick);
+    // Unacknowledged inputs stamped before the snapshot are still in flight;
+    // the earliest the server can apply them is the snapshot's tick.
+    const applyTickOf = (input) => Math.max(input.tick, snapshot.tick);
+    const queueDue = (state, tick) =>
+      pending
+        .filter((input) => applyTickOf(input) === tick)
+        .reduce(
+          (next, input) => SnakeModes.queueModeDirection(next, input.direction, prediction.seat),
+          state
+        );
+
+    let state = snapshot.state;
+    for (let tick = snapshot.tick; tick < targetTick; tick += 1) {
+      state = SnakeModes.stepModeState(queueDue(state, tick));
+    }
+    if (!state.isGameOver) {
+      state = queueDue(state, targetTick);
+    }
+
+    return {
+      ...prediction,
+      serverTick: snapshot.tick,
+      tick: targetTick,
+      state,
+      pending,
+    };
+  }
+
+  const api = Object.freeze({
+    PROTOCOL_VERSION,
+    DEFAULT_PORT,
+    NET_MODES,
+    ROOM_SEATS,
+    MAX_PREDICTION_TICKS,
+    MAX_INPUTS_PER_TICK,
+    CLIENT_MESSAGE_TYPES,
+    SERVER_MESSAGE_TYPES,
+    normalizeName,
+    normalizeRoomCode,
+    createRoomCode,
+    normalizeRoomOptions,
+    encodeMessage,
+    parseClientMessage,
+    parseServerMessage,
+    createRoom,
+    getSeat,
+    joinRoom,
+    leaveRoom,
+    setMemberReady,
+    canStartMatch,
+    startMatch,
+    queueMatchInput,
+    stepMatch,
+    getRoomSummary,
+    createSnapshot,
+    createPrediction,
+    predictDirection,
+    canAdvancePrediction,
+    advancePrediction,
+    reconcilePrediction,
+  });
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  global.NetProtocol = api;
+})(typeof globalThis !== "undefined" ? globalThis : window);
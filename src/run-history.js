@@ -0,0 +1,238 @@
+(function defineRunHistory(global) {
+  "use strict";
+
+  const SoulsData =
+    global.SoulsData ||
+    (typeof require !== "undefined" ? require("./souls-data.js") : null);
+  const SoulsProfile =
+    global.SoulsProfile ||
+    (typeof require !== "undefined" ? require("./souls-profile.js") : null);
+
+  if (!SoulsData || !SoulsProfile) {
+    throw new Error("RunHistory requires SoulsData and SoulsProfile.");
+  }
+
+  const STORAGE_KEY = "snake-run-history-v1";
+  const HISTORY_VERSION = 1;
+  const MAX_ENTRIES = 100;
+  const STAGE_TYPES = Object.freeze(["normal", "boss", "final_boss"]);
+
+  function createEmptyHistory() {
+    return {
+      version: HISTORY_VERSION,
+      nextId: 1,
+      entries: [],
+    };
+  }
+
+  function toCount(value) {
+    return Number.isFinite(value) ? Math.max(0, Math.floor(value)) : 0;
+  }
+
+  function toOptionalCount(value) {
+    return Number.isFinite(value) ? toCount(value) : null;
+  }
+
+  function sanitizePowers(powers) {
+    if (!powers || typeof powers !== "object") {
+      return null;
+    }
+    const next = {};
+    for (const power of SoulsData.POWER_POOL) {
+      const stacks = toCount(powers[power.id]);
+      if (stacks > 0) {
+        next[power.id] = Math.min(power.maxStacks, stacks);
+      }
+    }
+    return next;
+  }
+
+  function sanitizeRunes(runes) {
+    if (!runes || typeof runes !== "object") {
+      return null;
+    }
+    return {
+      carried: toCount(runes.carried),
+      banked: toCount(runes.banked),
+      echoed: toCount(runes.echoed),
+    };
+  }
+
+  function sanitizeTimeline(timeline) {
+    return (Array.isArray(timeline) ? timeline : [])
+      .filter((step) => step && typeof step === "object" && Number.isFinite(step.floor))
+      .map((step) => ({
+        floor: Math.max(1, toCount(step.floor)),
+        stageType: STAGE_TYPES.includes(step.stageType) ? step.stageType : "normal",
+        clearMs: toCount(step.clearMs),
+      }));
+  }
+
+  function sanitizeEntry(entry) {
+    if (!entry || typeof entry !== "object") {
+      return null;
+    }
+    if (!SoulsProfile.STAT_PLAY_MODES.includes(entry.mode) || !Number.isFinite(entry.endedAt)) {
+      return null;
+    }
+
+    const challenge =
+      entry.challenge && typeof entry.challenge === "object"
+        ? {
+          kind: entry.challenge.kind === "weekly" ? "weekly" : "daily",
+          practice: entry.challenge.practice === true,
+        }
+        : null;
+    const versusWins =
+      Array.isArray(entry.versusWins) && entry.versusWins.length === 2
+        ? entry.versusWins.map(toCount)
+        : null;
+
+    return {
+      id: toCount(entry.id),
+      endedAt: Math.floor(entry.endedAt),
+      mode: entry.mode,
+      challenge,
+      snakeId: SoulsData.SNAKES.some((snake) => snake.id === entry.snakeId) ? entry.snakeId : null,
+      seed: Number.isFinite(entry.seed) ? entry.seed : null,
+      score: toOptionalCount(entry.score),
+      versusWins,
+      floor: toOptionalCount(entry.floor),
+      cycle: toOptionalCount(entry.cycle),
+      deathCause: SoulsProfile.STAT_DEATH_CAUSES.includes(entry.deathCause)
+        ? entry.deathCause
+        : null,
+      powers: sanitizePowers(entry.powers),
+      runes: sanitizeRunes(entry.runes),
+      durationMs: toCount(entry.durationMs),
+      timeline: sanitizeTimeline(entry.timeline),
+    };
+  }
+
+  function sanitizeHistory(input) {
+    const raw = input && typeof input === "object" ? input : {};
+    const entries = [];
+    let highestId = 0;
+
+    for (const entry of Array.isArray(raw.entries) ? raw.entries : []) {
+      if (entries.length >= MAX_ENTRIES) break;
+      const safeEntry = sanitizeEntry(entry);
+      if (!safeEntry || safeEntry.id < 1 || entries.some((other) => other.id === safeEntry.id)) {
+        continue;
+      }
+      entries.push(safeEntry);
+      highestId = Math.max(highestId, safeEntry.id);
+    }
+
+    return {
+      version: HISTORY_VERSION,
+      nextId: Math.max(toCount(raw.nextId), highestId + 1),
+      entries,
+    };
+  }
+
+  function loadHistory(storageValue) {
+    if (!storageValue) {
+      return createEmptyHistory();
+    }
+
+    try {
+      const parsed =
+        typeof storageValue === "string"
+          ? JSON.parse(storageValue)
+          : storageValue;
+      return sanitizeHistory(parsed);
+    } catch {
+      return createEmptyHistory();
+    }
+  }
+
+  function saveHistory(history) {
+    return JSON.stringify(sanitizeHistory(history));
+  }
+
+  // Snapshot of a finished run. `details` carries what the mode state doesn't
+  // know: { endedAt, durationMs, deathCause, online }.
+  function createRunEntry(state, details = {}) {
+    const souls = state.mode === "souls" ? state.souls : null;
+    const hasLevels = state.mode === "levels" || state.timeAttack?.course === "levels";
+
+    return sanitizeEntry({
+      id: 0,
+      endedAt: details.endedAt ?? Date.now(),
+      mode: details.online ? "online" : state.mode,
+      challenge: state.challenge ?? null,
+      snakeId: souls?.selectedSnakeId ?? null,
+      seed: state.seed,
+      score: state.versus ? null : state.base.score,
+      versusWins: state.versus?.wins ?? null,
+      floor: souls ? souls.floor : hasLevels ? state.level : null,
+      cycle: souls?.cycle ?? null,
+      deathCause: details.deathCause ?? null,
+      powers: souls?.powers ?? null,
+      runes: souls
+        ? {
+          carried: souls.lastDeathRunes,
+          banked: souls.bankedRunes,
+          echoed: souls.lastDeathEcho,
+        }
+        : null,
+      durationMs: details.durationMs ?? 0,
+      timeline: souls?.floorTimeline ?? [],
+    });
+  }
+
+  // Newest first; the oldest runs fall off past MAX_ENTRIES.
+  function addEntry(history, entry) {
+    const safeHistory = sanitizeHistory(history);
+    const safeEntry = sanitizeEntry(entry);
+    if (!safeEntry) {
+      return safeHistory;
+    }
+
+    return {
+      ...safeHistory,
+      nextId: safeHistory.nextId + 1,
+      entries: [{ ...safeEntry, id: safeHistory.nextId }, ...safeHistory.entries].slice(
+        0,
+        MAX_ENTRIES
+      ),
+    };
+  }
+
+  function getEntry(history, entryId) {
+    return history.entries.find((entry) => entry.id === entryId) ?? null;
+  }
+
+  // Each filter is a value to match or "all"; "none" matches runs without a
+  // death cause (finished versus matches and time attack courses).
+  function filterEntries(history, filters = {}) {
+    const { mode = "all", snakeId = "all", deathCause = "all" } = filters;
+    return history.entries.filter(
+      (entry) =>
+        (mode === "all" || entry.mode === mode) &&
+        (snakeId === "all" || entry.snakeId === snakeId) &&
+        (deathCause === "all" || (entry.deathCause ?? "none") === deathCause)
+    );
+  }
+
+  const api = Object.freeze({
+    STORAGE_KEY,
+    HISTORY_VERSION,
+    MAX_ENTRIES,
+    createEmptyHistory,
+    sanitizeHistory,
+    loadHistory,
+    saveHistory,
+    createRunEntry,
+    addEntry,
+    getEntry,
+    filterEntries,
+  });
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  global.RunHistory = api;
+})(typeof globalThis !== "undefined" ? globalThis : window);
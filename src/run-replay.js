@@ -0,0 +1,329 @@
+(function defineRunReplay(global) {
+  "use strict";
+
+  const SnakeModes =
+    global.SnakeModes ||
+    (typeof require !== "undefined" ? require("./snake-modes.js") : null);
+
+  if (!SnakeModes) {
+    throw new Error("RunReplay requires SnakeModes.");
+  }
+
+  const REPLAY_VERSION = 1;
+  const REPLAY_SPEEDS = Object.freeze([0.5, 1, 2, 4]);
+  const DEFAULT_INTERVAL_STEP_MS = 136;
+  const EVENT_TYPES = Object.freeze([
+    "direction",
+    "hold",
+    "pause",
+    "reward",
+    "reroll",
+    "ability",
+    "viewport",
+  ]);
+
+  function toFrame(value) {
+    return Number.isFinite(value) ? Math.max(0, Math.floor(value)) : 0;
+  }
+
+  function cloneModeOptions(options) {
+    const source = options && typeof options === "object" ? options : {};
+    const next = {};
+    for (const key of [
+      "width",
+      "height",
+      "soulsSnakeId",
+      "viewportAspect",
+      "wrapWalls",
+      "movement",
+      "course",
+      "bestOf",
+      "rival",
+      "coop",
+    ]) {
+      if (source[key] !== undefined) {
+        next[key] = source[key];
+      }
+    }
+    if (source.soulsProfile) {
+      next.soulsProfile = JSON.parse(JSON.stringify(source.soulsProfile));
+    }
+    if (source.campaign) {
+      next.campaign = JSON.parse(JSON.stringify(source.campaign));
+    }
+    if (source.challenge) {
+      next.challenge = JSON.parse(JSON.stringify(source.challenge));
+    }
+    return next;
+  }
+
+  // `stepMs` is the fixed delta used by the Souls RAF loop; interval-driven
+  // modes leave it null and step once per tick.
+  function createRecording(options = {}) {
+    return {
+      version: REPLAY_VERSION,
+      mode: options.mode ?? "traditional",
+      seed: options.seed,
+      stepMs: Number.isFinite(options.stepMs) ? options.stepMs : null,
+      modeOptions: cloneModeOptions(options.modeOptions),
+      events: [],
+      frameCount: 0,
+      finished: false,
+    };
+  }
+
+  // Recorders are appended to on every input, so this mutates in place.
+  function recordEvent(recording, frame, type, value = null) {
+    if (!recording || recording.finished || !EVENT_TYPES.includes(type)) {
+      return recording;
+    }
+
+    recording.events.push({ frame: toFrame(frame), type, value });
+    return recording;
+  }
+
+  function finishRecording(recording, frameCount) {
+    if (!recording) {
+      return recording;
+    }
+
+    recording.frameCount = Math.max(
+      toFrame(frameCount),
+      recording.events.length > 0
+        ? recording.events[recording.events.length - 1].frame
+        : 0
+    );
+    recording.finished = true;
+    return recording;
+  }
+
+  function serializeRecording(recording) {
+    return JSON.stringify(recording);
+  }
+
+  function parseRecording(input) {
+    let raw = input;
+    if (typeof input === "string") {
+      try {
+        raw = JSON.parse(input);
+      } catch {
+        return { ok: false, error: "Replay inválido: JSON malformado.", recording: null };
+      }
+    }
+
+    if (!raw || typeof raw !== "object") {
+      return { ok: false, error: "Replay inválido.", recording: null };
+    }
+
+    if (raw.version !== REPLAY_VERSION) {
+      return { ok: false, error: "Versão de replay não suportada.", recording: null };
+    }
+
+    if (!Number.isFinite(raw.seed)) {
+      return { ok: false, error: "Replay sem seed.", recording: null };
+    }
+
+    const events = Array.isArray(raw.events)
+      ? raw.events
+        .filter((event) => event && EVENT_TYPES.includes(event.type))
+        .map((event) => ({
+          frame: toFrame(event.frame),
+          type: event.type,
+          value: event.value ?? null,
+        }))
+        .sort((a, b) => a.frame - b.frame)
+      : [];
+
+    const recording = {
+      version: REPLAY_VERSION,
+      mode: ["traditional", "levels", "souls", "timeattack", "versus"].includes(raw.mode)
+        ? raw.mode
+        : "traditional",
+      seed: raw.seed,
+      stepMs: Number.isFinite(raw.stepMs) ? raw.stepMs : null,
+      modeOptions: cloneModeOptions(raw.modeOptions),
+      events,
+      frameCount: toFrame(raw.frameCount),
+      finished: true,
+    };
+
+    return { ok: true, error: null, recording };
+  }
+
+  function createInitialReplayState(recording) {
+    return SnakeModes.createModeState({
+      ...cloneModeOptions(recording.modeOptions),
+      mode: recording.mode,
+      seed: recording.seed,
+    });
+  }
+
+  function createReplayPlayer(recording) {
+    return {
+      recording,
+      state: createInitialReplayState(recording),
+      frame: 0,
+      eventIndex: 0,
+      hold: false,
+      partnerHold: false,
+      viewportAspect: recording.modeOptions.viewportAspect ?? 1,
+      isPlaying: true,
+      speed: 1,
+      accumulatorMs: 0,
+    };
+  }
+
+  function isReplayFinished(player) {
+    return (
+      player.frame >= player.recording.frameCount || Boolean(player.state?.isGameOver)
+    );
+  }
+
+  function applyReplayEvent(player, event) {
+    const state = player.state;
+    // Versus and co-op inputs carry the seat that made them.
+    const seated = typeof event.value === "object" && event.value !== null;
+    if (event.type === "direction") {
+      player.state = seated
+        ? SnakeModes.queueModeDirection(state, event.value.direction, event.value.player)
+        : SnakeModes.queueModeDirection(state, event.value);
+    } else if (event.type === "hold") {
+      if (seated && event.value.player === 1) {
+        player.partnerHold = event.value.hold === true;
+      } else {
+        player.hold = (seated ? event.value.hold : event.value) === true;
+      }
+    } else if (event.type === "pause") {
+      player.state = SnakeModes.toggleModePause(state);
+    } else if (event.type === "reward") {
+      player.state = seated
+        ? SnakeModes.chooseSoulsReward(state, event.value.powerId, {
+          playerIndex: event.value.player,
+        })
+        : SnakeModes.chooseSoulsReward(state, event.value);
+    } else if (event.type === "reroll") {
+      player.state = SnakeModes.rerollSoulsReward(state);
+    } else if (event.type === "ability") {
+      player.state = SnakeModes.activateSoulsAbility(state, {
+        playerIndex: seated ? event.value.player : 0,
+      });
+    } else if (event.type === "viewport") {
+      player.viewportAspect = Number(event.value) || player.viewportAspect;
+    }
+  }
+
+  function applyPendingEvents(player) {
+    const events = player.recording.events;
+    while (
+      player.eventIndex < events.length &&
+      events[player.eventIndex].frame <= player.frame
+    ) {
+      applyReplayEvent(player, events[player.eventIndex]);
+      player.eventIndex += 1;
+    }
+  }
+
+  function stepReplayPlayer(player) {
+    if (isReplayFinished(player)) {
+      return player;
+    }
+
+    applyPendingEvents(player);
+    const stepOptions = {
+      holdCurrentDirection: player.hold,
+      partnerHoldCurrentDirection: player.partnerHold,
+      viewportAspect: player.viewportAspect,
+    };
+    if (player.recording.stepMs !== null) {
+      stepOptions.deltaMs = player.recording.stepMs;
+    }
+
+    player.state = SnakeModes.stepModeState(player.state, stepOptions);
+    player.frame += 1;
+    if (player.frame >= player.recording.frameCount) {
+      // Trailing inputs (a final reward pick, say) belong to the last frame.
+      applyPendingEvents(player);
+    }
+    return player;
+  }
+
+  function seekReplayPlayer(player, frame) {
+    const target = Math.min(toFrame(frame), player.recording.frameCount);
+    if (target < player.frame) {
+      player.state = createInitialReplayState(player.recording);
+      player.frame = 0;
+      player.eventIndex = 0;
+      player.hold = false;
+      player.partnerHold = false;
+      player.viewportAspect = player.recording.modeOptions.viewportAspect ?? 1;
+    }
+
+    while (player.frame < target && !isReplayFinished(player)) {
+      stepReplayPlayer(player);
+    }
+    player.accumulatorMs = 0;
+    return player;
+  }
+
+  function getReplayFrameMs(player) {
+    if (player.recording.stepMs !== null) {
+      return player.recording.stepMs;
+    }
+    return Math.max(1, player.state?.tickMs ?? DEFAULT_INTERVAL_STEP_MS);
+  }
+
+  function setReplaySpeed(player, speed) {
+    const numeric = Number(speed);
+    player.speed = REPLAY_SPEEDS.includes(numeric) ? numeric : 1;
+    return player;
+  }
+
+  function advanceReplayPlayer(player, deltaMs, maxSteps = 240) {
+    if (!player.isPlaying || isReplayFinished(player)) {
+      return 0;
+    }
+
+    player.accumulatorMs += Math.max(0, deltaMs) * player.speed;
+    let steps = 0;
+    while (steps < maxSteps && !isReplayFinished(player)) {
+      const frameMs = getReplayFrameMs(player);
+      if (player.accumulatorMs + 1e-6 < frameMs) {
+        break;
+      }
+      player.accumulatorMs = Math.max(0, player.accumulatorMs - frameMs);
+      stepReplayPlayer(player);
+      steps += 1;
+    }
+
+    if (steps >= maxSteps) {
+      player.accumulatorMs = 0;
+    }
+    if (isReplayFinished(player)) {
+      player.isPlaying = false;
+    }
+    return steps;
+  }
+
+  const api = Object.freeze({
+    REPLAY_VERSION,
+    REPLAY_SPEEDS,
+    EVENT_TYPES,
+    createRecording,
+    recordEvent,
+    finishRecording,
+    serializeRecording,
+    parseRecording,
+    createReplayPlayer,
+    stepReplayPlayer,
+    seekReplayPlayer,
+    advanceReplayPlayer,
+    setReplaySpeed,
+    isReplayFinished,
+  });
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  global.RunReplay = api;
+})(typeof globalThis !== "undefined" ? globalThis : window);
@@ -0,0 +1,96 @@
+(function defineRunSeed(global) {
+  "use strict";
+
+  const SEED_HEX_LENGTH = 8;
+
+  function toUint32(value) {
+    return value >>> 0;
+  }
+
+  function hashString(text) {
+    // FNV-1a: lets players type words as seeds ("daily", "boss-test").
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i += 1) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return toUint32(hash);
+  }
+
+  function normalizeSeed(value) {
+    if (typeof value === "number") {
+      return Number.isFinite(value) ? toUint32(Math.floor(value)) : null;
+    }
+
+    return parseSeed(value);
+  }
+
+  function parseSeed(text) {
+    if (typeof text !== "string") {
+      return null;
+    }
+
+    const normalized = text.trim();
+    if (!normalized) {
+      return null;
+    }
+
+    if (/^[0-9a-f]{1,8}$/i.test(normalized)) {
+      return toUint32(parseInt(normalized, 16));
+    }
+
+    return hashString(normalized.toLowerCase());
+  }
+
+  function formatSeed(seed) {
+    const safe = normalizeSeed(seed) ?? 0;
+    return safe.toString(16).toUpperCase().padStart(SEED_HEX_LENGTH, "0");
+  }
+
+  function generateSeed(random = Math.random) {
+    return toUint32(Math.floor(random() * 0x100000000));
+  }
+
+  function deriveSeed(seed, ...salts) {
+    let value = toUint32(normalizeSeed(seed) ?? 0);
+    for (const salt of salts) {
+      const saltValue =
+        typeof salt === "string" ? hashString(salt) : toUint32(Math.floor(salt ?? 0));
+      value ^= Math.imul(saltValue ^ (saltValue >>> 16), 0x45d9f3b);
+      value = Math.imul(value ^ (value >>> 13), 1274126177);
+      value = toUint32(value ^ (value >>> 16));
+    }
+    return value;
+  }
+
+  function createSeededRng(seedOrState) {
+    // Mulberry32 with an exposed state so the generator can live inside
+    // serializable mode state (see `rngState` in SnakeModes).
+    let state = toUint32(normalizeSeed(seedOrState) ?? 0);
+    const next = () => {
+      state = toUint32(state + 0x6d2b79f5);
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return toUint32(t ^ (t >>> 14)) / 4294967296;
+    };
+    next.getState = () => state;
+    return next;
+  }
+
+  const api = Object.freeze({
+    SEED_HEX_LENGTH,
+    hashString,
+    normalizeSeed,
+    parseSeed,
+    formatSeed,
+    generateSeed,
+    deriveSeed,
+    createSeededRng,
+  });
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  global.RunSeed = api;
+})(typeof globalThis !== "undefined" ? globalThis : window);
@@ -0,0 +1,244 @@
+(function defineSaveSlots(global) {
+  "use strict";
+
+  const SoulsData =
+    global.SoulsData ||
+    (typeof require !== "undefined" ? require("./souls-data.js") : null);
+
+  if (!SoulsData) {
+    throw new Error("SaveSlots requires SoulsData.");
+  }
+
+  const STORAGE_KEY = "snake-save-slots-v1";
+  const INDEX_VERSION = 1;
+  const MAX_SLOTS = 5;
+  const MAX_NAME_LENGTH = 24;
+  // The first slot keeps the storage keys used before slots existed, so an
+  // existing profile and its settings become "Perfil 1" without being copied.
+  const DEFAULT_SLOT_ID = "1";
+
+  function createDefaultIndex() {
+    return {
+      version: INDEX_VERSION,
+      activeSlotId: DEFAULT_SLOT_ID,
+      nextId: 2,
+      slots: [{ id: DEFAULT_SLOT_ID, name: "Perfil 1" }],
+    };
+  }
+
+  function normalizeSlotName(name) {
+    return typeof name === "string"
+      ? name.trim().replace(/\s+/g, " ").slice(0, MAX_NAME_LENGTH).trim()
+      : "";
+  }
+
+  function isNameTaken(index, name, ignoredSlotId = null) {
+    const wanted = name.toLocaleLowerCase("pt-BR");
+    return index.slots.some(
+      (slot) => slot.id !== ignoredSlotId && slot.name.toLocaleLowerCase("pt-BR") === wanted
+    );
+  }
+
+  function sanitizeIndex(input) {
+    const raw = input && typeof input === "object" ? input : {};
+    const slots = [];
+    let highestId = 0;
+
+    for (const slot of Array.isArray(raw.slots) ? raw.slots : []) {
+      if (slots.length >= MAX_SLOTS || !slot || typeof slot !== "object") continue;
+      const id = typeof slot.id === "string" && /^[1-9]\d*$/.test(slot.id) ? slot.id : null;
+      const name = normalizeSlotName(slot.name);
+      if (!id || !name || slots.some((other) => other.id === id)) continue;
+      if (isNameTaken({ slots }, name)) continue;
+      slots.push({ id, name });
+      highestId = Math.max(highestId, Number(id));
+    }
+
+    if (slots.length === 0) {
+      return createDefaultIndex();
+    }
+
+    const nextId = Number.isInteger(raw.nextId) ? raw.nextId : 0;
+    return {
+      version: INDEX_VERSION,
+      activeSlotId: slots.some((slot) => slot.id === raw.activeSlotId)
+        ? raw.activeSlotId
+        : slots[0].id,
+      nextId: Math.max(nextId, highestId + 1),
+      slots,
+    };
+  }
+
+  function loadIndex(storageValue) {
+    if (!storageValue) {
+      return createDefaultIndex();
+    }
+
+    try {
+      const parsed =
+        typeof storageValue === "string"
+          ? JSON.parse(storageValue)
+          : storageValue;
+      return sanitizeIndex(parsed);
+    } catch {
+      return createDefaultIndex();
+    }
+  }
+
+  function saveIndex(index) {
+    return JSON.stringify(sanitizeIndex(index));
+  }
+
+  function getSlotStorageKey(baseKey, slotId) {
+    return slotId === DEFAULT_SLOT_ID ? baseKey : `${baseKey}:slot-${slotId}`;
+  }
+
+  function getSlot(index, slotId) {
+    return index.slots.find((slot) => slot.id === slotId) ?? null;
+  }
+
+  function getActiveSlot(index) {
+    return getSlot(index, index.activeSlotId) ?? index.slots[0];
+  }
+
+  function validateNewName(index, name, ignoredSlotId = null) {
+    if (!name) {
+      return "Dê um nome ao perfil.";
+    }
+    if (isNameTaken(index, name, ignoredSlotId)) {
+      return `Já existe um perfil chamado "${name}".`;
+    }
+    return null;
+  }
+
+  function addSlot(index, name) {
+    if (index.slots.length >= MAX_SLOTS) {
+      return { ok: false, error: `Limite de ${MAX_SLOTS} perfis atingido.`, index, slot: null };
+    }
+    const error = validateNewName(index, name);
+    if (error) {
+      return { ok: false, error, index, slot: null };
+    }
+
+    const slot = { id: String(index.nextId), name };
+    return {
+      ok: true,
+      error: null,
+      index: { ...index, nextId: index.nextId + 1, slots: [...index.slots, slot] },
+      slot,
+    };
+  }
+
+  function createSlot(index, name) {
+    return addSlot(sanitizeIndex(index), normalizeSlotName(name));
+  }
+
+  function renameSlot(index, slotId, name) {
+    const safeIndex = sanitizeIndex(index);
+    if (!getSlot(safeIndex, slotId)) {
+      return { ok: false, error: "Perfil não encontrado.", index: safeIndex };
+    }
+    const safeName = normalizeSlotName(name);
+    const error = validateNewName(safeIndex, safeName, slotId);
+    if (error) {
+      return { ok: false, error, index: safeIndex };
+    }
+
+    return {
+      ok: true,
+      error: null,
+      index: {
+        ...safeIndex,
+        slots: safeIndex.slots.map((slot) => (slot.id === slotId ? { ...slot, name: safeName } : slot)),
+      },
+    };
+  }
+
+  // Only creates the index entry: the caller copies the slot's stored data
+  // (see getSlotStorageKey) from `source.id` to `slot.id`.
+  function duplicateSlot(index, slotId, name = "") {
+    const safeIndex = sanitizeIndex(index);
+    const source = getSlot(safeIndex, slotId);
+    if (!source) {
+      return { ok: false, error: "Perfil não encontrado.", index: safeIndex, slot: null };
+    }
+
+    let safeName = normalizeSlotName(name);
+    if (!safeName) {
+      for (let copy = 1; !safeName || isNameTaken(safeIndex, safeName); copy += 1) {
+        const suffix = copy === 1 ? " (cópia)" : ` (cópia ${copy})`;
+        safeName = `${source.name.slice(0, MAX_NAME_LENGTH - suffix.length).trim()}${suffix}`;
+      }
+    }
+
+    const result = addSlot(safeIndex, safeName);
+    return result.ok ? { ...result, source } : result;
+  }
+
+  function deleteSlot(index, slotId) {
+    const safeIndex = sanitizeIndex(index);
+    if (!getSlot(safeIndex, slotId)) {
+      return { ok: false, error: "Perfil não encontrado.", index: safeIndex };
+    }
+    if (safeIndex.slots.length <= 1) {
+      return { ok: false, error: "O último perfil não pode ser apagado.", index: safeIndex };
+    }
+
+    const slots = safeIndex.slots.filter((slot) => slot.id !== slotId);
+    return {
+      ok: true,
+      error: null,
+      index: {
+        ...safeIndex,
+        activeSlotId: safeIndex.activeSlotId === slotId ? slots[0].id : safeIndex.activeSlotId,
+        slots,
+      },
+    };
+  }
+
+  function selectSlot(index, slotId) {
+    const safeIndex = sanitizeIndex(index);
+    if (!getSlot(safeIndex, slotId)) {
+      return { ok: false, error: "Perfil não encontrado.", index: safeIndex };
+    }
+    return { ok: true, error: null, index: { ...safeIndex, activeSlotId: slotId } };
+  }
+
+  // What the slot picker shows for each profile.
+  function summarizeProfile(profile) {
+    return {
+      walletRunes: profile.walletRunes,
+      finalBossClears: profile.finalBossClears,
+      unlockedSnakeNames: SoulsData.SNAKES.filter((snake) =>
+        profile.unlockedSnakeIds.includes(snake.id)
+      ).map((snake) => snake.name),
+    };
+  }
+
+  const api = Object.freeze({
+    STORAGE_KEY,
+    INDEX_VERSION,
+    MAX_SLOTS,
+    MAX_NAME_LENGTH,
+    DEFAULT_SLOT_ID,
+    createDefaultIndex,
+    sanitizeIndex,
+    loadIndex,
+    saveIndex,
+    getSlotStorageKey,
+    getSlot,
+    getActiveSlot,
+    createSlot,
+    renameSlot,
+    duplicateSlot,
+    deleteSlot,
+    selectSlot,
+    summarizeProfile,
+  });
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  global.SaveSlots = api;
+})(typeof globalThis !== "undefined" ? globalThis : window);
@@ -0,0 +1,207 @@
+(function defineSaveTransfer(global) {
+  "use strict";
+
+  const SoulsData =
+    global.SoulsData ||
+    (typeof require !== "undefined" ? require("./souls-data.js") : null);
+  const SoulsProfile =
+    global.SoulsProfile ||
+    (typeof require !== "undefined" ? require("./souls-profile.js") : null);
+  const RunSeed =
+    global.RunSeed ||
+    (typeof require !== "undefined" ? require("./run-seed.js") : null);
+
+  if (!SoulsData || !SoulsProfile || !RunSeed) {
+    throw new Error("SaveTransfer requires SoulsData, SoulsProfile and RunSeed.");
+  }
+
+  const FILE_FORMAT = "snake-souls-save";
+  const SAVE_VERSION = 1;
+  // Share codes look like `SNKS1:<checksum>:<payload>`: the digit is the save
+  // version and the checksum (8 hex digits) covers the decoded payload.
+  const CODE_TAG = "SNKS";
+  const CODE_PREFIX = `${CODE_TAG}${SAVE_VERSION}:`;
+  const MOBILE_CONTROLS = Object.freeze(["dpad", "swipe", "tap"]);
+  const THEMES = Object.freeze(["light", "dark"]);
+
+  function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = "";
+    bytes.forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  function fromBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  }
+
+  function computeChecksum(text) {
+    return RunSeed.formatSeed(RunSeed.hashString(text));
+  }
+
+  function sanitizeSettings(settings) {
+    if (!settings || typeof settings !== "object") {
+      return null;
+    }
+    const next = {};
+    if (MOBILE_CONTROLS.includes(settings.mobileControl)) {
+      next.mobileControl = settings.mobileControl;
+    }
+    if (THEMES.includes(settings.theme)) {
+      next.theme = settings.theme;
+    }
+    return Object.keys(next).length > 0 ? next : null;
+  }
+
+  // `settings` ({ mobileControl, theme }) is optional; anything the profile
+  // carries (stats, future fields) travels with it.
+  function createSaveBundle(profile, settings = null) {
+    const bundle = {
+      format: FILE_FORMAT,
+      version: SAVE_VERSION,
+      profile: SoulsProfile.sanitizeProfile(profile),
+    };
+    const safeSettings = sanitizeSettings(settings);
+    if (safeSettings) {
+      bundle.settings = safeSettings;
+    }
+    return bundle;
+  }
+
+  function encodeSaveFile(bundle) {
+    return `${JSON.stringify(bundle, null, 2)}\n`;
+  }
+
+  function encodeSaveCode(bundle) {
+    const payload = JSON.stringify(bundle);
+    return `${CODE_PREFIX}${computeChecksum(payload)}:${toBase64Url(payload)}`;
+  }
+
+  function failImport(error) {
+    return { ok: false, error, save: null };
+  }
+
+  function decodeSaveCode(text) {
+    const match = /^SNKS(\d+):([0-9A-F]{8}):([A-Za-z0-9_-]+)$/i.exec(text.replace(/\s+/g, ""));
+    if (!match) {
+      return failImport("Código de save inválido.");
+    }
+    if (Number(match[1]) !== SAVE_VERSION) {
+      return failImport(`Código de save da versão ${match[1]}; este jogo lê a versão ${SAVE_VERSION}.`);
+    }
+
+    let payload;
+    try {
+      payload = fromBase64Url(match[3]);
+    } catch {
+      return failImport("Código de save corrompido.");
+    }
+    if (computeChecksum(payload) !== match[2].toUpperCase()) {
+      return failImport("Código de save corrompido: o checksum não confere (faltou copiar algum trecho?).");
+    }
+
+    try {
+      return { ok: true, error: null, save: JSON.parse(payload) };
+    } catch {
+      return failImport("Código de save corrompido.");
+    }
+  }
+
+  // Reads a share code or the text of an exported file. The profile goes
+  // through the same migrations and sanitizing as a stored one.
+  function parseSaveImport(text) {
+    const trimmed = typeof text === "string" ? text.trim() : "";
+    if (!trimmed) {
+      return failImport("Cole um código ou escolha um arquivo de save.");
+    }
+
+    let raw;
+    if (trimmed.toUpperCase().startsWith(CODE_TAG)) {
+      const decoded = decodeSaveCode(trimmed);
+      if (!decoded.ok) {
+        return decoded;
+      }
+      raw = decoded.save;
+    } else {
+      try {
+        raw = JSON.parse(trimmed);
+      } catch {
+        return failImport("Arquivo de save inválido: JSON malformado.");
+      }
+    }
+
+    if (!raw || typeof raw !== "object" || raw.format !== FILE_FORMAT) {
+      return failImport("Isto não é um save do Snake Souls.");
+    }
+    if (raw.version !== SAVE_VERSION) {
+      return failImport(`Save da versão ${raw.version}; este jogo lê a versão ${SAVE_VERSION}.`);
+    }
+    if (!raw.profile || typeof raw.profile !== "object" || Array.isArray(raw.profile)) {
+      return failImport("O save não tem um perfil.");
+    }
+
+    const loaded = SoulsProfile.readProfile(raw.profile);
+    if (!loaded.ok) {
+      return failImport(`Perfil do save inválido: ${loaded.error}`);
+    }
+
+    return {
+      ok: true,
+      error: null,
+      save: {
+        profile: loaded.profile,
+        settings: sanitizeSettings(raw.settings),
+      },
+    };
+  }
+
+  function getSnakeNames(snakeIds) {
+    return SoulsData.SNAKES.filter((snake) => snakeIds.includes(snake.id)).map(
+      (snake) => snake.name
+    );
+  }
+
+  // What importing `incoming` over `current` would change, for the preview.
+  function diffProfiles(current, incoming) {
+    const from = SoulsProfile.sanitizeProfile(current);
+    const to = SoulsProfile.sanitizeProfile(incoming);
+
+    return {
+      walletRunes: { from: from.walletRunes, to: to.walletRunes },
+      finalBossClears: { from: from.finalBossClears, to: to.finalBossClears },
+      snakesGained: getSnakeNames(
+        to.unlockedSnakeIds.filter((snakeId) => !from.unlockedSnakeIds.includes(snakeId))
+      ),
+      snakesLost: getSnakeNames(
+        from.unlockedSnakeIds.filter((snakeId) => !to.unlockedSnakeIds.includes(snakeId))
+      ),
+      bossKills: Object.values(SoulsData.BOSS_INTEL).map((boss) => ({
+        id: boss.id,
+        name: boss.name,
+        from: from.bossKills[boss.id],
+        to: to.bossKills[boss.id],
+      })),
+    };
+  }
+
+  const api = Object.freeze({
+    FILE_FORMAT,
+    SAVE_VERSION,
+    CODE_PREFIX,
+    createSaveBundle,
+    encodeSaveFile,
+    encodeSaveCode,
+    parseSaveImport,
+    diffProfiles,
+  });
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  global.SaveTransfer = api;
+})(typeof globalThis !== "undefined" ? globalThis : window);
@@ -0,0 +1,307 @@
+(function defineSnakeAutopilot(global) {
+  "use strict";
+
+  const SnakeLogic =
+    global.SnakeLogic ||
+    (typeof require !== "undefined" ? require("./snake-logic.js") : null);
+  const SnakeModes =
+    global.SnakeModes ||
+    (typeof require !== "undefined" ? require("./snake-modes.js") : null);
+
+  if (!SnakeLogic || !SnakeModes) {
+    throw new Error("SnakeAutopilot requires SnakeLogic and SnakeModes.");
+  }
+
+  const CARDINAL_DIRECTIONS = Object.freeze(["UP", "RIGHT", "DOWN", "LEFT"]);
+  const SOULS_SEARCH_RADIUS = 16;
+  const MAX_FLOOD_CELLS = 600;
+
+  function keyForPosition(position) {
+    return `${position.x},${position.y}`;
+  }
+
+  function stepPosition(position, direction) {
+    const vector = SnakeLogic.DIRECTION_VECTORS[direction];
+    return { x: position.x + vector.x, y: position.y + vector.y };
+  }
+
+  function getSearchBounds(state) {
+    if (state.mode !== "souls") {
+      return {
+        minX: 0,
+        minY: 0,
+        maxX: state.base.width - 1,
+        maxY: state.base.height - 1,
+        wrap: state.base.wrapWalls === true,
+      };
+    }
+
+    // Souls is an infinite world; only what the camera shows is known.
+    const camera = state.souls.camera;
+    const head = state.base.snake[0];
+    const halfWidth = camera ? Math.floor(camera.width / 2) : SOULS_SEARCH_RADIUS;
+    const halfHeight = camera ? Math.floor(camera.height / 2) : SOULS_SEARCH_RADIUS;
+    return {
+      minX: head.x - halfWidth,
+      minY: head.y - halfHeight,
+      maxX: head.x + halfWidth,
+      maxY: head.y + halfHeight,
+      wrap: false,
+    };
+  }
+
+  function moveWithinBounds(bounds, position, direction) {
+    const next = stepPosition(position, direction);
+    if (!bounds.wrap) {
+      return next;
+    }
+    return SnakeLogic.wrapPosition(
+      next,
+      bounds.maxX - bounds.minX + 1,
+      bounds.maxY - bounds.minY + 1
+    );
+  }
+
+  function isInsideBounds(bounds, position) {
+    return (
+      position.x >= bounds.minX &&
+      position.x <= bounds.maxX &&
+      position.y >= bounds.minY &&
+      position.y <= bounds.maxY
+    );
+  }
+
+  function listEnemies(state) {
+    const enemies = state.enemy ? [state.enemy] : [];
+    if (Array.isArray(state.extraEnemies)) {
+      enemies.push(...state.extraEnemies);
+    }
+    if (state.mode === "souls" && Array.isArray(state.souls.minions)) {
+      enemies.push(...state.souls.minions);
+    }
+    return enemies;
+  }
+
+  function buildObstacleKeys(state, options = {}) {
+    const blocked = new Set();
+    const add = (position) => blocked.add(keyForPosition(position));
+
+    state.barriers.forEach(add);
+    // The tail leaves its cell on the next move unless the snake is growing.
+    state.base.snake.slice(0, -1).forEach(add);
+    const rivalSnake = state.rival && !state.rival.isDead ? state.rival.snake : [];
+    rivalSnake.forEach(add);
+    for (const enemy of listEnemies(state)) {
+      SnakeModes.getEnemyCells(enemy).forEach(add);
+    }
+
+    const arena = state.mode === "souls" ? state.souls : state.bossStage;
+    if (arena) {
+      arena.hazards.forEach(add);
+      if (arena.enemyTeleportPreview) {
+        SnakeModes.getEnemyCells(arena.enemyTeleportPreview).forEach(add);
+      }
+    }
+
+    if (options.avoidThreats) {
+      const threats = listEnemies(state).flatMap((enemy) => SnakeModes.getEnemyCells(enemy));
+      // The rival's head may step into any neighbouring cell next tick.
+      if (rivalSnake.length > 0) {
+        threats.push(rivalSnake[0]);
+      }
+      for (const cell of threats) {
+        CARDINAL_DIRECTIONS.forEach((direction) => {
+          const next = stepPosition(cell, direction);
+          add(
+            state.base.wrapWalls
+              ? SnakeLogic.wrapPosition(next, state.base.width, state.base.height)
+              : next
+          );
+        });
+      }
+    }
+
+    return blocked;
+  }
+
+  function listTargets(state) {
+    const targets = [];
+    if (state.mode === "souls") {
+      const souls = state.souls;
+      if (souls.echo?.position) {
+        targets.push(souls.echo.position);
+      }
+      if (souls.objectiveType === "sigil" && souls.sigil) {
+        targets.push(souls.sigil);
+      }
+      if (souls.objectiveType === "food" && state.base.food) {
+        targets.push(state.base.food);
+      }
+      return targets;
+    }
+
+    if (state.bossStage?.sigil) {
+      targets.push(state.bossStage.sigil);
+    }
+    if (state.powerUp) {
+      targets.push(state.powerUp);
+    }
+    if (state.base.food) {
+      targets.push(state.base.food);
+    }
+    return targets;
+  }
+
+  function getFirstMoves(state) {
+    const snake = state.base.snake;
+    return CARDINAL_DIRECTIONS.filter(
+      (direction) =>
+        snake.length <= 1 || !SnakeLogic.isOppositeDirection(state.base.direction, direction)
+    );
+  }
+
+  function findPathDirection(state, blocked, bounds, targets) {
+    // Plain BFS: the grid is small and every move costs one tick.
+    const head = state.base.snake[0];
+    const targetKeys = new Set(targets.map(keyForPosition));
+    const visited = new Set([keyForPosition(head)]);
+    const queue = [];
+
+    for (const direction of getFirstMoves(state)) {
+      const next = moveWithinBounds(bounds, head, direction);
+      const key = keyForPosition(next);
+      if (blocked.has(key) || !isInsideBounds(bounds, next) || visited.has(key)) {
+        continue;
+      }
+      visited.add(key);
+      queue.push({ position: next, firstDirection: direction });
+    }
+
+    for (let index = 0; index < queue.length; index += 1) {
+      const node = queue[index];
+      if (targetKeys.has(keyForPosition(node.position))) {
+        return node.firstDirection;
+      }
+
+      for (const direction of CARDINAL_DIRECTIONS) {
+        const next = moveWithinBounds(bounds, node.position, direction);
+        const key = keyForPosition(next);
+        if (blocked.has(key) || !isInsideBounds(bounds, next) || visited.has(key)) {
+          continue;
+        }
+        visited.add(key);
+        queue.push({ position: next, firstDirection: node.firstDirection });
+      }
+    }
+
+    return null;
+  }
+
+  function countReachableCells(start, blocked, bounds) {
+    const startKey = keyForPosition(start);
+    if (blocked.has(startKey) || !isInsideBounds(bounds, start)) {
+      return 0;
+    }
+
+    const visited = new Set([startKey]);
+    const queue = [start];
+    for (let index = 0; index < queue.length && visited.size < MAX_FLOOD_CELLS; index += 1) {
+      for (const direction of CARDINAL_DIRECTIONS) {
+        const next = moveWithinBounds(bounds, queue[index], direction);
+        const key = keyForPosition(next);
+        if (!blocked.has(key) && isInsideBounds(bounds, next) && !visited.has(key)) {
+          visited.add(key);
+          queue.push(next);
+        }
+      }
+    }
+    return visited.size;
+  }
+
+  function pickSurvivalDirection(state, blocked, bounds, targets) {
+    // No path to anything: keep the most room and drift toward the nearest
+    // target, which may be off-camera in Souls.
+    const head = state.base.snake[0];
+    const target = targets[0] ?? null;
+    const roomGoal = state.base.snake.length * 2;
+    let best = null;
+    let bestRoom = 0;
+    let bestDistance = Infinity;
+
+    for (const direction of getFirstMoves(state)) {
+      const next = moveWithinBounds(bounds, head, direction);
+      const room = Math.min(roomGoal, countReachableCells(next, blocked, bounds));
+      if (room === 0) {
+        continue;
+      }
+      // Squared distance so a sideways step beats running straight away.
+      const distance = target ? (next.x - target.x) ** 2 + (next.y - target.y) ** 2 : 0;
+      if (room > bestRoom || (room === bestRoom && distance < bestDistance)) {
+        best = direction;
+        bestRoom = room;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  function chooseDirection(state) {
+    const bounds = getSearchBounds(state);
+    const targets = listTargets(state);
+    const head = state.base.snake[0];
+
+    for (const avoidThreats of [true, false]) {
+      const blocked = buildObstacleKeys(state, { avoidThreats });
+      const direction = findPathDirection(state, blocked, bounds, targets);
+      if (!direction) {
+        continue;
+      }
+
+      // Don't take a shortcut into a pocket smaller than the body.
+      const room = countReachableCells(moveWithinBounds(bounds, head, direction), blocked, bounds);
+      if (room >= Math.min(state.base.snake.length, MAX_FLOOD_CELLS)) {
+        return direction;
+      }
+    }
+
+    return (
+      pickSurvivalDirection(state, buildObstacleKeys(state, { avoidThreats: true }), bounds, targets) ??
+      pickSurvivalDirection(state, buildObstacleKeys(state), bounds, targets)
+    );
+  }
+
+  function createAutopilotController() {
+    let lastDecisionKey = null;
+
+    return Object.freeze({
+      id: "autopilot",
+      decide(state) {
+        // Decide once per snake move; the engine steps many times per cell.
+        const decisionKey = `${keyForPosition(state.base.snake[0])}|${state.base.snake.length}`;
+        if (decisionKey === lastDecisionKey) {
+          return null;
+        }
+        lastDecisionKey = decisionKey;
+
+        const direction = chooseDirection(state);
+        return direction && direction !== state.base.direction ? direction : null;
+      },
+      chooseReward(state) {
+        return state.mode === "souls" && state.souls.reward
+          ? state.souls.reward.options[0] ?? null
+          : null;
+      },
+    });
+  }
+
+  const api = Object.freeze({
+    chooseDirection,
+    createAutopilotController,
+  });
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  global.SnakeAutopilot = api;
+})(typeof globalThis !== "undefined" ? globalThis : window);
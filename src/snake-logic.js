@@ -12,6 +12,22 @@
     DOWN_RIGHT: Object.freeze({ x: 1, y: 1 }),
   });
 
+  const CARDINAL_DIRECTIONS = Object.freeze(["UP", "RIGHT", "DOWN", "LEFT"]);
+  const MOVEMENT_MODES = Object.freeze(["4way", "8way"]);
+
+  // Keyboard layouts a player can be bound to. Single-player modes read both.
+  const INPUT_SCHEMES = Object.freeze({
+    wasd: Object.freeze({ w: "UP", s: "DOWN", a: "LEFT", d: "RIGHT" }),
+    arrows: Object.freeze({
+      arrowup: "UP",
+      arrowdown: "DOWN",
+      arrowleft: "LEFT",
+      arrowright: "RIGHT",
+    }),
+  });
+  // Input source per seat on a shared board, in player order.
+  const PLAYER_INPUTS = Object.freeze(["wasd", "arrows"]);
+
   function isOppositeDirection(current, next) {
     const v1 = DIRECTION_VECTORS[current];
     const v2 = DIRECTION_VECTORS[next];
@@ -34,13 +50,61 @@
     return Object.prototype.hasOwnProperty.call(DIRECTION_VECTORS, direction);
   }
 
-  function directionFromInputKey(key) {
+  function isDiagonalDirection(direction) {
+    const vector = DIRECTION_VECTORS[direction];
+    return Boolean(vector && vector.x !== 0 && vector.y !== 0);
+  }
+
+  function normalizeMovement(value) {
+    return value === "8way" ? "8way" : "4way";
+  }
+
+  function isDirectionAllowed(direction, movement) {
+    if (!isValidDirection(direction)) {
+      return false;
+    }
+    return normalizeMovement(movement) === "8way" || !isDiagonalDirection(direction);
+  }
+
+  function inputSchemeForKey(key) {
     const normalized = key.toLowerCase();
-    if (normalized === "arrowup" || normalized === "w") return "UP";
-    if (normalized === "arrowdown" || normalized === "s") return "DOWN";
-    if (normalized === "arrowleft" || normalized === "a") return "LEFT";
-    if (normalized === "arrowright" || normalized === "d") return "RIGHT";
-    return null;
+    return (
+      Object.keys(INPUT_SCHEMES).find((scheme) =>
+        Object.prototype.hasOwnProperty.call(INPUT_SCHEMES[scheme], normalized)
+      ) ?? null
+    );
+  }
+
+  function directionFromInputKey(key, scheme = null) {
+    const keyScheme = inputSchemeForKey(key);
+    if (!keyScheme || (scheme && keyScheme !== scheme)) {
+      return null;
+    }
+    return INPUT_SCHEMES[keyScheme][key.toLowerCase()];
+  }
+
+  function wrapPosition(position, width, height) {
+    return {
+      x: ((position.x % width) + width) % width,
+      y: ((position.y % height) + height) % height,
+    };
+  }
+
+  // A diagonal step may not slip between two body segments that touch
+  // corner to corner: both orthogonal neighbours on the way are blocked.
+  function isDiagonalSqueeze(state, direction, body) {
+    if (!isDiagonalDirection(direction)) {
+      return false;
+    }
+
+    const vector = DIRECTION_VECTORS[direction];
+    const head = state.snake[0];
+    const sides = [
+      { x: head.x + vector.x, y: head.y },
+      { x: head.x, y: head.y + vector.y },
+    ].map((side) => (state.wrapWalls ? wrapPosition(side, state.width, state.height) : side));
+    const occupied = new Set(body.map(keyForPosition));
+    return sides.every((side) => occupied.has(keyForPosition(side)));
   }
 
   function placeFood(width, height, snake, rng = Math.random) {
@@ -83,6 +147,8 @@
     return {
       width,
       height,
+      wrapWalls: options.wrapWalls === true,
+      movement: normalizeMovement(options.movement),
       snake,
       direction: "RIGHT",
       inputQueue: [],
@@ -93,25 +159,32 @@
     };
   }
 
-  function queueDirection(state, direction) {
-    if (!isValidDirection(direction)) {
-      return state;
+  // Returns the steering entry's queue with `direction` appended, or null
+  // when the turn is refused (not allowed, repeated, reversing or full).
+  function appendToInputQueue(entry, direction, movement) {
+    if (!isDirectionAllowed(direction, movement)) {
+      return null;
     }
 
-    const lastQueued = state.inputQueue.length > 0
-      ? state.inputQueue[state.inputQueue.length - 1]
-      : state.direction;
+    const lastQueued = entry.inputQueue.length > 0
+      ? entry.inputQueue[entry.inputQueue.length - 1]
+      : entry.direction;
 
     if (direction === lastQueued) {
-      return state;
+      return null;
     }
 
     if (isOppositeDirection(lastQueued, direction)) {
-      return state;
+      return null;
     }
 
-    const nextQueue = [...state.inputQueue, direction];
-    if (nextQueue.length > 3) {
+    const nextQueue = [...entry.inputQueue, direction];
+    return nextQueue.length > 3 ? null : nextQueue;
+  }
+
+  function queueDirection(state, direction) {
+    const nextQueue = appendToInputQueue(state, direction, state.movement);
+    if (!nextQueue) {
       return state;
     }
 
@@ -132,21 +205,27 @@
     };
   }
 
+  // `options.obstacles` are extra cells (another snake's body, say) that
+  // kill on contact like the snake's own body and never receive food.
   function stepState(state, options = {}) {
     if (state.isGameOver || state.isPaused) {
       return state;
     }
 
     const rng = options.rng ?? Math.random;
+    const obstacles = options.obstacles ?? [];
     const nextQueue = [...(state.inputQueue ?? [])];
     const nextDirection = nextQueue.shift() ?? state.direction;
 
     const movement = DIRECTION_VECTORS[nextDirection];
     const currentHead = state.snake[0];
-    const nextHead = {
+    let nextHead = {
       x: currentHead.x + movement.x,
       y: currentHead.y + movement.y,
     };
+    if (state.wrapWalls) {
+      nextHead = wrapPosition(nextHead, state.width, state.height);
+    }
     const hitBoundary =
       nextHead.x < 0 ||
       nextHead.x >= state.width ||
@@ -169,9 +248,10 @@
       nextSnake.pop();
     }
 
-    const collidedWithSelf = nextSnake
-      .slice(1)
-      .some((segment) => arePositionsEqual(segment, nextHead));
+    const body = [...nextSnake.slice(1), ...obstacles];
+    const collidedWithSelf =
+      body.some((segment) => arePositionsEqual(segment, nextHead)) ||
+      isDiagonalSqueeze(state, nextDirection, body);
 
     if (collidedWithSelf) {
       return {
@@ -188,7 +268,7 @@
 
     if (willGrow) {
       nextScore += 1;
-      nextFood = placeFood(state.width, state.height, nextSnake, rng);
+      nextFood = placeFood(state.width, state.height, [...nextSnake, ...obstacles], rng);
     }
 
     return {
@@ -202,17 +282,222 @@
     };
   }
 
+  function createPlayer(index, input, head, direction) {
+    const vector = DIRECTION_VECTORS[direction];
+    return {
+      id: `p${index + 1}`,
+      input,
+      snake: [0, 1, 2].map((offset) => ({
+        x: head.x - vector.x * offset,
+        y: head.y - vector.y * offset,
+      })),
+      direction,
+      inputQueue: [],
+      score: 0,
+      isEliminated: false,
+      eliminatedBy: null,
+    };
+  }
+
+  function listSnakeCells(state) {
+    return state.players.flatMap((player) => player.snake);
+  }
+
+  // Several snakes on one board: `players` replaces the single `snake`,
+  // `direction` and `inputQueue`, and `food` is shared. There are two seats,
+  // on opposite sides facing each other and off the head-on line.
+  function createMultiSnakeState(options = {}) {
+    const width = options.width ?? 20;
+    const height = options.height ?? 20;
+    const rng = options.rng ?? Math.random;
+    const inputs = options.inputs ?? PLAYER_INPUTS;
+    const startX = Math.floor(width / 4) + 1;
+    const startY = Math.floor(height / 3);
+    const players = inputs.slice(0, 2).map((input, index) =>
+      index === 0
+        ? createPlayer(index, input, { x: startX, y: startY }, "RIGHT")
+        : createPlayer(
+          index,
+          input,
+          { x: width - 1 - startX, y: height - 1 - startY },
+          "LEFT"
+        )
+    );
+    const state = {
+      width,
+      height,
+      wrapWalls: options.wrapWalls === true,
+      movement: normalizeMovement(options.movement),
+      players,
+      food: null,
+      winnerId: null,
+      isGameOver: false,
+      isPaused: false,
+    };
+
+    return {
+      ...state,
+      food: placeFood(width, height, listSnakeCells(state), rng),
+    };
+  }
+
+  function queuePlayerDirection(state, playerIndex, direction) {
+    const player = state.players[playerIndex];
+    if (!player || player.isEliminated) {
+      return state;
+    }
+
+    const nextQueue = appendToInputQueue(player, direction, state.movement);
+    if (!nextQueue) {
+      return state;
+    }
+
+    return {
+      ...state,
+      players: state.players.map((entry, index) =>
+        index === playerIndex ? { ...entry, inputQueue: nextQueue } : entry
+      ),
+    };
+  }
+
+  function planPlayerMove(state, player) {
+    const inputQueue = [...player.inputQueue];
+    const direction = inputQueue.shift() ?? player.direction;
+    const vector = DIRECTION_VECTORS[direction];
+    let head = { x: player.snake[0].x + vector.x, y: player.snake[0].y + vector.y };
+    if (state.wrapWalls) {
+      head = wrapPosition(head, state.width, state.height);
+    }
+    const hitBoundary =
+      head.x < 0 || head.x >= state.width || head.y < 0 || head.y >= state.height;
+    const grows = !hitBoundary && Boolean(state.food) && arePositionsEqual(head, state.food);
+    const snake = [head, ...player.snake];
+    if (!grows) {
+      snake.pop();
+    }
+    return { direction, inputQueue, head, hitBoundary, grows, snake };
+  }
+
+  // Every live snake moves at once. Hitting a wall or any body (own or
+  // rival) eliminates that snake; heads meeting on a cell, or passing
+  // through each other, eliminate both. The round ends when at most one
+  // snake is left, and a round with no survivor has no winner.
+  function stepMultiSnakeState(state, options = {}) {
+    if (state.isGameOver || state.isPaused) {
+      return state;
+    }
+
+    const rng = options.rng ?? Math.random;
+    const moves = state.players.map((player) =>
+      player.isEliminated ? null : planPlayerMove(state, player)
+    );
+    const causes = moves.map((move) => (move?.hitBoundary ? "wall" : null));
+
+    for (let i = 0; i < moves.length; i += 1) {
+      for (let j = i + 1; j < moves.length; j += 1) {
+        if (!moves[i] || !moves[j] || causes[i] === "wall" || causes[j] === "wall") {
+          continue;
+        }
+        const sameCell = arePositionsEqual(moves[i].head, moves[j].head);
+        const swapped =
+          arePositionsEqual(moves[i].head, state.players[j].snake[0]) &&
+          arePositionsEqual(moves[j].head, state.players[i].snake[0]);
+        if (sameCell || swapped) {
+          causes[i] = "head";
+          causes[j] = "head";
+        }
+      }
+    }
+
+    const bodies = state.players.flatMap((player, index) =>
+      moves[index] ? moves[index].snake.slice(1) : player.snake
+    );
+    moves.forEach((move, index) => {
+      if (!move || causes[index]) {
+        return;
+      }
+      const squeezed = isDiagonalSqueeze(
+        { ...state, snake: state.players[index].snake },
+        move.direction,
+        bodies
+      );
+      if (squeezed || bodies.some((segment) => arePositionsEqual(segment, move.head))) {
+        causes[index] = "body";
+      }
+    });
+
+    let ate = false;
+    const players = state.players.map((player, index) => {
+      const move = moves[index];
+      if (!move) {
+        return player;
+      }
+      if (causes[index]) {
+        return {
+          ...player,
+          direction: move.direction,
+          inputQueue: [],
+          isEliminated: true,
+          eliminatedBy: causes[index],
+        };
+      }
+      ate = ate || move.grows;
+      return {
+        ...player,
+        snake: move.snake,
+        direction: move.direction,
+        inputQueue: move.inputQueue,
+        score: player.score + (move.grows ? 1 : 0),
+      };
+    });
+
+    const food = ate
+      ? placeFood(state.width, state.height, listSnakeCells({ players }), rng)
+      : state.food;
+    const alive = players.filter((player) => !player.isEliminated);
+    let winnerId = null;
+    if (alive.length === 1) {
+      winnerId = alive[0].id;
+    } else if (alive.length > 1 && food === null) {
+      // A full board goes to the longest snake.
+      const longest = Math.max(...alive.map((player) => player.snake.length));
+      const leaders = alive.filter((player) => player.snake.length === longest);
+      winnerId = leaders.length === 1 ? leaders[0].id : null;
+    }
+
+    return {
+      ...state,
+      players,
+      food,
+      winnerId,
+      isGameOver: alive.length <= 1 || food === null,
+    };
+  }
+
   const api = Object.freeze({
+    CARDINAL_DIRECTIONS,
     DIRECTION_VECTORS,
+    INPUT_SCHEMES,
+    MOVEMENT_MODES,
+    PLAYER_INPUTS,
     arePositionsEqual,
     createInitialState,
+    createMultiSnakeState,
     directionFromInputKey,
+    inputSchemeForKey,
+    isDiagonalDirection,
+    isDiagonalSqueeze,
+    isDirectionAllowed,
     isOppositeDirection,
     isValidDirection,
+    normalizeMovement,
     placeFood,
     queueDirection,
+    queuePlayerDirection,
+    stepMultiSnakeState,
     stepState,
     togglePause,
+    wrapPosition,
   });
 
   if (typeof module !== "undefined" && module.exports) {
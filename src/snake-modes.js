@@ -13,19 +13,88 @@
   const SoulsWorld =
     global.SoulsWorld ||
     (typeof require !== "undefined" ? require("./souls-world.js") : null);
+  const RunSeed =
+    global.RunSeed ||
+    (typeof require !== "undefined" ? require("./run-seed.js") : null);
+  const SnakeRival =
+    global.SnakeRival ||
+    (typeof require !== "undefined" ? require("./snake-rival.js") : null);
+  const Achievements =
+    global.Achievements ||
+    (typeof require !== "undefined" ? require("./achievements.js") : null);
 
   if (!SnakeLogic) {
     throw new Error("SnakeModes requires SnakeLogic.");
   }
 
+  if (!RunSeed) {
+    throw new Error("SnakeModes requires RunSeed.");
+  }
+
   const TRADITIONAL_BASE_TICK_MS = 120;
   const GLOBAL_SNAKE_SLOW_FACTOR = SoulsData?.GLOBAL_SNAKE_SLOW_FACTOR ?? 0.88;
   const TRADITIONAL_TICK_MS = Math.max(
     1,
     Math.round(TRADITIONAL_BASE_TICK_MS / GLOBAL_SNAKE_SLOW_FACTOR)
   );
-  const SHIELD_DURATION_MS = 5000;
+  // Levels power-ups, all timed. A type joins the spawn pool at `minLevel`
+  // with `baseWeight` and gets `weightPerLevel` heavier on each later level.
+  const LEVELS_POWER_UPS = Object.freeze({
+    shield: Object.freeze({ durationMs: 5000, minLevel: 1, baseWeight: 4, weightPerLevel: 0 }),
+    slowTime: Object.freeze({ durationMs: 6000, minLevel: 4, baseWeight: 3, weightPerLevel: 0 }),
+    enemyFreeze: Object.freeze({ durationMs: 4000, minLevel: 4, baseWeight: 2, weightPerLevel: 0.25 }),
+    scoreMultiplier: Object.freeze({ durationMs: 8000, minLevel: 5, baseWeight: 2, weightPerLevel: 0.5 }),
+    shrinkTail: Object.freeze({ durationMs: 1500, minLevel: 6, baseWeight: 1, weightPerLevel: 0.25 }),
+    magnet: Object.freeze({ durationMs: 7000, minLevel: 7, baseWeight: 2, weightPerLevel: 0.25 }),
+  });
+  const POWER_UP_TYPES = Object.freeze(Object.keys(LEVELS_POWER_UPS));
+  const SHIELD_DURATION_MS = LEVELS_POWER_UPS.shield.durationMs;
+  const SLOW_TIME_FACTOR = 1.5;
+  const SCORE_MULTIPLIER = 2;
+  const MAGNET_RANGE = 2;
+  const SHRINK_TAIL_MIN_LENGTH = 3;
   const POWER_UP_TTL_TICKS = 60;
+  // Levels enemy archetypes; `stepOffset` shifts the level cadence from
+  // getEnemyStepEveryTicks (negative = faster).
+  const ENEMY_ARCHETYPES = Object.freeze({
+    chaser: Object.freeze({ stepOffset: 0 }),
+    patroller: Object.freeze({ stepOffset: -1 }),
+    ambusher: Object.freeze({ stepOffset: 1 }),
+    wallHugger: Object.freeze({ stepOffset: 0 }),
+  });
+  const EXTRA_ENEMY_ARCHETYPES = Object.freeze(["patroller", "ambusher", "wallHugger"]);
+  const EXTRA_ENEMIES_FROM_LEVEL = 6;
+  const MAX_EXTRA_ENEMIES = 3;
+  const AMBUSH_LOOKAHEAD = 4;
+  // Every fifth Levels stage is a boss arena borrowing the Souls bosses.
+  const LEVELS_BOSS_EVERY = 5;
+  const LEVELS_BOSS_ROTATION = Object.freeze([1, 2, 3, "final"]);
+  const LEVELS_BOSS_MIN_SPAWN_DISTANCE = 6;
+  const LEVELS_BOSS_SIGIL_MIN_DISTANCE = 4;
+  const LEVELS_BOSS_BONUS_PER_ROUND = 25;
+  // Time Attack races a fixed goal; without a typed seed every attempt plays
+  // the same food/layout sequence so personal bests stay comparable.
+  const TIME_ATTACK_COURSES = Object.freeze({
+    score: Object.freeze({ scoreTarget: 30, splitEvery: 10 }),
+    levels: Object.freeze({ levelCount: 5 }),
+  });
+  const TIME_ATTACK_SEED = RunSeed.normalizeSeed("contra-o-relogio");
+  // Rule modifiers a challenge run can switch on; each one is checked where
+  // the rule it bends lives.
+  const RUN_MODIFIERS = Object.freeze({
+    doubleRunes: Object.freeze({ mode: "souls" }),
+    noArmor: Object.freeze({ mode: "souls" }),
+    hasty: Object.freeze({ mode: "souls" }),
+    horde: Object.freeze({ mode: "levels" }),
+    noPowerUps: Object.freeze({ mode: "levels" }),
+  });
+  const HASTY_SPEED_FACTOR = 1.15;
+  const HORDE_LEVEL_OFFSET = 3;
+  // Hot-seat versus: a match is best-of-N rounds; drawn rounds don't count
+  // toward the majority, so the match runs until someone reaches it.
+  const VERSUS_BEST_OF_OPTIONS = Object.freeze([1, 3, 5, 7]);
+  const VERSUS_DEFAULT_BEST_OF = 3;
+  const VERSUS_ROUND_PAUSE_MS = 1500;
   const HAZARD_TTL_MS = 500;
   const SOULS_COUNTDOWN_MS = 3000;
   const SOULS_STAGE_MESSAGE_MS = 2000;
@@ -46,9 +115,15 @@
   const STAMINA_RECOVERY_MS_BASE = 12000;
   const STAMINA_BOOST_MULT = 1.6;
   const STAMINA_EXHAUST_MULT = 0.65;
+  const ABILITY_DASH_MULT = 1.8;
+  // Stats that feed progress achievements; boss kills are re-checked where
+  // they are registered.
+  const PROGRESS_STAT_KEYS = Object.freeze(["foodCollected", "runsStarted"]);
   const STAMINA_PHASE_READY = "ready";
   const STAMINA_PHASE_EXHAUSTED = "exhausted";
   const STAMINA_PHASE_RECOVERING = "recovering_lock";
+  const SOULS_COOP_REVIVE_MS = 10000;
+  const SOULS_COOP_TETHER_MARGIN = 3;
 
   function keyForPosition(position) {
     return `${position.x},${position.y}`;
@@ -241,25 +316,121 @@
     return Math.min(40, (level - 1) * 3);
   }
 
-  function getEnemyStepEveryTicks(level) {
-    return Math.max(1, 4 - Math.floor((level - 3) / 3));
+  function getEnemyStepEveryTicks(level, archetype = "chaser") {
+    const stepOffset = ENEMY_ARCHETYPES[archetype]?.stepOffset ?? 0;
+    return Math.max(1, 4 - Math.floor((level - 3) / 3) + stepOffset);
+  }
+
+  function getExtraEnemyCount(level) {
+    if (level < EXTRA_ENEMIES_FROM_LEVEL) {
+      return 0;
+    }
+    return Math.min(
+      MAX_EXTRA_ENEMIES,
+      1 + Math.floor((level - EXTRA_ENEMIES_FROM_LEVEL) / 3)
+    );
   }
 
   function getPowerUpSpawnChance(level) {
     return Math.min(0.45, 0.2 + (level - 4) * 0.03);
   }
 
+  function getPowerUpWeight(type, level) {
+    const definition = LEVELS_POWER_UPS[type];
+    if (!definition || level < definition.minLevel) {
+      return 0;
+    }
+    return definition.baseWeight + (level - definition.minLevel) * definition.weightPerLevel;
+  }
+
+  function pickPowerUpType(level, rng) {
+    const pool = POWER_UP_TYPES.map((type) => ({
+      type,
+      weight: getPowerUpWeight(type, level),
+    })).filter((entry) => entry.weight > 0);
+    const totalWeight = pool.reduce((sum, entry) => sum + entry.weight, 0);
+
+    let roll = rng() * totalWeight;
+    for (const entry of pool) {
+      if (roll < entry.weight) {
+        return entry.type;
+      }
+      roll -= entry.weight;
+    }
+    return pool[pool.length - 1].type;
+  }
+
+  function createEffectsState() {
+    return Object.fromEntries(POWER_UP_TYPES.map((type) => [type, 0]));
+  }
+
+  function normalizeEffects(effects) {
+    const normalized = createEffectsState();
+    for (const type of POWER_UP_TYPES) {
+      const remainingMs = Number(effects?.[type]);
+      normalized[type] = Number.isFinite(remainingMs) ? Math.max(0, remainingMs) : 0;
+    }
+    return normalized;
+  }
+
+  function tickEffects(effects, elapsedMs) {
+    const next = { ...effects };
+    for (const type of POWER_UP_TYPES) {
+      next[type] = Math.max(0, next[type] - elapsedMs);
+    }
+    return next;
+  }
+
+  function hasRunModifier(modifiers, modifierId) {
+    return Array.isArray(modifiers) && modifiers.includes(modifierId);
+  }
+
+  function normalizeChallengePowers(powers) {
+    const normalized = {};
+    for (const power of SoulsData?.POWER_POOL ?? []) {
+      const stacks = Math.floor(Number(powers?.[power.id]));
+      if (Number.isFinite(stacks) && stacks > 0) {
+        normalized[power.id] = Math.min(power.maxStacks, stacks);
+      }
+    }
+    return normalized;
+  }
+
+  function normalizeChallenge(challenge) {
+    if (!challenge || typeof challenge !== "object") {
+      return null;
+    }
+
+    return {
+      id: typeof challenge.id === "string" ? challenge.id : "",
+      kind: challenge.kind === "weekly" ? "weekly" : "daily",
+      practice: challenge.practice === true,
+      snakeId: SoulsData?.getSnakeById(challenge.snakeId) ? challenge.snakeId : null,
+      powers: normalizeChallengePowers(challenge.powers),
+      effects: normalizeEffects(challenge.effects),
+      modifiers: Array.isArray(challenge.modifiers)
+        ? challenge.modifiers.filter((modifierId) =>
+          Object.prototype.hasOwnProperty.call(RUN_MODIFIERS, modifierId)
+        )
+        : [],
+    };
+  }
+
   function getSafeZoneKeysAroundHead(base) {
     const safeZone = new Set();
     const head = base.snake[0];
     for (let dy = -1; dy <= 1; dy += 1) {
       for (let dx = -1; dx <= 1; dx += 1) {
-        const x = head.x + dx;
-        const y = head.y + dy;
-        if (x < 0 || x >= base.width || y < 0 || y >= base.height) {
+        const cell = { x: head.x + dx, y: head.y + dy };
+        if (base.wrapWalls) {
+          // With portal walls the cells across the edge are one step away too.
+          safeZone.add(keyForPosition(SnakeLogic.wrapPosition(cell, base.width, base.height)));
           continue;
         }
-        safeZone.add(`${x},${y}`);
+        if (isOutOfBounds(base, cell)) {
+          continue;
+        }
+        safeZone.add(keyForPosition(cell));
       }
     }
     return safeZone;
@@ -269,8 +440,7 @@
     return new Set(base.snake.map(keyForPosition));
   }
 
-  function generateBarriers(base, level, rng) {
-    const desiredCount = getBarrierCount(level);
+  function generateBarriers(base, level, rng, desiredCount = getBarrierCount(level)) {
     if (desiredCount <= 0) {
       return [];
     }
@@ -298,15 +468,25 @@
     return barriers;
   }
 
-  function buildBlockedForEntitySpawn(base, barriers, enemy, powerUp) {
+  function listLevelEnemies(enemy, extraEnemies = []) {
+    return enemy ? [enemy, ...extraEnemies] : [...extraEnemies];
+  }
+
+  function buildBlockedForEntitySpawn(base, barriers, enemies, powerUp, reserved = []) {
     const blocked = occupiedKeysFromSnake(base);
 
     for (const barrier of barriers) {
       blocked.add(keyForPosition(barrier));
     }
 
-    if (enemy) {
-      blocked.add(keyForPosition(enemy));
+    for (const enemy of enemies) {
+      for (const enemyCell of getEnemyCells(enemy)) {
+        blocked.add(keyForPosition(enemyCell));
+      }
+    }
+
+    for (const position of reserved) {
+      blocked.add(keyForPosition(position));
     }
 
     if (powerUp) {
@@ -316,13 +496,13 @@
     return blocked;
   }
 
-  function placeFoodAvoiding(base, barriers, enemy, powerUp, rng) {
-    const blocked = buildBlockedForEntitySpawn(base, barriers, enemy, powerUp);
+  function placeFoodAvoiding(base, barriers, enemies, powerUp, rng, reserved = []) {
+    const blocked = buildBlockedForEntitySpawn(base, barriers, enemies, powerUp, reserved);
     return pickRandomCell(base.width, base.height, blocked, rng);
   }
 
-  function spawnPowerUp(base, barriers, enemy, rng) {
-    const blocked = buildBlockedForEntitySpawn(base, barriers, enemy, null);
+  function spawnPowerUp(base, barriers, enemies, level, rng) {
+    const blocked = buildBlockedForEntitySpawn(base, barriers, enemies, null);
     if (base.food) {
       blocked.add(keyForPosition(base.food));
     }
@@ -335,6 +515,7 @@
     return {
       x: position.x,
       y: position.y,
+      type: pickPowerUpType(level, rng),
       ttlTicks: POWER_UP_TTL_TICKS,
     };
   }
@@ -361,33 +542,437 @@
     return {
       x: position.x,
       y: position.y,
+      archetype: "chaser",
       direction: "LEFT",
       stepEveryTicks: getEnemyStepEveryTicks(level),
       tickCounter: 0,
     };
   }
 
-  function regenerateLevelLayout(base, level, rng) {
+  function isBorderCell(base, position) {
+    return (
+      position.x === 0 ||
+      position.y === 0 ||
+      position.x === base.width - 1 ||
+      position.y === base.height - 1
+    );
+  }
+
+  function getBorderFollowDirection(base, position) {
+    // Heads along the edge with the board border on its right.
+    if (position.y === 0) return "LEFT";
+    if (position.x === base.width - 1) return "UP";
+    if (position.y === base.height - 1) return "RIGHT";
+    if (position.x === 0) return "DOWN";
+    return "LEFT";
+  }
+
+  function buildPatrolLoop(base, spawn, barriers, rng) {
+    // A square loop with the spawn as a corner, flipped to stay on the board.
+    const size = 3 + Math.floor(rng() * 3);
+    const dx = spawn.x + size < base.width ? size : -size;
+    const dy = spawn.y + size < base.height ? size : -size;
+    const barrierKeys = new Set(barriers.map(keyForPosition));
+    return [
+      spawn,
+      { x: spawn.x + dx, y: spawn.y },
+      { x: spawn.x + dx, y: spawn.y + dy },
+      { x: spawn.x, y: spawn.y + dy },
+    ]
+      .map((corner) => ({
+        x: clamp(corner.x, 0, base.width - 1),
+        y: clamp(corner.y, 0, base.height - 1),
+      }))
+      .filter((corner) => !barrierKeys.has(keyForPosition(corner)));
+  }
+
+  function spawnExtraEnemies(base, level, barriers, enemy, rng) {
+    const count = getExtraEnemyCount(level);
+    if (count <= 0) {
+      return [];
+    }
+
+    const blocked = buildBlockedForEntitySpawn(base, barriers, listLevelEnemies(enemy), null);
+    if (base.food) {
+      blocked.add(keyForPosition(base.food));
+    }
+    for (const safeKey of getSafeZoneKeysAroundHead(base)) {
+      blocked.add(safeKey);
+    }
+
+    // Consecutive archetypes from a random start, so boards mix them.
+    const offset = Math.floor(rng() * EXTRA_ENEMY_ARCHETYPES.length);
+    const extraEnemies = [];
+    for (let i = 0; i < count; i += 1) {
+      let archetype =
+        EXTRA_ENEMY_ARCHETYPES[(offset + i) % EXTRA_ENEMY_ARCHETYPES.length];
+      const freeCells = listAvailableCells(base.width, base.height, blocked);
+      const borderCells = freeCells.filter((cell) => isBorderCell(base, cell));
+      const candidates =
+        archetype === "wallHugger" && borderCells.length > 0 ? borderCells : freeCells;
+      if (candidates.length === 0) {
+        break;
+      }
+
+      const spawn = candidates[clampIndex(Math.floor(rng() * candidates.length), candidates.length)];
+      let patrol = null;
+      if (archetype === "patroller") {
+        patrol = buildPatrolLoop(base, spawn, barriers, rng);
+        if (patrol.length < 2) {
+          archetype = "ambusher";
+          patrol = null;
+        }
+      }
+
+      blocked.add(keyForPosition(spawn));
+      extraEnemies.push({
+        x: spawn.x,
+        y: spawn.y,
+        archetype,
+        direction: archetype === "wallHugger" ? getBorderFollowDirection(base, spawn) : "LEFT",
+        stepEveryTicks: getEnemyStepEveryTicks(level, archetype),
+        tickCounter: 0,
+        ...(patrol ? { patrol, patrolIndex: 0 } : {}),
+      });
+    }
+    return extraEnemies;
+  }
+
+  // Campaign state rides along in Levels runs; `levels` holds the parsed
+  // definitions from LevelsCampaign so replays do not depend on the files.
+  function createCampaignState(campaign) {
+    if (!campaign || !Array.isArray(campaign.levels) || campaign.levels.length === 0) {
+      return null;
+    }
+
+    return {
+      name: campaign.name ?? "Campanha",
+      levels: campaign.levels,
+      levelElapsedMs: 0,
+      powerUpSpotIndex: 0,
+      results: [],
+    };
+  }
+
+  function getCampaignDefinition(campaign, level) {
+    return campaign?.levels[level - 1] ?? null;
+  }
+
+  function spawnCampaignEnemy(base, definition, level, rng) {
+    if (!definition.enemy) {
+      return null;
+    }
+
+    const blocked = occupiedKeysFromSnake(base);
+    for (const safeKey of getSafeZoneKeysAroundHead(base)) {
+      blocked.add(safeKey);
+    }
+    const freeSpawns = definition.enemySpawns.filter(
+      (spawn) => !blocked.has(keyForPosition(spawn))
+    );
+    const spawns = freeSpawns.length > 0 ? freeSpawns : definition.enemySpawns;
+    const spawn = spawns[clampIndex(Math.floor(rng() * spawns.length), spawns.length)];
+    const patrol = definition.enemy.patrol;
+
+    return {
+      x: spawn.x,
+      y: spawn.y,
+      archetype: patrol.length > 0 ? "patroller" : "chaser",
+      direction: "LEFT",
+      stepEveryTicks: definition.enemy.stepEveryTicks ?? getEnemyStepEveryTicks(level),
+      tickCounter: 0,
+      ...(patrol.length > 0 ? { patrol: clonePositions(patrol), patrolIndex: 0 } : {}),
+    };
+  }
+
+  function spawnCampaignPowerUp(base, barriers, enemies, definition, spotIndex, level, rng) {
+    const blocked = buildBlockedForEntitySpawn(base, barriers, enemies, null);
+    if (base.food) {
+      blocked.add(keyForPosition(base.food));
+    }
+
+    // Placements are used once each, in layout reading order.
+    const spots = definition.powerUpSpots;
+    for (let index = spotIndex; index < spots.length; index += 1) {
+      if (!blocked.has(keyForPosition(spots[index]))) {
+        return {
+          powerUp: {
+            x: spots[index].x,
+            y: spots[index].y,
+            type: pickPowerUpType(level, rng),
+            ttlTicks: POWER_UP_TTL_TICKS,
+          },
+          spotIndex: index + 1,
+        };
+      }
+    }
+    return { powerUp: null, spotIndex };
+  }
+
+  function placeCampaignFood(base, barriers, enemies, powerUp, definition, rng) {
+    // Levels with food spawns only use those cells while any is free.
+    const blocked = buildBlockedForEntitySpawn(base, barriers, enemies, powerUp);
+    const spots = (definition.foodSpots ?? []).filter(
+      (spot) => !blocked.has(keyForPosition(spot))
+    );
+    if (spots.length === 0) {
+      return placeFoodAvoiding(base, barriers, enemies, powerUp, rng);
+    }
+    return clonePosition(spots[clampIndex(Math.floor(rng() * spots.length), spots.length)]);
+  }
+
+  function loadCampaignLevel(base, definition, level, rng) {
+    const nextBase = {
+      ...base,
+      width: definition.width,
+      height: definition.height,
+      snake: clonePositions(definition.snake),
+      direction: definition.startDirection,
+      inputQueue: [],
+    };
+    const barriers = clonePositions(definition.barriers);
+    const enemy = spawnCampaignEnemy(nextBase, definition, level, rng);
+    const food = placeCampaignFood(
+      nextBase,
+      barriers,
+      listLevelEnemies(enemy),
+      null,
+      definition,
+      rng
+    );
+
+    return {
+      base: {
+        ...nextBase,
+        food,
+      },
+      barriers,
+      enemy,
+    };
+  }
+
+  function regenerateLevelLayout(base, level, rng, modifiers = []) {
     const barriers = generateBarriers(base, level, rng);
     const enemy = spawnEnemy(base, level, barriers, rng);
-    const food = placeFoodAvoiding(base, barriers, enemy, null, rng);
+    const food = placeFoodAvoiding(base, barriers, listLevelEnemies(enemy), null, rng);
+    // The horde brings the extra enemies (and their pace) in early.
+    const extraEnemyLevel = hasRunModifier(modifiers, "horde") ? level + HORDE_LEVEL_OFFSET : level;
+    const extraEnemies = spawnExtraEnemies({ ...base, food }, extraEnemyLevel, barriers, enemy, rng);
 
     return {
       barriers,
       enemy,
+      extraEnemies,
       food,
     };
   }
 
+  function isLevelsBossLevel(level) {
+    return Boolean(SoulsData) && level > 0 && level % LEVELS_BOSS_EVERY === 0;
+  }
+
+  function getLevelsBossRound(level) {
+    return Math.floor(level / LEVELS_BOSS_EVERY);
+  }
+
+  function getLevelsBossSigilTarget(level) {
+    return Math.min(8, 3 + getLevelsBossRound(level));
+  }
+
+  function getLevelsBossBonus(level) {
+    return LEVELS_BOSS_BONUS_PER_ROUND * getLevelsBossRound(level);
+  }
+
+  function getLevelsBossDefinition(level) {
+    const round = getLevelsBossRound(level);
+    const slot = LEVELS_BOSS_ROTATION[(round - 1) % LEVELS_BOSS_ROTATION.length];
+    return SoulsData.BOSS_DEFINITIONS[slot];
+  }
+
+  function getBoardBounds(base) {
+    return { minX: 0, minY: 0, maxX: base.width - 1, maxY: base.height - 1 };
+  }
+
+  function isInsideBounds(bounds, position) {
+    return (
+      position.x >= bounds.minX &&
+      position.x <= bounds.maxX &&
+      position.y >= bounds.minY &&
+      position.y <= bounds.maxY
+    );
+  }
+
+  function spawnLevelsBoss(base, barriers, bossDefinition, level, rng) {
+    const blocked = buildBlockedForEntitySpawn(base, barriers, [], null);
+    for (const safeKey of getSafeZoneKeysAroundHead(base)) {
+      blocked.add(safeKey);
+    }
+
+    const footprint = {
+      width: bossDefinition.width ?? bossDefinition.size ?? 1,
+      height: bossDefinition.height ?? bossDefinition.size ?? 1,
+    };
+    const anchors = [];
+    for (let y = 0; y <= base.height - footprint.height; y += 1) {
+      for (let x = 0; x <= base.width - footprint.width; x += 1) {
+        const cells = getEnemyCells({ x, y, ...footprint });
+        if (cells.every((cell) => !blocked.has(keyForPosition(cell)))) {
+          anchors.push({ x, y });
+        }
+      }
+    }
+    if (anchors.length === 0) {
+      return null;
+    }
+
+    const head = base.snake[0];
+    const distant = anchors.filter(
+      (anchor) =>
+        getAnchorDistanceToPosition(anchor, footprint, head) >= LEVELS_BOSS_MIN_SPAWN_DISTANCE
+    );
+    const pool = distant.length > 0 ? distant : anchors;
+    const anchor = pool[clampIndex(Math.floor(rng() * pool.length), pool.length)];
+    // Bosses keep their Souls cadence on top of the level's enemy rhythm.
+    const moveEveryTicks =
+      getEnemyStepEveryTicks(level) +
+      Math.max(0, bossDefinition.moveEveryTicks - 1) +
+      (bossDefinition.speedPenaltyTicks ?? 0);
+
+    return {
+      ...createSoulsBossEnemy(anchor, bossDefinition, moveEveryTicks),
+      name: bossDefinition.name,
+    };
+  }
+
+  function spawnLevelsBossSigil(base, barriers, enemy, powerUp, hazards, rng) {
+    const blocked = buildBlockedForEntitySpawn(
+      base,
+      barriers,
+      listLevelEnemies(enemy),
+      powerUp,
+      base.food ? [base.food, ...hazards] : hazards
+    );
+    const freeCells = listAvailableCells(base.width, base.height, blocked);
+    if (freeCells.length === 0) {
+      return null;
+    }
+
+    const head = base.snake[0];
+    const distant = freeCells.filter(
+      (cell) => manhattanDistance(cell, head) >= LEVELS_BOSS_SIGIL_MIN_DISTANCE
+    );
+    const pool = distant.length > 0 ? distant : freeCells;
+    return clonePosition(pool[clampIndex(Math.floor(rng() * pool.length), pool.length)]);
+  }
+
+  function createLevelsBossStage(base, level, rng) {
+    const bossDefinition = getLevelsBossDefinition(level);
+    const barriers = generateBarriers(
+      base,
+      level,
+      rng,
+      Math.floor(getBarrierCount(level) / 2)
+    );
+    const enemy = spawnLevelsBoss(base, barriers, bossDefinition, level, rng);
+    const food = placeFoodAvoiding(base, barriers, listLevelEnemies(enemy), null, rng);
+    const sigil = spawnLevelsBossSigil({ ...base, food }, barriers, enemy, null, [], rng);
+
+    return {
+      barriers,
+      enemy,
+      extraEnemies: [],
+      food,
+      bossStage: {
+        bossId: bossDefinition.id,
+        name: bossDefinition.name,
+        sigil,
+        sigilTarget: getLevelsBossSigilTarget(level),
+        hazards: [],
+        enemyTeleportPreview: null,
+      },
+    };
+  }
+
+  function stepLevelsBoss(enemy, bossStage, base, barriers, powerUp, elapsedMs, rng) {
+    // Runs the Souls boss AI on the bounded board; `arena` stands in for the
+    // Souls state fields moveSoulsEnemy reads.
+    const arena = {
+      minions: [],
+      sigil: bossStage.sigil,
+      echo: null,
+      camera: null,
+      bounds: getBoardBounds(base),
+      enemyTeleportPreview: bossStage.enemyTeleportPreview
+        ? {
+          ...bossStage.enemyTeleportPreview,
+          msRemaining: Math.max(0, bossStage.enemyTeleportPreview.msRemaining - elapsedMs),
+        }
+        : null,
+    };
+    let hazards = normalizeHazards(bossStage.hazards, elapsedMs);
+    let nextEnemy = enemy;
+
+    if (arena.enemyTeleportPreview && arena.enemyTeleportPreview.msRemaining <= 0) {
+      nextEnemy = {
+        ...applyEnemyTeleportAnchor(nextEnemy, arena.enemyTeleportPreview),
+        teleportCounter: 0,
+      };
+      arena.enemyTeleportPreview = null;
+    } else {
+      nextEnemy = moveSoulsEnemy(
+        nextEnemy,
+        arena,
+        base,
+        powerUp ? [...barriers, powerUp] : barriers,
+        hazards,
+        rng
+      );
+      if (
+        nextEnemy.baseHazardEveryTicks > 0 &&
+        nextEnemy.hazardCounter >= nextEnemy.baseHazardEveryTicks
+      ) {
+        const bounds = arena.bounds;
+        hazards = addHazardPulse(base, nextEnemy, hazards).filter((hazard) =>
+          isInsideBounds(bounds, hazard)
+        );
+        nextEnemy = { ...nextEnemy, hazardCounter: 0 };
+      }
+    }
+
+    return {
+      enemy: nextEnemy,
+      bossStage: {
+        ...bossStage,
+        hazards,
+        enemyTeleportPreview: arena.enemyTeleportPreview,
+      },
+    };
+  }
+
   function createTraditionalModeState(options) {
     const width = options.width ?? 20;
     const height = options.height ?? 20;
     const rng = options.rng ?? Math.random;
-    const base = SnakeLogic.createInitialState({ width, height, rng });
+    let base = SnakeLogic.createInitialState({
+      width,
+      height,
+      rng,
+      wrapWalls: options.wrapWalls,
+      movement: options.movement,
+    });
+    const difficulty = SnakeRival?.normalizeDifficulty(options.rival) ?? null;
+    const rival = difficulty ? SnakeRival.createRival(difficulty, base) : null;
+    if (rival && base.food && containsPosition(rival.snake, base.food)) {
+      base = {
+        ...base,
+        food: SnakeLogic.placeFood(width, height, [...base.snake, ...rival.snake], rng),
+      };
+    }
 
     return {
       mode: "traditional",
       base,
+      rival,
       level: null,
       levelProgress: 0,
       levelTarget: 0,
@@ -395,7 +980,9 @@
       barriers: [],
       enemy: null,
       powerUp: null,
-      shieldMsRemaining: 0,
+      effects: createEffectsState(),
+      extraEnemies: [],
+      bossStage: null,
       isGameOver: base.isGameOver,
       isPaused: base.isPaused,
       souls: null,
@@ -403,22 +990,39 @@
   }
 
   function createLevelsModeState(options) {
-    const width = options.width ?? 20;
-    const height = options.height ?? 20;
+    const campaign = createCampaignState(options.campaign);
+    const definition = getCampaignDefinition(campaign, 1);
+    const width = definition?.width ?? options.width ?? 20;
+    const height = definition?.height ?? options.height ?? 20;
     const rng = options.rng ?? Math.random;
-    const base = SnakeLogic.createInitialState({ width, height, rng });
+    let base = SnakeLogic.createInitialState({
+      width,
+      height,
+      rng,
+      wrapWalls: options.wrapWalls,
+      movement: options.movement,
+    });
     const level = 1;
-    const levelTarget = getLevelTarget(level);
+    const levelTarget = definition?.target ?? getLevelTarget(level);
     const tickMs = getTickMs(level);
-    const barriers = [];
-    const enemy = null;
+    let barriers = [];
+    let enemy = null;
     const powerUp = null;
-    const food = placeFoodAvoiding(base, barriers, enemy, powerUp, rng);
+    if (definition) {
+      const loaded = loadCampaignLevel(base, definition, level, rng);
+      base = loaded.base;
+      barriers = loaded.barriers;
+      enemy = loaded.enemy;
+    } else {
+      base = {
+        ...base,
+        food: placeFoodAvoiding(base, barriers, listLevelEnemies(enemy), powerUp, rng),
+      };
+    }
     const nextBase = {
       ...base,
-      food,
       score: 0,
-      isGameOver: food === null,
+      isGameOver: base.food === null,
       isPaused: false,
     };
 
@@ -432,28 +1036,129 @@
       barriers,
       enemy,
       powerUp,
-      shieldMsRemaining: 0,
+      effects: normalizeEffects(options.challenge?.effects),
+      extraEnemies: [],
+      bossStage: null,
       isGameOver: nextBase.isGameOver,
       isPaused: false,
+      campaign,
       souls: null,
     };
   }
 
+  function getTimeAttackSplitCount(course, campaign) {
+    if (course === "levels") {
+      return campaign?.levels.length ?? TIME_ATTACK_COURSES.levels.levelCount;
+    }
+    const { scoreTarget, splitEvery } = TIME_ATTACK_COURSES.score;
+    return Math.ceil(scoreTarget / splitEvery);
+  }
+
+  function createTimeAttackModeState(options) {
+    const course = Object.prototype.hasOwnProperty.call(TIME_ATTACK_COURSES, options.course)
+      ? options.course
+      : "score";
+    const state =
+      course === "levels"
+        ? createLevelsModeState(options)
+        : createTraditionalModeState(options);
+
+    return {
+      ...state,
+      mode: "timeattack",
+      campaign: state.campaign ?? null,
+      timeAttack: {
+        course,
+        splitCount: getTimeAttackSplitCount(course, state.campaign),
+        elapsedMs: 0,
+        splits: [],
+        completed: false,
+      },
+    };
+  }
+
+  function normalizeBestOf(value) {
+    const numeric = Number(value);
+    return VERSUS_BEST_OF_OPTIONS.includes(numeric) ? numeric : VERSUS_DEFAULT_BEST_OF;
+  }
+
+  function createVersusRoundBase(base, rng) {
+    return SnakeLogic.createMultiSnakeState({
+      width: base.width,
+      height: base.height,
+      wrapWalls: base.wrapWalls,
+      movement: base.movement,
+      inputs: base.players?.map((player) => player.input),
+      rng,
+    });
+  }
+
+  function createVersusModeState(options) {
+    const rng = options.rng ?? Math.random;
+    const bestOf = normalizeBestOf(options.bestOf);
+    const base = createVersusRoundBase(
+      {
+        width: options.width ?? 20,
+        height: options.height ?? 20,
+        wrapWalls: options.wrapWalls === true,
+        movement: options.movement,
+      },
+      rng
+    );
+
+    return {
+      mode: "versus",
+      base,
+      level: null,
+      levelProgress: 0,
+      levelTarget: 0,
+      tickMs: TRADITIONAL_TICK_MS,
+      barriers: [],
+      enemy: null,
+      powerUp: null,
+      effects: createEffectsState(),
+      extraEnemies: [],
+      bossStage: null,
+      isGameOver: false,
+      isPaused: false,
+      souls: null,
+      versus: {
+        bestOf,
+        winsNeeded: Math.floor(bestOf / 2) + 1,
+        wins: base.players.map(() => 0),
+        rounds: [],
+        roundPauseMsRemaining: 0,
+        winnerId: null,
+      },
+    };
+  }
+
   function getNextHead(base) {
     const nextQueue = [...(base.inputQueue ?? [])];
     const nextDirection = nextQueue.shift() ?? base.direction;
     const movement = SnakeLogic.DIRECTION_VECTORS[nextDirection];
     const head = base.snake[0];
+    const nextHead = {
+      x: head.x + movement.x,
+      y: head.y + movement.y,
+    };
     return {
       direction: nextDirection,
       nextQueue,
-      nextHead: {
-        x: head.x + movement.x,
-        y: head.y + movement.y,
-      },
+      nextHead: base.wrapWalls
+        ? SnakeLogic.wrapPosition(nextHead, base.width, base.height)
+        : nextHead,
     };
   }
 
+  function getWrappedDelta(from, to, size, wrap) {
+    const delta = to - from;
+    if (!wrap || Math.abs(delta) <= size / 2) {
+      return delta;
+    }
+    return delta > 0 ? delta - size : delta + size;
+  }
+
   function isOutOfBounds(base, position) {
     return (
       position.x < 0 ||
@@ -475,10 +1180,44 @@
     };
   }
 
-  function orderedEnemyDirections(enemy, snakeHead) {
+  // Why a finished run ended, as one of SoulsProfile.STAT_DEATH_CAUSES. Null
+  // while it's still going, for versus and for a completed time attack. Grid
+  // modes don't store the cause, so it's read back from where the head ended.
+  function getRunDeathCause(state) {
+    if (!state?.isGameOver || state.mode === "versus" || state.timeAttack?.completed) {
+      return null;
+    }
+    if (state.mode === "souls") {
+      return getSoulsDeathStatCause(state.souls.lastDeathCause);
+    }
+
+    const base = state.base;
+    const head = base.snake[0];
+    if (!head) return "other";
+    if (containsPosition(base.snake.slice(1), head)) return "self";
+    if (
+      state.rival?.caughtPlayer ||
+      listLevelEnemies(state.enemy, state.extraEnemies ?? []).some((enemy) =>
+        enemyOccupiesPosition(enemy, head)
+      )
+    ) {
+      return "minion";
+    }
+    if (state.bossStage && containsPosition(state.bossStage.hazards, head)) return "hazard";
+    if (containsPosition(state.barriers ?? [], head)) return "barrier";
+
+    // A wall stops the snake before it moves, so the head still faces it.
+    const movement = SnakeLogic.DIRECTION_VECTORS[base.direction];
+    const ahead = { x: head.x + movement.x, y: head.y + movement.y };
+    return !base.wrapWalls && isOutOfBounds(base, ahead) ? "wall" : "other";
+  }
+
+  function orderedEnemyDirections(enemy, snakeHead, base = null) {
     const directions = [];
-    const dx = snakeHead.x - enemy.x;
-    const dy = snakeHead.y - enemy.y;
+    // On a portal board the shortest chase may go through an edge.
+    const wrap = base?.wrapWalls === true;
+    const dx = getWrappedDelta(enemy.x, snakeHead.x, base?.width ?? 0, wrap);
+    const dy = getWrappedDelta(enemy.y, snakeHead.y, base?.height ?? 0, wrap);
 
     if (Math.abs(dx) >= Math.abs(dy)) {
       if (dx > 0) directions.push("RIGHT");
@@ -501,7 +1240,53 @@
     return directions;
   }
 
-  function moveEnemy(enemy, base, barriers, powerUp) {
+  function getAmbushTarget(base) {
+    // Aim a few cells ahead of the head instead of at it.
+    const head = base.snake[0];
+    const vector = SnakeLogic.DIRECTION_VECTORS[base.direction];
+    const target = {
+      x: head.x + vector.x * AMBUSH_LOOKAHEAD,
+      y: head.y + vector.y * AMBUSH_LOOKAHEAD,
+    };
+    if (base.wrapWalls) {
+      return SnakeLogic.wrapPosition(target, base.width, base.height);
+    }
+    return {
+      x: clamp(target.x, 0, base.width - 1),
+      y: clamp(target.y, 0, base.height - 1),
+    };
+  }
+
+  function getWallHuggerDirections(enemy, base, barriers) {
+    // Right-hand rule: keep a wall on the right, wrap around its corners and
+    // walk straight until one is found.
+    const barrierKeys = new Set(barriers.map(keyForPosition));
+    const isWall = (position) =>
+      (!base.wrapWalls && isOutOfBounds(base, position)) ||
+      barrierKeys.has(
+        keyForPosition(
+          base.wrapWalls ? SnakeLogic.wrapPosition(position, base.width, base.height) : position
+        )
+      );
+    const order = ["UP", "RIGHT", "DOWN", "LEFT"];
+    const index = order.indexOf(enemy.direction);
+    const turn = (quarterTurns) => order[(index + quarterTurns + 4) % 4];
+    const offset = (position, direction) => ({
+      x: position.x + SnakeLogic.DIRECTION_VECTORS[direction].x,
+      y: position.y + SnakeLogic.DIRECTION_VECTORS[direction].y,
+    });
+
+    const right = offset(enemy, turn(1));
+    if (isWall(right)) {
+      return [turn(0), turn(-1), turn(2), turn(1)];
+    }
+    if (isWall(offset(right, turn(2)))) {
+      return [turn(1), turn(0), turn(-1), turn(2)];
+    }
+    return [turn(0), turn(1), turn(-1), turn(2)];
+  }
+
+  function moveEnemy(enemy, base, barriers, powerUp, otherEnemies = []) {
     if (!enemy) {
       return null;
     }
@@ -527,16 +1312,36 @@
     if (powerUp) {
       blocked.add(keyForPosition(powerUp));
     }
+    for (const other of otherEnemies) {
+      blocked.add(keyForPosition(other));
+    }
 
-    const snakeHead = base.snake[0];
-    const directions = orderedEnemyDirections(enemy, snakeHead);
+    // Patrollers walk their route instead of chasing the head.
+    const patrol = enemy.patrol?.length > 0 ? enemy.patrol : null;
+    let patrolIndex = enemy.patrolIndex ?? 0;
+    if (patrol && arePositionsEqual(enemy, patrol[patrolIndex])) {
+      patrolIndex = (patrolIndex + 1) % patrol.length;
+    }
+    let directions;
+    if (patrol) {
+      directions = orderedEnemyDirections(enemy, patrol[patrolIndex], base);
+    } else if (enemy.archetype === "wallHugger") {
+      directions = getWallHuggerDirections(enemy, base, barriers);
+    } else if (enemy.archetype === "ambusher") {
+      directions = orderedEnemyDirections(enemy, getAmbushTarget(base), base);
+    } else {
+      directions = orderedEnemyDirections(enemy, base.snake[0], base);
+    }
 
     for (const direction of directions) {
       const movement = SnakeLogic.DIRECTION_VECTORS[direction];
-      const candidate = {
+      let candidate = {
         x: enemy.x + movement.x,
         y: enemy.y + movement.y,
       };
+      if (base.wrapWalls) {
+        candidate = SnakeLogic.wrapPosition(candidate, base.width, base.height);
+      }
 
       if (isOutOfBounds(base, candidate)) {
         continue;
@@ -547,11 +1352,12 @@
       }
 
       return {
+        ...enemy,
         x: candidate.x,
         y: candidate.y,
         direction,
-        stepEveryTicks: enemy.stepEveryTicks,
         tickCounter: 0,
+        ...(patrol ? { patrolIndex } : {}),
       };
     }
 
@@ -561,6 +1367,18 @@
     };
   }
 
+  function moveLevelEnemies(enemy, extraEnemies, base, barriers, powerUp) {
+    // Enemies move one after another and never share a cell.
+    const moved = [];
+    const pending = listLevelEnemies(enemy, extraEnemies);
+    pending.forEach((current, index) => {
+      moved.push(moveEnemy(current, base, barriers, powerUp, [...moved, ...pending.slice(index + 1)]));
+    });
+    return enemy
+      ? { enemy: moved[0], extraEnemies: moved.slice(1) }
+      : { enemy: null, extraEnemies: moved };
+  }
+
   function stepLevelsState(state, options = {}) {
     if (state.isGameOver || state.isPaused) {
       return state;
@@ -581,15 +1399,24 @@
       return createGameOverState(state, nextBase);
     }
 
-    const willEatFood = base.food ? arePositionsEqual(nextHead, base.food) : false;
-    const nextSnake = [nextHead, ...base.snake];
+    let effects = normalizeEffects(state.effects);
+    // The magnet swallows food a couple of cells away from the head.
+    const willEatFood = base.food
+      ? arePositionsEqual(nextHead, base.food) ||
+        (effects.magnet > 0 && isWithinCollectionRange(nextHead, base.food, MAGNET_RANGE))
+      : false;
+    let nextSnake = [nextHead, ...base.snake];
     if (!willEatFood) {
       nextSnake.pop();
     }
 
-    const collidedWithSelf = nextSnake
-      .slice(1)
-      .some((segment) => arePositionsEqual(segment, nextHead));
+    const collidedWithSelf =
+      containsPosition(nextSnake.slice(1), nextHead) ||
+      SnakeLogic.isDiagonalSqueeze(base, direction, nextSnake.slice(1));
+
+    if (effects.shrinkTail > 0 && nextSnake.length > SHRINK_TAIL_MIN_LENGTH) {
+      nextSnake = nextSnake.slice(0, -1);
+    }
 
     if (collidedWithSelf) {
       const nextBase = {
@@ -606,71 +1433,189 @@
       snake: nextSnake,
       direction,
       inputQueue: nextQueue,
-      score: base.score + (willEatFood ? 1 : 0),
+      score:
+        base.score + (willEatFood ? (effects.scoreMultiplier > 0 ? SCORE_MULTIPLIER : 1) : 0),
       isGameOver: false,
       isPaused: false,
     };
     let isGameOver = false;
     let level = state.level;
     const holdCurrentDirection = options.holdCurrentDirection === true;
-    let levelProgress = state.levelProgress + (willEatFood ? 1 : 0);
+    let bossStage = state.bossStage
+      ? { ...state.bossStage, hazards: [...state.bossStage.hazards] }
+      : null;
+    // Boss arenas count sigils instead of food.
+    let levelProgress = state.levelProgress + (willEatFood && !bossStage ? 1 : 0);
     let levelTarget = state.levelTarget;
     let tickMs = getTickMs(level, { holdCurrentDirection });
     let barriers = clonePositions(state.barriers);
     let enemy = state.enemy ? { ...state.enemy } : null;
+    let extraEnemies = (state.extraEnemies ?? []).map((extra) => ({ ...extra }));
     let powerUp = state.powerUp ? { ...state.powerUp } : null;
-    let shieldMsRemaining = Math.max(0, state.shieldMsRemaining);
+    let campaign = state.campaign
+      ? { ...state.campaign, levelElapsedMs: state.campaign.levelElapsedMs + state.tickMs }
+      : null;
+    const definition = getCampaignDefinition(campaign, level);
 
     const hitBarrier = containsPosition(barriers, nextHead);
-    const hitEnemy = enemy && arePositionsEqual(enemy, nextHead);
-    if ((hitBarrier || hitEnemy) && shieldMsRemaining <= 0) {
+    const hitEnemy = listLevelEnemies(enemy, extraEnemies).some((current) =>
+      enemyOccupiesPosition(current, nextHead)
+    );
+    const hitHazard = bossStage ? containsPosition(bossStage.hazards, nextHead) : false;
+    if ((hitBarrier || hitEnemy || hitHazard) && effects.shield <= 0) {
       return createGameOverState(state, nextBase);
     }
 
     if (willEatFood) {
-      nextBase.food = placeFoodAvoiding(nextBase, barriers, enemy, powerUp, rng);
+      nextBase.food = definition
+        ? placeCampaignFood(
+          nextBase,
+          barriers,
+          listLevelEnemies(enemy, extraEnemies),
+          powerUp,
+          definition,
+          rng
+        )
+        : placeFoodAvoiding(
+          nextBase,
+          barriers,
+          listLevelEnemies(enemy, extraEnemies),
+          powerUp,
+          rng,
+          bossStage?.sigil ? [bossStage.sigil] : []
+        );
       if (!nextBase.food) {
         isGameOver = true;
-      } else if (!powerUp && shieldMsRemaining <= 0 && level >= 4) {
+      } else if (hasRunModifier(state.challenge?.modifiers, "noPowerUps")) {
+        powerUp = null;
+      } else if (definition) {
+        if (!powerUp) {
+          const placed = spawnCampaignPowerUp(
+            nextBase,
+            barriers,
+            listLevelEnemies(enemy, extraEnemies),
+            definition,
+            campaign.powerUpSpotIndex,
+            level,
+            rng
+          );
+          powerUp = placed.powerUp;
+          campaign.powerUpSpotIndex = placed.spotIndex;
+        }
+      } else if (!powerUp && level >= 4) {
         if (rng() < getPowerUpSpawnChance(level)) {
-          powerUp = spawnPowerUp(nextBase, barriers, enemy, rng);
+          powerUp = spawnPowerUp(
+            nextBase,
+            barriers,
+            listLevelEnemies(enemy, extraEnemies),
+            level,
+            rng
+          );
         }
       }
     }
 
+    // Effects stack: picking one up never cancels the others, and picking the
+    // same type again restarts its timer.
     if (powerUp && arePositionsEqual(powerUp, nextHead)) {
-      shieldMsRemaining = SHIELD_DURATION_MS;
+      const type = LEVELS_POWER_UPS[powerUp.type] ? powerUp.type : "shield";
+      effects = { ...effects, [type]: LEVELS_POWER_UPS[type].durationMs };
       powerUp = null;
     }
 
+    if (bossStage?.sigil && arePositionsEqual(bossStage.sigil, nextHead)) {
+      levelProgress += 1;
+      bossStage.sigil =
+        levelProgress < levelTarget
+          ? spawnLevelsBossSigil(nextBase, barriers, enemy, powerUp, bossStage.hazards, rng)
+          : null;
+    }
+
     if (powerUp) {
       const ttlTicks = powerUp.ttlTicks - 1;
       powerUp = ttlTicks > 0 ? { ...powerUp, ttlTicks } : null;
     }
 
-    enemy = moveEnemy(enemy, nextBase, barriers, powerUp);
+    if (bossStage && enemy) {
+      if (effects.enemyFreeze <= 0) {
+        ({ enemy, bossStage } = stepLevelsBoss(
+          enemy,
+          bossStage,
+          nextBase,
+          barriers,
+          powerUp,
+          state.tickMs,
+          rng
+        ));
+      }
+    } else if (effects.enemyFreeze <= 0) {
+      ({ enemy, extraEnemies } = moveLevelEnemies(enemy, extraEnemies, nextBase, barriers, powerUp));
+    }
 
-    if (enemy && arePositionsEqual(enemy, nextBase.snake[0]) && shieldMsRemaining <= 0) {
+    const head = nextBase.snake[0];
+    if (
+      (listLevelEnemies(enemy, extraEnemies).some((current) =>
+        enemyOccupiesPosition(current, head)
+      ) ||
+        (bossStage && containsPosition(bossStage.hazards, head))) &&
+      effects.shield <= 0
+    ) {
       isGameOver = true;
     }
 
-    if (shieldMsRemaining > 0) {
-      shieldMsRemaining = Math.max(0, shieldMsRemaining - tickMs);
-    }
+    effects = tickEffects(effects, state.tickMs);
 
     if (!isGameOver && levelProgress >= levelTarget) {
+      if (bossStage) {
+        nextBase = { ...nextBase, score: nextBase.score + getLevelsBossBonus(level) };
+        bossStage = null;
+      }
+      if (definition) {
+        campaign.results = [
+          ...campaign.results,
+          {
+            id: definition.id,
+            name: definition.name,
+            elapsedMs: campaign.levelElapsedMs,
+            parTimeMs: definition.parTimeMs,
+            underPar:
+              definition.parTimeMs !== null && campaign.levelElapsedMs <= definition.parTimeMs,
+          },
+        ];
+      }
+
       level += 1;
       levelProgress = 0;
-      levelTarget = getLevelTarget(level);
+      // Once the campaign runs out, levels go back to procedural layouts.
+      const nextDefinition = getCampaignDefinition(campaign, level);
+      levelTarget = nextDefinition?.target ?? getLevelTarget(level);
       tickMs = getTickMs(level, { holdCurrentDirection });
-      const regenerated = regenerateLevelLayout(nextBase, level, rng);
-      barriers = regenerated.barriers;
-      enemy = regenerated.enemy;
+      if (nextDefinition) {
+        const loaded = loadCampaignLevel(nextBase, nextDefinition, level, rng);
+        nextBase = loaded.base;
+        barriers = loaded.barriers;
+        enemy = loaded.enemy;
+        extraEnemies = [];
+      } else {
+        const regenerated = isLevelsBossLevel(level)
+          ? createLevelsBossStage(nextBase, level, rng)
+          : regenerateLevelLayout(nextBase, level, rng, state.challenge?.modifiers);
+        barriers = regenerated.barriers;
+        enemy = regenerated.enemy;
+        extraEnemies = regenerated.extraEnemies;
+        nextBase = {
+          ...nextBase,
+          food: regenerated.food,
+        };
+        if (regenerated.bossStage) {
+          bossStage = regenerated.bossStage;
+          levelTarget = bossStage.sigilTarget;
+        }
+      }
       powerUp = null;
-      nextBase = {
-        ...nextBase,
-        food: regenerated.food,
-      };
+      if (campaign) {
+        campaign = { ...campaign, levelElapsedMs: 0, powerUpSpotIndex: 0 };
+      }
       if (!nextBase.food) {
         isGameOver = true;
       }
@@ -685,13 +1630,16 @@
       level,
       levelProgress,
       levelTarget,
-      tickMs,
+      tickMs: effects.slowTime > 0 ? Math.round(tickMs * SLOW_TIME_FACTOR) : tickMs,
       barriers,
       enemy,
+      extraEnemies,
+      bossStage,
       powerUp,
-      shieldMsRemaining,
+      effects,
       isGameOver,
       isPaused: false,
+      campaign,
       souls: null,
     };
   }
@@ -745,7 +1693,49 @@
     const snake = getSnakeDefinition(souls);
     const snakeMultiplier = snake?.runeGainMultiplier ?? 1;
     const runaVivaStacks = getPowerStack(souls, "runa_viva");
-    return snakeMultiplier * (1 + runaVivaStacks * 0.3);
+    const modifierMultiplier = hasRunModifier(souls.modifiers, "doubleRunes") ? 2 : 1;
+    return snakeMultiplier * (1 + runaVivaStacks * 0.3) * modifierMultiplier;
+  }
+
+  // Lifetime stats ride on the run's profile copy; challenges and the demo
+  // play on a throwaway profile, so they never reach the saved one.
+  function recordSoulsStats(souls, delta) {
+    souls.profile = SoulsProfile.addStats(souls.profile, delta);
+    if (PROGRESS_STAT_KEYS.some((key) => key in delta)) {
+      recordSoulsAchievementEvent(souls, null);
+    }
+  }
+
+  // Souls play time piles up in the run and reaches the profile copy on floor
+  // changes and at game over, rather than through addStats on every step.
+  function bankSoulsPlayTime(souls) {
+    const ms = Math.round(souls.pendingPlayTimeMs ?? 0);
+    souls.pendingPlayTimeMs = 0;
+    if (ms > 0) {
+      souls.profile = SoulsProfile.addStats(souls.profile, { timePlayedMs: { souls: ms } });
+    }
+  }
+
+  // For callers leaving a run mid-floor (main.js on quit or restart).
+  function flushSoulsPlayTime(state) {
+    if (state?.mode !== "souls" || !(state.souls.pendingPlayTimeMs > 0)) {
+      return state;
+    }
+
+    const souls = { ...state.souls };
+    bankSoulsPlayTime(souls);
+    return {
+      ...state,
+      souls,
+    };
+  }
+
+  // Achievements unlock on the same profile copy; main.js diffs it to show
+  // the unlock toast. A null event only re-checks the progress ones.
+  function recordSoulsAchievementEvent(souls, event) {
+    if (Achievements) {
+      souls.profile = Achievements.recordEvent(souls.profile, event).profile;
+    }
   }
 
   function applyRuneGain(souls, baseAmount) {
@@ -755,6 +1745,7 @@
 
     const amount = Math.max(1, Math.round(baseAmount * getRuneMultiplier(souls)));
     souls.carriedRunes += amount;
+    recordSoulsStats(souls, { runesEarned: amount });
     return amount;
   }
 
@@ -768,6 +1759,9 @@
     let cps = baseByStage * Math.pow(SoulsData.getDifficultyScale(cycle), 0.65);
     cps *= 1 / (snake?.tickMultiplier ?? 1);
     cps *= Math.pow(1.05, folegoStacks);
+    if (hasRunModifier(souls.modifiers, "hasty")) {
+      cps *= HASTY_SPEED_FACTOR;
+    }
 
     return clamp(cps, 2, 18);
   }
@@ -779,7 +1773,8 @@
 
   function getSoulsStaminaStats(souls) {
     const adrenalineStacks = getPowerStack(souls, "adrenalina");
-    const max = STAMINA_MAX_BASE + adrenalineStacks * 20;
+    const max =
+      STAMINA_MAX_BASE + adrenalineStacks * 20 + getSoulsMetaBonus(souls, "estamina_maior");
     const recoveryMs = Math.max(
       1000,
       Math.round(STAMINA_RECOVERY_MS_BASE * Math.pow(0.85, adrenalineStacks))
@@ -897,20 +1892,96 @@
       }
     }
 
-    souls.stamina = {
-      ...stamina,
-      max: stats.max,
-    };
+    souls.stamina = {
+      ...stamina,
+      max: stats.max,
+    };
+
+    return {
+      boostActive:
+        boostActive && souls.stamina.phase === STAMINA_PHASE_READY,
+      exhausted: souls.stamina.phase === STAMINA_PHASE_EXHAUSTED,
+    };
+  }
+
+  function createSoulsAbilityState() {
+    return {
+      cooldownMsRemaining: 0,
+      activeMsRemaining: 0,
+    };
+  }
+
+  function getSoulsAbility(souls) {
+    return getSnakeDefinition(souls)?.ability ?? null;
+  }
+
+  function getSoulsAbilityState(souls, playerIndex = 0) {
+    const source = playerIndex === 1 ? souls.coop?.partner?.ability : souls.ability;
+    return source ?? createSoulsAbilityState();
+  }
+
+  function setSoulsAbilityState(souls, playerIndex, ability) {
+    if (playerIndex === 1) {
+      souls.coop.partner = { ...souls.coop.partner, ability };
+    } else {
+      souls.ability = ability;
+    }
+  }
+
+  function isSoulsAbilityActive(souls, playerIndex, abilityId) {
+    return (
+      getSoulsAbility(souls)?.id === abilityId &&
+      getSoulsAbilityState(souls, playerIndex).activeMsRemaining > 0
+    );
+  }
+
+  function tickSoulsAbilityState(ability, deltaMs) {
+    const source = ability ?? createSoulsAbilityState();
+    return {
+      cooldownMsRemaining: Math.max(0, source.cooldownMsRemaining - deltaMs),
+      activeMsRemaining: Math.max(0, source.activeMsRemaining - deltaMs),
+    };
+  }
+
+  // What the HUD needs about a seat's ability. `charge` runs from 0 right
+  // after use to 1 once recharged; `ready` also needs the stamina cost in a
+  // ready bar, and Presságio only works on sigil floors without a forecast.
+  function getSoulsAbilityStatus(state, playerIndex = 0) {
+    if (state?.mode !== "souls" || !SoulsData) {
+      return null;
+    }
+
+    const souls = state.souls;
+    const ability = getSoulsAbility(souls);
+    const stamina = playerIndex === 1 ? souls.coop?.partner?.stamina : souls.stamina;
+    if (!ability || !stamina) {
+      return null;
+    }
+
+    const abilityState = getSoulsAbilityState(souls, playerIndex);
+    const hasStamina =
+      stamina.phase === STAMINA_PHASE_READY && stamina.current >= ability.staminaCost;
+    const usable =
+      ability.id !== "pressagio" ||
+      (souls.objectiveType === "sigil" && !souls.sigilForecast);
 
     return {
-      boostActive:
-        boostActive && souls.stamina.phase === STAMINA_PHASE_READY,
-      exhausted: souls.stamina.phase === STAMINA_PHASE_EXHAUSTED,
+      ability,
+      cooldownMsRemaining: abilityState.cooldownMsRemaining,
+      activeMsRemaining: abilityState.activeMsRemaining,
+      charge: clamp(1 - abilityState.cooldownMsRemaining / ability.cooldownMs, 0, 1),
+      active: abilityState.activeMsRemaining > 0,
+      hasStamina,
+      ready: abilityState.cooldownMsRemaining <= 0 && hasStamina && usable,
     };
   }
 
   function getSoulsSnakeSpeedCps(floor, stageType, souls, options = {}) {
     const normalCps = getSoulsSnakeNormalSpeedCps(floor, stageType, souls);
+    if (options.dashActive) {
+      return clamp(normalCps * ABILITY_DASH_MULT, 2, 26);
+    }
+
     if (options.exhausted) {
       return clamp(normalCps * STAMINA_EXHAUST_MULT, 1.5, 18);
     }
@@ -1170,6 +2241,27 @@
     return { x: sigil.x, y: sigil.y };
   }
 
+  // Presságio's forecast becomes the sigil unless something now sits on it.
+  function takeSoulsSigilForecast(base, souls, barriers, enemy, minions) {
+    const forecast = souls.sigilForecast;
+    souls.sigilForecast = null;
+    if (!forecast) {
+      return null;
+    }
+
+    const blocked = makeBlockedSet(
+      withSoulsPartnerCells(base, souls),
+      barriers,
+      enemy,
+      minions,
+      souls.hazards,
+      null,
+      souls.echo,
+      souls.enemyTeleportPreview
+    );
+    return blocked.has(keyForPosition(forecast)) ? null : clonePosition(forecast);
+  }
+
   function spawnSoulsEcho(
     base,
     souls,
@@ -1307,6 +2399,13 @@
       (bossDefinition.speedPenaltyTicks ?? 0)
     );
 
+    return createSoulsBossEnemy(position, bossDefinition, moveEveryTicks);
+  }
+
+  function createSoulsBossEnemy(position, bossDefinition, moveEveryTicks) {
+    const width = bossDefinition.width ?? bossDefinition.size ?? 1;
+    const height = bossDefinition.height ?? bossDefinition.size ?? 1;
+
     return {
       x: position.x,
       y: position.y,
@@ -1391,13 +2490,16 @@
     };
   }
 
-  function createSoulsWorldSession(stage) {
+  function createSoulsWorldSession(stage, runSeed) {
     if (!SoulsWorld) {
       return null;
     }
 
+    const floor = (stage.cycle - 1) * 12 + stage.withinCycle;
     return SoulsWorld.createWorldSession({
-      seed: (stage.cycle << 12) + stage.withinCycle * 97,
+      seed: Number.isFinite(runSeed)
+        ? RunSeed.deriveSeed(runSeed, "world", floor)
+        : (stage.cycle << 12) + stage.withinCycle * 97,
       chunkSize: SOULS_CHUNK_SIZE,
       activeRadius: SOULS_ACTIVE_RADIUS,
       stageType: stage.stageType,
@@ -1406,7 +2508,11 @@
   }
 
   function updateSoulsCameraAndWorld(base, souls, stageType, viewportAspect = 1) {
-    const camera = buildSoulsCamera(base.snake[0], stageType, viewportAspect);
+    const camera = buildSoulsCamera(
+      getSoulsCameraFocus(base, souls),
+      stageType,
+      viewportAspect
+    );
     if (!souls.world || !SoulsWorld) {
       return { camera, barriers: [] };
     }
@@ -1435,9 +2541,10 @@
       };
     }
 
+    // Between sigils the arrow points at Presságio's forecast, if any.
     const target =
       souls.objectiveType === "sigil"
-        ? souls.sigil
+        ? souls.sigil ?? souls.sigilForecast
         : souls.objectiveType === "food"
           ? base.food
           : null;
@@ -1451,7 +2558,7 @@
       };
     }
 
-    const head = base.snake[0];
+    const head = getSoulsCameraFocus(base, souls);
     const dx = target.x - head.x;
     const dy = target.y - head.y;
     const distance = manhattanDistance(head, target);
@@ -1493,10 +2600,23 @@
   }
 
   function getSoulsArmorPerStage(souls) {
+    if (hasRunModifier(souls.modifiers, "noArmor")) {
+      return 0;
+    }
     const snake = getSnakeDefinition(souls);
     const snakeArmor = snake?.extraArmorPerStage ?? 0;
     const muralha = getPowerStack(souls, "muralha");
-    return snakeArmor + muralha;
+    return snakeArmor + muralha + getSoulsMetaBonus(souls, "armadura_inicial");
+  }
+
+  // Permanent upgrades come from the run's profile; challenges play on a
+  // blank one, so they never apply there.
+  function getSoulsMetaBonus(souls, upgradeId) {
+    return SoulsProfile.getMetaUpgradeBonus(souls.profile, upgradeId);
+  }
+
+  function getSoulsRerollLimit(souls) {
+    return 1 + getSoulsMetaBonus(souls, "reroll_extra");
   }
 
   function hasGhostAvailable(souls) {
@@ -1507,6 +2627,186 @@
     souls.ghostCooldownMs = SoulsData.GHOST_COOLDOWN_MS;
   }
 
+  // Co-op keeps player 1 in `base` and the runtime fields of `souls`, so the
+  // solo paths stay as they were; player 2 mirrors those fields here. Powers,
+  // runes, the ghost cooldown and the objective are shared by the team.
+  function createSoulsCoopPartner(souls) {
+    return {
+      snake: [
+        { x: 0, y: 2 },
+        { x: -1, y: 2 },
+        { x: -2, y: 2 },
+      ],
+      direction: "RIGHT",
+      inputQueue: [],
+      armorCharges: getSoulsArmorPerStage(souls),
+      stamina: createSoulsStaminaState(souls, { current: "max" }),
+      ability: createSoulsAbilityState(),
+      snakeSpeedCps: 0,
+      snakeMoveAccumulatorMs: 0,
+      directionLockMsRemaining: 0,
+    };
+  }
+
+  function createSoulsCoopState(souls) {
+    return {
+      partner: createSoulsCoopPartner(souls),
+      downed: null,
+    };
+  }
+
+  function cloneSoulsCoopState(coop) {
+    if (!coop) {
+      return null;
+    }
+
+    return {
+      partner: {
+        ...coop.partner,
+        snake: clonePositions(coop.partner.snake),
+        inputQueue: [...coop.partner.inputQueue],
+        stamina: { ...coop.partner.stamina },
+      },
+      downed: coop.downed
+        ? { ...coop.downed, position: clonePosition(coop.downed.position) }
+        : null,
+    };
+  }
+
+  function isSoulsPlayerDown(souls, playerIndex) {
+    return souls.coop?.downed?.playerIndex === playerIndex;
+  }
+
+  function listSoulsActivePlayers(souls) {
+    if (!souls.coop) {
+      return [0];
+    }
+    return [0, 1].filter((playerIndex) => !isSoulsPlayerDown(souls, playerIndex));
+  }
+
+  function getSoulsPlayerSnake(base, souls, playerIndex) {
+    return playerIndex === 0 ? base.snake : souls.coop.partner.snake;
+  }
+
+  // Writes a player's snake fields back: player 1 into a new base, player 2
+  // into the (already cloned) souls state.
+  function updateSoulsPlayer(base, souls, playerIndex, fields) {
+    if (playerIndex === 0) {
+      return { ...base, ...fields };
+    }
+
+    souls.coop.partner = { ...souls.coop.partner, ...fields };
+    return base;
+  }
+
+  // The camera frames the midpoint of both living heads; the tether below
+  // keeps that midpoint from pushing either of them off screen.
+  function getSoulsCameraFocus(base, souls) {
+    const heads = listSoulsActivePlayers(souls).map(
+      (playerIndex) => getSoulsPlayerSnake(base, souls, playerIndex)[0]
+    );
+    if (heads.length < 2) {
+      return heads[0] ?? base.snake[0];
+    }
+
+    return {
+      x: Math.floor((heads[0].x + heads[1].x) / 2),
+      y: Math.floor((heads[0].y + heads[1].y) / 2),
+    };
+  }
+
+  function isWithinSoulsTether(head, partnerHead, camera) {
+    return (
+      Math.abs(head.x - partnerHead.x) <= camera.width - SOULS_COOP_TETHER_MARGIN &&
+      Math.abs(head.y - partnerHead.y) <= camera.height - SOULS_COOP_TETHER_MARGIN
+    );
+  }
+
+  // Spawns treat both bodies as occupied and search around a living head.
+  function withSoulsPartnerCells(base, souls) {
+    if (!souls?.coop) {
+      return base;
+    }
+
+    const partnerSnake = souls.coop.partner.snake;
+    return {
+      ...base,
+      snake: isSoulsPlayerDown(souls, 0)
+        ? [...partnerSnake, ...base.snake]
+        : [...base.snake, ...partnerSnake],
+    };
+  }
+
+  // Bosses (and the minions escorting them) chase the living head closest
+  // to the boss.
+  function pickSoulsTargetBase(base, souls, enemy) {
+    if (!souls.coop) {
+      return base;
+    }
+
+    let target = null;
+    let targetDistance = Infinity;
+    for (const playerIndex of listSoulsActivePlayers(souls)) {
+      const distance = getEnemyDistanceToPosition(
+        enemy,
+        getSoulsPlayerSnake(base, souls, playerIndex)[0]
+      );
+      if (target === null || distance < targetDistance) {
+        target = playerIndex;
+        targetDistance = distance;
+      }
+    }
+
+    return target === 1 ? { ...base, snake: souls.coop.partner.snake } : base;
+  }
+
+  // Returns false when nobody is left standing to bring the player back.
+  function downSoulsPlayer(souls, playerIndex, position, cause) {
+    if (!souls.coop || souls.coop.downed) {
+      return false;
+    }
+
+    souls.coop.downed = {
+      playerIndex,
+      position: clonePosition(position),
+      msRemaining: SOULS_COOP_REVIVE_MS,
+      cause,
+    };
+    return true;
+  }
+
+  // The fallen snake rises from its echo at starting length, heading the
+  // same way as the partner who picked it up.
+  function reviveSoulsPlayer(base, souls, direction) {
+    const { playerIndex, position } = souls.coop.downed;
+    souls.coop.downed = null;
+    return updateSoulsPlayer(base, souls, playerIndex, {
+      snake: [clonePosition(position), clonePosition(position), clonePosition(position)],
+      direction,
+      inputQueue: [],
+    });
+  }
+
+  // Mirrors player 1's stamina and speed bookkeeping in `stepSoulsState`.
+  function updateSoulsPartnerClock(souls, deltaMs, wantsBoost) {
+    const partnerSouls = { ...souls, stamina: souls.coop.partner.stamina };
+    const staminaRuntime = updateSoulsStaminaState(partnerSouls, deltaMs, wantsBoost);
+    souls.coop.partner = {
+      ...souls.coop.partner,
+      stamina: partnerSouls.stamina,
+      snakeSpeedCps: getSoulsSnakeSpeedCps(souls.floor, souls.stageType, souls, {
+        boostActive: staminaRuntime.boostActive,
+        exhausted: staminaRuntime.exhausted,
+        dashActive: isSoulsAbilityActive(souls, 1, "investida"),
+      }),
+      snakeMoveAccumulatorMs: souls.coop.partner.snakeMoveAccumulatorMs + deltaMs,
+      directionLockMsRemaining: Math.max(
+        0,
+        souls.coop.partner.directionLockMsRemaining - deltaMs
+      ),
+    };
+  }
+
   function createSoulsStageState(state, floor, rng, options = {}) {
     const stage = getStageDescriptor(floor);
     const snakeDefinition = getSnakeDefinition(state.souls);
@@ -1517,6 +2817,7 @@
     const base = {
       width: viewport.width,
       height: viewport.height,
+      movement: SnakeLogic.normalizeMovement(state.base.movement),
       snake: [
         { x: 0, y: 0 },
         { x: -1, y: 0 },
@@ -1530,7 +2831,7 @@
       isPaused: false,
     };
 
-    const world = createSoulsWorldSession(stage);
+    const world = createSoulsWorldSession(stage, state.seed);
     const stageSouls = {
       ...state.souls,
       floor,
@@ -1539,7 +2840,9 @@
       stageType: stage.stageType,
       world,
       viewportAspect,
+      coop: state.souls.coop ? createSoulsCoopState(state.souls) : null,
     };
+    const spawnBase = withSoulsPartnerCells(base, stageSouls);
     const cameraResult = updateSoulsCameraAndWorld(
       base,
       stageSouls,
@@ -1549,7 +2852,7 @@
     const barriers = cameraResult.barriers;
     const hazards = [];
     const enemy = spawnSoulsEnemy(
-      base,
+      spawnBase,
       barriers,
       [],
       floor,
@@ -1558,7 +2861,7 @@
       rng
     );
     const minions = spawnSoulsMinions(
-      base,
+      spawnBase,
       barriers,
       enemy,
       stage.stageType,
@@ -1572,7 +2875,7 @@
 
     if (stage.stageType === "normal") {
       food = spawnSoulsFood(
-        base,
+        spawnBase,
         stageSouls,
         barriers,
         enemy,
@@ -1584,7 +2887,7 @@
       );
     } else {
       sigil = spawnSoulsSigil(
-        base,
+        spawnBase,
         stageSouls,
         barriers,
         enemy,
@@ -1621,7 +2924,7 @@
     const echo =
       floor === 1 && stage.stageType === "normal"
         ? spawnSoulsEcho(
-          base,
+          spawnBase,
           stageSouls,
           barriers,
           enemy,
@@ -1685,6 +2988,10 @@
       enemyMoveAccumulatorMs: 0,
       armorCharges: getSoulsArmorPerStage(state.souls),
       stamina: createSoulsStaminaState(state.souls, { current: "max" }),
+      // Abilities come back ready on every floor, like the stamina bar.
+      ability: createSoulsAbilityState(),
+      sigilForecast: null,
+      coop: stageSouls.coop,
       countdownMsRemaining:
         initialStageFlow.phase === "countdown" ? initialStageFlow.msRemaining : 0,
     };
@@ -1701,13 +3008,16 @@
     return available;
   }
 
-  function rollPowerOptions(souls, rng) {
+  // `excluded` keeps the second co-op set apart from the first one whenever
+  // enough powers are left to offer something different.
+  function rollPowerOptions(souls, rng, excluded = []) {
     const available = getAvailablePowerIds(souls);
     if (available.length === 0) {
       return [];
     }
 
-    const pool = [...available];
+    const remaining = available.filter((powerId) => !excluded.includes(powerId));
+    const pool = remaining.length > 0 ? remaining : [...available];
     const options = [];
     const count = Math.min(3, pool.length);
 
@@ -1731,17 +3041,24 @@
     const rng = options.rng ?? Math.random;
     const sourceProfile = options.soulsProfile ?? SoulsProfile.createDefaultProfile();
     const sanitizedProfile = SoulsProfile.sanitizeProfile(sourceProfile);
+    const challenge = normalizeChallenge(options.challenge);
     const requestedSnakeId = options.soulsSnakeId ?? sanitizedProfile.selectedSnakeId;
-    const selectedSnakeId = sanitizedProfile.unlockedSnakeIds.includes(requestedSnakeId)
-      ? requestedSnakeId
-      : SoulsData.DEFAULT_SNAKE_ID;
-    const profile = SoulsProfile.selectSnake(sanitizedProfile, selectedSnakeId);
+    // Challenges hand out their snake whether or not the profile unlocked it.
+    const selectedSnakeId = challenge?.snakeId
+      ?? (sanitizedProfile.unlockedSnakeIds.includes(requestedSnakeId)
+        ? requestedSnakeId
+        : SoulsData.DEFAULT_SNAKE_ID);
+    const profile = challenge
+      ? sanitizedProfile
+      : SoulsProfile.selectSnake(sanitizedProfile, selectedSnakeId);
+    const startingPowers = challenge?.powers ?? {};
 
     const viewportAspect = normalizeSoulsViewportAspect(options.viewportAspect ?? 1);
     const initialViewport = getSoulsViewportDimensions("normal", viewportAspect);
 
     const state = {
       mode: "souls",
+      seed: options.seed,
       base: {
         width: initialViewport.width,
         height: initialViewport.height,
@@ -1750,6 +3067,7 @@
           { x: -1, y: 0 },
           { x: -2, y: 0 },
         ],
+        movement: SnakeLogic.normalizeMovement(options.movement),
         direction: "RIGHT",
         inputQueue: [],
         food: null,
@@ -1764,7 +3082,9 @@
       barriers: [],
       enemy: null,
       powerUp: null,
-      shieldMsRemaining: 0,
+      effects: createEffectsState(),
+      extraEnemies: [],
+      bossStage: null,
       isGameOver: false,
       isPaused: false,
       souls: {
@@ -1778,9 +3098,18 @@
         objectiveProgress: 0,
         objectiveTarget: 0,
         carriedRunes: 0,
+        // Runes moved to the wallet this run, for the run history.
+        bankedRunes: 0,
+        // Time spent playing the current floor and one { floor, stageType,
+        // clearMs } per floor cleared.
+        floorElapsedMs: 0,
+        floorTimeline: [],
+        // Armor charges spent on the current floor, by either co-op seat.
+        floorArmorLost: 0,
         profile,
         selectedSnakeId,
-        powers: {},
+        powers: { ...startingPowers },
+        modifiers: challenge?.modifiers ?? [],
         reward: null,
         rewardRerolled: false,
         sigil: null,
@@ -1806,17 +3135,29 @@
         enemyMoveAccumulatorMs: 0,
         armorCharges: 0,
         stamina: createSoulsStaminaState(
-          { powers: {} },
-          { current: STAMINA_MAX_BASE }
+          { powers: startingPowers, profile },
+          { current: "max" }
         ),
+        ability: createSoulsAbilityState(),
+        // Where Presságio saw the next sigil appear, until it spawns there.
+        sigilForecast: null,
         ghostCooldownMs: 0,
         directionLockMsRemaining: 0,
+        // Placeholder until the first stage seats the second snake.
+        coop: options.coop === true ? { partner: null, downed: null } : null,
         lastDeathRunes: 0,
         lastDeathEcho: 0,
+        lastDeathCause: null,
         countdownMsRemaining: 0,
+        pendingPlayTimeMs: 0,
       },
     };
 
+    recordSoulsStats(state.souls, {
+      runsStarted: 1,
+      deepestFloorBySnake: { [selectedSnakeId]: 1 },
+    });
+
     const stageState = createSoulsStageState(state, 1, rng, {
       includeCountdown: false,
       viewportAspect,
@@ -1850,32 +3191,110 @@
     state.souls.enemyMoveAccumulatorMs = stageState.enemyMoveAccumulatorMs;
     state.souls.armorCharges = stageState.armorCharges;
     state.souls.stamina = stageState.stamina;
+    state.souls.ability = stageState.ability;
+    state.souls.sigilForecast = stageState.sigilForecast;
+    state.souls.coop = stageState.coop;
     state.souls.countdownMsRemaining = stageState.countdownMsRemaining;
     state.souls.viewportAspect = stageState.viewportAspect ?? viewportAspect;
 
+    if (getSoulsMetaBonus(state.souls, "poder_inicial") > 0) {
+      openSoulsStartReward(state, rng);
+    }
+
     return state;
   }
 
+  // The poder_inicial upgrade opens a reward before floor 1 starts; picking
+  // resumes the floor instead of moving on (see finishSoulsReward).
+  function openSoulsStartReward(state, rng) {
+    const options = rollPowerOptions(state.souls, rng);
+    if (options.length === 0) {
+      return;
+    }
+    const partnerOptions = state.souls.coop ? rollPowerOptions(state.souls, rng, options) : null;
+
+    state.isPaused = true;
+    state.base = { ...state.base, isPaused: true };
+    state.souls.stageFlow = createStageFlowState("reward", {
+      message: "Escolha um poder inicial",
+      nextFloor: state.souls.floor,
+      msRemaining: 0,
+    });
+    state.souls.reward = {
+      options,
+      rerolled: false,
+      source: "start",
+      ...(partnerOptions ? { partnerOptions, picks: [null, null] } : {}),
+    };
+  }
+
+  function resolveRunSeed(options) {
+    return RunSeed.normalizeSeed(options.seed) ?? RunSeed.generateSeed();
+  }
+
   function createModeState(options = {}) {
-    const mode =
-      options.mode === "levels"
-        ? "levels"
-        : options.mode === "souls"
-          ? "souls"
-          : "traditional";
+    const mode = ["levels", "souls", "timeattack", "versus"].includes(options.mode)
+      ? options.mode
+      : "traditional";
+    const seed =
+      mode === "timeattack"
+        ? RunSeed.normalizeSeed(options.seed) ?? TIME_ATTACK_SEED
+        : resolveRunSeed(options);
+    const seededRng = RunSeed.createSeededRng(seed);
+    const modeOptions = {
+      ...options,
+      seed,
+      rng: options.rng ?? seededRng,
+    };
 
+    let state;
     if (mode === "levels") {
-      return createLevelsModeState(options);
+      state = createLevelsModeState(modeOptions);
+    } else if (mode === "souls") {
+      state = buildSoulsModeState(modeOptions);
+    } else if (mode === "timeattack") {
+      state = createTimeAttackModeState(modeOptions);
+    } else if (mode === "versus") {
+      state = createVersusModeState(modeOptions);
+    } else {
+      state = createTraditionalModeState(modeOptions);
     }
 
-    if (mode === "souls") {
-      return buildSoulsModeState(options);
+    return {
+      ...state,
+      seed,
+      rngState: seededRng.getState(),
+      challenge: normalizeChallenge(options.challenge),
+    };
+  }
+
+  // Runs every random decision of a transition through the generator stored
+  // in `rngState`, unless the caller injects its own `rng` (tests, tools).
+  function withSeededRng(state, options, transition) {
+    if (options.rng || !Number.isFinite(state?.rngState)) {
+      return transition(options);
+    }
+
+    const rng = RunSeed.createSeededRng(state.rngState);
+    const nextState = transition({ ...options, rng });
+    if (nextState === state) {
+      return state;
     }
 
-    return createTraditionalModeState(options);
+    return {
+      ...nextState,
+      rngState: rng.getState(),
+    };
   }
 
-  function queueModeDirection(state, direction) {
+  function queueModeDirection(state, direction, playerIndex = 0) {
+    if (state.mode === "versus") {
+      return {
+        ...state,
+        base: SnakeLogic.queuePlayerDirection(state.base, playerIndex, direction),
+      };
+    }
+
     if (state.mode !== "souls") {
       const nextBase = SnakeLogic.queueDirection(state.base, direction);
       return {
@@ -1884,12 +3303,15 @@
       };
     }
 
+    if (playerIndex === 1 && state.souls.coop) {
+      return queueSoulsPartnerDirection(state, direction);
+    }
+
     if (state.souls.directionLockMsRemaining > 0) {
       return state;
     }
 
     const nextBase = SnakeLogic.queueDirection(state.base, direction);
-    const snake = getSnakeDefinition(state.souls);
     const changed = nextBase.inputQueue.length > state.base.inputQueue.length;
 
     return {
@@ -1897,17 +3319,81 @@
       base: nextBase,
       souls: {
         ...state.souls,
-        directionLockMsRemaining:
-          changed && snake?.directionLockTicks
-            ? Math.round(
-              snake.directionLockTicks *
-              (1000 / Math.max(0.1, state.souls.snakeSpeedCps || 1))
-            )
-            : 0,
+        directionLockMsRemaining: changed
+          ? getSoulsDirectionLockMs(state.souls, state.souls.snakeSpeedCps)
+          : 0,
+      },
+    };
+  }
+
+  function getSoulsDirectionLockMs(souls, snakeSpeedCps) {
+    const snake = getSnakeDefinition(souls);
+    return snake?.directionLockTicks
+      ? Math.round(snake.directionLockTicks * (1000 / Math.max(0.1, snakeSpeedCps || 1)))
+      : 0;
+  }
+
+  function queueSoulsPartnerDirection(state, direction) {
+    const partner = state.souls.coop.partner;
+    if (partner.directionLockMsRemaining > 0 || isSoulsPlayerDown(state.souls, 1)) {
+      return state;
+    }
+
+    const queued = SnakeLogic.queueDirection(
+      {
+        ...state.base,
+        snake: partner.snake,
+        direction: partner.direction,
+        inputQueue: partner.inputQueue,
+      },
+      direction
+    );
+    if (queued.inputQueue === partner.inputQueue) {
+      return state;
+    }
+
+    return {
+      ...state,
+      souls: {
+        ...state.souls,
+        coop: {
+          ...state.souls.coop,
+          partner: {
+            ...partner,
+            inputQueue: queued.inputQueue,
+            directionLockMsRemaining: getSoulsDirectionLockMs(
+              state.souls,
+              partner.snakeSpeedCps
+            ),
+          },
+        },
       },
     };
   }
 
+  function applyModeController(state, controller) {
+    // Controllers (autopilot, bots) steer through the same queue as player
+    // input, so replays and direction locks treat them identically.
+    if (
+      !controller ||
+      state.isGameOver ||
+      state.isPaused ||
+      state.mode === "versus" ||
+      state.base.inputQueue.length > 0
+    ) {
+      return state;
+    }
+    if (
+      state.mode === "souls" &&
+      (state.souls.reward || state.souls.stageFlow?.phase !== "idle")
+    ) {
+      return state;
+    }
+
+    const direction = controller.decide(state);
+    return direction ? queueModeDirection(state, direction) : state;
+  }
+
   function toggleModePause(state) {
     if (state.mode === "souls" && state.souls.reward) {
       return state;
@@ -1922,15 +3408,23 @@
   }
 
   function restartModeState(state, options = {}) {
-    const rng = options.rng ?? Math.random;
+    const rng = options.rng;
+    const seed = options.seed;
 
     if (state.mode === "souls") {
       return createModeState({
         mode: "souls",
-        soulsProfile: state.souls.profile,
+        // Challenge retries start blank too, so an echo never carries over.
+        soulsProfile: state.challenge
+          ? SoulsProfile.createDefaultProfile()
+          : options.soulsProfile ?? state.souls.profile,
         soulsSnakeId: state.souls.selectedSnakeId,
         viewportAspect:
           options.viewportAspect ?? state.souls.viewportAspect ?? 1,
+        movement: state.base.movement,
+        challenge: state.challenge ?? undefined,
+        coop: Boolean(state.souls.coop),
+        seed,
         rng,
       });
     }
@@ -1939,6 +3433,16 @@
       mode: state.mode,
       width: state.base.width,
       height: state.base.height,
+      wrapWalls: state.base.wrapWalls === true,
+      movement: state.base.movement,
+      bestOf: state.versus?.bestOf,
+      rival: state.rival?.difficulty,
+      campaign: state.campaign
+        ? { name: state.campaign.name, levels: state.campaign.levels }
+        : undefined,
+      course: state.timeAttack?.course,
+      challenge: state.challenge ?? undefined,
+      seed,
       rng,
     });
   }
@@ -1954,6 +3458,15 @@
         souls.directionLockMsRemaining - deltaMs
       );
     }
+
+    souls.ability = tickSoulsAbilityState(souls.ability, deltaMs);
+    if (souls.coop?.partner) {
+      setSoulsAbilityState(
+        souls,
+        1,
+        tickSoulsAbilityState(souls.coop.partner.ability, deltaMs)
+      );
+    }
   }
 
   function normalizeHazards(hazards, deltaMs) {
@@ -1996,7 +3509,7 @@
     return "UP";
   }
 
-  function canEnemyMoveTo(base, candidate, enemy, minions, barriers, hazards) {
+  function canEnemyMoveTo(base, candidate, enemy, minions, barriers, hazards, bounds = null) {
     const nextEnemy = {
       ...enemy,
       x: candidate.x,
@@ -2004,6 +3517,10 @@
     };
 
     for (const enemyCell of getEnemyCells(nextEnemy)) {
+      if (bounds && !isInsideBounds(bounds, enemyCell)) {
+        return false;
+      }
+
       if (containsPosition(base.snake.slice(1), enemyCell)) {
         return false;
       }
@@ -2042,7 +3559,8 @@
     sigil,
     echo,
     camera,
-    enemyTeleportPreview = null
+    enemyTeleportPreview = null,
+    boardBounds = null
   ) {
     const blocked = makeBlockedSet(
       base,
@@ -2066,7 +3584,9 @@
       width: Math.max(3, Math.floor(base.width || SOULS_VIEWPORT_NORMAL)),
       height: Math.max(3, Math.floor(base.height || SOULS_VIEWPORT_NORMAL)),
     };
+    // Bounded boards (Levels boss arenas) keep teleports on the board.
     const bounds =
+      boardBounds ??
       SoulsWorld?.getCameraBounds(camera ?? fallbackCamera, 4) ?? {
         minX: base.snake[0].x - 16,
         maxX: base.snake[0].x + 16,
@@ -2116,7 +3636,8 @@
       sigil,
       echo,
       camera,
-      options.enemyTeleportPreview
+      options.enemyTeleportPreview,
+      options.bounds
     );
     if (candidates.length === 0) {
       return null;
@@ -2220,6 +3741,7 @@
               target: head,
               maxDistance: ESPECTRO_TELEPORT_MAX_DISTANCE,
               enemyTeleportPreview: souls.enemyTeleportPreview,
+              bounds: souls.bounds,
             }
           );
           if (anchor) {
@@ -2245,7 +3767,7 @@
           souls.echo,
           souls.camera,
           rng,
-          { enemyTeleportPreview: souls.enemyTeleportPreview }
+          { enemyTeleportPreview: souls.enemyTeleportPreview, bounds: souls.bounds }
         );
       }
       nextEnemy.teleportCounter = 0;
@@ -2275,7 +3797,8 @@
             nextEnemy,
             souls.minions,
             barriers,
-            hazards
+            hazards,
+            souls.bounds
           )
         ) {
           nextEnemy.x = candidate.x;
@@ -2306,7 +3829,8 @@
           nextEnemy,
           souls.minions,
           barriers,
-          hazards
+          hazards,
+          souls.bounds
         )
       ) {
         continue;
@@ -2381,9 +3905,18 @@
     return next;
   }
 
-  function tryMitigateSoulsCollision(souls) {
-    if (souls.armorCharges > 0) {
+  // Armor is per player; the ghost step is a shared team cooldown.
+  function tryMitigateSoulsCollision(souls, playerIndex = 0) {
+    if (playerIndex === 1) {
+      const partner = souls.coop.partner;
+      if (partner.armorCharges > 0) {
+        souls.coop.partner = { ...partner, armorCharges: partner.armorCharges - 1 };
+        souls.floorArmorLost += 1;
+        return true;
+      }
+    } else if (souls.armorCharges > 0) {
       souls.armorCharges -= 1;
+      souls.floorArmorLost += 1;
       return true;
     }
 
@@ -2395,9 +3928,26 @@
     return false;
   }
 
-  function createSoulsGameOver(state, nextBase, souls) {
+  // Maps a Souls death cause onto the profile's deathsByCause keys.
+  function getSoulsDeathStatCause(cause) {
+    if (cause === "enemy") return "boss";
+    return SoulsProfile.STAT_DEATH_CAUSES.includes(cause) ? cause : "other";
+  }
+
+  function getSoulsCollisionCause(hits) {
+    if (hits.barrier) return "barrier";
+    if (hits.enemy) return "enemy";
+    if (hits.minion) return "minion";
+    if (hits.hazard) return "hazard";
+    return null;
+  }
+
+  function createSoulsGameOver(state, nextBase, souls, cause = null) {
     const lostRunes = souls.carriedRunes;
-    const updatedProfile = SoulsProfile.applyDeathEcho(souls.profile, lostRunes);
+    const updatedProfile = SoulsProfile.addStats(
+      SoulsProfile.applyDeathEcho(souls.profile, lostRunes),
+      { deathsByCause: { [getSoulsDeathStatCause(cause)]: 1 } }
+    );
 
     const nextSouls = {
       ...souls,
@@ -2405,11 +3955,19 @@
       carriedRunes: 0,
       lastDeathRunes: lostRunes,
       lastDeathEcho: updatedProfile.pendingEcho?.runes ?? 0,
+      lastDeathCause: cause,
       enemyTeleportPreview: null,
       reward: null,
       stageFlow: createStageFlowState("idle"),
       countdownMsRemaining: 0,
     };
+    bankSoulsPlayTime(nextSouls);
+    recordSoulsAchievementEvent(nextSouls, {
+      type: "death",
+      cause,
+      floor: souls.floor,
+      stageType: souls.stageType,
+    });
 
     return {
       ...state,
@@ -2425,6 +3983,22 @@
 
   function handleSoulsStageCompletion(state, nextBase, souls, rng) {
     const nextFloor = souls.floor + 1;
+    souls.floorTimeline = [
+      ...souls.floorTimeline,
+      { floor: souls.floor, stageType: souls.stageType, clearMs: Math.round(souls.floorElapsedMs) },
+    ];
+    const defeatedBossId =
+      souls.stageType === "normal"
+        ? null
+        : state.enemy?.id ?? SoulsData.getBossDefinition(souls.floor)?.id ?? null;
+    recordSoulsAchievementEvent(souls, {
+      type: "floor_cleared",
+      floor: souls.floor,
+      cycle: souls.cycle,
+      stageType: souls.stageType,
+      bossId: defeatedBossId,
+      armorLost: souls.floorArmorLost,
+    });
     const completionLabel =
       souls.stageType === "normal"
         ? `Andar ${souls.floor} concluido`
@@ -2453,14 +4027,14 @@
       };
     }
 
-    const defeatedBossId =
-      state.enemy?.id ?? SoulsData.getBossDefinition(souls.floor)?.id ?? null;
     if (defeatedBossId) {
       souls.profile = SoulsProfile.registerBossDefeat(souls.profile, defeatedBossId);
+      recordSoulsAchievementEvent(souls, null);
     }
 
     if (souls.carriedRunes > 0) {
       souls.profile = SoulsProfile.addWalletRunes(souls.profile, souls.carriedRunes);
+      souls.bankedRunes += souls.carriedRunes;
       souls.carriedRunes = 0;
     }
 
@@ -2475,6 +4049,7 @@
     }
 
     const options = rollPowerOptions(souls, rng);
+    const partnerOptions = souls.coop ? rollPowerOptions(souls, rng, options) : null;
 
     if (options.length === 0) {
       applyRuneGain(souls, SoulsData.getRuneReward("allPowersMaxed"));
@@ -2524,6 +4099,9 @@
           options,
           rerolled: false,
           source: souls.stageType,
+          // Co-op: player 2 picks from its own set; the floor moves on once
+          // both seats have chosen.
+          ...(partnerOptions ? { partnerOptions, picks: [null, null] } : {}),
         },
       },
     };
@@ -2545,10 +4123,13 @@
         ...souls,
         floor,
         objectiveProgress: 0,
+        floorElapsedMs: 0,
+        floorArmorLost: 0,
         reward: null,
         rewardRerolled: false,
       },
     };
+    bankSoulsPlayTime(workingState.souls);
 
     const stageState = createSoulsStageState(workingState, floor, rng, {
       includeCountdown,
@@ -2597,11 +4178,189 @@
         enemyMoveAccumulatorMs: stageState.enemyMoveAccumulatorMs,
         armorCharges: stageState.armorCharges,
         stamina: stageState.stamina,
+        ability: stageState.ability,
+        sigilForecast: stageState.sigilForecast,
+        coop: stageState.coop,
         countdownMsRemaining: stageState.countdownMsRemaining,
       },
     };
   }
 
+  // Moves one snake a cell: player 1 lives in `base`, player 2 in
+  // `souls.coop.partner`, and pickups feed the shared objective. A death is
+  // reported as `cause` so the caller can end the run or down the player.
+  function moveSoulsPlayer(base, souls, playerIndex, context) {
+    const { enemy, minions, collectRange, viewportAspect, rng } = context;
+    let barriers = context.barriers;
+    const runnerBase =
+      playerIndex === 0
+        ? base
+        : {
+          ...base,
+          snake: souls.coop.partner.snake,
+          direction: souls.coop.partner.direction,
+          inputQueue: souls.coop.partner.inputQueue,
+        };
+    const { direction, nextHead, nextQueue } = getNextHead(runnerBase);
+
+    const partnerIndex = 1 - playerIndex;
+    if (souls.coop && !isSoulsPlayerDown(souls, partnerIndex)) {
+      const partnerHead = getSoulsPlayerSnake(base, souls, partnerIndex)[0];
+      if (!isWithinSoulsTether(nextHead, partnerHead, souls.camera)) {
+        // Held back by the tether: the turn is taken, the snake waits.
+        return {
+          base: updateSoulsPlayer(base, souls, playerIndex, {
+            direction,
+            inputQueue: nextQueue,
+          }),
+          barriers,
+          cause: null,
+        };
+      }
+    }
+
+    const willEatFood =
+      souls.objectiveType === "food" &&
+      base.food &&
+      isWithinCollectionRange(nextHead, base.food, collectRange);
+    const willCollectSigil =
+      souls.objectiveType === "sigil" &&
+      souls.sigil &&
+      isWithinCollectionRange(nextHead, souls.sigil, collectRange);
+
+    const shouldGrow = willEatFood || willCollectSigil;
+    const nextSnake = [nextHead, ...runnerBase.snake];
+    if (!shouldGrow) {
+      nextSnake.pop();
+    }
+
+    // Atravessar lets the head slide over its own body while it lasts.
+    const collidedWithSelf =
+      !isSoulsAbilityActive(souls, playerIndex, "atravessar") &&
+      (containsPosition(nextSnake.slice(1), nextHead) ||
+        SnakeLogic.isDiagonalSqueeze(runnerBase, direction, nextSnake.slice(1)));
+
+    if (collidedWithSelf) {
+      return {
+        base: updateSoulsPlayer(base, souls, playerIndex, {
+          snake: nextSnake,
+          direction,
+          inputQueue: nextQueue,
+        }),
+        barriers,
+        cause: "self",
+      };
+    }
+
+    let nextBase = {
+      ...updateSoulsPlayer(base, souls, playerIndex, {
+        snake: nextSnake,
+        direction,
+        inputQueue: nextQueue,
+      }),
+      score: base.score + (shouldGrow ? 1 : 0),
+      isGameOver: false,
+      isPaused: false,
+    };
+
+    const cameraResult = updateSoulsCameraAndWorld(
+      nextBase,
+      souls,
+      souls.stageType,
+      viewportAspect
+    );
+    souls.camera = cameraResult.camera;
+    barriers = cameraResult.barriers;
+    nextBase.width = cameraResult.camera.width;
+    nextBase.height = cameraResult.camera.height;
+    let hitBarrier = containsPosition(barriers, nextHead);
+    if (hitBarrier && isSoulsAbilityActive(souls, playerIndex, "ariete")) {
+      // Aríete knocks down the first barrier it meets and is spent.
+      if (souls.world) {
+        SoulsWorld.destroyBarrier(souls.world, nextHead);
+      }
+      barriers = barriers.filter(
+        (barrier) => barrier.x !== nextHead.x || barrier.y !== nextHead.y
+      );
+      setSoulsAbilityState(souls, playerIndex, {
+        ...getSoulsAbilityState(souls, playerIndex),
+        activeMsRemaining: 0,
+      });
+      hitBarrier = false;
+    }
+    const hitEnemy = enemyOccupiesPosition(enemy, nextHead);
+    const hitMinion = minions.some((minion) => enemyOccupiesPosition(minion, nextHead));
+    const hitHazard = containsPosition(souls.hazards, nextHead);
+
+    if (
+      (hitBarrier || hitEnemy || hitMinion || hitHazard) &&
+      !tryMitigateSoulsCollision(souls, playerIndex)
+    ) {
+      return {
+        base: nextBase,
+        barriers,
+        cause: getSoulsCollisionCause({
+          barrier: hitBarrier,
+          enemy: hitEnemy,
+          minion: hitMinion,
+          hazard: hitHazard,
+        }),
+      };
+    }
+
+    if (
+      souls.echo?.position &&
+      isWithinCollectionRange(nextHead, souls.echo.position, collectRange)
+    ) {
+      const collected = SoulsProfile.collectEcho(souls.profile);
+      souls.profile = collected.profile;
+      souls.carriedRunes += collected.recoveredRunes;
+      souls.echo = null;
+      recordSoulsAchievementEvent(souls, {
+        type: "echo_recovered",
+        runes: collected.recoveredRunes,
+      });
+    }
+
+    if (
+      souls.coop?.downed &&
+      isWithinCollectionRange(nextHead, souls.coop.downed.position, collectRange)
+    ) {
+      nextBase = reviveSoulsPlayer(nextBase, souls, direction);
+    }
+
+    if (willEatFood) {
+      souls.objectiveProgress += 1;
+      applyRuneGain(souls, SoulsData.getRuneReward("food"));
+      recordSoulsStats(souls, { foodCollected: 1 });
+      nextBase.food = spawnSoulsFood(
+        withSoulsPartnerCells(nextBase, souls),
+        souls,
+        barriers,
+        enemy,
+        minions,
+        souls.hazards,
+        souls.sigil,
+        souls.echo,
+        rng,
+        souls.enemyTeleportPreview
+      );
+      if (!nextBase.food) {
+        return { base: nextBase, barriers, cause: "no_space" };
+      }
+    }
+
+    if (willCollectSigil) {
+      souls.objectiveProgress += 1 + getPowerStack(souls, "voracidade");
+      applyRuneGain(souls, SoulsData.getRuneReward("sigil"));
+      recordSoulsStats(souls, { sigilsCollected: 1 });
+      souls.sigil = null;
+      souls.sigilRespawnMsRemaining = getSoulsSigilRespawnMs(souls);
+    }
+
+    return { base: nextBase, barriers, cause: null };
+  }
+
   function stepSoulsState(state, options = {}) {
     if (state.isGameOver || state.souls.reward) {
       return state;
@@ -2639,6 +4398,7 @@
       stamina: state.souls.stamina
         ? { ...state.souls.stamina }
         : createSoulsStaminaState(state.souls, { current: "max" }),
+      coop: cloneSoulsCoopState(state.souls.coop),
       stageFlow: state.souls.stageFlow
         ? { ...state.souls.stageFlow }
         : createStageFlowState("idle"),
@@ -2657,7 +4417,7 @@
     );
     souls.viewportAspect = viewportAspect;
     const viewportCamera = buildSoulsCamera(
-      base.snake[0],
+      getSoulsCameraFocus(base, souls),
       souls.stageType,
       viewportAspect
     );
@@ -2678,6 +4438,7 @@
     );
     const deltaMs = Math.max(0, options.deltaMs ?? defaultDeltaMs);
     const holdCurrentDirection = options.holdCurrentDirection === true;
+    souls.pendingPlayTimeMs = (souls.pendingPlayTimeMs ?? 0) + deltaMs;
 
     if (souls.stageFlow.phase === "message") {
       souls.stageFlow.msRemaining = Math.max(0, souls.stageFlow.msRemaining - deltaMs);
@@ -2715,6 +4476,12 @@
       }
 
       souls.countdownMsRemaining = 0;
+      // Dev floor jumps skip this path, so they don't count as reached.
+      recordSoulsStats(souls, {
+        deepestFloorBySnake: {
+          [souls.selectedSnakeId]: souls.stageFlow.nextFloor ?? souls.floor + 1,
+        },
+      });
       return startNextSoulsFloor(
         state,
         {
@@ -2735,6 +4502,7 @@
       );
     }
     souls.countdownMsRemaining = 0;
+    souls.floorElapsedMs += deltaMs;
 
     const staminaRuntime = updateSoulsStaminaState(
       souls,
@@ -2748,6 +4516,7 @@
       {
         boostActive: staminaRuntime.boostActive,
         exhausted: staminaRuntime.exhausted,
+        dashActive: isSoulsAbilityActive(souls, 0, "investida"),
       }
     );
     souls.enemySpeedCps = state.enemy
@@ -2765,6 +4534,20 @@
       })
       : 0;
 
+    if (souls.coop) {
+      updateSoulsPartnerClock(
+        souls,
+        deltaMs,
+        options.partnerHoldCurrentDirection === true
+      );
+    }
+    if (souls.coop?.downed) {
+      souls.coop.downed.msRemaining = Math.max(0, souls.coop.downed.msRemaining - deltaMs);
+      if (souls.coop.downed.msRemaining <= 0) {
+        return createSoulsGameOver(state, base, souls, souls.coop.downed.cause);
+      }
+    }
+
     reduceSoulsCooldowns(souls, deltaMs);
     souls.hazards = normalizeHazards(souls.hazards, deltaMs);
     if (souls.enemyTeleportPreview) {
@@ -2790,6 +4573,12 @@
     const enemyIntervalMs = getSoulsEnemyIntervalMs(souls);
     const shouldMoveSnake = souls.snakeMoveAccumulatorMs >= snakeIntervalMs;
     const shouldMoveEnemy = souls.enemyMoveAccumulatorMs >= enemyIntervalMs;
+    const partnerIntervalMs = souls.coop
+      ? 1000 / Math.max(0.1, souls.coop.partner.snakeSpeedCps)
+      : Infinity;
+    const shouldMovePartner = Boolean(
+      souls.coop && souls.coop.partner.snakeMoveAccumulatorMs >= partnerIntervalMs
+    );
     const readyTeleportPreview =
       souls.enemyTeleportPreview &&
         souls.enemyTeleportPreview.msRemaining <= 0
@@ -2813,8 +4602,19 @@
     if (shouldMoveEnemy) {
       souls.enemyMoveAccumulatorMs -= enemyIntervalMs;
     }
+    if (shouldMovePartner) {
+      souls.coop.partner = {
+        ...souls.coop.partner,
+        snakeMoveAccumulatorMs: souls.coop.partner.snakeMoveAccumulatorMs - partnerIntervalMs,
+      };
+    }
 
-    if (!shouldMoveSnake && !shouldMoveEnemy && !readyTeleportPreview) {
+    if (
+      !shouldMoveSnake &&
+      !shouldMovePartner &&
+      !shouldMoveEnemy &&
+      !readyTeleportPreview
+    ) {
       souls.sigilIndicator = buildSoulsSigilIndicator(nextBase, souls);
       return {
         ...state,
@@ -2827,48 +4627,45 @@
     const collectRange = hasPower(souls, "ima") ? 1 : 0;
     let enemy = state.enemy ? { ...state.enemy } : null;
     let minions = souls.minions;
-    if (shouldMoveSnake) {
-      const { direction, nextHead, nextQueue } = getNextHead(base);
-
-      const willEatFood =
-        souls.objectiveType === "food" &&
-        base.food &&
-        isWithinCollectionRange(nextHead, base.food, collectRange);
-      const willCollectSigil =
-        souls.objectiveType === "sigil" &&
-        souls.sigil &&
-        isWithinCollectionRange(nextHead, souls.sigil, collectRange);
-
-      const shouldGrow = willEatFood || willCollectSigil;
-      const nextSnake = [nextHead, ...base.snake];
-      if (!shouldGrow) {
-        nextSnake.pop();
+    const movingPlayers = [];
+    if (shouldMoveSnake && !isSoulsPlayerDown(souls, 0)) {
+      movingPlayers.push(0);
+    }
+    if (shouldMovePartner && !isSoulsPlayerDown(souls, 1)) {
+      movingPlayers.push(1);
+    }
+    for (const playerIndex of movingPlayers) {
+      const previousBase = nextBase;
+      const previousPartner = souls.coop?.partner ?? null;
+      const moved = moveSoulsPlayer(nextBase, souls, playerIndex, {
+        enemy,
+        minions,
+        barriers,
+        collectRange,
+        viewportAspect,
+        rng,
+      });
+      barriers = moved.barriers;
+      if (!moved.cause) {
+        nextBase = moved.base;
+        continue;
       }
 
-      const collidedWithSelf = nextSnake
-        .slice(1)
-        .some((segment) => arePositionsEqual(segment, nextHead));
-
-      if (collidedWithSelf) {
-        const collidedBase = {
-          ...base,
-          snake: nextSnake,
-          direction,
-          inputQueue: nextQueue,
-        };
-        return createSoulsGameOver(state, collidedBase, souls);
+      // In co-op the fallen snake stays where it was before the fatal move.
+      const fallenAt =
+        playerIndex === 0 ? previousBase.snake[0] : previousPartner.snake[0];
+      if (
+        moved.cause === "no_space" ||
+        !downSoulsPlayer(souls, playerIndex, fallenAt, moved.cause)
+      ) {
+        return createSoulsGameOver(state, moved.base, souls, moved.cause);
       }
-
-      nextBase = {
-        ...base,
-        snake: nextSnake,
-        direction,
-        inputQueue: nextQueue,
-        score: base.score + (willEatFood || willCollectSigil ? 1 : 0),
-        isGameOver: false,
-        isPaused: false,
-      };
-
+      nextBase = previousBase;
+      if (playerIndex === 1) {
+        souls.coop.partner = previousPartner;
+      }
+    }
+    if (souls.coop?.downed && movingPlayers.length > 0) {
       const cameraResult = updateSoulsCameraAndWorld(
         nextBase,
         souls,
@@ -2877,54 +4674,6 @@
       );
       souls.camera = cameraResult.camera;
       barriers = cameraResult.barriers;
-      nextBase.width = cameraResult.camera.width;
-      nextBase.height = cameraResult.camera.height;
-      const hitBarrier = containsPosition(barriers, nextHead);
-      const hitEnemy =
-        enemyOccupiesPosition(enemy, nextHead) ||
-        minions.some((minion) => enemyOccupiesPosition(minion, nextHead));
-      const hitHazard = containsPosition(souls.hazards, nextHead);
-
-      if ((hitBarrier || hitEnemy || hitHazard) && !tryMitigateSoulsCollision(souls)) {
-        return createSoulsGameOver(state, nextBase, souls);
-      }
-
-      if (
-        souls.echo?.position &&
-        isWithinCollectionRange(nextHead, souls.echo.position, collectRange)
-      ) {
-        const collected = SoulsProfile.collectEcho(souls.profile);
-        souls.profile = collected.profile;
-        souls.carriedRunes += collected.recoveredRunes;
-        souls.echo = null;
-      }
-
-      if (willEatFood) {
-        souls.objectiveProgress += 1;
-        applyRuneGain(souls, SoulsData.getRuneReward("food"));
-        nextBase.food = spawnSoulsFood(
-          nextBase,
-          souls,
-          barriers,
-          enemy,
-          minions,
-          souls.hazards,
-          souls.sigil,
-          souls.echo,
-          rng,
-          souls.enemyTeleportPreview
-        );
-        if (!nextBase.food) {
-          return createSoulsGameOver(state, nextBase, souls);
-        }
-      }
-
-      if (willCollectSigil) {
-        souls.objectiveProgress += 1 + getPowerStack(souls, "voracidade");
-        applyRuneGain(souls, SoulsData.getRuneReward("sigil"));
-        souls.sigil = null;
-        souls.sigilRespawnMsRemaining = getSoulsSigilRespawnMs(souls);
-      }
     }
 
     if (souls.objectiveType === "sigil" && !souls.sigil) {
@@ -2933,7 +4682,13 @@
         souls.sigilRespawnMsRemaining - deltaMs
       );
       if (souls.sigilRespawnMsRemaining <= 0) {
-        souls.sigil = spawnSoulsSigil(
+        souls.sigil = takeSoulsSigilForecast(
+          nextBase,
+          souls,
+          barriers,
+          enemy,
+          minions
+        ) ?? spawnSoulsSigil(
           nextBase,
           souls,
           barriers,
@@ -2946,7 +4701,7 @@
         );
         souls.sigilRespawnMsRemaining = 0;
         if (!souls.sigil) {
-          return createSoulsGameOver(state, nextBase, souls);
+          return createSoulsGameOver(state, nextBase, souls, "no_space");
         }
       }
     }
@@ -2962,8 +4717,10 @@
       consumedEnemyActionByTeleport = true;
     }
 
+    // In co-op the boss picks its prey before moving; minions follow suit.
+    const targetBase = pickSoulsTargetBase(nextBase, souls, enemy);
     if (enemy && shouldMoveEnemy && !consumedEnemyActionByTeleport) {
-      enemy = moveSoulsEnemy(enemy, souls, nextBase, barriers, souls.hazards, rng);
+      enemy = moveSoulsEnemy(enemy, souls, targetBase, barriers, souls.hazards, rng);
 
       const shouldHazardPulse =
         enemy.baseHazardEveryTicks > 0 &&
@@ -2976,7 +4733,7 @@
 
     if (enemy && SoulsWorld && souls.camera) {
       const blockedForReentry = buildStageBlockedSet(
-        nextBase,
+        withSoulsPartnerCells(nextBase, souls),
         barriers,
         enemy,
         minions,
@@ -2987,7 +4744,7 @@
       enemy = SoulsWorld.reenterEnemyAtEdge(
         souls.world,
         enemy,
-        nextBase.snake[0],
+        targetBase.snake[0],
         souls.camera,
         SOULS_REENTRY_COOLDOWN_MS,
         blockedForReentry,
@@ -3000,7 +4757,7 @@
       minions = moveSoulsMinions(
         minions,
         souls,
-        nextBase,
+        targetBase,
         barriers,
         souls.hazards,
         rng,
@@ -3011,23 +4768,36 @@
 
     souls.minions = minions;
 
-    const enemyHitAfterMove = enemyOccupiesPosition(enemy, nextBase.snake[0]);
-    const minionHitAfterMove = minions.some((minion) =>
-      enemyOccupiesPosition(minion, nextBase.snake[0])
-    );
-    const hazardHitAfterMove = containsPosition(souls.hazards, nextBase.snake[0]);
-    if (
-      (enemyHitAfterMove || minionHitAfterMove || hazardHitAfterMove) &&
-      !tryMitigateSoulsCollision(souls)
-    ) {
-      return createSoulsGameOver(
-        {
-          ...state,
-          enemy,
-        },
-        nextBase,
-        souls
+    for (const playerIndex of listSoulsActivePlayers(souls)) {
+      const head = getSoulsPlayerSnake(nextBase, souls, playerIndex)[0];
+      const enemyHitAfterMove = enemyOccupiesPosition(enemy, head);
+      const minionHitAfterMove = minions.some((minion) =>
+        enemyOccupiesPosition(minion, head)
       );
+      const hazardHitAfterMove = containsPosition(souls.hazards, head);
+      if (
+        !(enemyHitAfterMove || minionHitAfterMove || hazardHitAfterMove) ||
+        tryMitigateSoulsCollision(souls, playerIndex)
+      ) {
+        continue;
+      }
+
+      const cause = getSoulsCollisionCause({
+        enemy: enemyHitAfterMove,
+        minion: minionHitAfterMove,
+        hazard: hazardHitAfterMove,
+      });
+      if (!downSoulsPlayer(souls, playerIndex, head, cause)) {
+        return createSoulsGameOver(
+          {
+            ...state,
+            enemy,
+          },
+          nextBase,
+          souls,
+          cause
+        );
+      }
     }
 
     const nextState = {
@@ -3063,6 +4833,10 @@
       return state;
     }
 
+    if (state.souls.reward.picks) {
+      return chooseSoulsCoopReward(state, powerId, options.playerIndex ?? 0);
+    }
+
     if (!state.souls.reward.options.includes(powerId)) {
       return state;
     }
@@ -3073,31 +4847,84 @@
       return state;
     }
 
-    const nextSouls = {
-      ...state.souls,
-      powers: {
+    return finishSoulsReward(
+      state,
+      {
         ...state.souls.powers,
         [powerId]: currentStacks + 1,
       },
+      [powerId]
+    );
+  }
+
+  function chooseSoulsCoopReward(state, powerId, playerIndex) {
+    const reward = state.souls.reward;
+    const offered = playerIndex === 1 ? reward.partnerOptions : reward.options;
+    if (!offered?.includes(powerId) || reward.picks[playerIndex]) {
+      return state;
+    }
+
+    const picks = [...reward.picks];
+    picks[playerIndex] = powerId;
+    if (picks.some((pick) => !pick)) {
+      return {
+        ...state,
+        souls: {
+          ...state.souls,
+          reward: { ...reward, picks },
+        },
+      };
+    }
+
+    // Both seats may grab the same power; the second pick stops at the cap.
+    const powers = { ...state.souls.powers };
+    for (const pick of picks) {
+      powers[pick] = Math.min(SoulsData.getPowerMaxStacks(pick), (powers[pick] ?? 0) + 1);
+    }
+    return finishSoulsReward(state, powers, picks);
+  }
+
+  function finishSoulsReward(state, powers, picks) {
+    const powerPicks = {};
+    for (const pick of picks) {
+      powerPicks[pick] = (powerPicks[pick] ?? 0) + 1;
+    }
+    const poweredSouls = {
+      ...state.souls,
+      powers,
+      profile: SoulsProfile.addStats(state.souls.profile, { powerPicks }),
+    };
+    recordSoulsAchievementEvent(poweredSouls, { type: "powers_picked", powers });
+    // A start pick lands before floor 1 is played, so it also tops up armor.
+    const isStartPick = state.souls.reward?.source === "start";
+    const armorCharges = isStartPick
+      ? getSoulsArmorPerStage(poweredSouls)
+      : poweredSouls.armorCharges;
+    const nextSouls = {
+      ...poweredSouls,
       reward: null,
       rewardRerolled: false,
-      stamina: createSoulsStaminaState(
-        {
-          ...state.souls,
-          powers: {
-            ...state.souls.powers,
-            [powerId]: currentStacks + 1,
+      armorCharges,
+      stamina: createSoulsStaminaState(poweredSouls, { current: "max" }),
+      coop: state.souls.coop
+        ? {
+          ...state.souls.coop,
+          partner: {
+            ...state.souls.coop.partner,
+            armorCharges: isStartPick ? armorCharges : state.souls.coop.partner.armorCharges,
+            stamina: createSoulsStaminaState(poweredSouls, { current: "max" }),
           },
-        },
-        { current: "max" }
-      ),
-      stageFlow: createStageFlowState("message", {
-        message:
-          state.souls.stageFlow?.message ??
-          `Andar ${state.souls.floor} concluido`,
-        msRemaining: SOULS_STAGE_MESSAGE_MS,
-        nextFloor: state.souls.stageFlow?.nextFloor ?? state.souls.floor + 1,
-      }),
+        }
+        : state.souls.coop,
+      stageFlow: isStartPick
+        ? createStageFlowState("idle")
+        : createStageFlowState("message", {
+          message:
+            state.souls.stageFlow?.message ??
+            `Andar ${state.souls.floor} concluido`,
+          msRemaining: SOULS_STAGE_MESSAGE_MS,
+          nextFloor: state.souls.stageFlow?.nextFloor ?? state.souls.floor + 1,
+        }),
       countdownMsRemaining: 0,
     };
 
@@ -3113,10 +4940,17 @@
   }
 
   function rerollSoulsReward(state, options = {}) {
+    return withSeededRng(state, options, (seededOptions) =>
+      rerollSoulsRewardWithRng(state, seededOptions)
+    );
+  }
+
+  function rerollSoulsRewardWithRng(state, options) {
     if (state.mode !== "souls" || !state.souls.reward) {
       return state;
     }
 
+    // `rerolled` flips once the run used every reroll it has per reward.
     if (state.souls.reward.rerolled) {
       return state;
     }
@@ -3126,6 +4960,7 @@
     }
 
     const rng = options.rng ?? Math.random;
+    const rerollsUsed = (state.souls.reward.rerollsUsed ?? 0) + 1;
     const souls = {
       ...state.souls,
       carriedRunes: state.souls.carriedRunes - SoulsData.REROLL_COST,
@@ -3142,6 +4977,14 @@
       };
     }
 
+    // A co-op reroll redraws both sets and clears any pick already made.
+    const coopReward = state.souls.reward.picks
+      ? {
+        partnerOptions: rollPowerOptions(souls, rng, optionsList),
+        picks: [null, null],
+      }
+      : {};
+
     return {
       ...state,
       souls: {
@@ -3149,13 +4992,98 @@
         reward: {
           ...state.souls.reward,
           options: optionsList,
-          rerolled: true,
+          rerollsUsed,
+          rerolled: rerollsUsed >= getSoulsRerollLimit(souls),
+          ...coopReward,
         },
       },
     };
   }
 
+  function activateSoulsAbility(state, options = {}) {
+    return withSeededRng(state, options, (seededOptions) =>
+      activateSoulsAbilityWithRng(state, seededOptions)
+    );
+  }
+
+  // Uses the snake's ability for a seat (`options.playerIndex`), paying its
+  // stamina cost. Returns the same state when it can't fire: outside live
+  // play, while recharging or without stamina.
+  function activateSoulsAbilityWithRng(state, options) {
+    const playerIndex = options.playerIndex === 1 ? 1 : 0;
+    if (
+      state.mode !== "souls" ||
+      state.isGameOver ||
+      state.isPaused ||
+      state.souls.reward ||
+      state.souls.stageFlow?.phase !== "idle" ||
+      isSoulsPlayerDown(state.souls, playerIndex)
+    ) {
+      return state;
+    }
+
+    const status = getSoulsAbilityStatus(state, playerIndex);
+    if (!status?.ready) {
+      return state;
+    }
+
+    const { ability } = status;
+    const souls = {
+      ...state.souls,
+      coop: cloneSoulsCoopState(state.souls.coop),
+    };
+    const abilityState = {
+      cooldownMsRemaining: ability.cooldownMs,
+      activeMsRemaining: ability.durationMs,
+    };
+    const stamina = playerIndex === 1 ? souls.coop.partner.stamina : souls.stamina;
+    const nextStamina = {
+      ...stamina,
+      current: stamina.current - ability.staminaCost,
+    };
+
+    if (ability.id === "pressagio") {
+      const rng = options.rng ?? Math.random;
+      souls.sigilForecast = spawnSoulsSigil(
+        withSoulsPartnerCells(state.base, souls),
+        souls,
+        state.barriers ?? [],
+        state.enemy,
+        souls.minions,
+        souls.hazards,
+        souls.echo,
+        rng,
+        souls.enemyTeleportPreview
+      );
+      if (!souls.sigilForecast) {
+        return state;
+      }
+    }
+
+    if (playerIndex === 1) {
+      souls.coop.partner = {
+        ...souls.coop.partner,
+        stamina: nextStamina,
+        ability: abilityState,
+      };
+    } else {
+      souls.stamina = nextStamina;
+      souls.ability = abilityState;
+    }
+
+    return {
+      ...state,
+      souls,
+    };
+  }
+
   function devSetSoulsFloor(state, floor, options = {}) {
+    return withSeededRng(state, options, (seededOptions) =>
+      devSetSoulsFloorWithRng(state, floor, seededOptions)
+    );
+  }
+
+  function devSetSoulsFloorWithRng(state, floor, options) {
     if (state.mode !== "souls") {
       return state;
     }
@@ -3257,13 +5185,31 @@
     return devSetSoulsFloor(state, targetFloor, options);
   }
 
+  // The optional CPU rival moves right after the player, through the same
+  // SnakeLogic.stepState rules, each snake's body lethal to the other.
   function stepTraditionalState(state, options = {}) {
     const rng = options.rng ?? Math.random;
-    const nextBase = SnakeLogic.stepState(state.base, { rng });
+    const rival = state.rival ?? null;
+    const rivalBody = rival && !rival.isDead ? rival.snake : [];
+    let nextBase = SnakeLogic.stepState(state.base, { rng, obstacles: rivalBody });
+    let nextRival = rival;
+    if (rival && nextBase !== state.base) {
+      if (nextBase.isGameOver) {
+        nextRival = {
+          ...rival,
+          caughtPlayer: containsPosition(rivalBody, nextBase.snake[0]),
+        };
+      } else {
+        const stepped = SnakeRival.stepRival(rival, nextBase, { rng });
+        nextRival = stepped.rival;
+        nextBase = stepped.base;
+      }
+    }
     const holdCurrentDirection = options.holdCurrentDirection === true;
     return {
       ...state,
       base: nextBase,
+      rival: nextRival,
       isGameOver: nextBase.isGameOver,
       isPaused: nextBase.isPaused,
       tickMs: holdCurrentDirection
@@ -3275,16 +5221,132 @@
       barriers: [],
       enemy: null,
       powerUp: null,
-      shieldMsRemaining: 0,
+      effects: createEffectsState(),
+      extraEnemies: [],
+      bossStage: null,
       souls: null,
     };
   }
 
+  // Completed checkpoints: score thresholds, or Levels stages cleared.
+  function getTimeAttackProgress(state) {
+    const { course, splitCount } = state.timeAttack;
+    const cleared =
+      course === "levels"
+        ? state.level - 1
+        : Math.floor(state.base.score / TIME_ATTACK_COURSES.score.splitEvery);
+    return Math.min(splitCount, cleared);
+  }
+
+  // The clock runs on game ticks rather than wall time, so pausing, tab
+  // switches and replays all agree on the final time.
+  function stepTimeAttackState(state, options = {}) {
+    if (state.isGameOver || state.isPaused) {
+      return state;
+    }
+
+    const timeAttack = state.timeAttack;
+    const innerState = {
+      ...state,
+      mode: timeAttack.course === "levels" ? "levels" : "traditional",
+    };
+    const stepped =
+      innerState.mode === "levels"
+        ? stepLevelsState(innerState, options)
+        : stepTraditionalState(innerState, options);
+
+    const elapsedMs = timeAttack.elapsedMs + state.tickMs;
+    const splits = [...timeAttack.splits];
+    const progress = getTimeAttackProgress(stepped);
+    while (splits.length < progress) {
+      const previousMs = splits[splits.length - 1]?.elapsedMs ?? 0;
+      splits.push({ elapsedMs, splitMs: elapsedMs - previousMs });
+    }
+    const completed = splits.length >= timeAttack.splitCount;
+    const isGameOver = stepped.isGameOver || completed;
+
+    return {
+      ...stepped,
+      mode: "timeattack",
+      base: { ...stepped.base, isGameOver },
+      isGameOver,
+      timeAttack: {
+        ...timeAttack,
+        elapsedMs,
+        splits,
+        completed,
+      },
+    };
+  }
+
+  // Between rounds the finished board stays up for VERSUS_ROUND_PAUSE_MS of
+  // game time, then a fresh one is dealt from the same seeded stream.
+  function stepVersusState(state, options = {}) {
+    if (state.isGameOver || state.isPaused) {
+      return state;
+    }
+
+    const rng = options.rng ?? Math.random;
+    const versus = state.versus;
+    if (versus.roundPauseMsRemaining > 0) {
+      const roundPauseMsRemaining = Math.max(0, versus.roundPauseMsRemaining - state.tickMs);
+      return {
+        ...state,
+        base: roundPauseMsRemaining > 0 ? state.base : createVersusRoundBase(state.base, rng),
+        versus: { ...versus, roundPauseMsRemaining },
+      };
+    }
+
+    const nextBase = SnakeLogic.stepMultiSnakeState(state.base, { rng });
+    if (!nextBase.isGameOver) {
+      return { ...state, base: nextBase };
+    }
+
+    const wins = nextBase.players.map((player, index) =>
+      versus.wins[index] + (player.id === nextBase.winnerId ? 1 : 0)
+    );
+    const champion = nextBase.players.find(
+      (_player, index) => wins[index] >= versus.winsNeeded
+    );
+    return {
+      ...state,
+      base: nextBase,
+      isGameOver: Boolean(champion),
+      versus: {
+        ...versus,
+        wins,
+        rounds: [
+          ...versus.rounds,
+          {
+            winnerId: nextBase.winnerId,
+            lengths: nextBase.players.map((player) => player.snake.length),
+          },
+        ],
+        roundPauseMsRemaining: champion ? 0 : VERSUS_ROUND_PAUSE_MS,
+        winnerId: champion?.id ?? null,
+      },
+    };
+  }
+
   function stepModeState(state, options = {}) {
+    return withSeededRng(state, options, (seededOptions) =>
+      stepModeStateWithRng(state, seededOptions)
+    );
+  }
+
+  function stepModeStateWithRng(state, options) {
     if (state.mode === "levels") {
       return stepLevelsState(state, options);
     }
 
+    if (state.mode === "timeattack") {
+      return stepTimeAttackState(state, options);
+    }
+
+    if (state.mode === "versus") {
+      return stepVersusState(state, options);
+    }
+
     if (state.mode === "souls") {
       const nextState = stepSoulsState(state, options);
       if (nextState.mode === "souls") {
@@ -3307,15 +5369,37 @@
   const api = Object.freeze({
     TRADITIONAL_TICK_MS,
     SHIELD_DURATION_MS,
+    SLOW_TIME_FACTOR,
+    LEVELS_POWER_UPS,
+    POWER_UP_TYPES,
+    getPowerUpWeight,
+    ENEMY_ARCHETYPES,
+    getEnemyStepEveryTicks,
+    getExtraEnemyCount,
+    isLevelsBossLevel,
+    getLevelsBossBonus,
+    TIME_ATTACK_COURSES,
+    TIME_ATTACK_SEED,
+    RUN_MODIFIERS,
+    VERSUS_BEST_OF_OPTIONS,
+    VERSUS_DEFAULT_BEST_OF,
+    VERSUS_ROUND_PAUSE_MS,
+    SOULS_COOP_REVIVE_MS,
     createModeState,
     stepModeState,
     queueModeDirection,
+    applyModeController,
+    getEnemyCells,
     toggleModePause,
     restartModeState,
+    flushSoulsPlayTime,
     chooseSoulsReward,
     rerollSoulsReward,
+    activateSoulsAbility,
+    getSoulsAbilityStatus,
     devSetSoulsFloor,
     devSetSoulsBoss,
+    getRunDeathCause,
   });
 
   if (typeof module !== "undefined" && module.exports) {
@@ -0,0 +1,276 @@
+(function defineSnakeRival(global) {
+  "use strict";
+
+  const SnakeLogic =
+    global.SnakeLogic ||
+    (typeof require !== "undefined" ? require("./snake-logic.js") : null);
+
+  if (!SnakeLogic) {
+    throw new Error("SnakeRival requires SnakeLogic.");
+  }
+
+  // `lookahead` is how many cells deep the rival searches for food and how
+  // much room it checks for before committing to a turn; `reactionTicks` is
+  // how many moves it keeps going straight between decisions.
+  const RIVAL_DIFFICULTIES = Object.freeze({
+    easy: Object.freeze({ label: "Fácil", lookahead: 1, reactionTicks: 3 }),
+    normal: Object.freeze({ label: "Normal", lookahead: 4, reactionTicks: 1 }),
+    hard: Object.freeze({ label: "Difícil", lookahead: 12, reactionTicks: 0 }),
+  });
+  const RIVAL_KILL_BONUS = 5;
+  const RIVAL_RESPAWN_TICKS = 20;
+  const RIVAL_MIN_SPAWN_DISTANCE = 4;
+
+  function keyForPosition(position) {
+    return `${position.x},${position.y}`;
+  }
+
+  function normalizeDifficulty(value) {
+    return Object.prototype.hasOwnProperty.call(RIVAL_DIFFICULTIES, value) ? value : null;
+  }
+
+  // Top-right facing left, then bottom-left facing right: away from the
+  // player's centre start either way.
+  function listSpawns(base) {
+    const row = Math.floor(base.height / 4);
+    return [
+      { head: { x: base.width - 4, y: row }, direction: "LEFT" },
+      { head: { x: 3, y: base.height - 1 - row }, direction: "RIGHT" },
+    ].map(({ head, direction }) => {
+      const vector = SnakeLogic.DIRECTION_VECTORS[direction];
+      return {
+        direction,
+        snake: [0, 1, 2].map((offset) => ({
+          x: head.x - vector.x * offset,
+          y: head.y - vector.y * offset,
+        })),
+      };
+    });
+  }
+
+  function findFreeSpawn(base) {
+    const occupied = new Set(base.snake.map(keyForPosition));
+    if (base.food) {
+      occupied.add(keyForPosition(base.food));
+    }
+    const playerHead = base.snake[0];
+
+    return (
+      listSpawns(base).find(
+        (spawn) =>
+          spawn.snake.every(
+            (cell) =>
+              cell.x >= 0 &&
+              cell.x < base.width &&
+              cell.y >= 0 &&
+              cell.y < base.height &&
+              !occupied.has(keyForPosition(cell))
+          ) &&
+          Math.abs(spawn.snake[0].x - playerHead.x) +
+            Math.abs(spawn.snake[0].y - playerHead.y) >=
+            RIVAL_MIN_SPAWN_DISTANCE
+      ) ?? null
+    );
+  }
+
+  function createRival(difficulty, base) {
+    const rival = {
+      difficulty: normalizeDifficulty(difficulty) ?? "normal",
+      snake: [],
+      direction: "LEFT",
+      score: 0,
+      thinkTicks: 0,
+      isDead: true,
+      respawnTicks: 1,
+      deaths: 0,
+      caughtPlayer: false,
+    };
+    const spawn = findFreeSpawn(base);
+    return spawn ? { ...rival, ...spawn, isDead: false, respawnTicks: 0 } : rival;
+  }
+
+  function moveOnBoard(base, position, direction) {
+    const vector = SnakeLogic.DIRECTION_VECTORS[direction];
+    const next = { x: position.x + vector.x, y: position.y + vector.y };
+    return base.wrapWalls ? SnakeLogic.wrapPosition(next, base.width, base.height) : next;
+  }
+
+  function isOnBoard(base, position) {
+    return (
+      position.x >= 0 &&
+      position.x < base.width &&
+      position.y >= 0 &&
+      position.y < base.height
+    );
+  }
+
+  function countRoom(base, start, blocked, cap) {
+    const visited = new Set([keyForPosition(start)]);
+    const queue = [start];
+    for (let index = 0; index < queue.length && visited.size < cap; index += 1) {
+      for (const direction of SnakeLogic.CARDINAL_DIRECTIONS) {
+        const next = moveOnBoard(base, queue[index], direction);
+        const key = keyForPosition(next);
+        if (isOnBoard(base, next) && !blocked.has(key) && !visited.has(key)) {
+          visited.add(key);
+          queue.push(next);
+        }
+      }
+    }
+    return Math.min(visited.size, cap);
+  }
+
+  function getDistance(base, from, to) {
+    const axis = (a, b, size) => {
+      const delta = Math.abs(a - b);
+      return base.wrapWalls ? Math.min(delta, size - delta) : delta;
+    };
+    return axis(from.x, to.x, base.width) + axis(from.y, to.y, base.height);
+  }
+
+  // Breadth-first search for the food, cut off at the lookahead depth; past
+  // that, the safe move that closes the most distance. A short lookahead
+  // also means a short room check, so easy rivals wander into pockets.
+  function chooseRivalDirection(rival, base) {
+    const { lookahead } = RIVAL_DIFFICULTIES[rival.difficulty];
+    const head = rival.snake[0];
+    const blocked = new Set([
+      ...base.snake.map(keyForPosition),
+      ...rival.snake.slice(0, -1).map(keyForPosition),
+    ]);
+    const roomCap = lookahead * 3;
+    const roomNeeded = Math.min(roomCap, rival.snake.length);
+    const moves = SnakeLogic.CARDINAL_DIRECTIONS.filter(
+      (direction) => !SnakeLogic.isOppositeDirection(rival.direction, direction)
+    )
+      .map((direction) => ({ direction, position: moveOnBoard(base, head, direction) }))
+      .filter(
+        ({ position }) => isOnBoard(base, position) && !blocked.has(keyForPosition(position))
+      )
+      .map((move) => ({ ...move, room: countRoom(base, move.position, blocked, roomCap) }));
+    const roomyMoves = moves.filter((move) => move.room >= roomNeeded);
+
+    if (base.food) {
+      const foodKey = keyForPosition(base.food);
+      const visited = new Set([keyForPosition(head)]);
+      let frontier = roomyMoves.map((move) => ({ ...move, first: move.direction }));
+      frontier.forEach(({ position }) => visited.add(keyForPosition(position)));
+      for (let depth = 1; depth <= lookahead && frontier.length > 0; depth += 1) {
+        const found = frontier.find(({ position }) => keyForPosition(position) === foodKey);
+        if (found) {
+          return found.first;
+        }
+        const nextFrontier = [];
+        for (const node of frontier) {
+          for (const direction of SnakeLogic.CARDINAL_DIRECTIONS) {
+            const position = moveOnBoard(base, node.position, direction);
+            const key = keyForPosition(position);
+            if (isOnBoard(base, position) && !blocked.has(key) && !visited.has(key)) {
+              visited.add(key);
+              nextFrontier.push({ position, first: node.first });
+            }
+          }
+        }
+        frontier = nextFrontier;
+      }
+    }
+
+    const candidates = roomyMoves.length > 0 ? roomyMoves : moves;
+    if (candidates.length === 0) {
+      return rival.direction;
+    }
+    const target = base.food ?? head;
+    return candidates.reduce((best, move) => {
+      const distance = getDistance(base, move.position, target);
+      const bestDistance = getDistance(base, best.position, target);
+      if (distance !== bestDistance) {
+        return distance < bestDistance ? move : best;
+      }
+      return move.room > best.room ? move : best;
+    }).direction;
+  }
+
+  // Moves the rival through SnakeLogic.stepState with the player's body as
+  // obstacles, so walls, food and collisions follow the same rules as the
+  // player. Returns the updated rival and the board (food, bonus score).
+  function stepRival(rival, base, options = {}) {
+    const rng = options.rng ?? Math.random;
+    if (rival.isDead) {
+      if (rival.respawnTicks > 1) {
+        return { rival: { ...rival, respawnTicks: rival.respawnTicks - 1 }, base };
+      }
+      const spawn = findFreeSpawn(base);
+      return {
+        rival: spawn
+          ? { ...rival, ...spawn, isDead: false, respawnTicks: 0, thinkTicks: 0 }
+          : { ...rival, respawnTicks: 1 },
+        base,
+      };
+    }
+
+    let direction = rival.direction;
+    let thinkTicks = rival.thinkTicks - 1;
+    if (thinkTicks < 0) {
+      direction = chooseRivalDirection(rival, base);
+      thinkTicks = RIVAL_DIFFICULTIES[rival.difficulty].reactionTicks;
+    }
+
+    const moved = SnakeLogic.stepState(
+      {
+        width: base.width,
+        height: base.height,
+        wrapWalls: base.wrapWalls,
+        movement: "4way",
+        snake: rival.snake,
+        direction: rival.direction,
+        inputQueue: [direction],
+        food: base.food,
+        score: rival.score,
+        isGameOver: false,
+        isPaused: false,
+      },
+      { rng, obstacles: base.snake }
+    );
+
+    if (moved.isGameOver) {
+      return {
+        rival: {
+          ...rival,
+          snake: [],
+          isDead: true,
+          respawnTicks: RIVAL_RESPAWN_TICKS,
+          thinkTicks: 0,
+          deaths: rival.deaths + 1,
+        },
+        base: { ...base, score: base.score + RIVAL_KILL_BONUS },
+      };
+    }
+
+    return {
+      rival: {
+        ...rival,
+        snake: moved.snake,
+        direction: moved.direction,
+        score: moved.score,
+        thinkTicks,
+      },
+      base: moved.food === base.food ? base : { ...base, food: moved.food },
+    };
+  }
+
+  const api = Object.freeze({
+    RIVAL_DIFFICULTIES,
+    RIVAL_KILL_BONUS,
+    RIVAL_RESPAWN_TICKS,
+    normalizeDifficulty,
+    createRival,
+    chooseRivalDirection,
+    stepRival,
+  });
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  global.SnakeRival = api;
+})(typeof globalThis !== "undefined" ? globalThis : window);
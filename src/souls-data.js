@@ -2,11 +2,14 @@
   "use strict";
 
   const STORAGE_KEY = "snake-souls-profile-v1";
+  const PROFILE_BACKUP_STORAGE_KEY = "snake-souls-profile-backup";
   const DEFAULT_SNAKE_ID = "basica";
   const UNLOCK_ORDER = Object.freeze(["veloz", "tanque", "vidente"]);
   const UNLOCK_COSTS = Object.freeze([120, 220, 360]);
   const GLOBAL_SNAKE_SLOW_FACTOR = 0.88;
 
+  // `ability` is the snake's active skill: it spends `staminaCost` up front,
+  // lasts `durationMs` (0 for instant ones) and recharges over `cooldownMs`.
   const SNAKES = Object.freeze([
     Object.freeze({
       id: "basica",
@@ -20,6 +23,14 @@
       extraObjectiveTarget: 0,
       normalArenaPenalty: 0,
       sigilSpawnFactor: 1,
+      ability: Object.freeze({
+        id: "investida",
+        name: "Investida",
+        description: "Dispara à frente por um instante, bem mais rápida que o fôlego normal.",
+        cooldownMs: 6000,
+        durationMs: 600,
+        staminaCost: 25,
+      }),
     }),
     Object.freeze({
       id: "veloz",
@@ -33,6 +44,14 @@
       extraObjectiveTarget: 0,
       normalArenaPenalty: 0,
       sigilSpawnFactor: 1,
+      ability: Object.freeze({
+        id: "atravessar",
+        name: "Atravessar",
+        description: "Por um instante o corpo fica intangível: a cabeça passa por cima da própria cauda.",
+        cooldownMs: 9000,
+        durationMs: 1500,
+        staminaCost: 30,
+      }),
     }),
     Object.freeze({
       id: "tanque",
@@ -46,6 +65,14 @@
       extraObjectiveTarget: 1,
       normalArenaPenalty: 0,
       sigilSpawnFactor: 1,
+      ability: Object.freeze({
+        id: "ariete",
+        name: "Aríete",
+        description: "Prepara uma investida: a próxima barreira atingida é derrubada sem gastar armadura.",
+        cooldownMs: 12000,
+        durationMs: 3000,
+        staminaCost: 40,
+      }),
     }),
     Object.freeze({
       id: "vidente",
@@ -59,6 +86,14 @@
       extraObjectiveTarget: 0,
       normalArenaPenalty: 1,
       sigilSpawnFactor: 0.8,
+      ability: Object.freeze({
+        id: "pressagio",
+        name: "Presságio",
+        description: "Revela onde o próximo sigilo vai surgir (só em andares de boss).",
+        cooldownMs: 15000,
+        durationMs: 0,
+        staminaCost: 35,
+      }),
     }),
   ]);
 
@@ -211,6 +246,55 @@
   });
 
   const REROLL_COST = 30;
+
+  // Permanent upgrades bought with wallet runes. `costs[n]` buys level n + 1,
+  // each level adds `perLevel` to the effect, and `requires` lists the
+  // { id, level } that must be owned first.
+  const META_UPGRADES = Object.freeze([
+    Object.freeze({
+      id: "armadura_inicial",
+      name: "Armadura inicial",
+      description: "+1 carga de armadura em cada andar.",
+      perLevel: 1,
+      costs: Object.freeze([150, 350]),
+      requires: Object.freeze([]),
+    }),
+    Object.freeze({
+      id: "estamina_maior",
+      name: "Estamina maior",
+      description: "+15 de estamina máxima.",
+      perLevel: 15,
+      costs: Object.freeze([80, 160, 280]),
+      requires: Object.freeze([]),
+    }),
+    Object.freeze({
+      id: "reroll_extra",
+      name: "Reroll extra",
+      description: "+1 reroll em cada recompensa de boss.",
+      perLevel: 1,
+      costs: Object.freeze([220]),
+      requires: Object.freeze([Object.freeze({ id: "estamina_maior", level: 1 })]),
+    }),
+    Object.freeze({
+      id: "eco_persistente",
+      name: "Eco persistente",
+      description: "Ao morrer de novo, o eco novo guarda 25% das runas do eco antigo por nível.",
+      perLevel: 0.25,
+      costs: Object.freeze([120, 260]),
+      requires: Object.freeze([Object.freeze({ id: "armadura_inicial", level: 1 })]),
+    }),
+    Object.freeze({
+      id: "poder_inicial",
+      name: "Poder inicial",
+      description: "Escolha um poder no início de cada run.",
+      perLevel: 1,
+      costs: Object.freeze([450]),
+      requires: Object.freeze([
+        Object.freeze({ id: "reroll_extra", level: 1 }),
+        Object.freeze({ id: "eco_persistente", level: 1 }),
+      ]),
+    }),
+  ]);
   const MIN_TICK_MS = 55;
   const GHOST_COOLDOWN_MS = 15000;
   const ESPECTRO_TELEPORT_PREVIEW_MS = 1000;
@@ -331,8 +415,18 @@
     return UNLOCK_COSTS[index] ?? null;
   }
 
+  function getMetaUpgradeById(upgradeId) {
+    return META_UPGRADES.find((upgrade) => upgrade.id === upgradeId) ?? null;
+  }
+
+  // Cost of the level after `currentLevel`, or null once maxed.
+  function getMetaUpgradeCost(upgradeId, currentLevel) {
+    return getMetaUpgradeById(upgradeId)?.costs[currentLevel] ?? null;
+  }
+
   const api = Object.freeze({
     STORAGE_KEY,
+    PROFILE_BACKUP_STORAGE_KEY,
     DEFAULT_SNAKE_ID,
     UNLOCK_ORDER,
     UNLOCK_COSTS,
@@ -345,6 +439,7 @@
     TICK_BASE_BY_STAGE,
     RUNE_REWARDS,
     REROLL_COST,
+    META_UPGRADES,
     MIN_TICK_MS,
     GHOST_COOLDOWN_MS,
     ESPECTRO_TELEPORT_PREVIEW_MS,
@@ -364,6 +459,8 @@
     getArenaSize,
     getRuneReward,
     getUnlockCostByIndex,
+    getMetaUpgradeById,
+    getMetaUpgradeCost,
   });
 
   if (typeof module !== "undefined" && module.exports) {
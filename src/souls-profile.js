@@ -9,7 +9,36 @@
     throw new Error("SoulsProfile requires SoulsData.");
   }
 
-  const PROFILE_VERSION = 1;
+  const PROFILE_VERSION = 5;
+  const CHALLENGE_ID_PATTERN = /^(daily:\d{4}-\d{2}-\d{2}|weekly:\d{4}-W\d{2})$/;
+  const CHALLENGE_STATUSES = ["started", "finished"];
+  const ACHIEVEMENT_ID_PATTERN = /^[a-z0-9_]+$/;
+  const STAT_DEATH_CAUSES = Object.freeze([
+    "wall",
+    "self",
+    "barrier",
+    "boss",
+    "minion",
+    "hazard",
+    "other",
+  ]);
+  const STAT_PLAY_MODES = Object.freeze([
+    "traditional",
+    "levels",
+    "souls",
+    "timeattack",
+    "versus",
+    "online",
+  ]);
+  const STAT_COUNTERS = Object.freeze([
+    "runsStarted",
+    "foodCollected",
+    "sigilsCollected",
+    "runesEarned",
+    "runesLostToEchoes",
+  ]);
+  // Per-key tallies that addStats sums; deepestFloorBySnake keeps the maximum.
+  const STAT_TALLIES = Object.freeze(["deathsByCause", "timePlayedMs", "powerPicks"]);
 
   function createEmptyBossKills() {
     return {
@@ -20,6 +49,28 @@
     };
   }
 
+  function createZeroTally(keys) {
+    return Object.fromEntries(keys.map((key) => [key, 0]));
+  }
+
+  function createEmptyStats() {
+    return {
+      runsStarted: 0,
+      deathsByCause: createZeroTally(STAT_DEATH_CAUSES),
+      deepestFloorBySnake: createZeroTally(SoulsData.SNAKES.map((snake) => snake.id)),
+      foodCollected: 0,
+      sigilsCollected: 0,
+      runesEarned: 0,
+      runesLostToEchoes: 0,
+      timePlayedMs: createZeroTally(STAT_PLAY_MODES),
+      powerPicks: createZeroTally(SoulsData.POWER_POOL.map((power) => power.id)),
+    };
+  }
+
+  function createEmptyMetaUpgrades() {
+    return createZeroTally(SoulsData.META_UPGRADES.map((upgrade) => upgrade.id));
+  }
+
   function createDefaultProfile() {
     return {
       version: PROFILE_VERSION,
@@ -30,9 +81,56 @@
       eligibleUnlocks: 0,
       pendingEcho: null,
       bossKills: createEmptyBossKills(),
+      challengeHistory: {},
+      stats: createEmptyStats(),
+      // Achievement ids in unlock order, and the skin one of them granted.
+      achievements: [],
+      selectedSkinId: null,
+      // Level bought of each permanent upgrade (SoulsData.META_UPGRADES).
+      metaUpgrades: createEmptyMetaUpgrades(),
     };
   }
 
+  const KNOWN_FIELDS = Object.freeze(Object.keys(createDefaultProfile()));
+
+  // PROFILE_MIGRATIONS[n] turns a version n profile into version n + 1. Steps
+  // get a private copy of the raw save and must carry over fields they don't
+  // touch, so data written by newer builds survives a round trip.
+  const PROFILE_MIGRATIONS = Object.freeze({
+    // v1 saves may predate bossKills and challengeHistory, which were added
+    // without a version bump.
+    1(profile) {
+      return {
+        ...profile,
+        bossKills: profile.bossKills ?? createEmptyBossKills(),
+        challengeHistory: profile.challengeHistory ?? {},
+      };
+    },
+    // v3 starts lifetime stats from zero: older saves never tracked them.
+    2(profile) {
+      return {
+        ...profile,
+        stats: profile.stats ?? createEmptyStats(),
+      };
+    },
+    // v4 adds achievements; the progress ones catch up with the stats on the
+    // next event.
+    3(profile) {
+      return {
+        ...profile,
+        achievements: profile.achievements ?? [],
+        selectedSkinId: profile.selectedSkinId ?? null,
+      };
+    },
+    // v5 adds the permanent upgrade tree, with nothing bought yet.
+    4(profile) {
+      return {
+        ...profile,
+        metaUpgrades: profile.metaUpgrades ?? createEmptyMetaUpgrades(),
+      };
+    },
+  });
+
   function toSafeArray(value) {
     return Array.isArray(value) ? value : [];
   }
@@ -84,6 +182,83 @@
     return next;
   }
 
+  function normalizeChallengeHistory(history) {
+    const source = history && typeof history === "object" ? history : {};
+    const next = {};
+
+    for (const [challengeId, attempt] of Object.entries(source)) {
+      if (!CHALLENGE_ID_PATTERN.test(challengeId) || !attempt || typeof attempt !== "object") {
+        continue;
+      }
+      next[challengeId] = {
+        kind: challengeId.startsWith("weekly:") ? "weekly" : "daily",
+        status: CHALLENGE_STATUSES.includes(attempt.status) ? attempt.status : "started",
+        score: Math.max(0, Math.floor(toSafeNumber(attempt.score, 0))),
+        progress: Math.max(0, Math.floor(toSafeNumber(attempt.progress, 0))),
+      };
+    }
+
+    return next;
+  }
+
+  function toCount(value) {
+    return Math.max(0, Math.floor(toSafeNumber(value, 0)));
+  }
+
+  function normalizeStats(stats) {
+    const source = stats && typeof stats === "object" ? stats : {};
+    const next = createEmptyStats();
+
+    for (const key of STAT_COUNTERS) {
+      next[key] = toCount(source[key]);
+    }
+    for (const key of [...STAT_TALLIES, "deepestFloorBySnake"]) {
+      const tally = source[key] && typeof source[key] === "object" ? source[key] : {};
+      for (const id of Object.keys(next[key])) {
+        next[key][id] = toCount(tally[id]);
+      }
+    }
+
+    return next;
+  }
+
+  // Ids are kept without checking the achievement list, which lives in a
+  // module loaded after this one.
+  function normalizeAchievements(achievements) {
+    const result = [];
+    for (const achievementId of toSafeArray(achievements)) {
+      if (typeof achievementId !== "string" || !ACHIEVEMENT_ID_PATTERN.test(achievementId)) continue;
+      if (result.includes(achievementId)) continue;
+      result.push(achievementId);
+    }
+    return result;
+  }
+
+  function normalizeMetaUpgrades(metaUpgrades) {
+    const source = metaUpgrades && typeof metaUpgrades === "object" ? metaUpgrades : {};
+    const next = createEmptyMetaUpgrades();
+    for (const upgrade of SoulsData.META_UPGRADES) {
+      next[upgrade.id] = Math.min(upgrade.costs.length, toCount(source[upgrade.id]));
+    }
+    return next;
+  }
+
+  function readProfileVersion(raw) {
+    return Number.isInteger(raw?.version) && raw.version >= 1 ? raw.version : 1;
+  }
+
+  // Fields this build doesn't know about (a newer save, a field added later)
+  // are kept as-is instead of being dropped on the next save.
+  function pickUnknownFields(raw) {
+    const extras = {};
+    for (const [key, value] of Object.entries(raw)) {
+      if (!KNOWN_FIELDS.includes(key) && value !== undefined) {
+        extras[key] = value;
+      }
+    }
+    return extras;
+  }
+
   function sanitizeProfile(input) {
     const raw = input && typeof input === "object" ? input : {};
     const defaults = createDefaultProfile();
@@ -97,7 +272,8 @@
         : defaults.selectedSnakeId;
 
     return {
-      version: PROFILE_VERSION,
+      ...pickUnknownFields(raw),
+      version: Math.max(PROFILE_VERSION, readProfileVersion(raw)),
       walletRunes: Math.max(0, Math.floor(toSafeNumber(raw.walletRunes, 0))),
       unlockedSnakeIds,
       selectedSnakeId,
@@ -111,23 +287,108 @@
       ),
       pendingEcho: normalizePendingEcho(raw.pendingEcho),
       bossKills: normalizeBossKills(raw.bossKills),
+      challengeHistory: normalizeChallengeHistory(raw.challengeHistory),
+      stats: normalizeStats(raw.stats),
+      achievements: normalizeAchievements(raw.achievements),
+      selectedSkinId:
+        typeof raw.selectedSkinId === "string" && ACHIEVEMENT_ID_PATTERN.test(raw.selectedSkinId)
+          ? raw.selectedSkinId
+          : null,
+      metaUpgrades: normalizeMetaUpgrades(raw.metaUpgrades),
     };
   }
 
-  function loadProfile(storageValue) {
+  function migrateProfile(input, options = {}) {
+    const migrations = options.migrations ?? PROFILE_MIGRATIONS;
+    const targetVersion = options.targetVersion ?? PROFILE_VERSION;
+    const fromVersion = readProfileVersion(input);
+    let profile = JSON.parse(JSON.stringify(input));
+
+    for (let version = fromVersion; version < targetVersion; version += 1) {
+      const step = migrations[version];
+      if (typeof step !== "function") {
+        return {
+          ok: false,
+          error: `Não há migração do perfil da versão ${version} para a ${version + 1}.`,
+          profile: null,
+          fromVersion,
+        };
+      }
+      try {
+        profile = step(profile);
+      } catch (error) {
+        return {
+          ok: false,
+          error: `Falha ao migrar o perfil da versão ${version} para a ${version + 1}: ${error?.message ?? error}`,
+          profile: null,
+          fromVersion,
+        };
+      }
+      if (!profile || typeof profile !== "object") {
+        return {
+          ok: false,
+          error: `A migração do perfil da versão ${version} para a ${version + 1} não devolveu um perfil.`,
+          profile: null,
+          fromVersion,
+        };
+      }
+      profile = { ...profile, version: version + 1 };
+    }
+
+    return { ok: true, error: null, profile, fromVersion };
+  }
+
+  // Parses and migrates a stored profile. `backup` holds the stored JSON
+  // whenever it was migrated or couldn't be read, so the caller can keep the
+  // original under PROFILE_BACKUP_STORAGE_KEY before the next save replaces it.
+  function readProfile(storageValue, options = {}) {
     if (!storageValue) {
-      return createDefaultProfile();
+      return { ok: true, error: null, profile: createDefaultProfile(), fromVersion: null, backup: null };
     }
 
+    const backup = typeof storageValue === "string" ? storageValue : JSON.stringify(storageValue);
+    let parsed;
     try {
-      const parsed =
-        typeof storageValue === "string"
-          ? JSON.parse(storageValue)
-          : storageValue;
-      return sanitizeProfile(parsed);
+      parsed = typeof storageValue === "string" ? JSON.parse(storageValue) : storageValue;
     } catch {
-      return createDefaultProfile();
+      parsed = null;
+    }
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      return {
+        ok: false,
+        error: "O perfil salvo está corrompido; um perfil novo foi criado.",
+        profile: createDefaultProfile(),
+        fromVersion: null,
+        backup,
+      };
     }
+
+    const migration = migrateProfile(parsed, options);
+    if (!migration.ok) {
+      // Keep whatever the current rules can still read rather than start over,
+      // but under the save's own version: this profile isn't migrated, and the
+      // caller must not write it back as if it were (see main.js).
+      return {
+        ok: false,
+        error: migration.error,
+        profile: { ...sanitizeProfile(parsed), version: migration.fromVersion },
+        fromVersion: migration.fromVersion,
+        backup,
+      };
+    }
+
+    const migrated = migration.fromVersion < (options.targetVersion ?? PROFILE_VERSION);
+    return {
+      ok: true,
+      error: null,
+      profile: sanitizeProfile(migration.profile),
+      fromVersion: migration.fromVersion,
+      backup: migrated ? backup : null,
+    };
+  }
+
+  function loadProfile(storageValue) {
+    return readProfile(storageValue).profile;
   }
 
   function saveProfile(profile) {
@@ -240,9 +501,16 @@
       return safeProfile;
     }
 
+    // A new death replaces the old echo; only the share kept by the
+    // eco_persistente upgrade carries over, the rest is gone for good.
+    const oldRunes = safeProfile.pendingEcho?.runes ?? 0;
+    const keptRunes = Math.floor(oldRunes * getMetaUpgradeBonus(safeProfile, "eco_persistente"));
+    const withStats = oldRunes > 0
+      ? addStats(safeProfile, { runesLostToEchoes: oldRunes - keptRunes })
+      : safeProfile;
     return {
-      ...safeProfile,
-      pendingEcho: { runes },
+      ...withStats,
+      pendingEcho: { runes: runes + keptRunes },
     };
   }
 
@@ -292,6 +560,86 @@
     };
   }
 
+  function setChallengeHistory(profile, challengeHistory) {
+    return sanitizeProfile({ ...profile, challengeHistory });
+  }
+
+  // `delta` is a partial stats object: counters and tallies are added, floors
+  // only raise the recorded best. Unknown keys are ignored.
+  function addStats(profile, delta) {
+    const safeProfile = sanitizeProfile(profile);
+    const source = delta && typeof delta === "object" ? delta : {};
+    const stats = normalizeStats(safeProfile.stats);
+
+    for (const key of STAT_COUNTERS) {
+      stats[key] += toCount(source[key]);
+    }
+    for (const key of STAT_TALLIES) {
+      for (const id of Object.keys(stats[key])) {
+        stats[key][id] += toCount(source[key]?.[id]);
+      }
+    }
+    for (const snakeId of Object.keys(stats.deepestFloorBySnake)) {
+      stats.deepestFloorBySnake[snakeId] = Math.max(
+        stats.deepestFloorBySnake[snakeId],
+        toCount(source.deepestFloorBySnake?.[snakeId])
+      );
+    }
+
+    return {
+      ...safeProfile,
+      stats,
+    };
+  }
+
+  // Reads the level straight off the profile: the Souls engine calls this on
+  // every step with an already sanitized copy.
+  function getMetaUpgradeLevel(profile, upgradeId) {
+    const upgrade = SoulsData.getMetaUpgradeById(upgradeId);
+    return upgrade ? Math.min(upgrade.costs.length, toCount(profile?.metaUpgrades?.[upgradeId])) : 0;
+  }
+
+  function getMetaUpgradeBonus(profile, upgradeId) {
+    const upgrade = SoulsData.getMetaUpgradeById(upgradeId);
+    return upgrade ? getMetaUpgradeLevel(profile, upgradeId) * upgrade.perLevel : 0;
+  }
+
+  // Requirements of `upgradeId` the profile doesn't meet yet.
+  function getMissingMetaRequirements(profile, upgradeId) {
+    const upgrade = SoulsData.getMetaUpgradeById(upgradeId);
+    return (upgrade?.requires ?? []).filter(
+      (requirement) => getMetaUpgradeLevel(profile, requirement.id) < requirement.level
+    );
+  }
+
+  function purchaseMetaUpgrade(profile, upgradeId) {
+    const safeProfile = sanitizeProfile(profile);
+    const upgrade = SoulsData.getMetaUpgradeById(upgradeId);
+    if (!upgrade) {
+      return { ok: false, reason: "unknown-upgrade", profile: safeProfile };
+    }
+
+    const level = safeProfile.metaUpgrades[upgradeId];
+    const cost = SoulsData.getMetaUpgradeCost(upgradeId, level);
+    if (cost === null) {
+      return { ok: false, reason: "maxed", profile: safeProfile };
+    }
+    if (getMissingMetaRequirements(safeProfile, upgradeId).length > 0) {
+      return { ok: false, reason: "missing-requirement", profile: safeProfile };
+    }
+    if (safeProfile.walletRunes < cost) {
+      return { ok: false, reason: "insufficient-runes", profile: safeProfile };
+    }
+
+    const updated = {
+      ...safeProfile,
+      walletRunes: safeProfile.walletRunes - cost,
+      metaUpgrades: { ...safeProfile.metaUpgrades, [upgradeId]: level + 1 },
+    };
+
+    return { ok: true, reason: null, profile: sanitizeProfile(updated) };
+  }
+
   function selectSnake(profile, snakeId) {
     const safeProfile = sanitizeProfile(profile);
     if (!safeProfile.unlockedSnakeIds.includes(snakeId)) {
@@ -306,8 +654,14 @@
 
   const api = Object.freeze({
     PROFILE_VERSION,
+    PROFILE_MIGRATIONS,
+    STAT_DEATH_CAUSES,
+    STAT_PLAY_MODES,
+    createEmptyStats,
     createDefaultProfile,
     sanitizeProfile,
+    migrateProfile,
+    readProfile,
     loadProfile,
     saveProfile,
     hasSnakeUnlocked,
@@ -320,6 +674,12 @@
     addWalletRunes,
     registerFinalBossClear,
     registerBossDefeat,
+    setChallengeHistory,
+    addStats,
+    getMetaUpgradeLevel,
+    getMetaUpgradeBonus,
+    getMissingMetaRequirements,
+    purchaseMetaUpgrade,
     selectSnake,
   });
 
@@ -5,12 +5,29 @@
     return powersState && typeof powersState === "object" ? powersState : {};
   }
 
+  // Co-op rewards are picked seat by seat; solo rewards always belong to seat 0.
+  function getRewardSeat(rewardState) {
+    const picks = Array.isArray(rewardState?.picks) ? rewardState.picks : null;
+    if (!picks) {
+      return 0;
+    }
+
+    const seat = picks.findIndex((pick) => !pick);
+    return seat < 0 ? 0 : seat;
+  }
+
+  function getRewardOptionsForSeat(rewardState, seat) {
+    const options = seat === 1 ? rewardState?.partnerOptions : rewardState?.options;
+    return Array.isArray(options) ? options : [];
+  }
+
   function buildRewardRenderKey(rewardState, powersState) {
     if (!rewardState || typeof rewardState !== "object") {
       return null;
     }
 
-    const options = Array.isArray(rewardState.options) ? rewardState.options : [];
+    const seat = getRewardSeat(rewardState);
+    const options = getRewardOptionsForSeat(rewardState, seat);
     if (options.length === 0) {
       return null;
     }
@@ -24,7 +41,7 @@
       return `${powerId}:${stack}`;
     });
 
-    return `${source}|${rerolled}|${options.join(",")}|${stacks.join(",")}`;
+    return `${source}|${rerolled}|${seat}|${options.join(",")}|${stacks.join(",")}`;
   }
 
   function canSelectReward(modeState) {
@@ -42,6 +59,8 @@
   const api = Object.freeze({
     buildRewardRenderKey,
     canSelectReward,
+    getRewardOptionsForSeat,
+    getRewardSeat,
   });
 
   if (typeof module !== "undefined" && module.exports) {
@@ -130,9 +130,14 @@
       activeRadius,
       stageType: options.stageType ?? "normal",
       cycle: Math.max(1, Math.floor(options.cycle ?? 1)),
-      random: options.rng ?? Math.random,
+      // Spawns draw from a stream derived from the world seed so a run seed
+      // reproduces pickups as well as chunk layouts.
+      random: options.rng ?? createMulberry32(hashChunkSeed(seed, 0x5eed, -1)),
       activeChunks: new Map(),
       activeChunkKeys: new Set(),
+      // Barriers knocked down this stage stay down when their chunk is
+      // generated again.
+      destroyedBarrierKeys: new Set(),
       pools: {
         obstaclePool: [],
         pickupPool: [],
@@ -157,7 +162,9 @@
     const originY = cy * world.chunkSize;
     const attempts = count * 8;
 
-    for (let i = 0; i < attempts && obstacles.length < count; i += 1) {
+    // `used` counts destroyed barriers too, so the rest of the layout
+    // doesn't shift to replace them.
+    for (let i = 0; i < attempts && used.size < count; i += 1) {
       const localX = randomIntInclusive(chunkRng, 0, world.chunkSize - 1);
       const localY = randomIntInclusive(chunkRng, 0, world.chunkSize - 1);
       const key = `${localX},${localY}`;
@@ -168,7 +175,9 @@
       used.add(key);
       const x = originX + localX;
       const y = originY + localY;
-      obstacles.push(takeFromPool(world.pools.obstaclePool, x, y));
+      if (!world.destroyedBarrierKeys?.has(keyForPosition({ x, y }))) {
+        obstacles.push(takeFromPool(world.pools.obstaclePool, x, y));
+      }
     }
 
     const chunk = { cx, cy, obstacles };
@@ -439,6 +448,31 @@
     return next;
   }
 
+  function destroyBarrier(world, position) {
+    const chunkKey = keyForChunk(
+      floorDiv(position.x, world.chunkSize),
+      floorDiv(position.y, world.chunkSize)
+    );
+    const chunk = world.activeChunks.get(chunkKey);
+    const index = chunk
+      ? chunk.obstacles.findIndex(
+        (obstacle) => obstacle.x === position.x && obstacle.y === position.y
+      )
+      : -1;
+    if (index < 0) {
+      return false;
+    }
+
+    const [obstacle] = chunk.obstacles.splice(index, 1);
+    world.pools.obstaclePool.push(obstacle);
+    trimPool(world.pools.obstaclePool, POOL_LIMITS.obstaclePool);
+    if (!world.destroyedBarrierKeys) {
+      world.destroyedBarrierKeys = new Set();
+    }
+    world.destroyedBarrierKeys.add(keyForPosition(position));
+    return true;
+  }
+
   function recyclePositionInPool(world, position, poolName) {
     if (!position) return;
     const pool = world?.pools?.[poolName];
@@ -459,6 +493,7 @@
     spawnSoulsFood,
     spawnSoulsSigil,
     recycleChunk,
+    destroyBarrier,
     reenterEnemyAtEdge,
     recyclePositionInPool,
     keyForPosition,
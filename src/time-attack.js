@@ -0,0 +1,180 @@
+(function defineTimeAttack(global) {
+  "use strict";
+
+  const STORAGE_KEY = "snake-time-attack-v1";
+  const RECORDS_VERSION = 1;
+
+  function createEmptyRecords() {
+    return {
+      version: RECORDS_VERSION,
+      bests: {},
+    };
+  }
+
+  function isValidTime(value) {
+    return Number.isFinite(value) && value >= 0;
+  }
+
+  function sanitizeBest(best) {
+    if (!best || typeof best !== "object" || !isValidTime(best.elapsedMs)) {
+      return null;
+    }
+
+    const splits = Array.isArray(best.splits)
+      ? best.splits.filter(isValidTime).map(Math.round)
+      : [];
+    return {
+      elapsedMs: Math.round(best.elapsedMs),
+      splits,
+    };
+  }
+
+  function sanitizeRecords(input) {
+    const records = createEmptyRecords();
+    const bests = input && typeof input === "object" ? input.bests : null;
+    if (!bests || typeof bests !== "object") {
+      return records;
+    }
+
+    for (const [key, best] of Object.entries(bests)) {
+      const safeBest = sanitizeBest(best);
+      if (safeBest) {
+        records.bests[key] = safeBest;
+      }
+    }
+    return records;
+  }
+
+  function loadRecords(storageValue) {
+    if (!storageValue) {
+      return createEmptyRecords();
+    }
+
+    try {
+      const parsed =
+        typeof storageValue === "string"
+          ? JSON.parse(storageValue)
+          : storageValue;
+      return sanitizeRecords(parsed);
+    } catch {
+      return createEmptyRecords();
+    }
+  }
+
+  function saveRecords(records) {
+    return JSON.stringify(sanitizeRecords(records));
+  }
+
+  // A best only means something against the exact same course: goal, seed,
+  // board rules and, for the Levels course, the campaign being raced.
+  function getCourseKey(state) {
+    const parts = [
+      state.timeAttack.course,
+      state.seed,
+      state.base.width,
+      state.base.height,
+      state.base.wrapWalls === true ? "wrap" : "walls",
+      state.base.movement ?? "4way",
+    ];
+    if (state.campaign) {
+      parts.push(state.campaign.name, state.campaign.levels.map((level) => level.id).join(","));
+    }
+    return parts.join("|");
+  }
+
+  function getBest(records, key) {
+    return records?.bests?.[key] ?? null;
+  }
+
+  // Negative means ahead. The delta is frozen at the last checkpoint reached
+  // and only starts moving again once the clock passes the best's time for
+  // the next checkpoint.
+  function getLiveDeltaMs(best, timeAttack) {
+    if (!best) {
+      return null;
+    }
+
+    const done = timeAttack.splits.length;
+    if (done > 0 && best.splits[done - 1] !== undefined) {
+      const lastSplit = timeAttack.splits[done - 1];
+      const pending = best.splits[done];
+      if (pending !== undefined && timeAttack.elapsedMs > pending) {
+        return timeAttack.elapsedMs - pending;
+      }
+      return lastSplit.elapsedMs - best.splits[done - 1];
+    }
+
+    const firstSplit = best.splits[0];
+    if (firstSplit !== undefined && timeAttack.elapsedMs > firstSplit) {
+      return timeAttack.elapsedMs - firstSplit;
+    }
+    return null;
+  }
+
+  function getSplitDeltaMs(best, index, elapsedMs) {
+    const bestSplit = best?.splits[index];
+    return bestSplit === undefined ? null : elapsedMs - bestSplit;
+  }
+
+  // Only completed courses count; a faster finish replaces the stored best.
+  function recordRun(records, key, timeAttack) {
+    const safeRecords = sanitizeRecords(records);
+    const previous = getBest(safeRecords, key);
+    if (!timeAttack.completed) {
+      return { records: safeRecords, best: previous, isNewBest: false };
+    }
+    if (previous && previous.elapsedMs <= timeAttack.elapsedMs) {
+      return { records: safeRecords, best: previous, isNewBest: false };
+    }
+
+    const best = {
+      elapsedMs: timeAttack.elapsedMs,
+      splits: timeAttack.splits.map((split) => split.elapsedMs),
+    };
+    return {
+      records: {
+        ...safeRecords,
+        bests: { ...safeRecords.bests, [key]: best },
+      },
+      best,
+      isNewBest: true,
+    };
+  }
+
+  function formatClockMs(elapsedMs) {
+    const safe = Math.max(0, Math.floor(elapsedMs ?? 0));
+    const minutes = Math.floor(safe / 60000);
+    const seconds = Math.floor((safe % 60000) / 1000);
+    const tenths = Math.floor((safe % 1000) / 100);
+    return `${String(minutes).padStart(2, "0")}:${String(seconds).padStart(2, "0")}.${tenths}`;
+  }
+
+  function formatDeltaMs(deltaMs) {
+    if (deltaMs === null || !Number.isFinite(deltaMs)) {
+      return "-";
+    }
+    const sign = deltaMs > 0 ? "+" : deltaMs < 0 ? "-" : "±";
+    return `${sign}${(Math.abs(deltaMs) / 1000).toFixed(1)}s`;
+  }
+
+  const api = Object.freeze({
+    STORAGE_KEY,
+    createEmptyRecords,
+    sanitizeRecords,
+    loadRecords,
+    saveRecords,
+    getCourseKey,
+    getBest,
+    getLiveDeltaMs,
+    getSplitDeltaMs,
+    recordRun,
+    formatClockMs,
+    formatDeltaMs,
+  });
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  global.TimeAttack = api;
+})(typeof globalThis !== "undefined" ? globalThis : window);
@@ -0,0 +1,76 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const Achievements = require("../src/achievements.js");
+const SoulsData = require("../src/souls-data.js");
+const SoulsProfile = require("../src/souls-profile.js");
+
+function unlockIds(profile, event) {
+  return Achievements.recordEvent(profile, event).unlocked.map((achievement) => achievement.id);
+}
+
+test("gameplay events unlock only the achievements they satisfy", () => {
+  const profile = SoulsProfile.createDefaultProfile();
+  const abissal = { type: "floor_cleared", floor: 12, cycle: 1, stageType: "final_boss", bossId: "abissal" };
+
+  assert.deepEqual(unlockIds(profile, { ...abissal, armorLost: 0 }), ["primeiros_passos", "intocavel"]);
+  assert.deepEqual(unlockIds(profile, { ...abissal, armorLost: 2 }), ["primeiros_passos"]);
+  assert.ok(unlockIds(profile, { ...abissal, floor: 24, cycle: 2, armorLost: 1 }).includes("segunda_volta"));
+  assert.deepEqual(unlockIds(profile, { type: "echo_recovered", runes: 199 }), []);
+  assert.deepEqual(unlockIds(profile, { type: "echo_recovered", runes: 200 }), ["nada_se_perde"]);
+  assert.deepEqual(unlockIds(profile, { type: "score", mode: "levels", score: 140 }), []);
+  assert.deepEqual(unlockIds(profile, { type: "score", mode: "traditional", score: 100 }), ["centenario"]);
+
+  const maxed = Object.fromEntries(SoulsData.POWER_POOL.map((power) => [power.id, power.maxStacks]));
+  assert.deepEqual(unlockIds(profile, { type: "powers_picked", powers: { ...maxed, folego: 2 } }), []);
+  assert.deepEqual(unlockIds(profile, { type: "powers_picked", powers: maxed }), ["arsenal_completo"]);
+
+  // Unlocks are kept in order and never announced twice.
+  const first = Achievements.recordEvent(profile, { type: "death", cause: "enemy", stageType: "final_boss" });
+  assert.deepEqual(first.profile.achievements, ["tao_perto"]);
+  const again = Achievements.recordEvent(first.profile, { type: "death", cause: "enemy", stageType: "final_boss" });
+  assert.deepEqual(again.unlocked, []);
+  assert.deepEqual(Achievements.getNewlyUnlocked(profile, again.profile).map((a) => a.id), ["tao_perto"]);
+});
+
+test("progress achievements follow the lifetime stats", () => {
+  let profile = SoulsProfile.addStats(SoulsProfile.createDefaultProfile(), { foodCollected: 320 });
+  assert.deepEqual(Achievements.getProgress(profile, "devorador"), { current: 320, goal: 500 });
+  assert.equal(Achievements.getProgress(profile, "centenario"), null);
+  assert.deepEqual(unlockIds(profile, null), []);
+
+  profile = SoulsProfile.addStats(profile, { foodCollected: 250 });
+  const result = Achievements.recordEvent(profile, null);
+  assert.deepEqual(result.unlocked.map((achievement) => achievement.id), ["devorador"]);
+  assert.deepEqual(Achievements.getProgress(result.profile, "devorador"), { current: 500, goal: 500 });
+});
+
+test("the gallery hides secret entries until they unlock", () => {
+  const locked = Achievements.listGallery(SoulsProfile.createDefaultProfile());
+  assert.equal(locked.length, Achievements.ACHIEVEMENTS.length);
+  const secret = locked.find((entry) => entry.id === "intocavel");
+  assert.deepEqual([secret.name, secret.unlocked, secret.skin], ["???", false, null]);
+  assert.equal(locked.find((entry) => entry.id === "centenario").skin.id, "fliperama");
+  assert.deepEqual(locked.find((entry) => entry.id === "veterano").progress, { current: 0, goal: 100 });
+
+  const profile = { ...SoulsProfile.createDefaultProfile(), achievements: ["intocavel"] };
+  const revealed = Achievements.listGallery(profile).find((entry) => entry.id === "intocavel");
+  assert.equal(revealed.name, "Intocável");
+  assert.equal(revealed.skin.id, "obsidiana");
+});
+
+test("skins need their achievement before they can be worn", () => {
+  let profile = SoulsProfile.createDefaultProfile();
+  assert.deepEqual(Achievements.getUnlockedSkins(profile), []);
+  assert.equal(Achievements.selectSkin(profile, "brasa").selectedSkinId, null);
+
+  profile = Achievements.recordEvent(profile, { type: "score", mode: "traditional", score: 120 }).profile;
+  profile = Achievements.selectSkin(profile, "fliperama");
+  assert.equal(Achievements.getActiveSkin(SoulsProfile.loadProfile(SoulsProfile.saveProfile(profile))).id, "fliperama");
+  assert.equal(Achievements.selectSkin(profile, null).selectedSkinId, null);
+
+  // An edited save can't wear a skin it never earned.
+  assert.equal(Achievements.getActiveSkin({ ...profile, selectedSkinId: "brasa" }), null);
+});
@@ -0,0 +1,97 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const SoulsData = require("../src/souls-data.js");
+const {
+  createSoulsDataVariant,
+  createBot,
+  runSimulation,
+  summarizeRuns,
+  formatRunsAsCsv,
+} = require("../src/balance-sim.js");
+
+test("simulation is reproducible for the same base seed", () => {
+  const options = { runs: 2, seed: "balance", maxRunMs: 20_000 };
+  const first = runSimulation(options);
+  const second = runSimulation(options);
+
+  assert.deepEqual(second, first);
+  assert.equal(first.runs.length, 2);
+  assert.notEqual(first.runs[0].seed, first.runs[1].seed);
+  for (const run of first.runs) {
+    assert.ok(run.floorReached >= 1);
+    assert.ok(typeof run.endReason === "string");
+    assert.ok(run.durationMs <= 20_000 + 20);
+  }
+});
+
+test("summary aggregates floors, death causes, runes, boss times and power picks", () => {
+  const summary = summarizeRuns([
+    {
+      floorReached: 3,
+      endReason: "enemy",
+      runesByFloor: { 1: 8, 2: 10 },
+      bossKills: [],
+      powersOffered: {},
+      powersPicked: {},
+    },
+    {
+      floorReached: 4,
+      endReason: "barrier",
+      runesByFloor: { 1: 6, 2: 8, 3: 50 },
+      bossKills: [{ floor: 3, bossId: "cacador", timeMs: 12_000 }],
+      powersOffered: { ima: 1, folego: 1, muralha: 1 },
+      powersPicked: { ima: 1 },
+    },
+  ]);
+
+  assert.equal(summary.runs, 2);
+  assert.equal(summary.floor.mean, 3.5);
+  assert.equal(summary.floor.max, 4);
+  assert.deepEqual(summary.endReasons, { enemy: 1, barrier: 1 });
+  assert.equal(summary.runeIncomePerFloor[1], 7);
+  assert.equal(summary.runeIncomePerFloor[3], 25);
+  assert.deepEqual(summary.bossKillTimes.cacador, { kills: 1, meanMs: 12_000, medianMs: 12_000 });
+  assert.equal(summary.powerPickRates.ima.pickRate, 1);
+  assert.equal(summary.powerPickRates.folego.pickRate, 0);
+});
+
+test("SoulsData variant overrides balance constants and wraps formulas", () => {
+  const variant = createSoulsDataVariant(SoulsData, {
+    RUNE_REWARDS: { food: 5 },
+    UNLOCK_COSTS: [10, 20, 30],
+    getObjectiveTarget: (floor, stageType, snake, original) =>
+      original(floor, stageType, snake) * 2,
+  });
+
+  assert.equal(variant.getRuneReward("food"), 5);
+  assert.equal(variant.getRuneReward("sigil"), SoulsData.getRuneReward("sigil"));
+  assert.equal(variant.getUnlockCostByIndex(1), 20);
+  assert.equal(variant.getObjectiveTarget(1, "normal"), SoulsData.getObjectiveTarget(1, "normal") * 2);
+  assert.equal(variant.getDifficultyScale(2), SoulsData.getDifficultyScale(2));
+});
+
+test("bots and csv output", () => {
+  assert.throws(() => createBot("nope"), /Bot desconhecido/);
+
+  const result = runSimulation({ runs: 1, seed: 7, botId: "random", maxRunMs: 5_000 });
+  const lines = formatRunsAsCsv(result.runs).split("\n");
+  assert.equal(lines.length, 2);
+  assert.match(lines[0], /^seed,snakeId,bot,floorReached,endReason/);
+  assert.match(lines[1], /^[0-9A-F]{8},basica,random,/);
+});
+
+test("the greedy bot clears the first boss and picks a power", () => {
+  const result = runSimulation({ runs: 1, seed: "1234", maxFloor: 4 });
+  const [run] = result.runs;
+
+  assert.equal(run.endReason, "max_floor");
+  assert.ok(run.bossKills.length >= 1);
+  assert.ok(Object.values(run.powersPicked).reduce((sum, count) => sum + count, 0) >= 1);
+  assert.ok(Object.keys(result.summary.bossKillTimes).length >= 1);
+  assert.ok(
+    Object.values(result.summary.powerPickRates).some((entry) => entry.picked >= 1)
+  );
+});
@@ -0,0 +1,112 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const Challenges = require("../src/challenges.js");
+const SoulsData = require("../src/souls-data.js");
+const { RUN_MODIFIERS } = require("../src/snake-modes.js");
+
+test("period keys roll over at midnight UTC and follow ISO weeks", () => {
+  assert.equal(Challenges.toDateKey(new Date("2026-10-19T23:59:59Z")), "2026-10-19");
+  assert.equal(Challenges.toDateKey(new Date("2026-10-20T00:00:00Z")), "2026-10-20");
+  assert.equal(Challenges.toWeekKey(new Date("2026-10-19T12:00:00Z")), "2026-W43");
+  assert.equal(Challenges.toWeekKey(new Date("2026-10-25T12:00:00Z")), "2026-W43");
+  assert.equal(Challenges.toWeekKey(new Date("2026-10-26T12:00:00Z")), "2026-W44");
+  // 1 Jan 2027 is a Friday, so it still belongs to the last week of 2026.
+  assert.equal(Challenges.toWeekKey(new Date("2027-01-01T12:00:00Z")), "2026-W53");
+});
+
+test("challenges are the same for everyone in the period and differ between periods", () => {
+  const morning = Challenges.getDailyChallenge(new Date("2026-10-19T01:00:00Z"));
+  const evening = Challenges.getDailyChallenge(new Date("2026-10-19T22:00:00Z"));
+  const tomorrow = Challenges.getDailyChallenge(new Date("2026-10-20T01:00:00Z"));
+
+  assert.deepEqual(morning, evening);
+  assert.equal(morning.id, "daily:2026-10-19");
+  assert.equal(morning.mode, "souls");
+  assert.ok(SoulsData.getSnakeById(morning.snakeId));
+  assert.notEqual(morning.seed, tomorrow.seed);
+
+  const weekly = Challenges.getWeeklyChallenge(new Date("2026-10-21T12:00:00Z"));
+  assert.equal(weekly.id, "weekly:2026-W43");
+  assert.equal(weekly.mode, "levels");
+  assert.equal(weekly.snakeId, null);
+  assert.ok(weekly.modifiers.length >= 1 && weekly.modifiers.length <= 2);
+  for (const modifierId of weekly.modifiers) {
+    assert.ok(Challenges.CHALLENGE_MODIFIERS[modifierId].modes.includes("levels"));
+  }
+});
+
+test("mode options pin board rules and pass only engine modifiers through", () => {
+  const options = Challenges.getChallengeModeOptions(
+    {
+      id: "weekly:2026-W43",
+      kind: "weekly",
+      mode: "levels",
+      seed: 42,
+      snakeId: null,
+      powers: {},
+      effects: { shield: 3000 },
+      modifiers: ["portals", "horde"],
+    },
+    { practice: true }
+  );
+
+  assert.equal(options.wrapWalls, true);
+  assert.equal(options.movement, "4way");
+  assert.equal(options.seed, 42);
+  assert.equal(options.challenge.practice, true);
+  assert.deepEqual(options.challenge.modifiers, ["horde"]);
+  assert.deepEqual(options.challenge.effects, { shield: 3000 });
+  for (const modifierId of options.challenge.modifiers) {
+    assert.ok(Object.hasOwn(RUN_MODIFIERS, modifierId));
+  }
+});
+
+test("the scored attempt is claimed on start and finished only once", () => {
+  const challenge = Challenges.getDailyChallenge(new Date("2026-10-19T12:00:00Z"));
+  const started = Challenges.startScoredAttempt({}, challenge);
+  assert.equal(Challenges.getAttempt(started, challenge.id).status, "started");
+  assert.equal(Challenges.startScoredAttempt(started, challenge), started);
+
+  const finished = Challenges.finishScoredAttempt(started, challenge.id, {
+    score: 37.8,
+    progress: 4,
+  });
+  assert.deepEqual(Challenges.getAttempt(finished, challenge.id), {
+    kind: "daily",
+    status: "finished",
+    score: 37,
+    progress: 4,
+  });
+  assert.equal(
+    Challenges.finishScoredAttempt(finished, challenge.id, { score: 99, progress: 9 }),
+    finished
+  );
+  assert.deepEqual(Challenges.finishScoredAttempt({}, challenge.id, { score: 5 }), {});
+});
+
+test("month calendar runs Monday to Sunday with the weekly attempt per row", () => {
+  const history = {
+    "daily:2026-10-19": { kind: "daily", status: "finished", score: 12, progress: 3 },
+    "weekly:2026-W43": { kind: "weekly", status: "started", score: 0, progress: 0 },
+  };
+  const calendar = Challenges.buildMonthCalendar(
+    history,
+    2026,
+    9,
+    new Date("2026-10-19T08:00:00Z")
+  );
+
+  assert.equal(calendar.weeks.length, 5);
+  assert.equal(calendar.weeks[0].days[0].dateKey, "2026-09-28");
+  assert.equal(calendar.weeks[0].days[0].inMonth, false);
+  assert.equal(calendar.weeks[4].days[6].dateKey, "2026-11-01");
+
+  const week = calendar.weeks.find((row) => row.weekKey === "2026-W43");
+  assert.equal(week.attempt.status, "started");
+  assert.equal(week.days[0].isToday, true);
+  assert.equal(week.days[0].attempt.score, 12);
+  assert.equal(week.days[1].attempt, null);
+});
@@ -0,0 +1,140 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const LevelEditor = require("../src/level-editor.js");
+const { createModeState } = require("../src/snake-modes.js");
+
+function countSymbol(editor, symbol) {
+  return editor.rows.join("").split(symbol).length - 1;
+}
+
+test("createEditorState builds an empty, valid board with a centred start", () => {
+  const editor = LevelEditor.createEditorState({ width: 12, height: 10 });
+
+  assert.equal(editor.rows.length, 10);
+  assert.ok(editor.rows.every((row) => row.length === 12));
+  assert.equal(editor.rows[5][6], "S");
+  assert.equal(LevelEditor.validateEditor(editor).ok, true);
+});
+
+test("paintCell paints tools, keeps a single start and ignores cells off the board", () => {
+  let editor = LevelEditor.createEditorState({ width: 10, height: 10 });
+  editor = LevelEditor.paintCell(editor, { x: 0, y: 0 }, "barrier");
+  editor = LevelEditor.paintCell(editor, { x: 9, y: 9 }, "food");
+  editor = LevelEditor.paintCell(editor, { x: 8, y: 2 }, "start");
+
+  assert.equal(editor.rows[0][0], "#");
+  assert.equal(editor.rows[9][9], "F");
+  assert.equal(editor.rows[2][8], "S");
+  assert.equal(countSymbol(editor, "S"), 1);
+
+  assert.equal(LevelEditor.paintCell(editor, { x: 10, y: 0 }, "barrier"), editor);
+  assert.equal(LevelEditor.paintCell(editor, { x: 1, y: 1 }, "lava"), editor);
+
+  editor = LevelEditor.paintCell(editor, { x: 0, y: 0 }, "erase");
+  assert.equal(editor.rows[0][0], ".");
+});
+
+test("resizeEditor crops or pads rows and clamps to the supported sizes", () => {
+  let editor = LevelEditor.createEditorState({ width: 10, height: 10 });
+  editor = LevelEditor.paintCell(editor, { x: 9, y: 9 }, "barrier");
+
+  const grown = LevelEditor.resizeEditor(editor, 12, 11);
+  assert.equal(grown.rows.length, 11);
+  assert.equal(grown.rows[9], `${editor.rows[9]}..`);
+  assert.equal(grown.rows[10], "............");
+
+  const clamped = LevelEditor.resizeEditor(editor, 2, 99);
+  assert.equal(clamped.width, 8);
+  assert.equal(clamped.height, 40);
+});
+
+test("updateEditorMeta derives the id from the name and rejects bad numbers", () => {
+  const editor = LevelEditor.updateEditorMeta(LevelEditor.createEditorState(), {
+    name: "Câmara Secreta",
+    target: "7",
+    parSeconds: "-3",
+    startDirection: "UP",
+  });
+
+  assert.equal(editor.id, "camara-secreta");
+  assert.equal(editor.target, 7);
+  assert.equal(editor.parSeconds, null);
+  assert.equal(editor.startDirection, "UP");
+  assert.equal(LevelEditor.updateEditorMeta(editor, { startDirection: "UP_LEFT" }).startDirection, "UP");
+});
+
+test("validateEditor surfaces parser errors for unplayable layouts", () => {
+  let editor = LevelEditor.createEditorState({ width: 10, height: 10 });
+  // Wall off the cell right behind the head so the starting body has no room.
+  editor = LevelEditor.paintCell(editor, { x: 4, y: 5 }, "barrier");
+
+  const result = LevelEditor.validateEditor(editor);
+  assert.equal(result.ok, false);
+  assert.match(result.error, /corpo inicial/);
+});
+
+test("share strings round-trip the whole level", () => {
+  let editor = LevelEditor.createEditorState({ width: 16, height: 9 });
+  editor = LevelEditor.updateEditorMeta(editor, { name: "Ponte", target: 3, parSeconds: 20 });
+  editor = LevelEditor.paintCell(editor, { x: 1, y: 1 }, "enemy");
+  editor = LevelEditor.paintCell(editor, { x: 14, y: 7 }, "powerUp");
+  for (let x = 0; x < 16; x += 1) {
+    editor = LevelEditor.paintCell(editor, { x, y: 0 }, "barrier");
+  }
+
+  const code = LevelEditor.encodeShareString(editor);
+  assert.ok(code.startsWith(LevelEditor.SHARE_PREFIX));
+  assert.ok(code.length < JSON.stringify(LevelEditor.toLevelJson(editor)).length);
+
+  const decoded = LevelEditor.decodeShareString(`  ${code}\n`);
+  assert.equal(decoded.ok, true);
+  assert.deepEqual(LevelEditor.toLevelJson(decoded.editor), LevelEditor.toLevelJson(editor));
+});
+
+test("decodeShareString and fromLevelJson reject broken input", () => {
+  assert.equal(LevelEditor.decodeShareString("nivel").error, "Código de nível inválido.");
+  assert.equal(
+    LevelEditor.decodeShareString(`${LevelEditor.SHARE_PREFIX}%%%`).error,
+    "Código de nível corrompido."
+  );
+
+  const imported = LevelEditor.fromLevelJson({ id: "x", width: 8, height: 8, target: 1, layout: [] });
+  assert.equal(imported.ok, false);
+  assert.match(imported.error, /layout/);
+});
+
+test("buildPreviewState exposes barriers, the start snake and spawn markers", () => {
+  let editor = LevelEditor.createEditorState({ width: 10, height: 10 });
+  editor = LevelEditor.paintCell(editor, { x: 0, y: 0 }, "barrier");
+  editor = LevelEditor.paintCell(editor, { x: 1, y: 0 }, "food");
+  editor = LevelEditor.paintCell(editor, { x: 2, y: 0 }, "enemy");
+
+  const preview = LevelEditor.buildPreviewState(editor);
+  assert.deepEqual(preview.barriers, [{ x: 0, y: 0 }]);
+  assert.deepEqual(preview.base.snake, [
+    { x: 5, y: 5 },
+    { x: 4, y: 5 },
+    { x: 3, y: 5 },
+  ]);
+  assert.deepEqual(preview.markers, [
+    { x: 1, y: 0, kind: "food" },
+    { x: 2, y: 0, kind: "enemy" },
+  ]);
+});
+
+test("an edited level with food spawns plays through the campaign engine", () => {
+  let editor = LevelEditor.createEditorState({ width: 10, height: 10 });
+  editor = LevelEditor.paintCell(editor, { x: 8, y: 1 }, "food");
+  const { level } = LevelEditor.validateEditor(editor);
+
+  const state = createModeState({
+    mode: "levels",
+    seed: 11,
+    campaign: { name: "Editor", levels: [level] },
+  });
+  assert.deepEqual(state.base.food, { x: 8, y: 1 });
+  assert.equal(state.base.width, 10);
+});
@@ -0,0 +1,144 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { parseCampaign, parseLevel } = require("../src/levels-campaign.js");
+const { createModeState, restartModeState, stepModeState } = require("../src/snake-modes.js");
+
+const LEVELS_DIR = new URL("../levels/", import.meta.url);
+
+function readJson(fileName) {
+  return JSON.parse(fs.readFileSync(new URL(fileName, LEVELS_DIR), "utf8"));
+}
+
+function makeLevel(overrides = {}) {
+  return {
+    id: "teste",
+    width: 8,
+    height: 8,
+    target: 2,
+    parSeconds: 10,
+    layout: [
+      "........",
+      "........",
+      "..S.....",
+      "........",
+      "....P...",
+      ".....#..",
+      "........",
+      "........",
+    ],
+    ...overrides,
+  };
+}
+
+function parseOk(raw) {
+  const parsed = parseLevel(raw);
+  assert.equal(parsed.ok, true, parsed.error);
+  return parsed.level;
+}
+
+test("shipped campaign files parse in manifest order", () => {
+  const manifest = readJson("campaign.json");
+  const parsed = parseCampaign(manifest, manifest.levels.map(readJson));
+  assert.equal(parsed.ok, true, parsed.error);
+  assert.deepEqual(
+    parsed.campaign.levels.map((level) => level.id),
+    ["primeiros-passos", "corredores", "sentinela", "fortaleza"]
+  );
+  assert.equal(parsed.campaign.levels[3].width, 24);
+  assert.equal(parsed.campaign.levels[2].enemy.patrol.length, 4);
+});
+
+test("level parser reads layout symbols and rejects broken files", () => {
+  const level = parseOk(makeLevel());
+  assert.deepEqual(level.snake, [
+    { x: 2, y: 2 },
+    { x: 1, y: 2 },
+    { x: 0, y: 2 },
+  ]);
+  assert.deepEqual(level.barriers, [{ x: 5, y: 5 }]);
+  assert.deepEqual(level.powerUpSpots, [{ x: 4, y: 4 }]);
+  assert.equal(level.parTimeMs, 10000);
+  assert.equal(level.enemy, null);
+
+  const shortRow = makeLevel({ layout: [...makeLevel().layout.slice(0, 7), "..."] });
+  assert.match(parseLevel(shortRow).error, /layout deve ter 8 linhas com 8 colunas/);
+  const noStart = makeLevel({ layout: makeLevel().layout.map((row) => row.replace("S", ".")) });
+  assert.match(parseLevel(noStart).error, /exatamente um "S"/);
+  const unknown = makeLevel({ layout: makeLevel().layout.map((row) => row.replace("P", "?")) });
+  assert.match(parseLevel(unknown).error, /símbolo "\?" desconhecido em \(4, 4\)/);
+  const patrolOnBarrier = makeLevel({
+    enemy: { patrol: [{ x: 0, y: 0 }, { x: 5, y: 5 }] },
+  });
+  assert.match(parseLevel(patrolOnBarrier).error, /sobre uma barreira/);
+  const crampedStart = makeLevel({
+    layout: makeLevel().layout.map((row) => row.replace("..S", ".S.")),
+  });
+  assert.match(parseLevel(crampedStart).error, /corpo inicial/);
+});
+
+test("levels play the campaign first and fall back to procedural levels", () => {
+  const campaign = { name: "Teste", levels: [parseOk(makeLevel({ target: 1 }))] };
+  let state = createModeState({ mode: "levels", campaign, seed: 7 });
+  assert.equal(state.levelTarget, 1);
+  assert.deepEqual(state.barriers, [{ x: 5, y: 5 }]);
+  assert.equal(state.base.width, 8);
+  assert.deepEqual(state.base.snake[0], { x: 2, y: 2 });
+
+  state = {
+    ...state,
+    base: { ...state.base, food: { x: 3, y: 2 } },
+  };
+  state = stepModeState(state, { rng: () => 0 });
+  assert.equal(state.level, 2);
+  assert.equal(state.levelTarget, 7);
+  assert.equal(state.barriers.length, 3);
+  assert.equal(state.campaign.results.length, 1);
+  assert.equal(state.campaign.results[0].id, "teste");
+  assert.equal(state.campaign.results[0].underPar, true);
+
+  const restarted = restartModeState(state, { seed: 7 });
+  assert.equal(restarted.level, 1);
+  assert.equal(restarted.campaign.levels[0].id, "teste");
+  assert.equal(createModeState({ mode: "levels", seed: 7 }).campaign, null);
+});
+
+test("campaign sentries walk their patrol and power-ups use fixed placements", () => {
+  const definition = parseOk(
+    makeLevel({
+      target: 5,
+      enemy: { stepEveryTicks: 1, patrol: [{ x: 6, y: 0 }, { x: 6, y: 2 }] },
+      layout: [
+        "......E.",
+        "........",
+        "..S.....",
+        "........",
+        "....P...",
+        ".....#..",
+        "........",
+        "........",
+      ],
+    })
+  );
+  let state = createModeState({ mode: "levels", campaign: { levels: [definition] }, seed: 3 });
+  assert.deepEqual({ x: state.enemy.x, y: state.enemy.y }, { x: 6, y: 0 });
+
+  state = { ...state, base: { ...state.base, food: { x: 3, y: 2 } } };
+  state = stepModeState(state, { rng: () => 0 });
+  assert.deepEqual(state.powerUp && { x: state.powerUp.x, y: state.powerUp.y }, { x: 4, y: 4 });
+  assert.equal(state.campaign.powerUpSpotIndex, 1);
+  assert.deepEqual({ x: state.enemy.x, y: state.enemy.y }, { x: 6, y: 1 });
+
+  const visited = [];
+  for (let i = 0; i < 4; i += 1) {
+    state = stepModeState(
+      { ...state, base: { ...state.base, direction: "DOWN", inputQueue: [] }, powerUp: null },
+      { rng: () => 0 }
+    );
+    visited.push(`${state.enemy.x},${state.enemy.y}`);
+  }
+  assert.deepEqual(visited, ["6,2", "6,1", "6,0", "6,1"]);
+});
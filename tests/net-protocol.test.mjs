@@ -0,0 +1,207 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const NetProtocol = require("../src/net-protocol.js");
+const { createModeState } = require("../src/snake-modes.js");
+
+function makeFullRoom(options = {}) {
+  let room = NetProtocol.createRoom("ABCD", options);
+  room = NetProtocol.joinRoom(room, "c1", "Ana").room;
+  room = NetProtocol.joinRoom(room, "c2", "Bia").room;
+  return room;
+}
+
+function makeStartedRoom(seed = 42) {
+  let room = makeFullRoom({ bestOf: 1 });
+  room = NetProtocol.setMemberReady(room, "c1", true);
+  room = NetProtocol.setMemberReady(room, "c2", true);
+  return NetProtocol.startMatch(room, seed);
+}
+
+test("client messages are validated and trimmed to their known fields", () => {
+  assert.equal(NetProtocol.parseClientMessage("{oops").ok, false);
+  assert.equal(NetProtocol.parseClientMessage({ type: "teleport" }).ok, false);
+  assert.equal(NetProtocol.parseClientMessage({ type: "hello", protocol: 0 }).ok, false);
+
+  const hello = NetProtocol.parseClientMessage(
+    NetProtocol.encodeMessage("hello", { protocol: 1, name: "  Uma   cobra muito comprida  " })
+  );
+  assert.deepEqual(hello.message, { type: "hello", protocol: 1, name: "Uma cobra muito " });
+
+  assert.deepEqual(NetProtocol.parseClientMessage({ type: "join", roomId: " abcd " }).message, {
+    type: "join",
+    roomId: "ABCD",
+  });
+  assert.equal(NetProtocol.parseClientMessage({ type: "join", roomId: "AB1D" }).ok, false);
+
+  assert.equal(
+    NetProtocol.parseClientMessage({ type: "input", seq: 1, tick: 0, direction: "SIDEWAYS" }).ok,
+    false
+  );
+  assert.equal(
+    NetProtocol.parseClientMessage({ type: "input", seq: 0, tick: 0, direction: "UP" }).ok,
+    false
+  );
+  assert.deepEqual(
+    NetProtocol.parseClientMessage({ type: "input", seq: 3, tick: 7, direction: "UP", extra: 1 })
+      .message,
+    { type: "input", seq: 3, tick: 7, direction: "UP", sentAt: 0 }
+  );
+
+  const create = NetProtocol.parseClientMessage({
+    type: "create",
+    options: { mode: "souls", bestOf: 5, wrapWalls: true, width: 99 },
+  });
+  assert.deepEqual(create.message.options, {
+    mode: "versus",
+    width: 20,
+    height: 20,
+    bestOf: 5,
+    wrapWalls: true,
+    movement: "4way",
+  });
+});
+
+test("rooms seat two players and start once both pass the ready check", () => {
+  let room = NetProtocol.createRoom("ABCD");
+  room = NetProtocol.joinRoom(room, "c1", "Ana").room;
+  assert.equal(NetProtocol.canStartMatch(NetProtocol.setMemberReady(room, "c1", true)), false);
+
+  room = NetProtocol.joinRoom(room, "c2", "").room;
+  assert.equal(room.members[1].name, "Jogador 2");
+  assert.equal(NetProtocol.joinRoom(room, "c3", "Caio").ok, false);
+  assert.equal(NetProtocol.joinRoom(room, "c3", "Caio").error, "Sala cheia.");
+
+  room = NetProtocol.setMemberReady(room, "c1", true);
+  assert.equal(NetProtocol.canStartMatch(room), false);
+  room = NetProtocol.setMemberReady(room, "c2", true);
+  assert.equal(NetProtocol.canStartMatch(room), true);
+
+  room = NetProtocol.startMatch(room, 42);
+  assert.equal(room.status, "playing");
+  assert.equal(room.match.state.mode, "versus");
+  assert.deepEqual(room.match.state, createModeState({ mode: "versus", width: 20, height: 20, seed: 42 }));
+  assert.equal(room.members.every((member) => !member.ready), true);
+  assert.deepEqual(NetProtocol.getRoomSummary(room).members, [
+    { seat: 0, name: "Ana", ready: false },
+    { seat: 1, name: "Jogador 2", ready: false },
+  ]);
+});
+
+test("the server applies late inputs now and early inputs on their tick", () => {
+  let room = makeStartedRoom();
+  room = NetProtocol.stepMatch(NetProtocol.stepMatch(room));
+  assert.equal(room.match.tick, 2);
+
+  room = NetProtocol.queueMatchInput(room, "c1", { seq: 1, tick: 0, direction: "UP", sentAt: 5 });
+  room = NetProtocol.queueMatchInput(room, "c2", { seq: 1, tick: 3, direction: "DOWN", sentAt: 6 });
+  room = NetProtocol.queueMatchInput(room, "c2", { seq: 2, tick: 500, direction: "UP", sentAt: 7 });
+  assert.deepEqual(
+    room.match.inputs.map((input) => input.applyTick),
+    [2, 3, 2 + NetProtocol.MAX_PREDICTION_TICKS]
+  );
+
+  room = NetProtocol.stepMatch(room);
+  assert.deepEqual(room.match.acks, [1, 0]);
+  assert.equal(room.match.state.base.players[0].direction, "UP");
+  room = NetProtocol.stepMatch(room);
+  assert.deepEqual(room.match.acks, [1, 1]);
+
+  // Replayed and stale sequence numbers are dropped.
+  const stale = NetProtocol.queueMatchInput(room, "c1", { seq: 1, tick: 4, direction: "LEFT", sentAt: 8 });
+  assert.equal(stale, room);
+});
+
+test("a seat can't flood the pending inputs", () => {
+  let room = makeStartedRoom();
+  room = NetProtocol.queueMatchInput(room, "c1", { seq: 1, tick: 0, direction: "UP", sentAt: 1 });
+  assert.equal(
+    NetProtocol.queueMatchInput(room, "c1", { seq: 1, tick: 2, direction: "DOWN", sentAt: 2 }),
+    room
+  );
+
+  for (let seq = 2; seq <= 20; seq += 1) {
+    room = NetProtocol.queueMatchInput(room, "c1", {
+      seq,
+      tick: 0,
+      direction: seq % 2 === 0 ? "LEFT" : "UP",
+      sentAt: seq,
+    });
+  }
+  assert.equal(room.match.inputs.length, NetProtocol.MAX_INPUTS_PER_TICK);
+
+  // The other seat and later ticks have their own allowance.
+  room = NetProtocol.queueMatchInput(room, "c2", { seq: 1, tick: 0, direction: "UP", sentAt: 30 });
+  room = NetProtocol.queueMatchInput(room, "c1", { seq: 21, tick: 1, direction: "LEFT", sentAt: 31 });
+  assert.equal(room.match.inputs.length, NetProtocol.MAX_INPUTS_PER_TICK + 2);
+});
+
+test("leaving mid-match sends the room back to the lobby and rematch restarts it", () => {
+  let room = makeStartedRoom();
+  assert.equal(NetProtocol.setMemberReady(room, "c1", true), room);
+
+  // Player 1 turns into the near wall and loses the only round.
+  let finished = NetProtocol.queueMatchInput(room, "c1", { seq: 1, tick: 0, direction: "UP", sentAt: 0 });
+  for (let tick = 0; tick < 500 && finished.status === "playing"; tick += 1) {
+    finished = NetProtocol.stepMatch(finished);
+  }
+  assert.equal(finished.status, "finished");
+  assert.equal(finished.match.state.versus.winnerId, "p2");
+  assert.equal(NetProtocol.stepMatch(finished), finished);
+
+  let rematch = NetProtocol.setMemberReady(finished, "c1", true);
+  assert.equal(NetProtocol.canStartMatch(rematch), false);
+  rematch = NetProtocol.setMemberReady(rematch, "c2", true);
+  assert.equal(NetProtocol.canStartMatch(rematch), true);
+  assert.equal(NetProtocol.startMatch(rematch, 7).match.tick, 0);
+
+  const abandoned = NetProtocol.leaveRoom(room, "c2");
+  assert.equal(abandoned.status, "lobby");
+  assert.equal(abandoned.match, null);
+  assert.deepEqual(abandoned.members.map((member) => member.clientId), ["c1"]);
+});
+
+test("prediction replays unacknowledged inputs on top of each snapshot", () => {
+  let room = makeStartedRoom(9);
+  let prediction = NetProtocol.createPrediction(1, NetProtocol.createSnapshot(room));
+
+  // The client runs three ticks ahead and turns; the server hasn't seen it.
+  prediction = NetProtocol.advancePrediction(prediction);
+  prediction = NetProtocol.advancePrediction(prediction);
+  const predicted = NetProtocol.predictDirection(prediction, "UP", 100);
+  prediction = NetProtocol.advancePrediction(predicted.prediction);
+  assert.deepEqual(predicted.input, { seq: 1, tick: 2, direction: "UP", sentAt: 100 });
+
+  // Meanwhile player 1 turned on the server at tick 0.
+  room = NetProtocol.queueMatchInput(room, "c1", { seq: 1, tick: 0, direction: "DOWN", sentAt: 90 });
+  room = NetProtocol.stepMatch(room);
+  prediction = NetProtocol.reconcilePrediction(prediction, NetProtocol.createSnapshot(room));
+  assert.equal(prediction.tick, 3);
+  assert.equal(prediction.pending.length, 1);
+  assert.equal(prediction.state.base.players[0].direction, "DOWN");
+  assert.equal(prediction.state.base.players[1].direction, "UP");
+
+  // Once the server catches up the prediction matches it exactly.
+  room = NetProtocol.queueMatchInput(room, "c2", predicted.input);
+  room = NetProtocol.stepMatch(NetProtocol.stepMatch(room));
+  prediction = NetProtocol.reconcilePrediction(prediction, NetProtocol.createSnapshot(room));
+  assert.equal(prediction.pending.length, 0);
+  room = NetProtocol.stepMatch(room);
+  prediction = NetProtocol.reconcilePrediction(prediction, NetProtocol.createSnapshot(room));
+  assert.deepEqual(prediction.state, room.match.state);
+
+  // Stale snapshots are ignored.
+  const older = NetProtocol.reconcilePrediction(prediction, { tick: 1, state: null, acks: [0, 0] });
+  assert.equal(older, prediction);
+});
+
+test("prediction stops when it gets too far ahead of the server", () => {
+  let prediction = NetProtocol.createPrediction(0, NetProtocol.createSnapshot(makeStartedRoom()));
+  for (let step = 0; step < NetProtocol.MAX_PREDICTION_TICKS + 5; step += 1) {
+    prediction = NetProtocol.advancePrediction(prediction);
+  }
+  assert.equal(prediction.tick, NetProtocol.MAX_PREDICTION_TICKS);
+  assert.equal(NetProtocol.canAdvancePrediction(prediction), false);
+});
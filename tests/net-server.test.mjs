@@ -0,0 +1,171 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import net from "node:net";
+import {
+  createAcceptKey,
+  createFrameParser,
+  encodeFrame,
+  startNetServer,
+} from "../tools/net-server.mjs";
+
+const MASK = Buffer.from([1, 2, 3, 4]);
+
+test("accept key follows the RFC 6455 example", () => {
+  assert.equal(createAcceptKey("dGhlIHNhbXBsZSBub25jZQ=="), "s3pPLMBiTxaQ9kYGzzhZRbK+xOo=");
+});
+
+test("frames round-trip masked, split across chunks and fragmented", () => {
+  const parse = createFrameParser();
+  assert.throws(() => createFrameParser()(encodeFrame("x".repeat(70000), { mask: MASK })));
+
+  const medium = "y".repeat(300);
+  const frame = encodeFrame(medium, { mask: MASK });
+  assert.deepEqual(parse(frame.subarray(0, 3)), []);
+  const [message] = parse(frame.subarray(3));
+  assert.equal(message.opcode, 1);
+  assert.equal(message.payload.toString(), medium);
+
+  const first = encodeFrame("olá ", { mask: MASK });
+  first[0] &= 0x7f;
+  const rest = encodeFrame("mundo", { opcode: 0, mask: MASK });
+  const ping = encodeFrame("p", { opcode: 9, mask: MASK });
+  const messages = parse(Buffer.concat([first, ping, rest]));
+  assert.deepEqual(
+    messages.map(({ opcode, payload }) => [opcode, payload.toString()]),
+    [
+      [9, "p"],
+      [1, "olá mundo"],
+    ]
+  );
+});
+
+function connect(port) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, "127.0.0.1");
+    const parse = createFrameParser();
+    const inbox = [];
+    const waiters = [];
+    let handshake = "";
+
+    const deliver = () => {
+      for (let index = 0; index < waiters.length; index += 1) {
+        const found = inbox.findIndex(waiters[index].match);
+        if (found >= 0) {
+          waiters[index].resolve(inbox.splice(found, 1)[0]);
+          waiters.splice(index, 1);
+          index -= 1;
+        }
+      }
+    };
+
+    const client = {
+      send(payload) {
+        socket.write(encodeFrame(JSON.stringify(payload), { mask: MASK }));
+      },
+      next(type, predicate = () => true) {
+        return new Promise((done) => {
+          waiters.push({ match: (message) => message.type === type && predicate(message), resolve: done });
+          deliver();
+        });
+      },
+      close() {
+        socket.destroy();
+      },
+    };
+
+    socket.on("data", (chunk) => {
+      if (handshake !== null) {
+        handshake += chunk.toString("latin1");
+        const end = handshake.indexOf("\r\n\r\n");
+        if (end < 0) return;
+        assert.match(handshake, /^HTTP\/1\.1 101/);
+        const leftover = Buffer.from(handshake.slice(end + 4), "latin1");
+        handshake = null;
+        resolve(client);
+        if (leftover.length === 0) return;
+        chunk = leftover;
+      }
+      for (const { payload } of parse(chunk)) {
+        inbox.push(JSON.parse(payload.toString()));
+      }
+      deliver();
+    });
+    socket.on("error", reject);
+    socket.write(
+      "GET / HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+        "Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n"
+    );
+  });
+}
+
+test("two clients meet in a room, ready up and receive authoritative snapshots", { timeout: 10000 }, async () => {
+  const server = await startNetServer({ port: 0, host: "127.0.0.1" });
+  const host = await connect(server.port);
+  const guest = await connect(server.port);
+
+  try {
+    host.send({ type: "join", roomId: "ABCD" });
+    assert.equal((await host.next("error")).message, "Envie hello antes de entrar em uma sala.");
+
+    host.send({ type: "hello", protocol: 1, name: "Ana" });
+    guest.send({ type: "hello", protocol: 1, name: "Bia" });
+    await host.next("welcome");
+    await guest.next("welcome");
+
+    host.send({ type: "create", options: { bestOf: 1 } });
+    const { room } = await host.next("room");
+    assert.equal(room.status, "lobby");
+
+    guest.send({ type: "join", roomId: room.id.toLowerCase() });
+    const joined = await guest.next("room", (message) => message.room.members.length === 2);
+    assert.equal(joined.seat, 1);
+
+    host.send({ type: "ready", ready: true });
+    guest.send({ type: "ready", ready: true });
+    const start = await guest.next("start");
+    assert.equal(start.seat, 1);
+    assert.equal(start.snapshot.tick, 0);
+    assert.equal(start.snapshot.state.mode, "versus");
+
+    guest.send({ type: "input", seq: 1, tick: 0, direction: "UP", sentAt: 1 });
+    const acked = await guest.next("snapshot", (message) => message.acks[1] === 1);
+    assert.equal(acked.state.base.players[1].direction, "UP");
+
+    guest.close();
+    const left = await host.next("room", (message) => message.notice !== null);
+    assert.equal(left.room.status, "lobby");
+    assert.equal(left.room.members.length, 1);
+  } finally {
+    host.close();
+    guest.close();
+    await server.close();
+  }
+});
+
+function getStatus(port, requestPath) {
+  return new Promise((resolve, reject) => {
+    http
+      .get({ host: "127.0.0.1", port, path: requestPath }, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      })
+      .on("error", reject);
+  });
+}
+
+test("static serving only exposes the game files and survives malformed paths", { timeout: 10000 }, async () => {
+  const server = await startNetServer({ port: 0, host: "127.0.0.1" });
+
+  try {
+    assert.equal(await getStatus(server.port, "/"), 200);
+    assert.equal(await getStatus(server.port, "/src/main.js"), 200);
+    assert.equal(await getStatus(server.port, "/%E0"), 400);
+    assert.equal(await getStatus(server.port, "/.git/config"), 404);
+    assert.equal(await getStatus(server.port, "/src/%2E%2E/README.md"), 404);
+    assert.equal(await getStatus(server.port, "/tools/net-server.mjs"), 404);
+    assert.equal(await getStatus(server.port, "/README.md"), 404);
+  } finally {
+    await server.close();
+  }
+});
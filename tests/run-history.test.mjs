@@ -0,0 +1,129 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const RunHistory = require("../src/run-history.js");
+const SoulsProfile = require("../src/souls-profile.js");
+const { createModeState } = require("../src/snake-modes.js");
+
+function makeEntry(overrides = {}) {
+  return {
+    endedAt: 1_790_000_000_000,
+    mode: "traditional",
+    seed: 42,
+    score: 7,
+    deathCause: "wall",
+    durationMs: 12_000,
+    ...overrides,
+  };
+}
+
+test("souls runs are captured with build, runes and floor timeline", () => {
+  const state = createModeState({
+    mode: "souls",
+    seed: 99,
+    soulsProfile: SoulsProfile.createDefaultProfile(),
+    rng: () => 0.37,
+  });
+  state.isGameOver = true;
+  state.souls = {
+    ...state.souls,
+    floor: 4,
+    powers: { folego: 2, adrenalina: 0 },
+    bankedRunes: 30,
+    lastDeathRunes: 12,
+    lastDeathEcho: 12,
+    floorTimeline: [
+      { floor: 1, stageType: "normal", clearMs: 41_250.4 },
+      { floor: 3, stageType: "boss", clearMs: 65_000 },
+    ],
+  };
+
+  const entry = RunHistory.createRunEntry(state, {
+    endedAt: 1_790_000_000_000,
+    durationMs: 180_500,
+    deathCause: "boss",
+  });
+
+  assert.equal(entry.mode, "souls");
+  assert.equal(entry.snakeId, "basica");
+  assert.equal(entry.seed, 99);
+  assert.equal(entry.floor, 4);
+  assert.equal(entry.cycle, 1);
+  assert.equal(entry.deathCause, "boss");
+  assert.deepEqual(entry.powers, { folego: 2 });
+  assert.deepEqual(entry.runes, { carried: 12, banked: 30, echoed: 12 });
+  assert.deepEqual(entry.timeline, [
+    { floor: 1, stageType: "normal", clearMs: 41_250 },
+    { floor: 3, stageType: "boss", clearMs: 65_000 },
+  ]);
+
+  const online = RunHistory.createRunEntry(
+    createModeState({ mode: "versus", width: 20, height: 20, rng: () => 0 }),
+    { endedAt: 1, online: true }
+  );
+  assert.equal(online.mode, "online");
+  assert.equal(online.score, null);
+  assert.deepEqual(online.versusWins, [0, 0]);
+  assert.equal(online.runes, null);
+});
+
+test("the history keeps the newest runs first and drops the oldest past the cap", () => {
+  let history = RunHistory.createEmptyHistory();
+  for (let run = 0; run < RunHistory.MAX_ENTRIES + 5; run += 1) {
+    history = RunHistory.addEntry(history, makeEntry({ score: run }));
+  }
+
+  assert.equal(history.entries.length, RunHistory.MAX_ENTRIES);
+  assert.equal(history.entries[0].score, RunHistory.MAX_ENTRIES + 4);
+  assert.equal(history.entries[0].id, RunHistory.MAX_ENTRIES + 5);
+  assert.equal(history.entries.at(-1).score, 5);
+  assert.equal(RunHistory.getEntry(history, 6).score, 5);
+  assert.equal(RunHistory.getEntry(history, 1), null);
+
+  const reloaded = RunHistory.loadHistory(RunHistory.saveHistory(history));
+  assert.deepEqual(reloaded, history);
+  // Ids keep counting up after a reload, so details never point at the wrong run.
+  assert.equal(RunHistory.addEntry(reloaded, makeEntry()).entries[0].id, RunHistory.MAX_ENTRIES + 6);
+});
+
+test("filters match mode, snake and how the run ended", () => {
+  let history = RunHistory.createEmptyHistory();
+  for (const entry of [
+    makeEntry(),
+    makeEntry({ mode: "souls", snakeId: "veloz", deathCause: "boss" }),
+    makeEntry({ mode: "souls", snakeId: "basica", deathCause: "hazard" }),
+    makeEntry({ mode: "versus", deathCause: null, score: null, versusWins: [2, 1] }),
+  ]) {
+    history = RunHistory.addEntry(history, entry);
+  }
+
+  const pick = (filters) => RunHistory.filterEntries(history, filters).map((entry) => entry.id);
+  assert.deepEqual(pick({}), [4, 3, 2, 1]);
+  assert.deepEqual(pick({ mode: "souls" }), [3, 2]);
+  assert.deepEqual(pick({ mode: "souls", snakeId: "veloz" }), [2]);
+  assert.deepEqual(pick({ deathCause: "wall" }), [1]);
+  assert.deepEqual(pick({ deathCause: "none" }), [4]);
+});
+
+test("broken storage and invalid entries are dropped", () => {
+  assert.deepEqual(RunHistory.loadHistory("{oops"), RunHistory.createEmptyHistory());
+  assert.deepEqual(RunHistory.loadHistory(null), RunHistory.createEmptyHistory());
+
+  const history = RunHistory.loadHistory({
+    nextId: 2,
+    entries: [
+      { ...makeEntry(), id: 5, snakeId: "dragao", deathCause: "lava", durationMs: -3 },
+      { ...makeEntry(), id: 5 },
+      { ...makeEntry({ mode: "arcade" }), id: 6 },
+      { ...makeEntry(), id: 0 },
+    ],
+  });
+
+  assert.equal(history.entries.length, 1);
+  assert.equal(history.nextId, 6);
+  assert.equal(history.entries[0].snakeId, null);
+  assert.equal(history.entries[0].deathCause, null);
+  assert.equal(history.entries[0].durationMs, 0);
+});
@@ -0,0 +1,235 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const SoulsProfile = require("../src/souls-profile.js");
+const RunReplay = require("../src/run-replay.js");
+const {
+  activateSoulsAbility,
+  createModeState,
+  queueModeDirection,
+  stepModeState,
+} = require("../src/snake-modes.js");
+
+const SOULS_STEP_MS = 1000 / 90;
+
+function serializeWithoutWorld(state) {
+  return JSON.stringify(state, (key, value) => (key === "world" ? undefined : value));
+}
+
+function recordLiveRun({ mode, seed, frames, stepMs = null, modeOptions = {} }) {
+  const recording = RunReplay.createRecording({ mode, seed, stepMs, modeOptions });
+  let state = createModeState({ ...modeOptions, mode, seed });
+  const turns = ["DOWN", "LEFT", "UP", "RIGHT"];
+  let lastHold = false;
+  let frame = 0;
+
+  for (; frame < frames && !state.isGameOver; frame += 1) {
+    if (frame % 7 === 3) {
+      const direction = turns[Math.floor(frame / 7) % turns.length];
+      RunReplay.recordEvent(recording, frame, "direction", direction);
+      state = queueModeDirection(state, direction);
+    }
+
+    const hold = frame % 50 > 30;
+    if (hold !== lastHold) {
+      RunReplay.recordEvent(recording, frame, "hold", hold);
+      lastHold = hold;
+    }
+
+    const options = { holdCurrentDirection: hold, viewportAspect: 1 };
+    if (stepMs !== null) {
+      options.deltaMs = stepMs;
+    }
+    state = stepModeState(state, options);
+  }
+
+  RunReplay.finishRecording(recording, frame);
+  return { recording, finalState: state };
+}
+
+test("replay player reproduces an interval-driven run frame for frame", () => {
+  const { recording, finalState } = recordLiveRun({
+    mode: "levels",
+    seed: 4242,
+    frames: 160,
+    modeOptions: { width: 20, height: 20 },
+  });
+
+  const player = RunReplay.createReplayPlayer(recording);
+  while (!RunReplay.isReplayFinished(player)) {
+    RunReplay.stepReplayPlayer(player);
+  }
+
+  assert.deepEqual(player.state, finalState);
+});
+
+test("replay player reproduces a souls run and supports seeking both ways", () => {
+  const { recording, finalState } = recordLiveRun({
+    mode: "souls",
+    seed: 0xfeed,
+    frames: 700,
+    stepMs: SOULS_STEP_MS,
+    modeOptions: {
+      soulsProfile: SoulsProfile.createDefaultProfile(),
+      viewportAspect: 1,
+    },
+  });
+
+  const player = RunReplay.createReplayPlayer(recording);
+  RunReplay.seekReplayPlayer(player, recording.frameCount);
+  assert.equal(serializeWithoutWorld(player.state), serializeWithoutWorld(finalState));
+
+  RunReplay.seekReplayPlayer(player, 120);
+  const atFrame120 = serializeWithoutWorld(player.state);
+  RunReplay.seekReplayPlayer(player, 400);
+  RunReplay.seekReplayPlayer(player, 120);
+  assert.equal(player.frame, 120);
+  assert.equal(serializeWithoutWorld(player.state), atFrame120);
+});
+
+test("advancing the player honors playback speed", () => {
+  const { recording } = recordLiveRun({
+    mode: "souls",
+    seed: 9,
+    frames: 200,
+    stepMs: SOULS_STEP_MS,
+    modeOptions: { soulsProfile: SoulsProfile.createDefaultProfile() },
+  });
+
+  const normal = RunReplay.createReplayPlayer(recording);
+  const fast = RunReplay.setReplaySpeed(RunReplay.createReplayPlayer(recording), 4);
+  RunReplay.advanceReplayPlayer(normal, SOULS_STEP_MS * 10);
+  RunReplay.advanceReplayPlayer(fast, SOULS_STEP_MS * 10);
+  assert.equal(normal.frame, 10);
+  assert.equal(fast.frame, 40);
+
+  RunReplay.setReplaySpeed(fast, 3);
+  assert.equal(fast.speed, 1);
+});
+
+test("recordings survive serialization and reject malformed input", () => {
+  const { recording } = recordLiveRun({
+    mode: "traditional",
+    seed: 31,
+    frames: 30,
+    modeOptions: { width: 20, height: 20 },
+  });
+
+  const parsed = RunReplay.parseRecording(RunReplay.serializeRecording(recording));
+  assert.equal(parsed.ok, true);
+  assert.deepEqual(parsed.recording, recording);
+
+  assert.equal(RunReplay.parseRecording("{oops").ok, false);
+  assert.equal(RunReplay.parseRecording({ version: 99, seed: 1 }).ok, false);
+  assert.equal(RunReplay.parseRecording({ version: 1 }).ok, false);
+});
+
+test("versus replays keep each seat's inputs apart", () => {
+  const modeOptions = { width: 20, height: 20, bestOf: 3 };
+  const recording = RunReplay.createRecording({ mode: "versus", seed: 77, modeOptions });
+  let state = createModeState({ ...modeOptions, mode: "versus", seed: 77 });
+  const turns = ["UP", "RIGHT", "DOWN", "LEFT"];
+  let frame = 0;
+  for (; frame < 120 && !state.isGameOver; frame += 1) {
+    if (frame % 5 === 2) {
+      const input = { player: Math.floor(frame / 5) % 2, direction: turns[frame % 4] };
+      RunReplay.recordEvent(recording, frame, "direction", input);
+      state = queueModeDirection(state, input.direction, input.player);
+    }
+    state = stepModeState(state, { viewportAspect: 1 });
+  }
+  RunReplay.finishRecording(recording, frame);
+
+  const parsed = RunReplay.parseRecording(RunReplay.serializeRecording(recording));
+  assert.equal(parsed.ok, true);
+  assert.equal(parsed.recording.mode, "versus");
+  const player = RunReplay.createReplayPlayer(parsed.recording);
+  while (!RunReplay.isReplayFinished(player)) {
+    RunReplay.stepReplayPlayer(player);
+  }
+  assert.deepEqual(player.state, state);
+});
+
+test("co-op souls replays keep the partner's turns and boost apart", () => {
+  const modeOptions = {
+    soulsProfile: SoulsProfile.createDefaultProfile(),
+    viewportAspect: 1,
+    coop: true,
+  };
+  const recording = RunReplay.createRecording({
+    mode: "souls",
+    seed: 31,
+    stepMs: SOULS_STEP_MS,
+    modeOptions,
+  });
+  let state = createModeState({ ...modeOptions, mode: "souls", seed: 31 });
+  const turns = ["DOWN", "RIGHT", "UP", "RIGHT"];
+  let partnerHold = false;
+  let frame = 0;
+  for (; frame < 400 && !state.isGameOver; frame += 1) {
+    if (frame % 40 === 10) {
+      const input = { player: 1, direction: turns[Math.floor(frame / 40) % turns.length] };
+      RunReplay.recordEvent(recording, frame, "direction", input);
+      state = queueModeDirection(state, input.direction, input.player);
+    }
+    const hold = frame % 90 > 60;
+    if (hold !== partnerHold) {
+      RunReplay.recordEvent(recording, frame, "hold", { player: 1, hold });
+      partnerHold = hold;
+    }
+    state = stepModeState(state, {
+      deltaMs: SOULS_STEP_MS,
+      partnerHoldCurrentDirection: hold,
+      viewportAspect: 1,
+    });
+  }
+  RunReplay.finishRecording(recording, frame);
+
+  const player = RunReplay.createReplayPlayer(recording);
+  while (!RunReplay.isReplayFinished(player)) {
+    RunReplay.stepReplayPlayer(player);
+  }
+  assert.ok(player.state.souls.coop);
+  assert.equal(serializeWithoutWorld(player.state), serializeWithoutWorld(state));
+});
+
+test("souls replays repeat ability uses", () => {
+  const modeOptions = {
+    soulsProfile: {
+      ...SoulsProfile.createDefaultProfile(),
+      unlockedSnakeIds: ["basica", "tanque"],
+    },
+    soulsSnakeId: "tanque",
+    viewportAspect: 1,
+  };
+  const recording = RunReplay.createRecording({
+    mode: "souls",
+    seed: 23,
+    stepMs: SOULS_STEP_MS,
+    modeOptions,
+  });
+  let state = createModeState({ ...modeOptions, mode: "souls", seed: 23 });
+  let uses = 0;
+  let frame = 0;
+  for (; frame < 300 && !state.isGameOver; frame += 1) {
+    if (frame % 60 === 5) {
+      const next = activateSoulsAbility(state);
+      if (next !== state) {
+        RunReplay.recordEvent(recording, frame, "ability", null);
+        uses += 1;
+      }
+      state = next;
+    }
+    state = stepModeState(state, { deltaMs: SOULS_STEP_MS, viewportAspect: 1 });
+  }
+  RunReplay.finishRecording(recording, frame);
+
+  const player = RunReplay.createReplayPlayer(recording);
+  while (!RunReplay.isReplayFinished(player)) {
+    RunReplay.stepReplayPlayer(player);
+  }
+  assert.ok(uses > 0);
+  assert.equal(serializeWithoutWorld(player.state), serializeWithoutWorld(state));
+});
@@ -0,0 +1,41 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const RunSeed = require("../src/run-seed.js");
+
+test("seeds round-trip through their visible hex format", () => {
+  const seed = RunSeed.parseSeed("00c0ffee");
+  assert.equal(seed, 0xc0ffee);
+  assert.equal(RunSeed.formatSeed(seed), "00C0FFEE");
+  assert.equal(RunSeed.parseSeed(RunSeed.formatSeed(seed)), seed);
+});
+
+test("free text seeds hash case-insensitively and empty input is rejected", () => {
+  assert.equal(RunSeed.parseSeed("Desafio Abissal"), RunSeed.parseSeed("desafio abissal"));
+  assert.notEqual(RunSeed.parseSeed("desafio abissal"), RunSeed.parseSeed("desafio"));
+  assert.equal(RunSeed.parseSeed("   "), null);
+  assert.equal(RunSeed.normalizeSeed(undefined), null);
+  assert.equal(RunSeed.normalizeSeed(-1), 0xffffffff);
+});
+
+test("seeded rng is reproducible and resumable from its state", () => {
+  const first = RunSeed.createSeededRng(1234);
+  const second = RunSeed.createSeededRng(1234);
+  const values = [first(), first(), first()];
+  assert.deepEqual(values, [second(), second(), second()]);
+
+  const resumed = RunSeed.createSeededRng(first.getState());
+  assert.equal(resumed(), first());
+  assert.ok(values.every((value) => value >= 0 && value < 1));
+});
+
+test("derived seeds depend on every salt", () => {
+  const a = RunSeed.deriveSeed(99, "world", 1);
+  const b = RunSeed.deriveSeed(99, "world", 2);
+  const c = RunSeed.deriveSeed(100, "world", 1);
+  assert.equal(a, RunSeed.deriveSeed(99, "world", 1));
+  assert.notEqual(a, b);
+  assert.notEqual(a, c);
+});
@@ -0,0 +1,84 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const SaveSlots = require("../src/save-slots.js");
+const SoulsData = require("../src/souls-data.js");
+const SoulsProfile = require("../src/souls-profile.js");
+
+test("the first slot keeps the storage keys used before slots existed", () => {
+  const index = SaveSlots.loadIndex(null);
+  assert.deepEqual(index.slots, [{ id: "1", name: "Perfil 1" }]);
+  assert.equal(index.activeSlotId, "1");
+  assert.equal(SaveSlots.getSlotStorageKey(SoulsData.STORAGE_KEY, "1"), SoulsData.STORAGE_KEY);
+  assert.equal(
+    SaveSlots.getSlotStorageKey(SoulsData.STORAGE_KEY, "3"),
+    `${SoulsData.STORAGE_KEY}:slot-3`
+  );
+  assert.deepEqual(SaveSlots.loadIndex("{oops"), SaveSlots.createDefaultIndex());
+});
+
+test("slots are created, renamed and selected with validated names", () => {
+  let index = SaveSlots.createDefaultIndex();
+
+  assert.equal(SaveSlots.createSlot(index, "   ").error, "Dê um nome ao perfil.");
+  assert.equal(SaveSlots.createSlot(index, "perfil 1").ok, false);
+
+  const created = SaveSlots.createSlot(index, "  Ana   e  Bia  ");
+  assert.equal(created.ok, true);
+  assert.deepEqual(created.slot, { id: "2", name: "Ana e Bia" });
+  index = created.index;
+
+  assert.equal(SaveSlots.renameSlot(index, "2", "Perfil 1").ok, false);
+  assert.equal(SaveSlots.renameSlot(index, "9", "Caio").error, "Perfil não encontrado.");
+  index = SaveSlots.renameSlot(index, "2", "Ana".repeat(20)).index;
+  assert.equal(SaveSlots.getSlot(index, "2").name.length, SaveSlots.MAX_NAME_LENGTH);
+
+  index = SaveSlots.selectSlot(index, "2").index;
+  assert.equal(SaveSlots.getActiveSlot(index).id, "2");
+  assert.deepEqual(SaveSlots.loadIndex(SaveSlots.saveIndex(index)), index);
+
+  for (let slot = index.slots.length; slot < SaveSlots.MAX_SLOTS; slot += 1) {
+    index = SaveSlots.createSlot(index, `Extra ${slot}`).index;
+  }
+  assert.equal(SaveSlots.createSlot(index, "Demais").ok, false);
+  assert.equal(SaveSlots.duplicateSlot(index, "1").ok, false);
+});
+
+test("duplicates get a fresh id and a free copy name", () => {
+  let index = SaveSlots.createDefaultIndex();
+  const first = SaveSlots.duplicateSlot(index, "1");
+  assert.equal(first.slot.name, "Perfil 1 (cópia)");
+  assert.equal(first.source.id, "1");
+  index = first.index;
+
+  const second = SaveSlots.duplicateSlot(index, "1");
+  assert.equal(second.slot.name, "Perfil 1 (cópia 2)");
+  assert.equal(second.slot.id, "3");
+  assert.equal(SaveSlots.duplicateSlot(second.index, "1", "Teste").slot.name, "Teste");
+});
+
+test("deleting moves the active slot and never removes the last one", () => {
+  let index = SaveSlots.createSlot(SaveSlots.createDefaultIndex(), "Bia").index;
+  index = SaveSlots.selectSlot(index, "2").index;
+
+  index = SaveSlots.deleteSlot(index, "2").index;
+  assert.equal(index.activeSlotId, "1");
+  assert.equal(SaveSlots.deleteSlot(index, "1").error, "O último perfil não pode ser apagado.");
+
+  // Ids are never reused, so a new slot can't inherit a deleted slot's keys.
+  assert.equal(SaveSlots.createSlot(index, "Caio").slot.id, "3");
+});
+
+test("slot summaries list wallet, clears and unlocked snakes", () => {
+  let profile = SoulsProfile.addWalletRunes(SoulsProfile.createDefaultProfile(), 80);
+  profile = SoulsProfile.registerFinalBossClear(profile);
+  profile = SoulsProfile.forceUnlockNext(profile).profile;
+
+  assert.deepEqual(SaveSlots.summarizeProfile(profile), {
+    walletRunes: 80,
+    finalBossClears: 1,
+    unlockedSnakeNames: ["Básica", "Veloz"],
+  });
+});
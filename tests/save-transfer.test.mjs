@@ -0,0 +1,97 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const SaveTransfer = require("../src/save-transfer.js");
+const SoulsProfile = require("../src/souls-profile.js");
+
+function makeProfile() {
+  let profile = SoulsProfile.addWalletRunes(SoulsProfile.createDefaultProfile(), 340);
+  profile = SoulsProfile.forceUnlockNext(profile).profile;
+  profile = SoulsProfile.registerBossDefeat(profile, "espectro");
+  return { ...profile, lifetimeStats: { runs: 4 } };
+}
+
+test("files and share codes round-trip the profile and settings", () => {
+  const bundle = SaveTransfer.createSaveBundle(makeProfile(), {
+    mobileControl: "swipe",
+    theme: "dark",
+  });
+
+  for (const text of [SaveTransfer.encodeSaveFile(bundle), SaveTransfer.encodeSaveCode(bundle)]) {
+    const result = SaveTransfer.parseSaveImport(text);
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.save.profile, bundle.profile);
+    assert.deepEqual(result.save.profile.lifetimeStats, { runs: 4 });
+    assert.deepEqual(result.save.settings, { mobileControl: "swipe", theme: "dark" });
+  }
+
+  const code = SaveTransfer.encodeSaveCode(bundle);
+  assert.match(code, /^SNKS1:[0-9A-F]{8}:/);
+  // Codes survive being wrapped across lines when pasted.
+  assert.equal(SaveTransfer.parseSaveImport(code.replace(/(.{40})/g, "$1\n")).ok, true);
+
+  const bare = SaveTransfer.createSaveBundle(makeProfile(), { mobileControl: "joystick" });
+  assert.equal("settings" in bare, false);
+  assert.equal(SaveTransfer.parseSaveImport(SaveTransfer.encodeSaveCode(bare)).save.settings, null);
+});
+
+test("tampered, foreign and newer saves are rejected", () => {
+  const code = SaveTransfer.encodeSaveCode(SaveTransfer.createSaveBundle(makeProfile()));
+  const payload = code.split(":")[2];
+  const flipped = `${code.slice(0, -payload.length)}${payload.slice(0, 10)}${
+    payload[10] === "A" ? "B" : "A"
+  }${payload.slice(11)}`;
+  assert.match(SaveTransfer.parseSaveImport(flipped).error, /checksum/);
+  assert.match(SaveTransfer.parseSaveImport(code.replace("SNKS1", "SNKS2")).error, /versão 2/);
+  assert.equal(SaveTransfer.parseSaveImport("SNKS1:oops").ok, false);
+
+  assert.equal(SaveTransfer.parseSaveImport("").ok, false);
+  assert.equal(SaveTransfer.parseSaveImport("{nope").error, "Arquivo de save inválido: JSON malformado.");
+  assert.equal(SaveTransfer.parseSaveImport(JSON.stringify({ walletRunes: 9 })).ok, false);
+  assert.equal(
+    SaveTransfer.parseSaveImport(JSON.stringify({ format: "snake-souls-save", version: 1 })).error,
+    "O save não tem um perfil."
+  );
+});
+
+test("imported profiles are sanitized and migrated like stored ones", () => {
+  const result = SaveTransfer.parseSaveImport(
+    JSON.stringify({
+      format: "snake-souls-save",
+      version: 1,
+      profile: {
+        version: 1,
+        walletRunes: -50,
+        unlockedSnakeIds: ["veloz", "hacker"],
+        selectedSnakeId: "hacker",
+      },
+    })
+  );
+
+  assert.equal(result.ok, true);
+  assert.equal(result.save.profile.version, SoulsProfile.PROFILE_VERSION);
+  assert.equal(result.save.profile.walletRunes, 0);
+  assert.deepEqual(result.save.profile.unlockedSnakeIds, ["basica", "veloz"]);
+  assert.equal(result.save.profile.selectedSnakeId, "basica");
+});
+
+test("the import preview diffs runes, unlocks and boss kills", () => {
+  const current = SoulsProfile.registerBossDefeat(
+    SoulsProfile.addWalletRunes(SoulsProfile.createDefaultProfile(), 12),
+    "cacador"
+  );
+  const diff = SaveTransfer.diffProfiles(current, makeProfile());
+
+  assert.deepEqual(diff.walletRunes, { from: 12, to: 340 });
+  assert.deepEqual(diff.snakesGained, ["Veloz"]);
+  assert.deepEqual(diff.snakesLost, []);
+  assert.deepEqual(diff.bossKills.map((boss) => [boss.name, boss.from, boss.to]), [
+    ["Caçador", 1, 0],
+    ["Carcereiro", 0, 0],
+    ["Espectro", 0, 1],
+    ["Abissal", 0, 0],
+  ]);
+  assert.deepEqual(SaveTransfer.diffProfiles(makeProfile(), current).snakesLost, ["Veloz"]);
+});
@@ -0,0 +1,137 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const SoulsProfile = require("../src/souls-profile.js");
+const {
+  applyModeController,
+  createModeState,
+  stepModeState,
+} = require("../src/snake-modes.js");
+const { chooseDirection, createAutopilotController } = require("../src/snake-autopilot.js");
+
+function createTraditional(overrides = {}) {
+  const state = createModeState({ mode: "traditional", width: 10, height: 10, seed: 1 });
+  return {
+    ...state,
+    ...overrides,
+    base: { ...state.base, ...overrides.base },
+  };
+}
+
+test("autopilot routes around barriers to reach food", () => {
+  const state = createModeState({ mode: "levels", width: 10, height: 10, seed: 3 });
+  state.base.snake = [
+    { x: 2, y: 5 },
+    { x: 1, y: 5 },
+    { x: 0, y: 5 },
+  ];
+  state.base.direction = "RIGHT";
+  state.base.food = { x: 6, y: 5 };
+  state.barriers = [
+    { x: 3, y: 5 },
+    { x: 3, y: 4 },
+  ];
+  state.enemy = null;
+  state.powerUp = null;
+
+  assert.equal(chooseDirection(state), "DOWN");
+});
+
+test("autopilot treats the enemy footprint as a wall", () => {
+  const state = createModeState({ mode: "levels", width: 10, height: 10, seed: 3 });
+  state.base.snake = [
+    { x: 2, y: 5 },
+    { x: 1, y: 5 },
+  ];
+  state.base.direction = "RIGHT";
+  state.base.food = { x: 8, y: 5 };
+  state.barriers = [];
+  state.powerUp = null;
+  state.enemy = { x: 3, y: 5 };
+
+  const direction = chooseDirection(state);
+  assert.ok(direction === "UP" || direction === "DOWN");
+});
+
+test("autopilot never reverses into its own body", () => {
+  const state = createTraditional({
+    base: {
+      snake: [
+        { x: 5, y: 5 },
+        { x: 6, y: 5 },
+        { x: 7, y: 5 },
+      ],
+      direction: "LEFT",
+      inputQueue: [],
+      food: { x: 9, y: 5 },
+    },
+  });
+
+  assert.notEqual(chooseDirection(state), "RIGHT");
+});
+
+test("controller plays traditional runs through the input queue", () => {
+  let state = createTraditional();
+  const controller = createAutopilotController();
+  let eaten = 0;
+
+  for (let step = 0; step < 400 && !state.isGameOver; step += 1) {
+    state = applyModeController(state, controller);
+    const score = state.base.score;
+    state = stepModeState(state);
+    eaten += state.base.score > score ? 1 : 0;
+  }
+
+  assert.ok(eaten >= 5, `autopilot ate ${eaten}`);
+});
+
+test("controller ignores paused runs and pending input", () => {
+  const controller = createAutopilotController();
+  const paused = { ...createTraditional(), isPaused: true };
+  assert.equal(applyModeController(paused, controller), paused);
+
+  const queued = createTraditional();
+  queued.base.inputQueue = ["DOWN"];
+  assert.equal(applyModeController(queued, controller), queued);
+});
+
+test("controller steers souls toward its objective", () => {
+  let state = createModeState({
+    mode: "souls",
+    soulsProfile: SoulsProfile.createDefaultProfile(),
+    seed: 42,
+  });
+  const controller = createAutopilotController();
+  const startProgress = state.souls.objectiveProgress;
+
+  for (let step = 0; step < 90 * 60 && !state.isGameOver; step += 1) {
+    state = applyModeController(state, controller);
+    state = stepModeState(state, { deltaMs: 1000 / 90 });
+    if (state.souls.floor > 1) break;
+  }
+
+  assert.ok(
+    state.souls.floor > 1 || state.souls.objectiveProgress > startProgress,
+    "autopilot should make objective progress on floor 1"
+  );
+});
+
+test("autopilot takes the short way through portal walls", () => {
+  const state = createModeState({
+    mode: "traditional",
+    width: 10,
+    height: 10,
+    wrapWalls: true,
+    seed: 2,
+  });
+  state.base.snake = [
+    { x: 1, y: 5 },
+    { x: 1, y: 6 },
+  ];
+  state.base.direction = "UP";
+  state.base.food = { x: 8, y: 5 };
+
+  assert.equal(chooseDirection(state), "LEFT");
+});
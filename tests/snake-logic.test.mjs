@@ -3,9 +3,29 @@ import assert from "node:assert/strict";
 import { createRequire } from "node:module";
 
 const require = createRequire(import.meta.url);
-const { createInitialState, placeFood, queueDirection, stepState } = require(
-  "../src/snake-logic.js"
-);
+const {
+  createInitialState,
+  createMultiSnakeState,
+  directionFromInputKey,
+  isDiagonalSqueeze,
+  placeFood,
+  queueDirection,
+  queuePlayerDirection,
+  stepMultiSnakeState,
+  stepState,
+} = require("../src/snake-logic.js");
+
+function makeDuel(first, second, food = { x: 0, y: 0 }) {
+  const state = createMultiSnakeState({ width: 10, height: 10, rng: () => 0 });
+  return {
+    ...state,
+    food,
+    players: [
+      { ...state.players[0], ...first },
+      { ...state.players[1], ...second },
+    ],
+  };
+}
 
 test("moves one cell in current direction without growing", () => {
   const state = {
@@ -114,3 +134,169 @@ test("cannot reverse direction in a single input", () => {
   const attemptedReverse = queueDirection(state, "LEFT");
   assert.equal(attemptedReverse.inputQueue.length, 0);
 });
+
+test("portal walls wrap the head to the opposite edge", () => {
+  const state = {
+    width: 5,
+    height: 5,
+    wrapWalls: true,
+    snake: [
+      { x: 4, y: 2 },
+      { x: 3, y: 2 },
+      { x: 2, y: 2 },
+    ],
+    direction: "RIGHT",
+    inputQueue: ["UP"],
+    food: { x: 0, y: 0 },
+    score: 0,
+    isGameOver: false,
+    isPaused: false,
+  };
+
+  const up = stepState({ ...state, snake: [{ x: 1, y: 0 }, { x: 1, y: 1 }] });
+  assert.deepEqual(up.snake[0], { x: 1, y: 4 });
+  assert.equal(up.isGameOver, false);
+
+  const right = stepState({ ...state, inputQueue: [] });
+  assert.deepEqual(right.snake[0], { x: 0, y: 2 });
+  assert.equal(right.isGameOver, false);
+
+  const walled = stepState({ ...state, wrapWalls: false, inputQueue: [] });
+  assert.equal(walled.isGameOver, true);
+  assert.equal(createInitialState({ wrapWalls: true }).wrapWalls, true);
+});
+
+test("diagonal input is only queued in 8-way movement", () => {
+  const classic = createInitialState({ width: 8, height: 8, rng: () => 0 });
+  assert.equal(classic.movement, "4way");
+  assert.deepEqual(queueDirection(classic, "UP_RIGHT").inputQueue, []);
+  assert.deepEqual(queueDirection(classic, "UP").inputQueue, ["UP"]);
+
+  const eightWay = createInitialState({ width: 8, height: 8, movement: "8way", rng: () => 0 });
+  assert.deepEqual(queueDirection(eightWay, "UP_RIGHT").inputQueue, ["UP_RIGHT"]);
+  // Anything pointing backwards (dot product below zero) is still refused.
+  assert.deepEqual(queueDirection(eightWay, "DOWN_LEFT").inputQueue, []);
+
+  const moved = stepState(queueDirection(eightWay, "DOWN_RIGHT"));
+  assert.deepEqual(moved.snake[0], { x: 5, y: 5 });
+  assert.equal(moved.direction, "DOWN_RIGHT");
+});
+
+test("diagonal squeeze between two body segments is a collision", () => {
+  const state = {
+    width: 6,
+    height: 6,
+    movement: "8way",
+    snake: [
+      { x: 2, y: 2 },
+      { x: 2, y: 3 },
+      { x: 3, y: 2 },
+      { x: 2, y: 1 },
+      { x: 1, y: 0 },
+    ],
+    direction: "UP",
+    inputQueue: ["UP_RIGHT"],
+    food: { x: 5, y: 5 },
+    score: 0,
+    isGameOver: false,
+    isPaused: false,
+  };
+
+  const squeezed = stepState(state);
+  assert.deepEqual(squeezed.snake[0], { x: 3, y: 1 });
+  assert.equal(squeezed.isGameOver, true);
+
+  // Only one side blocked: the corner is open.
+  const open = stepState({ ...state, inputQueue: ["UP_LEFT"] });
+  assert.deepEqual(open.snake[0], { x: 1, y: 1 });
+  assert.equal(open.isGameOver, false);
+
+  assert.equal(isDiagonalSqueeze(state, "UP", state.snake), false);
+});
+
+test("obstacle cells kill on contact and never receive food", () => {
+  const state = {
+    ...createInitialState({ width: 5, height: 1, rng: () => 0 }),
+    snake: [
+      { x: 1, y: 0 },
+      { x: 0, y: 0 },
+    ],
+    direction: "RIGHT",
+    food: { x: 2, y: 0 },
+  };
+
+  const fed = stepState(state, { rng: () => 0, obstacles: [{ x: 4, y: 0 }] });
+  assert.equal(fed.isGameOver, false);
+  assert.deepEqual(fed.food, { x: 3, y: 0 });
+
+  const blocked = stepState(state, { obstacles: [{ x: 2, y: 0 }] });
+  assert.equal(blocked.isGameOver, true);
+});
+
+test("input schemes bind WASD and arrows separately", () => {
+  assert.equal(directionFromInputKey("W"), "UP");
+  assert.equal(directionFromInputKey("ArrowLeft"), "LEFT");
+  assert.equal(directionFromInputKey("w", "wasd"), "UP");
+  assert.equal(directionFromInputKey("w", "arrows"), null);
+  assert.equal(directionFromInputKey("ArrowDown", "arrows"), "DOWN");
+  assert.equal(directionFromInputKey("ArrowDown", "wasd"), null);
+
+  const state = createMultiSnakeState({ width: 20, height: 20, rng: () => 0 });
+  assert.deepEqual(state.players.map((player) => player.input), ["wasd", "arrows"]);
+  const queued = queuePlayerDirection(state, 1, "UP");
+  assert.deepEqual(queued.players[1].inputQueue, ["UP"]);
+  assert.deepEqual(queued.players[0].inputQueue, []);
+  // Reversing is refused per snake, as in single-player.
+  assert.equal(queuePlayerDirection(state, 1, "RIGHT"), state);
+});
+
+test("shared food grows whichever snake reaches it", () => {
+  const state = makeDuel(
+    { snake: [{ x: 2, y: 2 }, { x: 1, y: 2 }, { x: 0, y: 2 }], direction: "RIGHT" },
+    { snake: [{ x: 7, y: 7 }, { x: 8, y: 7 }, { x: 9, y: 7 }], direction: "LEFT" },
+    { x: 6, y: 7 }
+  );
+
+  const next = stepMultiSnakeState(state, { rng: () => 0 });
+  assert.equal(next.isGameOver, false);
+  assert.equal(next.players[1].snake.length, 4);
+  assert.equal(next.players[1].score, 1);
+  assert.equal(next.players[0].snake.length, 3);
+  assert.notDeepEqual(next.food, { x: 6, y: 7 });
+});
+
+test("running into the rival's body eliminates and hands over the round", () => {
+  const state = makeDuel(
+    { snake: [{ x: 5, y: 3 }, { x: 4, y: 3 }, { x: 3, y: 3 }], direction: "RIGHT" },
+    { snake: [{ x: 6, y: 4 }, { x: 5, y: 4 }, { x: 4, y: 4 }], direction: "RIGHT" }
+  );
+
+  const next = stepMultiSnakeState(queuePlayerDirection(state, 0, "DOWN"), { rng: () => 0 });
+  assert.equal(next.isGameOver, true);
+  assert.equal(next.players[0].isEliminated, true);
+  assert.equal(next.players[0].eliminatedBy, "body");
+  assert.equal(next.winnerId, "p2");
+});
+
+test("head-to-head collisions are a draw, including heads swapping cells", () => {
+  const sameCell = stepMultiSnakeState(
+    makeDuel(
+      { snake: [{ x: 3, y: 5 }, { x: 2, y: 5 }, { x: 1, y: 5 }], direction: "RIGHT" },
+      { snake: [{ x: 5, y: 5 }, { x: 6, y: 5 }, { x: 7, y: 5 }], direction: "LEFT" }
+    ),
+    { rng: () => 0 }
+  );
+  assert.equal(sameCell.isGameOver, true);
+  assert.deepEqual(sameCell.players.map((player) => player.eliminatedBy), ["head", "head"]);
+  assert.equal(sameCell.winnerId, null);
+
+  const swapped = stepMultiSnakeState(
+    makeDuel(
+      { snake: [{ x: 4, y: 5 }, { x: 3, y: 5 }, { x: 2, y: 5 }], direction: "RIGHT" },
+      { snake: [{ x: 5, y: 5 }, { x: 6, y: 5 }, { x: 7, y: 5 }], direction: "LEFT" }
+    ),
+    { rng: () => 0 }
+  );
+  assert.deepEqual(swapped.players.map((player) => player.eliminatedBy), ["head", "head"]);
+  assert.equal(swapped.winnerId, null);
+});
@@ -5,7 +5,19 @@ import { createRequire } from "node:module";
 const require = createRequire(import.meta.url);
 const SnakeLogic = require("../src/snake-logic.js");
 const {
+  ENEMY_ARCHETYPES,
+  LEVELS_POWER_UPS,
+  POWER_UP_TYPES,
+  TIME_ATTACK_COURSES,
+  TIME_ATTACK_SEED,
+  VERSUS_ROUND_PAUSE_MS,
   createModeState,
+  getEnemyStepEveryTicks,
+  getExtraEnemyCount,
+  getLevelsBossBonus,
+  getPowerUpWeight,
+  getRunDeathCause,
+  isLevelsBossLevel,
   queueModeDirection,
   restartModeState,
   stepModeState,
@@ -149,7 +161,7 @@ test("barrier collision without shield causes game over", () => {
     barriers: [{ x: 3, y: 2 }],
     enemy: null,
     powerUp: null,
-    shieldMsRemaining: 0,
+    effects: { shield: 0 },
     base: {
       width: 20,
       height: 20,
@@ -169,6 +181,44 @@ test("barrier collision without shield causes game over", () => {
 
   const next = stepModeState(state, { rng: () => 0 });
   assert.equal(next.isGameOver, true);
+  assert.equal(getRunDeathCause(next), "barrier");
+});
+
+test("grid runs report walls and self collisions as the death cause", () => {
+  const initial = createModeState({ mode: "traditional", width: 8, height: 8, rng: () => 0 });
+  const facingWall = {
+    ...initial,
+    base: {
+      ...initial.base,
+      snake: [
+        { x: 7, y: 3 },
+        { x: 6, y: 3 },
+        { x: 5, y: 3 },
+      ],
+      direction: "RIGHT",
+    },
+  };
+  assert.equal(getRunDeathCause(facingWall), null);
+  assert.equal(getRunDeathCause(stepModeState(facingWall, { rng: () => 0 })), "wall");
+
+  const curled = {
+    ...initial,
+    base: {
+      ...initial.base,
+      snake: [
+        { x: 3, y: 3 },
+        { x: 4, y: 3 },
+        { x: 4, y: 4 },
+        { x: 3, y: 4 },
+        { x: 2, y: 4 },
+      ],
+      direction: "LEFT",
+      inputQueue: ["DOWN"],
+    },
+  };
+  const selfHit = stepModeState(curled, { rng: () => 0 });
+  assert.equal(selfHit.isGameOver, true);
+  assert.equal(getRunDeathCause(selfHit), "self");
 });
 
 test("barrier collision with active shield does not end the game", () => {
@@ -180,7 +230,7 @@ test("barrier collision with active shield does not end the game", () => {
     barriers: [{ x: 3, y: 2 }],
     enemy: null,
     powerUp: null,
-    shieldMsRemaining: 1000,
+    effects: { shield: 1000 },
     base: {
       width: 20,
       height: 20,
@@ -201,7 +251,7 @@ test("barrier collision with active shield does not end the game", () => {
   const next = stepModeState(state, { rng: () => 0 });
   assert.equal(next.isGameOver, false);
   assert.deepEqual(next.base.snake[0], { x: 3, y: 2 });
-  assert.ok(next.shieldMsRemaining > 0);
+  assert.ok(next.effects.shield > 0);
 });
 
 test("enemy movement can collide with snake head and end the game", () => {
@@ -219,7 +269,7 @@ test("enemy movement can collide with snake head and end the game", () => {
       tickCounter: 0,
     },
     powerUp: null,
-    shieldMsRemaining: 0,
+    effects: { shield: 0 },
     base: {
       width: 20,
       height: 20,
@@ -254,7 +304,7 @@ test("collecting power-up activates shield and shield expires over ticks", () =>
       y: 10,
       ttlTicks: 60,
     },
-    shieldMsRemaining: 0,
+    effects: { shield: 0 },
     base: {
       width: 300,
       height: 20,
@@ -273,14 +323,14 @@ test("collecting power-up activates shield and shield expires over ticks", () =>
   });
 
   state = stepModeState(state, { rng: () => 0 });
-  assert.ok(state.shieldMsRemaining > 0);
+  assert.ok(state.effects.shield > 0);
   assert.equal(state.powerUp, null);
 
   for (let i = 0; i < 60; i += 1) {
     state = stepModeState(state, { rng: () => 0 });
   }
 
-  assert.equal(state.shieldMsRemaining, 0);
+  assert.equal(state.effects.shield, 0);
   assert.equal(state.isGameOver, false);
 });
 
@@ -294,7 +344,7 @@ test("spawned food and power-up never overlap occupied cells", () => {
     barriers: [{ x: 5, y: 5 }],
     enemy: null,
     powerUp: null,
-    shieldMsRemaining: 0,
+    effects: { shield: 0 },
     base: {
       width: 20,
       height: 20,
@@ -328,6 +378,310 @@ test("spawned food and power-up never overlap occupied cells", () => {
   assert.notEqual(foodKey, powerUpKey);
 });
 
+function makeEffectState(overrides = {}) {
+  return makeLevelState({
+    level: 7,
+    levelProgress: 0,
+    levelTarget: 20,
+    tickMs: 100,
+    barriers: [],
+    enemy: null,
+    powerUp: null,
+    ...overrides,
+    base: {
+      snake: [
+        { x: 5, y: 10 },
+        { x: 4, y: 10 },
+        { x: 3, y: 10 },
+      ],
+      direction: "RIGHT",
+      inputQueue: [],
+      food: { x: 15, y: 10 },
+      ...(overrides.base ?? {}),
+    },
+  });
+}
+
+test("power-up types join the spawn pool at their own level", () => {
+  assert.equal(getPowerUpWeight("shield", 1), LEVELS_POWER_UPS.shield.baseWeight);
+  assert.equal(getPowerUpWeight("magnet", 6), 0);
+  assert.equal(getPowerUpWeight("magnet", 7), LEVELS_POWER_UPS.magnet.baseWeight);
+  assert.ok(getPowerUpWeight("scoreMultiplier", 9) > getPowerUpWeight("scoreMultiplier", 5));
+
+  // The last roll picks the last type in the pool; at level 4 that is not the magnet.
+  const state = makeEffectState({
+    level: 4,
+    base: { food: { x: 6, y: 10 } },
+  });
+  const next = stepModeState(state, { rng: sequenceRng([0, 0, 0, 0.999], 0) });
+  assert.equal(next.powerUp.type, "enemyFreeze");
+  for (const type of POWER_UP_TYPES) {
+    assert.equal(next.effects[type], 0);
+  }
+});
+
+test("timed effects stack and each keeps its own timer", () => {
+  const state = makeEffectState({
+    powerUp: { x: 6, y: 10, type: "magnet", ttlTicks: 10 },
+    effects: { shield: 1000, slowTime: 3000 },
+  });
+
+  const next = stepModeState(state, { rng: () => 0 });
+  assert.equal(next.powerUp, null);
+  assert.equal(next.effects.magnet, LEVELS_POWER_UPS.magnet.durationMs - 100);
+  assert.equal(next.effects.shield, 900);
+  assert.equal(next.effects.slowTime, 2900);
+
+  const unhurried = stepModeState(makeEffectState(), { rng: () => 0 });
+  assert.equal(next.tickMs, Math.round(unhurried.tickMs * 1.5));
+});
+
+test("score multiplier doubles points but not level progress", () => {
+  const state = makeEffectState({
+    effects: { scoreMultiplier: 1000 },
+    base: { food: { x: 6, y: 10 }, score: 3 },
+  });
+
+  const next = stepModeState(state, { rng: () => 0 });
+  assert.equal(next.base.score, 5);
+  assert.equal(next.levelProgress, 1);
+});
+
+test("magnet eats food within range without touching it", () => {
+  const state = makeEffectState({
+    effects: { magnet: 1000 },
+    base: { food: { x: 8, y: 10 } },
+  });
+
+  const next = stepModeState(state, { rng: () => 0 });
+  assert.equal(next.levelProgress, 1);
+  assert.equal(next.base.snake.length, 4);
+  assert.notDeepEqual(next.base.food, { x: 8, y: 10 });
+
+  const withoutMagnet = stepModeState(makeEffectState({ base: { food: { x: 8, y: 10 } } }), {
+    rng: () => 0,
+  });
+  assert.equal(withoutMagnet.levelProgress, 0);
+});
+
+test("shrink tail drops one segment per tick down to the starting length", () => {
+  let state = makeEffectState({
+    effects: { shrinkTail: 1000 },
+    base: {
+      snake: [
+        { x: 5, y: 10 },
+        { x: 4, y: 10 },
+        { x: 3, y: 10 },
+        { x: 2, y: 10 },
+        { x: 1, y: 10 },
+      ],
+    },
+  });
+
+  state = stepModeState(state, { rng: () => 0 });
+  assert.equal(state.base.snake.length, 4);
+  state = stepModeState(state, { rng: () => 0 });
+  state = stepModeState(state, { rng: () => 0 });
+  assert.equal(state.base.snake.length, 3);
+  assert.deepEqual(state.base.snake[0], { x: 8, y: 10 });
+});
+
+test("enemy freeze stops the enemy without making it harmless", () => {
+  const enemy = { x: 12, y: 4, direction: "LEFT", stepEveryTicks: 1, tickCounter: 0 };
+  const frozen = stepModeState(makeEffectState({ enemy, effects: { enemyFreeze: 1000 } }), {
+    rng: () => 0,
+  });
+  assert.deepEqual({ x: frozen.enemy.x, y: frozen.enemy.y }, { x: 12, y: 4 });
+
+  const moving = stepModeState(makeEffectState({ enemy }), { rng: () => 0 });
+  assert.notDeepEqual({ x: moving.enemy.x, y: moving.enemy.y }, { x: 12, y: 4 });
+
+  const rammed = stepModeState(
+    makeEffectState({ enemy: { ...enemy, x: 6, y: 10 }, effects: { enemyFreeze: 1000 } }),
+    { rng: () => 0 }
+  );
+  assert.equal(rammed.isGameOver, true);
+});
+
+test("extra enemies start at level 6 and each archetype keeps its own cadence", () => {
+  assert.equal(getExtraEnemyCount(5), 0);
+  assert.equal(getExtraEnemyCount(6), 1);
+  assert.equal(getExtraEnemyCount(9), 2);
+  assert.equal(getExtraEnemyCount(30), 3);
+
+  assert.equal(getEnemyStepEveryTicks(6), 3);
+  assert.equal(getEnemyStepEveryTicks(6, "patroller"), 2);
+  assert.equal(getEnemyStepEveryTicks(6, "ambusher"), 4);
+  assert.equal(getEnemyStepEveryTicks(6, "wallHugger"), 3);
+  assert.equal(getEnemyStepEveryTicks(30, "patroller"), 1);
+});
+
+test("level-up spawns extra enemies outside the safe zone around the head", () => {
+  for (const seed of [1, 2, 3, 4, 5, 6]) {
+    const state = makeEffectState({
+      level: 11,
+      levelProgress: 19,
+      seed,
+      base: { food: { x: 6, y: 10 } },
+    });
+
+    const next = stepModeState(state);
+    assert.equal(next.level, 12);
+    assert.equal(next.extraEnemies.length, 3);
+
+    const head = next.base.snake[0];
+    const occupied = new Set([
+      ...next.base.snake.map((cell) => `${cell.x},${cell.y}`),
+      ...next.barriers.map((cell) => `${cell.x},${cell.y}`),
+      `${next.base.food.x},${next.base.food.y}`,
+      `${next.enemy.x},${next.enemy.y}`,
+    ]);
+    for (const extra of next.extraEnemies) {
+      assert.ok(Object.hasOwn(ENEMY_ARCHETYPES, extra.archetype));
+      assert.ok(Math.max(Math.abs(extra.x - head.x), Math.abs(extra.y - head.y)) > 1);
+      assert.equal(occupied.has(`${extra.x},${extra.y}`), false);
+      occupied.add(`${extra.x},${extra.y}`);
+      if (extra.archetype === "patroller") {
+        assert.ok(extra.patrol.length >= 2);
+      }
+    }
+  }
+});
+
+test("ambushers aim ahead of the head while chasers aim at it", () => {
+  const enemy = { x: 12, y: 5, direction: "LEFT", stepEveryTicks: 1, tickCounter: 0 };
+  const chased = stepModeState(
+    makeEffectState({ extraEnemies: [{ ...enemy, archetype: "chaser" }] }),
+    { rng: () => 0 }
+  );
+  const ambushed = stepModeState(
+    makeEffectState({ extraEnemies: [{ ...enemy, archetype: "ambusher" }] }),
+    { rng: () => 0 }
+  );
+
+  assert.deepEqual({ x: chased.extraEnemies[0].x, y: chased.extraEnemies[0].y }, { x: 11, y: 5 });
+  assert.deepEqual(
+    { x: ambushed.extraEnemies[0].x, y: ambushed.extraEnemies[0].y },
+    { x: 12, y: 6 }
+  );
+});
+
+test("wall huggers follow the border and turn at corners", () => {
+  let state = makeEffectState({
+    extraEnemies: [
+      { x: 1, y: 0, archetype: "wallHugger", direction: "LEFT", stepEveryTicks: 1, tickCounter: 0 },
+    ],
+  });
+  const visited = [];
+  for (let i = 0; i < 3; i += 1) {
+    state = stepModeState(state, { rng: () => 0 });
+    visited.push(`${state.extraEnemies[0].x},${state.extraEnemies[0].y}`);
+  }
+
+  assert.deepEqual(visited, ["0,0", "0,1", "0,2"]);
+  assert.equal(state.extraEnemies[0].direction, "DOWN");
+});
+
+test("any enemy reaching the head ends the run unless shielded", () => {
+  const extraEnemies = [
+    { x: 7, y: 10, archetype: "chaser", direction: "LEFT", stepEveryTicks: 1, tickCounter: 0 },
+  ];
+  assert.equal(stepModeState(makeEffectState({ extraEnemies }), { rng: () => 0 }).isGameOver, true);
+  assert.equal(
+    stepModeState(makeEffectState({ extraEnemies, effects: { shield: 1000 } }), { rng: () => 0 })
+      .isGameOver,
+    false
+  );
+});
+
+function enterBossArena(bossLevel, overrides = {}) {
+  return stepModeState(
+    makeEffectState({
+      level: bossLevel - 1,
+      levelProgress: 19,
+      seed: 7,
+      ...overrides,
+      base: { food: { x: 6, y: 10 }, ...(overrides.base ?? {}) },
+    })
+  );
+}
+
+test("every fifth level is a boss arena with a sigil objective", () => {
+  assert.equal(isLevelsBossLevel(4), false);
+  assert.equal(isLevelsBossLevel(5), true);
+  assert.equal(isLevelsBossLevel(10), true);
+
+  const state = enterBossArena(5);
+  assert.equal(state.level, 5);
+  assert.equal(state.bossStage.bossId, "cacador");
+  assert.equal(state.levelTarget, state.bossStage.sigilTarget);
+  assert.equal(state.levelProgress, 0);
+  assert.ok(state.bossStage.sigil);
+  assert.deepEqual(state.extraEnemies, []);
+
+  const head = state.base.snake[0];
+  for (const cell of [{ x: state.enemy.x, y: state.enemy.y }, { x: state.enemy.x + 1, y: state.enemy.y + 1 }]) {
+    assert.ok(cell.x >= 0 && cell.x < 20 && cell.y >= 0 && cell.y < 20);
+    assert.ok(Math.max(Math.abs(cell.x - head.x), Math.abs(cell.y - head.y)) > 1);
+  }
+});
+
+test("boss arenas count sigils, not food, and pay a bonus when cleared", () => {
+  const arena = enterBossArena(5);
+  const head = arena.base.snake[0];
+  const ahead = { x: head.x + 1, y: head.y };
+  const base = { ...arena.base, direction: "RIGHT", inputQueue: [] };
+
+  const ateFood = stepModeState(
+    { ...arena, enemy: null, barriers: [], base: { ...base, food: ahead } },
+    { rng: () => 0 }
+  );
+  assert.equal(ateFood.levelProgress, 0);
+
+  const cleared = stepModeState(
+    {
+      ...arena,
+      enemy: null,
+      barriers: [],
+      levelProgress: arena.levelTarget - 1,
+      bossStage: { ...arena.bossStage, sigil: ahead },
+      base: { ...base, score: 10 },
+    },
+    { rng: () => 0 }
+  );
+  assert.equal(cleared.level, 6);
+  assert.equal(cleared.bossStage, null);
+  assert.equal(cleared.base.score, 10 + getLevelsBossBonus(5));
+});
+
+test("boss AI stays on the bounded board while pulsing hazards and teleporting", () => {
+  for (const [bossLevel, bossId, check] of [
+    [10, "carcereiro", (state) => state.bossStage.hazards.length > 0],
+    [15, "espectro", (state) => state.bossStage.enemyTeleportPreview !== null],
+  ]) {
+    let state = enterBossArena(bossLevel, {
+      effects: { shield: 1e9 },
+      base: { wrapWalls: true },
+    });
+    assert.equal(state.bossStage.bossId, bossId);
+
+    let sawMechanic = false;
+    for (let i = 0; i < 80 && !state.isGameOver && state.level === bossLevel; i += 1) {
+      state = stepModeState(state);
+      if (state.level !== bossLevel) break;
+      sawMechanic ||= check(state);
+      const width = state.enemy.width;
+      const height = state.enemy.height;
+      assert.ok(state.enemy.x >= 0 && state.enemy.x + width <= 20);
+      assert.ok(state.enemy.y >= 0 && state.enemy.y + height <= 20);
+      for (const hazard of state.bossStage.hazards) {
+        assert.ok(hazard.x >= 0 && hazard.x < 20 && hazard.y >= 0 && hazard.y < 20);
+      }
+    }
+    assert.equal(sawMechanic, true, bossId);
+  }
+});
+
 test("mode helpers queue direction, toggle pause and restart using same mode", () => {
   let state = createModeState({ mode: "levels", width: 20, height: 20, rng: () => 0 });
   state = queueModeDirection(state, "DOWN");
@@ -341,3 +695,311 @@ test("mode helpers queue direction, toggle pause and restart using same mode", (
   assert.equal(restarted.base.width, 20);
   assert.equal(restarted.isPaused, false);
 });
+
+function playScriptedRun(mode, seed, steps) {
+  const directions = ["DOWN", "LEFT", "UP", "RIGHT"];
+  let state = createModeState({ mode, width: 20, height: 20, seed });
+  for (let i = 0; i < steps && !state.isGameOver; i += 1) {
+    if (i % 3 === 0) {
+      state = queueModeDirection(state, directions[(i / 3) % directions.length]);
+    }
+    state = stepModeState(state);
+  }
+  return state;
+}
+
+test("same seed reproduces traditional and levels runs exactly", () => {
+  for (const mode of ["traditional", "levels"]) {
+    const first = playScriptedRun(mode, 0xbada55, 40);
+    const second = playScriptedRun(mode, 0xbada55, 40);
+    assert.equal(first.seed, 0xbada55);
+    assert.deepEqual(second, first);
+  }
+
+  const other = createModeState({ mode: "levels", seed: 0xbada56 });
+  const initial = createModeState({ mode: "levels", seed: 0xbada55 });
+  assert.notDeepEqual(other.base.food, initial.base.food);
+});
+
+test("restart keeps a fixed seed only when asked to", () => {
+  const state = createModeState({ mode: "traditional", seed: 77 });
+  assert.equal(restartModeState(state, { seed: 77 }).seed, 77);
+  assert.deepEqual(restartModeState(state, { seed: 77 }).base, state.base);
+  assert.equal(Number.isInteger(restartModeState(state).seed), true);
+});
+
+test("levels portal walls wrap the snake and the enemy chase", () => {
+  const state = makeLevelState({
+    level: 3,
+    barriers: [],
+    enemy: null,
+    powerUp: null,
+    base: {
+      wrapWalls: true,
+      snake: [
+        { x: 0, y: 5 },
+        { x: 0, y: 6 },
+        { x: 0, y: 7 },
+      ],
+      direction: "UP",
+      inputQueue: ["LEFT"],
+      food: { x: 10, y: 10 },
+    },
+  });
+
+  const wrapped = stepModeState(state, { rng: () => 0 });
+  assert.equal(wrapped.isGameOver, false);
+  assert.deepEqual(wrapped.base.snake[0], { x: 19, y: 5 });
+
+  const walled = stepModeState(
+    { ...state, base: { ...state.base, wrapWalls: false } },
+    { rng: () => 0 }
+  );
+  assert.equal(walled.isGameOver, true);
+
+  // The head lands on x=0; the enemy at x=19 reaches it through the edge.
+  const chased = stepModeState(
+    {
+      ...state,
+      enemy: { x: 19, y: 5, direction: "LEFT", stepEveryTicks: 1, tickCounter: 0 },
+      base: {
+        ...state.base,
+        snake: [
+          { x: 1, y: 5 },
+          { x: 2, y: 5 },
+          { x: 3, y: 5 },
+        ],
+        direction: "LEFT",
+        inputQueue: [],
+      },
+    },
+    { rng: () => 0 }
+  );
+  assert.deepEqual(chased.enemy && { x: chased.enemy.x, y: chased.enemy.y }, { x: 0, y: 5 });
+  assert.equal(chased.isGameOver, true);
+});
+
+test("portal walls regenerate levels without barriers next to the wrapped head", () => {
+  let state = makeLevelState({
+    level: 4,
+    levelProgress: 8,
+    levelTarget: 9,
+    barriers: [],
+    enemy: null,
+    powerUp: null,
+    base: {
+      wrapWalls: true,
+      snake: [
+        { x: 19, y: 0 },
+        { x: 18, y: 0 },
+        { x: 17, y: 0 },
+      ],
+      direction: "RIGHT",
+      inputQueue: [],
+      food: { x: 0, y: 0 },
+    },
+  });
+
+  state = stepModeState(state, { rng: () => 0 });
+  assert.equal(state.level, 5);
+  assert.deepEqual(state.base.snake[0], { x: 0, y: 0 });
+  const barrierKeys = new Set(state.barriers.map((cell) => `${cell.x},${cell.y}`));
+  for (const key of ["19,19", "0,19", "1,19", "19,0", "1,0", "19,1", "0,1", "1,1"]) {
+    assert.equal(barrierKeys.has(key), false, `barrier spawned at ${key}`);
+  }
+});
+
+test("restart and replays keep the portal walls rule", () => {
+  const state = createModeState({ mode: "traditional", wrapWalls: true, seed: 5 });
+  assert.equal(state.base.wrapWalls, true);
+  assert.equal(restartModeState(state).base.wrapWalls, true);
+  assert.equal(createModeState({ mode: "levels", seed: 5 }).base.wrapWalls, false);
+});
+
+test("8-way movement carries over restarts and squeezes end levels runs", () => {
+  const state = createModeState({ mode: "levels", movement: "8way", seed: 5 });
+  assert.equal(state.base.movement, "8way");
+  assert.equal(restartModeState(state).base.movement, "8way");
+  assert.equal(createModeState({ mode: "traditional", seed: 5 }).base.movement, "4way");
+
+  const squeezed = stepModeState(
+    makeLevelState({
+      barriers: [],
+      enemy: null,
+      powerUp: null,
+      base: {
+        movement: "8way",
+        snake: [
+          { x: 2, y: 2 },
+          { x: 2, y: 3 },
+          { x: 3, y: 2 },
+          { x: 2, y: 1 },
+          { x: 1, y: 0 },
+        ],
+        direction: "UP",
+        inputQueue: ["UP_RIGHT"],
+        food: { x: 10, y: 10 },
+      },
+    }),
+    { rng: () => 0 }
+  );
+  assert.equal(squeezed.isGameOver, true);
+});
+
+function feedAhead(state, overrides = {}) {
+  const head = state.base.snake[0];
+  return {
+    ...state,
+    ...overrides,
+    base: {
+      ...state.base,
+      food: { x: head.x + 1, y: head.y },
+      ...(overrides.base ?? {}),
+    },
+  };
+}
+
+test("time attack races a fixed score, timing splits in game ticks", () => {
+  let state = createModeState({ mode: "timeattack", width: 20, height: 20 });
+  assert.equal(state.mode, "timeattack");
+  assert.equal(state.seed, TIME_ATTACK_SEED);
+  assert.deepEqual(state.base, createModeState({ mode: "timeattack" }).base);
+  assert.equal(state.timeAttack.course, "score");
+  assert.equal(
+    state.timeAttack.splitCount,
+    TIME_ATTACK_COURSES.score.scoreTarget / TIME_ATTACK_COURSES.score.splitEvery
+  );
+
+  const tickMs = state.tickMs;
+  state = stepModeState(feedAhead(state, { base: { score: 9 } }));
+  assert.equal(state.base.score, 10);
+  assert.deepEqual(state.timeAttack.splits, [{ elapsedMs: tickMs, splitMs: tickMs }]);
+
+  state = stepModeState(toggleModePause(state));
+  assert.equal(state.timeAttack.elapsedMs, tickMs, "the clock stops while paused");
+  state = toggleModePause(state);
+
+  state = stepModeState(feedAhead(state, { base: { score: 29 } }));
+  assert.equal(state.timeAttack.splits.length, 3);
+  assert.equal(state.timeAttack.completed, true);
+  assert.equal(state.isGameOver, true);
+  assert.equal(state.timeAttack.elapsedMs, tickMs * 2);
+});
+
+test("time attack levels course splits on every cleared stage and restarts the same course", () => {
+  let state = createModeState({ mode: "timeattack", course: "levels", width: 20, height: 20 });
+  assert.equal(state.level, 1);
+  assert.equal(state.timeAttack.splitCount, TIME_ATTACK_COURSES.levels.levelCount);
+
+  state = stepModeState(feedAhead(state, { levelProgress: state.levelTarget - 1 }));
+  assert.equal(state.level, 2);
+  assert.equal(state.mode, "timeattack");
+  assert.equal(state.timeAttack.splits.length, 1);
+  assert.equal(state.timeAttack.completed, false);
+
+  const restarted = restartModeState(state);
+  assert.equal(restarted.timeAttack.course, "levels");
+  assert.equal(restarted.seed, TIME_ATTACK_SEED);
+  assert.deepEqual(restarted.timeAttack.splits, []);
+});
+
+test("challenge modifiers bring the horde early and keep power-ups off the board", () => {
+  const challenge = { id: "weekly:2026-W43", kind: "weekly", modifiers: ["horde", "noPowerUps"] };
+  const next = stepModeState(
+    makeEffectState({
+      level: 2,
+      levelProgress: 19,
+      seed: 3,
+      challenge,
+      base: { food: { x: 6, y: 10 } },
+    })
+  );
+  assert.equal(next.level, 3);
+  assert.equal(next.extraEnemies.length, 1);
+
+  let state = makeEffectState({ challenge, base: { food: { x: 19, y: 19 } } });
+  for (let step = 0; step < 8; step += 1) {
+    state = stepModeState(state, { rng: () => 0 });
+    assert.equal(state.powerUp, null);
+  }
+});
+
+test("challenge starting effects are active and the challenge survives a restart", () => {
+  const state = createModeState({
+    mode: "levels",
+    width: 20,
+    height: 20,
+    seed: 9,
+    challenge: {
+      id: "weekly:2026-W43",
+      kind: "weekly",
+      practice: false,
+      effects: { shield: LEVELS_POWER_UPS.shield.durationMs },
+      modifiers: ["horde", "notARule"],
+    },
+  });
+  assert.equal(state.effects.shield, LEVELS_POWER_UPS.shield.durationMs);
+  assert.deepEqual(state.challenge.modifiers, ["horde"]);
+
+  const restarted = restartModeState(stepModeState(state), { seed: state.seed });
+  assert.deepEqual(restarted.challenge, state.challenge);
+  assert.equal(restarted.seed, state.seed);
+  assert.equal(restarted.effects.shield, LEVELS_POWER_UPS.shield.durationMs);
+});
+
+function playVersusRound(state, steer = () => {}) {
+  let next = state;
+  const rounds = state.versus.rounds.length;
+  while (next.versus.rounds.length === rounds) {
+    next = stepModeState(steer(next) ?? next);
+  }
+  return next;
+}
+
+test("versus routes each seat's input and counts round wins toward best-of-N", () => {
+  const state = createModeState({ mode: "versus", width: 20, height: 20, seed: 12, bestOf: 3 });
+  assert.equal(state.versus.winsNeeded, 2);
+  const queued = queueModeDirection(state, "UP", 1);
+  assert.deepEqual(queued.base.players[1].inputQueue, ["UP"]);
+  assert.deepEqual(queued.base.players[0].inputQueue, []);
+
+  // Player 2 turns up once; player 1 never steers and drives into the far wall.
+  const steerP2 = (current) =>
+    current.base.players[1].snake[0].x <= 8 && current.base.players[1].direction === "LEFT"
+      ? queueModeDirection(current, "UP", 1)
+      : current;
+  const afterRound = playVersusRound(state, steerP2);
+  assert.equal(afterRound.versus.rounds[0].winnerId, "p2");
+  assert.deepEqual(afterRound.versus.wins, [0, 1]);
+  assert.equal(afterRound.isGameOver, false);
+  assert.equal(afterRound.versus.roundPauseMsRemaining, VERSUS_ROUND_PAUSE_MS);
+
+  // The finished board stays up for the pause, then a fresh one is dealt.
+  let paused = afterRound;
+  while (paused.versus.roundPauseMsRemaining > 0) {
+    assert.equal(paused.base.isGameOver, true);
+    paused = stepModeState(paused);
+  }
+  assert.equal(paused.base.isGameOver, false);
+  assert.ok(paused.base.players.every((player) => !player.isEliminated));
+
+  const finished = playVersusRound(paused, steerP2);
+  assert.equal(finished.isGameOver, true);
+  assert.equal(finished.versus.winnerId, "p2");
+  assert.deepEqual(finished.versus.wins, [0, 2]);
+  assert.equal(stepModeState(finished), finished);
+});
+
+test("drawn versus rounds don't count and restart keeps the match length", () => {
+  const state = createModeState({ mode: "versus", width: 20, height: 20, seed: 3, bestOf: 1 });
+  // Nobody steers: both snakes reach their walls on the same tick.
+  const drawn = playVersusRound(state);
+  assert.equal(drawn.versus.rounds[0].winnerId, null);
+  assert.deepEqual(drawn.versus.wins, [0, 0]);
+  assert.equal(drawn.isGameOver, false);
+
+  const restarted = restartModeState(drawn, { seed: drawn.seed });
+  assert.equal(restarted.versus.bestOf, 1);
+  assert.deepEqual(restarted.versus.rounds, []);
+  assert.equal(createModeState({ mode: "versus", bestOf: 4 }).versus.bestOf, 3);
+});
@@ -0,0 +1,163 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const SnakeRival = require("../src/snake-rival.js");
+const {
+  createModeState,
+  queueModeDirection,
+  restartModeState,
+  stepModeState,
+} = require("../src/snake-modes.js");
+
+function makeBase(overrides = {}) {
+  return {
+    width: 8,
+    height: 8,
+    wrapWalls: false,
+    movement: "4way",
+    snake: [
+      { x: 0, y: 7 },
+      { x: 1, y: 7 },
+      { x: 2, y: 7 },
+    ],
+    direction: "LEFT",
+    inputQueue: [],
+    food: { x: 7, y: 7 },
+    score: 0,
+    isGameOver: false,
+    isPaused: false,
+    ...overrides,
+  };
+}
+
+function makeRival(difficulty, overrides = {}) {
+  return {
+    difficulty,
+    snake: [
+      { x: 2, y: 2 },
+      { x: 1, y: 2 },
+      { x: 0, y: 2 },
+    ],
+    direction: "RIGHT",
+    score: 0,
+    thinkTicks: 0,
+    isDead: false,
+    respawnTicks: 0,
+    deaths: 0,
+    caughtPlayer: false,
+    ...overrides,
+  };
+}
+
+test("traditional mode only spawns a rival when a difficulty is picked", () => {
+  assert.equal(createModeState({ mode: "traditional", seed: 3 }).rival, null);
+  assert.equal(createModeState({ mode: "traditional", seed: 3, rival: "brutal" }).rival, null);
+
+  const state = createModeState({ mode: "traditional", width: 20, height: 20, seed: 3, rival: "hard" });
+  assert.equal(state.rival.difficulty, "hard");
+  assert.equal(state.rival.isDead, false);
+  assert.equal(state.rival.snake.length, 3);
+  for (const cell of state.rival.snake) {
+    assert.equal(state.base.snake.some((segment) => segment.x === cell.x && segment.y === cell.y), false);
+    assert.notDeepEqual(cell, state.base.food);
+  }
+
+  const restarted = restartModeState(state, { seed: state.seed });
+  assert.equal(restarted.rival.difficulty, "hard");
+  assert.deepEqual(restarted.rival, state.rival);
+});
+
+test("harder rivals look further ahead for the food", () => {
+  // The player's body walls off the food; only a long detour reaches it.
+  const base = makeBase({
+    snake: [0, 1, 2, 3, 4, 5].map((x) => ({ x, y: 3 })),
+    food: { x: 2, y: 4 },
+  });
+
+  assert.equal(SnakeRival.chooseRivalDirection(makeRival("hard"), base), "RIGHT");
+  assert.notEqual(SnakeRival.chooseRivalDirection(makeRival("easy"), base), "RIGHT");
+});
+
+test("slow rivals keep going straight until their reaction delay runs out", () => {
+  const base = makeBase({ food: { x: 2, y: 5 } });
+  const rival = makeRival("easy", { thinkTicks: 1 });
+
+  const first = SnakeRival.stepRival(rival, base, { rng: () => 0 });
+  assert.deepEqual(first.rival.snake[0], { x: 3, y: 2 });
+  assert.equal(first.rival.thinkTicks, 0);
+
+  const second = SnakeRival.stepRival(first.rival, first.base, { rng: () => 0 });
+  assert.deepEqual(second.rival.snake[0], { x: 3, y: 3 });
+  assert.equal(second.rival.thinkTicks, SnakeRival.RIVAL_DIFFICULTIES.easy.reactionTicks);
+});
+
+test("a rival that crashes pays the player a bonus and respawns later", () => {
+  const base = makeBase({ food: { x: 7, y: 0 } });
+  const rival = makeRival("hard", {
+    snake: [
+      { x: 7, y: 5 },
+      { x: 6, y: 5 },
+      { x: 5, y: 5 },
+    ],
+    thinkTicks: 5,
+  });
+
+  let step = SnakeRival.stepRival(rival, base, { rng: () => 0 });
+  assert.equal(step.rival.isDead, true);
+  assert.deepEqual(step.rival.snake, []);
+  assert.equal(step.rival.deaths, 1);
+  assert.equal(step.base.score, SnakeRival.RIVAL_KILL_BONUS);
+
+  for (let tick = 1; tick < SnakeRival.RIVAL_RESPAWN_TICKS; tick += 1) {
+    step = SnakeRival.stepRival(step.rival, step.base, { rng: () => 0 });
+    assert.equal(step.rival.isDead, true);
+  }
+  step = SnakeRival.stepRival(step.rival, step.base, { rng: () => 0 });
+  assert.equal(step.rival.isDead, false);
+  assert.equal(step.rival.snake.length, 3);
+  assert.equal(step.rival.deaths, 1);
+});
+
+test("the player dies on the rival's body and the game over knows why", () => {
+  let state = createModeState({ mode: "traditional", width: 8, height: 8, seed: 1, rival: "normal" });
+  state = {
+    ...state,
+    base: makeBase({
+      snake: [
+        { x: 4, y: 4 },
+        { x: 4, y: 5 },
+        { x: 4, y: 6 },
+      ],
+      direction: "UP",
+    }),
+    rival: makeRival("normal", {
+      snake: [
+        { x: 5, y: 3 },
+        { x: 4, y: 3 },
+        { x: 3, y: 3 },
+      ],
+    }),
+  };
+
+  const next = stepModeState(state);
+  assert.equal(next.isGameOver, true);
+  assert.equal(next.rival.caughtPlayer, true);
+});
+
+test("rival runs replay exactly from the same seed", () => {
+  const play = () => {
+    const directions = ["DOWN", "LEFT", "UP", "RIGHT"];
+    let state = createModeState({ mode: "traditional", width: 20, height: 20, seed: 99, rival: "normal" });
+    for (let i = 0; i < 60 && !state.isGameOver; i += 1) {
+      if (i % 4 === 0) {
+        state = queueModeDirection(state, directions[(i / 4) % directions.length]);
+      }
+      state = stepModeState(state);
+    }
+    return state;
+  };
+
+  assert.deepEqual(play(), play());
+});
@@ -0,0 +1,209 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const SoulsProfile = require("../src/souls-profile.js");
+const {
+  chooseSoulsReward,
+  createModeState,
+  devSetSoulsFloor,
+  queueModeDirection,
+  restartModeState,
+  rerollSoulsReward,
+  stepModeState,
+} = require("../src/snake-modes.js");
+
+function createCoop() {
+  return createModeState({
+    mode: "souls",
+    coop: true,
+    soulsProfile: SoulsProfile.createDefaultProfile(),
+    rng: () => 0.37,
+  });
+}
+
+// An empty floor: no world, no enemies, food far away.
+function createQuietCoop() {
+  const state = createCoop();
+  state.souls.world = null;
+  state.barriers = [];
+  state.enemy = null;
+  state.souls.minions = [];
+  state.souls.hazards = [];
+  state.souls.echo = null;
+  state.souls.objectiveTarget = 999;
+  state.base.food = { x: 9999, y: 9999 };
+  return state;
+}
+
+function stepFor(state, durationMs, options = {}) {
+  let next = state;
+  for (let elapsed = 0; elapsed < durationMs && !next.isGameOver; elapsed += 16) {
+    next = stepModeState(next, { deltaMs: 16, rng: () => 0.31, ...options });
+  }
+  return next;
+}
+
+test("co-op seats a second snake with its own armor, stamina and controls", () => {
+  const state = createCoop();
+  const { partner } = state.souls.coop;
+
+  assert.deepEqual(partner.snake[0], { x: 0, y: 2 });
+  assert.equal(partner.armorCharges, state.souls.armorCharges);
+  assert.notEqual(partner.stamina, state.souls.stamina);
+  assert.equal(state.souls.camera.centerY, 1);
+  assert.equal(createModeState({ mode: "souls", rng: () => 0.37 }).souls.coop, null);
+
+  const turned = queueModeDirection(state, "DOWN", 1);
+  assert.deepEqual(turned.souls.coop.partner.inputQueue, ["DOWN"]);
+  assert.deepEqual(turned.base.inputQueue, []);
+
+  // Only the partner boosts, so only its stamina drains.
+  const boosted = stepFor(createQuietCoop(), 500, { partnerHoldCurrentDirection: true });
+  assert.ok(boosted.souls.coop.partner.stamina.current < boosted.souls.stamina.current);
+  assert.ok(boosted.souls.coop.partner.snake[0].x > boosted.base.snake[0].x);
+
+  assert.ok(restartModeState(state, { rng: () => 0.37 }).souls.coop);
+});
+
+test("either snake feeds the shared objective", () => {
+  const state = createQuietCoop();
+  const partnerHead = state.souls.coop.partner.snake[0];
+  state.base.food = { x: partnerHead.x + 1, y: partnerHead.y };
+
+  const next = stepFor(state, 400);
+  assert.equal(next.souls.objectiveProgress, 1);
+  assert.equal(next.base.score, 1);
+  assert.equal(next.souls.coop.partner.snake.length, 4);
+  assert.equal(next.base.snake.length, 3);
+});
+
+test("a downed partner is revived by collecting its echo in time", () => {
+  const state = createQuietCoop();
+  state.souls.coop.partner.armorCharges = 0;
+  const partnerHead = state.souls.coop.partner.snake[0];
+  state.souls.hazards = [{ x: partnerHead.x + 1, y: partnerHead.y, ttlMs: 60000 }];
+
+  const downed = stepFor(state, 400);
+  assert.equal(downed.isGameOver, false);
+  assert.deepEqual(downed.souls.coop.downed.position, partnerHead);
+  assert.equal(downed.souls.coop.downed.cause, "hazard");
+
+  // Nobody comes back for it: the run ends with the partner's death.
+  const abandoned = stepFor(downed, 11000);
+  assert.equal(abandoned.isGameOver, true);
+  assert.equal(abandoned.souls.lastDeathCause, "hazard");
+
+  // Player 1 swings down across the echo and brings the partner back.
+  let rescue = structuredClone(downed);
+  rescue.souls.hazards = [];
+  rescue.base.snake = [
+    { x: partnerHead.x, y: partnerHead.y - 1 },
+    { x: partnerHead.x - 1, y: partnerHead.y - 1 },
+    { x: partnerHead.x - 2, y: partnerHead.y - 1 },
+  ];
+  rescue.base.direction = "DOWN";
+  rescue = stepFor(rescue, 300);
+  assert.equal(rescue.souls.coop.downed, null);
+  assert.equal(rescue.souls.coop.partner.snake.length, 3);
+  assert.equal(rescue.isGameOver, false);
+});
+
+test("both snakes down ends the run and each uses its own armor", () => {
+  const state = createQuietCoop();
+  state.souls.armorCharges = 3;
+  state.souls.coop.partner.armorCharges = 0;
+  const head = state.base.snake[0];
+  const partnerHead = state.souls.coop.partner.snake[0];
+  state.souls.hazards = [
+    { x: head.x + 1, y: head.y, ttlMs: 60000 },
+    { x: partnerHead.x + 1, y: partnerHead.y, ttlMs: 60000 },
+  ];
+
+  const next = stepFor(state, 400);
+  assert.ok(next.souls.armorCharges < 3);
+  assert.equal(next.souls.coop.downed.playerIndex, 1);
+  assert.equal(next.isGameOver, false);
+
+  const wrecked = structuredClone(next);
+  wrecked.souls.armorCharges = 0;
+  wrecked.souls.hazards.push({
+    x: wrecked.base.snake[0].x + 1,
+    y: wrecked.base.snake[0].y,
+    ttlMs: 60000,
+  });
+  assert.equal(stepFor(wrecked, 400).isGameOver, true);
+});
+
+test("the tether holds a snake that would leave its partner off screen", () => {
+  const state = createQuietCoop();
+  const width = state.souls.camera.width;
+  state.souls.coop.partner.snake = [
+    { x: -(width - 3), y: 2 },
+    { x: -(width - 3) - 1, y: 2 },
+    { x: -(width - 3) - 2, y: 2 },
+  ];
+  state.souls.coop.partner.direction = "LEFT";
+  const next = stepFor(state, 600);
+  assert.deepEqual(next.base.snake[0], { x: 0, y: 0 });
+  assert.deepEqual(next.souls.coop.partner.snake[0], { x: -(width - 3), y: 2 });
+
+  // Turning back toward each other frees both snakes.
+  const freed = stepFor(queueModeDirection(queueModeDirection(next, "DOWN", 1), "DOWN"), 600);
+  assert.notDeepEqual(freed.base.snake[0], { x: 0, y: 0 });
+});
+
+test("bosses chase the closer head", () => {
+  const state = createQuietCoop();
+  state.souls.coop.partner.snake = [
+    { x: 0, y: 8 },
+    { x: -1, y: 8 },
+    { x: -2, y: 8 },
+  ];
+  // Player 1 is five rows above the boss, the partner three rows below.
+  state.enemy = { id: "dummy", x: 0, y: 5, width: 1, height: 1, moveEveryTicks: 1 };
+  state.souls.enemySpeedCps = 6;
+
+  const next = stepFor(state, 300);
+  assert.ok(next.enemy.y > 5);
+});
+
+test("boss rewards offer each player a set and wait for both picks", () => {
+  const coop = createModeState({
+    mode: "souls",
+    coop: true,
+    soulsProfile: SoulsProfile.createDefaultProfile(),
+    rng: () => 0.37,
+  });
+  const bossState = devSetSoulsFloor(coop, 3, { includeCountdown: false, rng: () => 0.33 });
+  bossState.souls.world = null;
+  bossState.barriers = [];
+  bossState.enemy = null;
+  bossState.souls.minions = [];
+  bossState.souls.objectiveProgress = 0;
+  bossState.souls.objectiveTarget = 1;
+  bossState.souls.sigil = { x: bossState.base.snake[0].x + 1, y: bossState.base.snake[0].y };
+
+  const won = stepModeState(bossState, { deltaMs: 250, rng: () => 0.55 });
+  const { reward } = won.souls;
+  assert.equal(reward.options.length, 3);
+  assert.equal(reward.partnerOptions.length, 3);
+  assert.equal(reward.options.some((id) => reward.partnerOptions.includes(id)), false);
+
+  // Each seat may only pick from its own set.
+  assert.equal(chooseSoulsReward(won, reward.partnerOptions[0], { playerIndex: 0 }), won);
+  const firstPick = chooseSoulsReward(won, reward.options[0]);
+  assert.deepEqual(firstPick.souls.reward.picks, [reward.options[0], null]);
+  assert.equal(chooseSoulsReward(firstPick, reward.options[1]), firstPick);
+
+  const done = chooseSoulsReward(firstPick, reward.partnerOptions[0], { playerIndex: 1 });
+  assert.equal(done.souls.reward, null);
+  assert.equal(done.souls.powers[reward.options[0]], 1);
+  assert.equal(done.souls.powers[reward.partnerOptions[0]], 1);
+  assert.equal(done.souls.stageFlow.phase, "message");
+
+  const rich = structuredClone(firstPick);
+  rich.souls.carriedRunes = 500;
+  assert.deepEqual(rerollSoulsReward(rich, { rng: () => 0.1 }).souls.reward.picks, [null, null]);
+});
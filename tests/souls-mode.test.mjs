@@ -5,9 +5,16 @@ import { createRequire } from "node:module";
 const require = createRequire(import.meta.url);
 const SoulsProfile = require("../src/souls-profile.js");
 const {
+  activateSoulsAbility,
   chooseSoulsReward,
   createModeState,
   devSetSoulsFloor,
+  flushSoulsPlayTime,
+  getRunDeathCause,
+  getSoulsAbilityStatus,
+  queueModeDirection,
+  rerollSoulsReward,
+  restartModeState,
   stepModeState,
 } = require("../src/snake-modes.js");
 
@@ -98,6 +105,98 @@ test("souls no longer dies on boundary crossing", () => {
   assert.deepEqual(next.base.snake[0], { x: 1001, y: 1000 });
 });
 
+test("souls game over records the death cause", () => {
+  const state = createSoulsMovementBenchmarkState();
+  state.souls.countdownMsRemaining = 0;
+  state.souls.stageFlow = { ...state.souls.stageFlow, phase: "idle" };
+  state.souls.armorCharges = 0;
+  state.base.snake = [
+    { x: 10, y: 10 },
+    { x: 9, y: 10 },
+    { x: 8, y: 10 },
+  ];
+  const head = state.base.snake[0];
+
+  const intoHazard = cloneState(state);
+  intoHazard.souls.hazards = [{ x: head.x + 1, y: head.y, msRemaining: 5000 }];
+
+  const hazardDeath = simulateSoulsWindow(intoHazard, { durationMs: 1000 });
+  assert.equal(hazardDeath.isGameOver, true);
+  assert.equal(hazardDeath.souls.lastDeathCause, "hazard");
+  assert.equal(getRunDeathCause(hazardDeath), "hazard");
+  assert.equal(hazardDeath.souls.profile.stats.deathsByCause.hazard, 1);
+
+  const intoEnemy = cloneState(state);
+  intoEnemy.enemy = { id: "dummy", x: head.x + 1, y: head.y, width: 1, height: 1 };
+  const enemyDeath = simulateSoulsWindow(intoEnemy, { durationMs: 1000 });
+  assert.equal(enemyDeath.isGameOver, true);
+  assert.equal(enemyDeath.souls.lastDeathCause, "enemy");
+  assert.equal(enemyDeath.souls.profile.stats.deathsByCause.boss, 1);
+  assert.equal(createSouls().souls.lastDeathCause, null);
+  assert.equal(getRunDeathCause(createSouls()), null);
+});
+
+test("souls restarts can start from a given profile instead of the run's copy", () => {
+  const state = createSouls();
+  state.souls.profile = SoulsProfile.addWalletRunes(state.souls.profile, 500);
+
+  assert.equal(restartModeState(state).souls.profile.walletRunes, 500);
+  const fromSaved = restartModeState(state, { soulsProfile: SoulsProfile.createDefaultProfile() });
+  assert.equal(fromSaved.souls.profile.walletRunes, 0);
+  assert.equal(fromSaved.souls.profile.stats.runsStarted, 1);
+});
+
+test("souls runs add lifetime stats to the run profile", () => {
+  const state = createSouls();
+  assert.equal(state.souls.profile.stats.runsStarted, 1);
+  assert.equal(state.souls.profile.stats.deepestFloorBySnake.basica, 1);
+
+  state.souls.world = null;
+  state.barriers = [];
+  state.enemy = null;
+  state.souls.minions = [];
+  state.souls.hazards = [];
+  state.souls.objectiveTarget = 1;
+  state.base.food = { x: state.base.snake[0].x + 1, y: state.base.snake[0].y };
+
+  let next = stepModeState(state, { deltaMs: 250, rng: () => 0.18 });
+  next = stepModeState(next, { deltaMs: 2000, rng: () => 0.18 });
+  next = stepModeState(next, { deltaMs: 3000, rng: () => 0.18 });
+
+  const stats = next.souls.profile.stats;
+  assert.equal(stats.foodCollected, 1);
+  assert.equal(stats.runesEarned, next.souls.carriedRunes);
+  assert.ok(stats.runesEarned > 0);
+  assert.equal(stats.deepestFloorBySnake.basica, 2);
+  assert.equal(stats.timePlayedMs.souls, 5250);
+  assert.deepEqual(next.souls.floorTimeline, [{ floor: 1, stageType: "normal", clearMs: 250 }]);
+  assert.equal(next.souls.floorElapsedMs, 0);
+  assert.deepEqual(next.souls.profile.achievements, ["primeiros_passos"]);
+
+  // Dev floor jumps don't count as reached.
+  const jumped = devSetSoulsFloor(createSouls(), 9, { includeCountdown: false, rng: () => 0.2 });
+  assert.equal(jumped.souls.profile.stats.deepestFloorBySnake.basica, 1);
+});
+
+test("souls play time is kept in the run and banked without rounding each step", () => {
+  const state = createSouls();
+  state.souls.world = null;
+  state.base.food = { x: 5000, y: 5000 };
+  state.souls.objectiveTarget = 99;
+
+  let next = state;
+  for (let i = 0; i < 9; i += 1) {
+    next = stepModeState(next, { deltaMs: 1000 / 90, rng: () => 0.41 });
+  }
+  assert.equal(next.souls.profile.stats.timePlayedMs.souls, 0);
+  assert.ok(Math.abs(next.souls.pendingPlayTimeMs - 100) < 1e-9);
+
+  const flushed = flushSoulsPlayTime(next);
+  assert.equal(flushed.souls.profile.stats.timePlayedMs.souls, 100);
+  assert.equal(flushed.souls.pendingPlayTimeMs, 0);
+  assert.equal(flushSoulsPlayTime(flushed), flushed);
+});
+
 test("souls camera follows snake head", () => {
   const state = createSouls();
   state.souls.world = null;
@@ -190,10 +289,14 @@ test("boss completion waits reward before message/countdown", () => {
   const afterBossWin = stepModeState(bossState, { deltaMs: 250, rng: () => 0.55 });
   assert.equal(afterBossWin.souls.stageFlow.phase, "reward");
   assert.ok(afterBossWin.souls.reward);
+  assert.ok(afterBossWin.souls.bankedRunes > 0);
+  assert.equal(afterBossWin.souls.floorTimeline.at(-1).stageType, "boss");
 
   const powerId = afterBossWin.souls.reward.options[0];
   const afterChoice = chooseSoulsReward(afterBossWin, powerId, { rng: () => 0.55 });
   assert.equal(afterChoice.souls.reward, null);
+  assert.equal(afterChoice.souls.profile.stats.sigilsCollected, 1);
+  assert.equal(afterChoice.souls.profile.stats.powerPicks[powerId], 1);
   assert.equal(afterChoice.souls.stageFlow.phase, "message");
 
   const afterMessage = stepModeState(afterChoice, { deltaMs: 2000, rng: () => 0.55 });
@@ -204,6 +307,110 @@ test("boss completion waits reward before message/countdown", () => {
   assert.equal(afterCountdown.souls.stageFlow.phase, "idle");
 });
 
+test("progress achievements unlock when their counters move, not on every step", () => {
+  const bossState = devSetSoulsFloor(createSouls(), 3, { includeCountdown: false, rng: () => 0.33 });
+  const bossId = Object.keys(bossState.souls.profile.bossKills)[0];
+  bossState.souls.profile = {
+    ...bossState.souls.profile,
+    bossKills: { ...bossState.souls.profile.bossKills, [bossId]: 19 },
+    stats: { ...bossState.souls.profile.stats, foodCollected: 500 },
+  };
+  bossState.souls.world = null;
+  bossState.barriers = [];
+  bossState.enemy = null;
+  bossState.souls.minions = [];
+  bossState.souls.hazards = [];
+  bossState.souls.objectiveType = "sigil";
+  bossState.souls.objectiveProgress = 0;
+  bossState.souls.objectiveTarget = 1;
+  bossState.souls.sigil = { x: 5000, y: 5001 };
+
+  // Plain steps leave a counter that is already past its goal unchecked.
+  const walked = stepModeState(bossState, { deltaMs: 250, rng: () => 0.55 });
+  assert.ok(!walked.souls.profile.achievements.includes("devorador"));
+
+  walked.souls.sigil = { x: walked.base.snake[0].x + 1, y: walked.base.snake[0].y };
+  walked.base.direction = "RIGHT";
+  walked.base.inputQueue = [];
+  const afterBossWin = stepModeState(walked, { deltaMs: 250, rng: () => 0.55 });
+  assert.equal(afterBossWin.souls.stageFlow.phase, "reward");
+  assert.ok(afterBossWin.souls.profile.achievements.includes("cacador_de_chefes"));
+  assert.ok(afterBossWin.souls.profile.achievements.includes("devorador"));
+});
+
+test("the abissal floor and echoes feed achievement events", () => {
+  const clearAbissal = (armorLost) => {
+    const state = devSetSoulsFloor(createSouls(), 12, { includeCountdown: false, rng: () => 0.33 });
+    state.souls.world = null;
+    state.barriers = [];
+    state.enemy = null;
+    state.souls.minions = [];
+    state.souls.hazards = [];
+    state.souls.objectiveType = "sigil";
+    state.souls.objectiveTarget = 1;
+    state.souls.floorArmorLost = armorLost;
+    state.souls.sigil = { x: state.base.snake[0].x + 1, y: state.base.snake[0].y };
+    return stepModeState(state, { deltaMs: 250, rng: () => 0.55 }).souls.profile.achievements;
+  };
+
+  assert.ok(clearAbissal(0).includes("intocavel"));
+  assert.equal(clearAbissal(1).includes("intocavel"), false);
+  assert.equal(clearAbissal(0).includes("segunda_volta"), false);
+
+  const state = createSouls();
+  state.souls.world = null;
+  state.barriers = [];
+  state.enemy = null;
+  state.souls.minions = [];
+  state.souls.hazards = [];
+  state.base.food = { x: 5000, y: 5000 };
+  state.souls.objectiveTarget = 99;
+  state.souls.profile = SoulsProfile.applyDeathEcho(state.souls.profile, 240);
+  state.souls.echo = { position: { x: state.base.snake[0].x + 1, y: state.base.snake[0].y } };
+
+  const next = stepModeState(state, { deltaMs: 250, rng: () => 0.41 });
+  assert.equal(next.souls.echo, null);
+  assert.deepEqual(next.souls.profile.achievements, ["nada_se_perde"]);
+});
+
+test("bought upgrades add armor, stamina, rerolls and a start pick", () => {
+  const plain = createSouls();
+  const soulsProfile = {
+    ...SoulsProfile.createDefaultProfile(),
+    metaUpgrades: {
+      armadura_inicial: 2,
+      estamina_maior: 3,
+      reroll_extra: 1,
+      eco_persistente: 1,
+      poder_inicial: 1,
+    },
+  };
+  const state = createModeState({ mode: "souls", soulsProfile, rng: () => 0.37 });
+
+  assert.equal(state.souls.armorCharges, plain.souls.armorCharges + 2);
+  assert.equal(state.souls.stamina.max, plain.souls.stamina.max + 45);
+  assert.equal(plain.souls.reward, null);
+
+  // The start pick pauses floor 1 and resumes it once chosen.
+  assert.equal(state.souls.reward.source, "start");
+  assert.equal(state.isPaused, true);
+  assert.deepEqual(stepModeState(state, { deltaMs: 250, rng: () => 0.4 }).base.snake, state.base.snake);
+  const picked = chooseSoulsReward(state, state.souls.reward.options[0]);
+  assert.equal(picked.souls.reward, null);
+  assert.equal(picked.souls.floor, 1);
+  assert.equal(picked.souls.stageFlow.phase, "idle");
+  assert.equal(picked.isPaused, false);
+
+  // Two rerolls per reward with reroll_extra.
+  let rich = { ...state, souls: { ...state.souls, carriedRunes: 100 } };
+  rich = rerollSoulsReward(rich, { rng: () => 0.1 });
+  assert.equal(rich.souls.reward.rerolled, false);
+  rich = rerollSoulsReward(rich, { rng: () => 0.6 });
+  assert.equal(rich.souls.reward.rerolled, true);
+  assert.equal(rerollSoulsReward(rich, { rng: () => 0.3 }), rich);
+  assert.equal(rich.souls.carriedRunes, 40);
+});
+
 test("sigil indicator points when sigil is offscreen", () => {
   const state = createSouls();
   state.souls.world = null;
@@ -429,3 +636,210 @@ test("boss 1 matches normal snake speed and stamina boost opens escape window",
   });
   assert.ok(boostedStep.souls.snakeSpeedCps > boostedStep.souls.enemySpeedCps);
 });
+
+function serializeWithoutWorld(state) {
+  return JSON.stringify(state, (key, value) => (key === "world" ? undefined : value));
+}
+
+test("souls runs with the same seed replay identically", () => {
+  const play = () => {
+    let state = createModeState({
+      mode: "souls",
+      soulsProfile: SoulsProfile.createDefaultProfile(),
+      seed: "daily-test",
+    });
+    const turns = ["DOWN", "RIGHT", "UP", "RIGHT"];
+    for (let i = 0; i < 900 && !state.isGameOver; i += 1) {
+      if (i % 45 === 0) {
+        state = queueModeDirection(state, turns[(i / 45) % turns.length]);
+      }
+      state = stepModeState(state, { deltaMs: 1000 / 90 });
+    }
+    return state;
+  };
+
+  const first = play();
+  const second = play();
+  assert.equal(serializeWithoutWorld(second), serializeWithoutWorld(first));
+  assert.equal(first.souls.world.seed, second.souls.world.seed);
+});
+
+test("souls 8-way movement dies squeezing between two body segments", () => {
+  const state = createSoulsMovementBenchmarkState();
+  state.souls.countdownMsRemaining = 0;
+  state.souls.stageFlow = { ...state.souls.stageFlow, phase: "idle" };
+  state.base.movement = "8way";
+  state.base.snake = [
+    { x: 10, y: 10 },
+    { x: 10, y: 11 },
+    { x: 11, y: 10 },
+    { x: 10, y: 9 },
+    { x: 9, y: 8 },
+  ];
+  state.base.direction = "UP";
+  state.base.inputQueue = ["UP_RIGHT"];
+
+  const next = simulateSoulsWindow(state, { durationMs: 1000 });
+  assert.equal(next.isGameOver, true);
+  assert.equal(next.souls.lastDeathCause, "self");
+  assert.equal(
+    createModeState({ mode: "souls", movement: "8way", rng: () => 0.37 }).base.movement,
+    "8way"
+  );
+});
+
+test("challenge runs hand out their snake and powers and apply souls modifiers", () => {
+  const challenge = {
+    id: "daily:2026-10-19",
+    kind: "daily",
+    snakeId: "tanque",
+    powers: { muralha: 1, inexistente: 2 },
+    modifiers: [],
+  };
+  const plain = createModeState({
+    mode: "souls",
+    soulsProfile: SoulsProfile.createDefaultProfile(),
+    challenge,
+    rng: () => 0.37,
+  });
+  // The default profile hasn't unlocked the tank; the challenge lends it anyway.
+  assert.equal(plain.souls.selectedSnakeId, "tanque");
+  assert.deepEqual(plain.souls.powers, { muralha: 1 });
+  assert.equal(plain.souls.armorCharges, 2);
+  assert.equal(plain.souls.profile.selectedSnakeId, SoulsProfile.createDefaultProfile().selectedSnakeId);
+
+  const modified = createModeState({
+    mode: "souls",
+    soulsProfile: SoulsProfile.createDefaultProfile(),
+    challenge: { ...challenge, modifiers: ["noArmor", "hasty", "horde"] },
+    rng: () => 0.37,
+  });
+  assert.equal(modified.souls.armorCharges, 0);
+  assert.deepEqual(modified.challenge.modifiers, ["noArmor", "hasty", "horde"]);
+  assert.ok(modified.souls.snakeSpeedCps > plain.souls.snakeSpeedCps);
+});
+
+function createSoulsWithSnake(snakeId, options = {}) {
+  return createModeState({
+    mode: "souls",
+    soulsProfile: {
+      ...SoulsProfile.createDefaultProfile(),
+      unlockedSnakeIds: ["basica", "veloz", "tanque", "vidente"],
+    },
+    soulsSnakeId: snakeId,
+    rng: () => 0.37,
+    ...options,
+  });
+}
+
+test("snake abilities spend stamina up front and then recharge", () => {
+  const start = createSoulsMovementBenchmarkState();
+  const dashed = activateSoulsAbility(start, { rng: () => 0.3 });
+
+  assert.equal(dashed.souls.stamina.current, start.souls.stamina.current - 25);
+  assert.deepEqual(dashed.souls.ability, { cooldownMsRemaining: 6000, activeMsRemaining: 600 });
+  assert.equal(activateSoulsAbility(dashed, { rng: () => 0.3 }), dashed);
+  assert.equal(getSoulsAbilityStatus(dashed).ready, false);
+
+  const cruising = simulateSoulsWindow(start, { durationMs: 600 });
+  const dashing = simulateSoulsWindow(dashed, { durationMs: 600 });
+  assert.ok(getForwardDisplacementX(start, dashing) > getForwardDisplacementX(start, cruising));
+
+  const recharged = simulateSoulsWindow(dashed, { durationMs: 6000 });
+  assert.equal(getSoulsAbilityStatus(recharged).ready, true);
+  assert.equal(getSoulsAbilityStatus(recharged).charge, 1);
+
+  const tired = cloneState(start);
+  tired.souls.stamina.current = 20;
+  assert.equal(activateSoulsAbility(tired, { rng: () => 0.3 }), tired);
+  tired.souls.stamina = { ...tired.souls.stamina, current: 90, phase: "recovering_lock" };
+  assert.equal(getSoulsAbilityStatus(tired).hasStamina, false);
+  assert.equal(activateSoulsAbility({ ...start, isPaused: true }).souls.ability, start.souls.ability);
+});
+
+test("Atravessar slips past the snake's own body", () => {
+  const coiled = createSoulsMovementBenchmarkState();
+  coiled.souls.selectedSnakeId = "veloz";
+  coiled.base.snake = [
+    { x: 10, y: 10 },
+    { x: 11, y: 10 },
+    { x: 11, y: 11 },
+    { x: 10, y: 11 },
+    { x: 9, y: 11 },
+  ];
+  coiled.base.direction = "LEFT";
+  coiled.base.inputQueue = ["DOWN"];
+
+  const crashed = simulateSoulsWindow(coiled, { durationMs: 600 });
+  assert.equal(crashed.souls.lastDeathCause, "self");
+
+  const phased = simulateSoulsWindow(activateSoulsAbility(coiled, { rng: () => 0.3 }), {
+    durationMs: 600,
+  });
+  assert.equal(phased.isGameOver, false);
+  assert.ok(phased.base.snake[0].y > 11);
+});
+
+test("Aríete knocks down one barrier instead of spending armor", () => {
+  const ramInto = (useAbility) => {
+    let state = stepModeState(createSoulsWithSnake("tanque", { seed: 7 }), {
+      deltaMs: 16,
+      rng: () => 0.3,
+    });
+    const barrier = state.barriers[0];
+    state.base.snake = [1, 2, 3].map((offset) => ({ x: barrier.x - offset, y: barrier.y }));
+    state.base.direction = "RIGHT";
+    state.base.inputQueue = [];
+    if (useAbility) {
+      state = activateSoulsAbility(state, { rng: () => 0.3 });
+    }
+    for (let i = 0; i < 60 && state.base.snake[0].x < barrier.x; i += 1) {
+      state = stepModeState(state, { deltaMs: 16, rng: () => 0.3 });
+    }
+    return { state, barrier };
+  };
+
+  const blocked = ramInto(false);
+  assert.equal(blocked.state.souls.armorCharges, 0);
+
+  const { state, barrier } = ramInto(true);
+  assert.equal(state.isGameOver, false);
+  assert.equal(state.souls.armorCharges, 1);
+  assert.equal(state.souls.ability.activeMsRemaining, 0);
+  assert.equal(state.barriers.some((cell) => cell.x === barrier.x && cell.y === barrier.y), false);
+});
+
+test("Presságio reveals where the next sigil spawns on boss floors", () => {
+  const normal = createSoulsWithSnake("vidente");
+  assert.equal(getSoulsAbilityStatus(normal).ready, false);
+  assert.equal(activateSoulsAbility(normal, { rng: () => 0.3 }), normal);
+
+  const boss = stepModeState(
+    devSetSoulsFloor(createSoulsWithSnake("vidente"), 3, {
+      includeCountdown: false,
+      rng: () => 0.37,
+    }),
+    { deltaMs: 16, rng: () => 0.3 }
+  );
+  // Runs get a random seed, so clear the random world around the snake.
+  boss.souls.world = null;
+  boss.barriers = [];
+  boss.enemy = null;
+  boss.souls.minions = [];
+  boss.souls.hazards = [];
+  boss.souls.sigil = null;
+  boss.souls.sigilRespawnMsRemaining = 500;
+
+  const foreseen = activateSoulsAbility(boss, { rng: () => 0.3 });
+  const forecast = foreseen.souls.sigilForecast;
+  assert.ok(forecast);
+  assert.equal(foreseen.souls.stamina.current, boss.souls.stamina.current - 35);
+  assert.equal(getSoulsAbilityStatus(foreseen).ready, false);
+
+  let state = foreseen;
+  for (let i = 0; i < 10 && !state.souls.sigil; i += 1) {
+    state = stepModeState(state, { deltaMs: 100, rng: () => 0.3 });
+  }
+  assert.deepEqual(state.souls.sigil, forecast);
+  assert.equal(state.souls.sigilForecast, null);
+});
@@ -117,6 +117,25 @@ test("legacy profile without bossKills is sanitized safely", () => {
   });
 });
 
+test("challenge history keeps only known challenge ids with safe results", () => {
+  const profile = SoulsProfile.setChallengeHistory(SoulsProfile.createDefaultProfile(), {
+    "daily:2026-10-19": { kind: "weekly", status: "finished", score: 41.7, progress: 3 },
+    "weekly:2026-W43": { status: "bogus", score: -5 },
+    "monthly:2026-10": { status: "finished", score: 10 },
+    "daily:hoje": { status: "finished", score: 10 },
+  });
+
+  assert.deepEqual(profile.challengeHistory, {
+    "daily:2026-10-19": { kind: "daily", status: "finished", score: 41, progress: 3 },
+    "weekly:2026-W43": { kind: "weekly", status: "started", score: 0, progress: 0 },
+  });
+  assert.deepEqual(
+    SoulsProfile.loadProfile(SoulsProfile.saveProfile(profile)).challengeHistory,
+    profile.challengeHistory
+  );
+  assert.deepEqual(SoulsProfile.loadProfile(JSON.stringify({ walletRunes: 1 })).challengeHistory, {});
+});
+
 test("forceUnlockNext ignores economy gates and unlocks in fixed order", () => {
   let profile = SoulsProfile.createDefaultProfile();
 
@@ -152,3 +171,199 @@ test("forceUnlockAll unlocks all snakes and keeps profile sanitized", () => {
   assert.ok(result.profile.eligibleUnlocks >= SoulsData.UNLOCK_ORDER.length);
   assert.ok(result.profile.finalBossClears >= SoulsData.UNLOCK_ORDER.length);
 });
+
+test("v1 saves migrate to the current version and report a backup", () => {
+  const v1 = JSON.stringify({
+    version: 1,
+    walletRunes: 40,
+    unlockedSnakeIds: ["basica"],
+    selectedSnakeId: "basica",
+    finalBossClears: 0,
+    eligibleUnlocks: 0,
+    pendingEcho: { runes: 9 },
+  });
+
+  const result = SoulsProfile.readProfile(v1);
+  assert.equal(result.ok, true);
+  assert.equal(result.fromVersion, 1);
+  assert.equal(result.backup, v1);
+  assert.equal(result.profile.version, SoulsProfile.PROFILE_VERSION);
+  assert.equal(result.profile.walletRunes, 40);
+  assert.deepEqual(result.profile.challengeHistory, {});
+
+  // Current saves load without a backup.
+  const current = SoulsProfile.readProfile(SoulsProfile.saveProfile(result.profile));
+  assert.equal(current.backup, null);
+  assert.deepEqual(current.profile, result.profile);
+});
+
+test("unknown and future fields survive loading, edits and saving", () => {
+  const future = JSON.stringify({
+    ...SoulsProfile.createDefaultProfile(),
+    version: SoulsProfile.PROFILE_VERSION + 3,
+    walletRunes: 15,
+    lifetimeStats: { runs: 12 },
+  });
+
+  const loaded = SoulsProfile.loadProfile(future);
+  assert.equal(loaded.version, SoulsProfile.PROFILE_VERSION + 3);
+  assert.deepEqual(loaded.lifetimeStats, { runs: 12 });
+
+  const spent = SoulsProfile.addWalletRunes(loaded, 5);
+  const reloaded = SoulsProfile.loadProfile(SoulsProfile.saveProfile(spent));
+  assert.equal(reloaded.walletRunes, 20);
+  assert.deepEqual(reloaded.lifetimeStats, { runs: 12 });
+  assert.equal(reloaded.version, SoulsProfile.PROFILE_VERSION + 3);
+});
+
+test("migrations run in order and failures keep the original for backup", () => {
+  const migrations = {
+    ...SoulsProfile.PROFILE_MIGRATIONS,
+    2: (profile) => ({ ...profile, walletRunes: profile.walletRunes * 2 }),
+    3: (profile) => ({ ...profile, walletRunes: profile.walletRunes + 1 }),
+  };
+  const v1 = { version: 1, walletRunes: 10, oldFlag: true };
+  const migrated = SoulsProfile.migrateProfile(v1, { migrations, targetVersion: 4 });
+  assert.equal(migrated.ok, true);
+  assert.deepEqual(migrated.profile.walletRunes, 21);
+  assert.equal(migrated.profile.version, 4);
+  assert.equal(migrated.profile.oldFlag, true);
+  assert.deepEqual(v1, { version: 1, walletRunes: 10, oldFlag: true });
+
+  const broken = SoulsProfile.readProfile(JSON.stringify(v1), {
+    targetVersion: 4,
+    migrations: {
+      ...migrations,
+      3: () => {
+        throw new Error("formato inesperado");
+      },
+    },
+  });
+  assert.equal(broken.ok, false);
+  assert.match(broken.error, /versão 3 para a 4: formato inesperado/);
+  assert.equal(broken.backup, JSON.stringify(v1));
+  assert.equal(broken.profile.walletRunes, 10);
+  assert.equal(broken.profile.version, 1);
+  assert.equal(broken.fromVersion, 1);
+
+  const missing = SoulsProfile.migrateProfile(v1, { migrations: {}, targetVersion: 2 });
+  assert.equal(missing.ok, false);
+
+  const corrupt = SoulsProfile.readProfile("{not-json");
+  assert.equal(corrupt.ok, false);
+  assert.equal(corrupt.backup, "{not-json");
+  assert.equal(corrupt.profile.walletRunes, 0);
+});
+
+test("v2 saves gain empty lifetime stats and addStats merges deltas", () => {
+  const v2 = { ...SoulsProfile.createDefaultProfile(), version: 2 };
+  delete v2.stats;
+  const migrated = SoulsProfile.readProfile(JSON.stringify(v2));
+  assert.equal(migrated.ok, true);
+  assert.equal(migrated.fromVersion, 2);
+  assert.deepEqual(migrated.profile.stats, SoulsProfile.createEmptyStats());
+
+  let profile = SoulsProfile.addStats(migrated.profile, {
+    runsStarted: 1,
+    deathsByCause: { wall: 1, lava: 3 },
+    deepestFloorBySnake: { basica: 6 },
+    timePlayedMs: { levels: 1500.7 },
+    powerPicks: { ima: 2 },
+  });
+  profile = SoulsProfile.addStats(profile, {
+    runsStarted: 1,
+    deathsByCause: { wall: 1 },
+    deepestFloorBySnake: { basica: 4 },
+    foodCollected: -5,
+  });
+
+  const { stats } = SoulsProfile.loadProfile(SoulsProfile.saveProfile(profile));
+  assert.equal(stats.runsStarted, 2);
+  assert.equal(stats.deathsByCause.wall, 2);
+  assert.equal("lava" in stats.deathsByCause, false);
+  assert.equal(stats.deepestFloorBySnake.basica, 6);
+  assert.equal(stats.timePlayedMs.levels, 1500);
+  assert.equal(stats.powerPicks.ima, 2);
+  assert.equal(stats.foodCollected, 0);
+});
+
+test("v3 saves gain an empty achievement list with safe ids", () => {
+  const v3 = { ...SoulsProfile.createDefaultProfile(), version: 3 };
+  delete v3.achievements;
+  delete v3.selectedSkinId;
+  const migrated = SoulsProfile.readProfile(JSON.stringify(v3));
+  assert.equal(migrated.ok, true);
+  assert.equal(migrated.fromVersion, 3);
+  assert.deepEqual(migrated.profile.achievements, []);
+  assert.equal(migrated.profile.selectedSkinId, null);
+
+  const profile = SoulsProfile.sanitizeProfile({
+    ...migrated.profile,
+    achievements: ["intocavel", "intocavel", "Bad Id", 7, "futura_conquista"],
+    selectedSkinId: "<brasa>",
+  });
+  assert.deepEqual(profile.achievements, ["intocavel", "futura_conquista"]);
+  assert.equal(profile.selectedSkinId, null);
+});
+
+test("upgrades follow prerequisites and escalating costs", () => {
+  const v4 = { ...SoulsProfile.createDefaultProfile(), version: 4 };
+  delete v4.metaUpgrades;
+  const migrated = SoulsProfile.readProfile(JSON.stringify(v4));
+  assert.equal(migrated.fromVersion, 4);
+  assert.equal(SoulsProfile.getMetaUpgradeLevel(migrated.profile, "armadura_inicial"), 0);
+
+  let profile = SoulsProfile.addWalletRunes(migrated.profile, 600);
+  assert.equal(SoulsProfile.purchaseMetaUpgrade(profile, "voar").reason, "unknown-upgrade");
+  assert.equal(SoulsProfile.purchaseMetaUpgrade(profile, "eco_persistente").reason, "missing-requirement");
+  assert.deepEqual(SoulsProfile.getMissingMetaRequirements(profile, "poder_inicial").map((item) => item.id), [
+    "reroll_extra",
+    "eco_persistente",
+  ]);
+
+  profile = SoulsProfile.purchaseMetaUpgrade(profile, "armadura_inicial").profile;
+  assert.equal(profile.walletRunes, 450);
+  const second = SoulsProfile.purchaseMetaUpgrade(profile, "armadura_inicial");
+  assert.equal(second.ok, true);
+  assert.equal(second.profile.walletRunes, 100);
+  assert.equal(SoulsProfile.purchaseMetaUpgrade(second.profile, "armadura_inicial").reason, "maxed");
+  assert.equal(SoulsProfile.purchaseMetaUpgrade(second.profile, "eco_persistente").reason, "insufficient-runes");
+  assert.equal(SoulsProfile.getMetaUpgradeBonus(second.profile, "armadura_inicial"), 2);
+
+  // Edited saves can't go past the last level.
+  const edited = SoulsProfile.sanitizeProfile({ ...profile, metaUpgrades: { reroll_extra: 9, voar: 2 } });
+  assert.deepEqual(edited.metaUpgrades, {
+    armadura_inicial: 0,
+    estamina_maior: 0,
+    reroll_extra: 1,
+    eco_persistente: 0,
+    poder_inicial: 0,
+  });
+});
+
+test("eco_persistente keeps part of an echo replaced by a new death", () => {
+  let profile = {
+    ...SoulsProfile.applyDeathEcho(SoulsProfile.createDefaultProfile(), 100),
+    metaUpgrades: { armadura_inicial: 1, eco_persistente: 2 },
+  };
+  profile = SoulsProfile.applyDeathEcho(profile, 30);
+  assert.equal(profile.pendingEcho.runes, 80);
+  assert.equal(profile.stats.runesLostToEchoes, 50);
+});
+
+test("runes of an echo replaced by a new death count as lost", () => {
+  let profile = SoulsProfile.applyDeathEcho(SoulsProfile.createDefaultProfile(), 30);
+  assert.equal(profile.stats.runesLostToEchoes, 0);
+
+  // Dying empty-handed keeps the old echo around.
+  profile = SoulsProfile.applyDeathEcho(profile, 0);
+  assert.equal(profile.stats.runesLostToEchoes, 0);
+
+  profile = SoulsProfile.applyDeathEcho(profile, 12);
+  assert.equal(profile.stats.runesLostToEchoes, 30);
+  assert.equal(profile.pendingEcho.runes, 12);
+
+  profile = SoulsProfile.collectEcho(profile).profile;
+  profile = SoulsProfile.applyDeathEcho(profile, 5);
+  assert.equal(profile.stats.runesLostToEchoes, 30);
+});
@@ -6,6 +6,8 @@ const require = createRequire(import.meta.url);
 const {
   buildRewardRenderKey,
   canSelectReward,
+  getRewardOptionsForSeat,
+  getRewardSeat,
 } = require("../src/souls-ui-helpers.js");
 
 test("buildRewardRenderKey returns same key for same reward and stacks", () => {
@@ -56,6 +58,23 @@ test("buildRewardRenderKey changes when options, reroll or stacks change", () =>
   assert.notEqual(keyBase, keyStacks);
 });
 
+test("co-op rewards hand the options to whichever seat still has to pick", () => {
+  const reward = {
+    options: ["folego", "muralha", "ima"],
+    partnerOptions: ["voracidade", "adrenalina", "passo_fantasma"],
+    rerolled: false,
+    source: "boss",
+    picks: [null, null],
+  };
+  assert.equal(getRewardSeat({ options: ["folego"] }), 0);
+  assert.equal(getRewardSeat(reward), 0);
+
+  const afterFirst = { ...reward, picks: ["ima", null] };
+  assert.equal(getRewardSeat(afterFirst), 1);
+  assert.deepEqual(getRewardOptionsForSeat(afterFirst, 1), reward.partnerOptions);
+  assert.notEqual(buildRewardRenderKey(afterFirst, {}), buildRewardRenderKey(reward, {}));
+});
+
 test("buildRewardRenderKey returns null when reward is invalid", () => {
   assert.equal(buildRewardRenderKey(null, {}), null);
   assert.equal(buildRewardRenderKey({}, {}), null);
@@ -147,3 +147,29 @@ test("reenterEnemyAtEdge respects cooldown and safe distance", () => {
   );
   assert.ok(stillCooling.reentryCooldownMs < moved.reentryCooldownMs);
 });
+
+test("destroyed barriers stay down when their chunk comes back", () => {
+  const world = SoulsWorld.createWorldSession({
+    seed: 11,
+    chunkSize: 32,
+    activeRadius: 1,
+    stageType: "boss",
+    cycle: 1,
+  });
+  SoulsWorld.updateActiveChunks(world, { x: 0, y: 0 });
+  const chunk = world.activeChunks.get("0,0");
+  const layout = chunk.obstacles.map(({ x, y }) => `${x},${y}`);
+  const [target] = layout;
+  const [x, y] = target.split(",").map(Number);
+
+  assert.equal(SoulsWorld.destroyBarrier(world, { x, y }), true);
+  assert.equal(SoulsWorld.destroyBarrier(world, { x, y }), false);
+
+  SoulsWorld.updateActiveChunks(world, { x: 640, y: 640 });
+  assert.equal(world.activeChunks.has("0,0"), false);
+  SoulsWorld.updateActiveChunks(world, { x: 0, y: 0 });
+  assert.deepEqual(
+    world.activeChunks.get("0,0").obstacles.map((obstacle) => `${obstacle.x},${obstacle.y}`),
+    layout.slice(1)
+  );
+});
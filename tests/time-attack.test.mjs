@@ -0,0 +1,91 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const TimeAttack = require("../src/time-attack.js");
+const { createModeState } = require("../src/snake-modes.js");
+
+function makeRun(splitTimes, completed = true) {
+  return {
+    course: "score",
+    splitCount: 3,
+    elapsedMs: splitTimes[splitTimes.length - 1] ?? 0,
+    splits: splitTimes.map((elapsedMs, index) => ({
+      elapsedMs,
+      splitMs: elapsedMs - (splitTimes[index - 1] ?? 0),
+    })),
+    completed,
+  };
+}
+
+test("loadRecords falls back to empty records and drops broken bests", () => {
+  assert.deepEqual(TimeAttack.loadRecords(null), TimeAttack.createEmptyRecords());
+  assert.deepEqual(TimeAttack.loadRecords("{not json"), TimeAttack.createEmptyRecords());
+
+  const records = TimeAttack.loadRecords(
+    JSON.stringify({
+      bests: {
+        ok: { elapsedMs: 9000.4, splits: [3000, "x", 6000, 9000] },
+        broken: { elapsedMs: -1, splits: [] },
+      },
+    })
+  );
+  assert.deepEqual(records.bests, { ok: { elapsedMs: 9000, splits: [3000, 6000, 9000] } });
+  assert.deepEqual(TimeAttack.loadRecords(TimeAttack.saveRecords(records)), records);
+});
+
+test("recordRun keeps only completed runs that beat the stored best", () => {
+  const first = TimeAttack.recordRun(null, "course", makeRun([3000, 6000, 9000]));
+  assert.equal(first.isNewBest, true);
+  assert.deepEqual(first.best, { elapsedMs: 9000, splits: [3000, 6000, 9000] });
+
+  const slower = TimeAttack.recordRun(first.records, "course", makeRun([2000, 6000, 9500]));
+  assert.equal(slower.isNewBest, false);
+  assert.equal(slower.best.elapsedMs, 9000);
+
+  const unfinished = TimeAttack.recordRun(first.records, "course", makeRun([1000], false));
+  assert.equal(unfinished.isNewBest, false);
+
+  const faster = TimeAttack.recordRun(first.records, "course", makeRun([2500, 5000, 8000]));
+  assert.equal(faster.isNewBest, true);
+  assert.equal(TimeAttack.getBest(faster.records, "course").elapsedMs, 8000);
+  assert.equal(TimeAttack.getBest(faster.records, "other"), null);
+});
+
+test("live delta holds at the last split until the best's next split is passed", () => {
+  const best = { elapsedMs: 9000, splits: [3000, 6000, 9000] };
+
+  assert.equal(TimeAttack.getLiveDeltaMs(null, makeRun([])), null);
+  assert.equal(TimeAttack.getLiveDeltaMs(best, { ...makeRun([]), elapsedMs: 2000 }), null);
+  assert.equal(TimeAttack.getLiveDeltaMs(best, { ...makeRun([]), elapsedMs: 3400 }), 400);
+
+  const ahead = { ...makeRun([2500]), elapsedMs: 5000 };
+  assert.equal(TimeAttack.getLiveDeltaMs(best, ahead), -500);
+  assert.equal(TimeAttack.getLiveDeltaMs(best, { ...ahead, elapsedMs: 6300 }), 300);
+  assert.equal(TimeAttack.getSplitDeltaMs(best, 1, 5800), -200);
+  assert.equal(TimeAttack.getSplitDeltaMs(null, 1, 5800), null);
+});
+
+test("course keys separate goals, seeds and board rules", () => {
+  const score = createModeState({ mode: "timeattack", width: 20, height: 20 });
+  const levels = createModeState({ mode: "timeattack", course: "levels", width: 20, height: 20 });
+  const wrapped = createModeState({ mode: "timeattack", width: 20, height: 20, wrapWalls: true });
+  const seeded = createModeState({ mode: "timeattack", width: 20, height: 20, seed: 5 });
+
+  const keys = [score, levels, wrapped, seeded].map(TimeAttack.getCourseKey);
+  assert.equal(new Set(keys).size, 4);
+  assert.equal(
+    TimeAttack.getCourseKey(createModeState({ mode: "timeattack", width: 20, height: 20 })),
+    keys[0]
+  );
+});
+
+test("clock and delta formatting", () => {
+  assert.equal(TimeAttack.formatClockMs(0), "00:00.0");
+  assert.equal(TimeAttack.formatClockMs(83456), "01:23.4");
+  assert.equal(TimeAttack.formatDeltaMs(-1250), "-1.3s");
+  assert.equal(TimeAttack.formatDeltaMs(400), "+0.4s");
+  assert.equal(TimeAttack.formatDeltaMs(0), "±0.0s");
+  assert.equal(TimeAttack.formatDeltaMs(null), "-");
+});
@@ -0,0 +1,483 @@
+#!/usr/bin/env node
+// Servidor de referência do multiplayer em rede (WebSocket, sem dependências).
+//
+//   node tools/net-server.mjs
+//   node tools/net-server.mjs --port 9000 --host 127.0.0.1
+//
+// Roda a simulação autoritativa (NetProtocol + SnakeModes) e também serve os
+// arquivos do jogo: na LAN, os outros jogadores abrem http://<ip-do-host>:8787/
+// e usam o painel Online do menu.
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { createRequire } from "node:module";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const require = createRequire(import.meta.url);
+const NetProtocol = require("../src/net-protocol.js");
+const RunSeed = require("../src/run-seed.js");
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const OPCODES = Object.freeze({
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa,
+});
+const STATIC_FILES = Object.freeze(["index.html", "styles.css"]);
+const STATIC_DIRS = Object.freeze(["src", "levels"]);
+const CONTENT_TYPES = Object.freeze({
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+});
+
+const USAGE = `Uso: node tools/net-server.mjs [opções]
+
+  --port N     porta HTTP/WebSocket (padrão ${NetProtocol.DEFAULT_PORT})
+  --host H     interface de escuta (padrão 0.0.0.0, toda a LAN)
+  --help       mostra esta ajuda`;
+
+export function createAcceptKey(key) {
+  return crypto.createHash("sha1").update(`${key}${WEBSOCKET_GUID}`).digest("base64");
+}
+
+// Servers send unmasked frames; `mask` is only for client-side use (tests).
+export function encodeFrame(data, options = {}) {
+  const opcode = options.opcode ?? OPCODES.text;
+  const payload = Buffer.isBuffer(data) ? data : Buffer.from(String(data), "utf8");
+  const mask = options.mask ?? null;
+  const lengthBytes = payload.length < 126 ? 0 : payload.length < 65536 ? 2 : 8;
+  const header = Buffer.alloc(2 + lengthBytes + (mask ? 4 : 0));
+
+  header[0] = 0x80 | opcode;
+  const maskBit = mask ? 0x80 : 0;
+  if (lengthBytes === 0) {
+    header[1] = maskBit | payload.length;
+  } else if (lengthBytes === 2) {
+    header[1] = maskBit | 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header[1] = maskBit | 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+
+  if (!mask) {
+    return Buffer.concat([header, payload]);
+  }
+  mask.copy(header, 2 + lengthBytes);
+  const masked = Buffer.alloc(payload.length);
+  for (let index = 0; index < payload.length; index += 1) {
+    masked[index] = payload[index] ^ mask[index % 4];
+  }
+  return Buffer.concat([header, masked]);
+}
+
+// Feeds raw socket chunks and returns whole messages; fragments are joined
+// and control frames come through as they arrive.
+export function createFrameParser() {
+  let buffered = Buffer.alloc(0);
+  let fragments = null;
+
+  return function push(chunk) {
+    buffered = Buffer.concat([buffered, chunk]);
+    const messages = [];
+
+    while (buffered.length >= 2) {
+      const fin = (buffered[0] & 0x80) !== 0;
+      const opcode = buffered[0] & 0x0f;
+      const masked = (buffered[1] & 0x80) !== 0;
+      let length = buffered[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffered.length < 4) break;
+        length = buffered.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffered.length < 10) break;
+        length = Number(buffered.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (length > MAX_MESSAGE_BYTES) {
+        throw new Error("Mensagem WebSocket grande demais.");
+      }
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (buffered.length < offset + length) break;
+
+      const payload = Buffer.from(buffered.subarray(offset, offset + length));
+      if (masked) {
+        for (let index = 0; index < payload.length; index += 1) {
+          payload[index] ^= buffered[maskOffset + (index % 4)];
+        }
+      }
+      buffered = buffered.subarray(offset + length);
+
+      if (opcode >= OPCODES.close) {
+        messages.push({ opcode, payload });
+        continue;
+      }
+      if (opcode !== OPCODES.continuation) {
+        fragments = { opcode, parts: [] };
+      }
+      if (!fragments) {
+        throw new Error("Fragmento WebSocket sem início.");
+      }
+      fragments.parts.push(payload);
+      const total = fragments.parts.reduce((sum, part) => sum + part.length, 0);
+      if (total > MAX_MESSAGE_BYTES) {
+        throw new Error("Mensagem WebSocket grande demais.");
+      }
+      if (fin) {
+        messages.push({ opcode: fragments.opcode, payload: Buffer.concat(fragments.parts) });
+        fragments = null;
+      }
+    }
+
+    return messages;
+  };
+}
+
+// Only the game itself is served: the repo root also holds .git, tools and
+// docs, which have no business on the LAN.
+function resolveStaticPath(pathname, rootDir) {
+  const segments = pathname.split("/").filter(Boolean);
+  if (segments.length === 0) {
+    return path.join(rootDir, "index.html");
+  }
+  if (segments.some((segment) => segment.startsWith(".") || /[\\\0]/.test(segment))) {
+    return null;
+  }
+
+  const allowed =
+    segments.length === 1
+      ? STATIC_FILES.includes(segments[0])
+      : STATIC_DIRS.includes(segments[0]);
+  return allowed ? path.join(rootDir, ...segments) : null;
+}
+
+function serveStatic(request, response, rootDir) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(request.url, "http://localhost").pathname);
+  } catch {
+    response.writeHead(400).end();
+    return;
+  }
+
+  const filePath = resolveStaticPath(pathname, rootDir);
+  if (request.method !== "GET" || !filePath) {
+    response.writeHead(404).end();
+    return;
+  }
+
+  fs.readFile(filePath, (error, data) => {
+    if (error) {
+      response.writeHead(404).end();
+      return;
+    }
+    response.writeHead(200, {
+      "Content-Type": CONTENT_TYPES[path.extname(filePath)] ?? "application/octet-stream",
+    });
+    response.end(data);
+  });
+}
+
+export function startNetServer(options = {}) {
+  const rootDir = options.rootDir ?? ROOT_DIR;
+  const log = options.log ?? (() => {});
+  const clients = new Map();
+  const rooms = new Map();
+  let nextClientId = 1;
+
+  function send(client, type, payload) {
+    if (!client.socket.destroyed) {
+      client.socket.write(encodeFrame(NetProtocol.encodeMessage(type, payload)));
+    }
+  }
+
+  function sendToRoom(entry, type, buildPayload) {
+    entry.room.members.forEach((member, seat) => {
+      const client = clients.get(member.clientId);
+      if (client) {
+        send(client, type, buildPayload(seat));
+      }
+    });
+  }
+
+  function broadcastRoom(entry, notice = null) {
+    const room = NetProtocol.getRoomSummary(entry.room);
+    sendToRoom(entry, "room", (seat) => ({ room, seat, notice }));
+  }
+
+  function stopTicks(entry) {
+    clearTimeout(entry.timerId);
+    entry.timerId = null;
+    entry.nextTickAt = null;
+  }
+
+  // Ticks are scheduled against an absolute clock so timer jitter doesn't
+  // make the match drift slower than the clients' prediction.
+  function scheduleTick(entry) {
+    const tickMs = entry.room.match.state.tickMs;
+    entry.nextTickAt = (entry.nextTickAt ?? Date.now()) + tickMs;
+    entry.timerId = setTimeout(() => runTick(entry), Math.max(0, entry.nextTickAt - Date.now()));
+  }
+
+  function runTick(entry) {
+    entry.room = NetProtocol.stepMatch(entry.room);
+    const snapshot = NetProtocol.createSnapshot(entry.room);
+    sendToRoom(entry, "snapshot", () => snapshot);
+    if (entry.room.status === "playing") {
+      scheduleTick(entry);
+    } else {
+      stopTicks(entry);
+      broadcastRoom(entry);
+    }
+  }
+
+  function startRoomMatch(entry) {
+    entry.room = NetProtocol.startMatch(entry.room, RunSeed.generateSeed());
+    const snapshot = NetProtocol.createSnapshot(entry.room);
+    const tickMs = entry.room.match.state.tickMs;
+    sendToRoom(entry, "start", (seat) => ({ seat, tickMs, snapshot }));
+    broadcastRoom(entry);
+    scheduleTick(entry);
+    log(`Sala ${entry.room.id}: partida iniciada (seed ${RunSeed.formatSeed(entry.room.match.seed)}).`);
+  }
+
+  function leaveCurrentRoom(client) {
+    const entry = rooms.get(client.roomId);
+    client.roomId = null;
+    if (!entry) {
+      return;
+    }
+
+    const wasPlaying = entry.room.status === "playing";
+    entry.room = NetProtocol.leaveRoom(entry.room, client.id);
+    if (entry.room.members.length === 0) {
+      stopTicks(entry);
+      rooms.delete(entry.room.id);
+      log(`Sala ${entry.room.id} fechada.`);
+      return;
+    }
+    if (wasPlaying) {
+      stopTicks(entry);
+    }
+    broadcastRoom(entry, wasPlaying ? "O adversário saiu e a partida foi encerrada." : "O adversário saiu da sala.");
+  }
+
+  function joinEntry(client, entry) {
+    const result = NetProtocol.joinRoom(entry.room, client.id, client.name);
+    if (!result.ok) {
+      send(client, "error", { message: result.error });
+      return;
+    }
+    entry.room = result.room;
+    client.roomId = entry.room.id;
+    broadcastRoom(entry);
+  }
+
+  function handleMessage(client, text) {
+    const parsed = NetProtocol.parseClientMessage(text);
+    if (!parsed.ok) {
+      send(client, "error", { message: parsed.error });
+      return;
+    }
+
+    const message = parsed.message;
+    if (message.type === "hello") {
+      client.name = message.name;
+      send(client, "welcome", { protocol: NetProtocol.PROTOCOL_VERSION, clientId: client.id });
+      return;
+    }
+    if (message.type === "ping") {
+      send(client, "pong", { sentAt: message.sentAt, serverTime: Date.now() });
+      return;
+    }
+    if (client.name === null) {
+      send(client, "error", { message: "Envie hello antes de entrar em uma sala." });
+      return;
+    }
+
+    if (message.type === "create" || message.type === "join") {
+      if (client.roomId) {
+        leaveCurrentRoom(client);
+      }
+      if (message.type === "create") {
+        let roomId = NetProtocol.createRoomCode();
+        while (rooms.has(roomId)) {
+          roomId = NetProtocol.createRoomCode();
+        }
+        const entry = { room: NetProtocol.createRoom(roomId, message.options), timerId: null, nextTickAt: null };
+        rooms.set(roomId, entry);
+        log(`Sala ${roomId} criada por ${client.name}.`);
+        joinEntry(client, entry);
+      } else if (rooms.has(message.roomId)) {
+        joinEntry(client, rooms.get(message.roomId));
+      } else {
+        send(client, "error", { message: "Sala não encontrada." });
+      }
+      return;
+    }
+
+    const entry = rooms.get(client.roomId);
+    if (!entry) {
+      send(client, "error", { message: "Você não está em uma sala." });
+      return;
+    }
+
+    if (message.type === "leave") {
+      leaveCurrentRoom(client);
+      send(client, "room", { room: null, seat: null, notice: null });
+    } else if (message.type === "ready" || message.type === "rematch") {
+      const ready = message.type === "rematch" || message.ready;
+      entry.room = NetProtocol.setMemberReady(entry.room, client.id, ready);
+      if (NetProtocol.canStartMatch(entry.room)) {
+        startRoomMatch(entry);
+      } else {
+        broadcastRoom(entry);
+      }
+    } else if (message.type === "input") {
+      entry.room = NetProtocol.queueMatchInput(entry.room, client.id, message);
+    }
+  }
+
+  function handleUpgrade(request, socket) {
+    const key = request.headers["sec-websocket-key"];
+    if (String(request.headers.upgrade).toLowerCase() !== "websocket" || !key) {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${createAcceptKey(key)}\r\n\r\n`
+    );
+    socket.setNoDelay(true);
+
+    const client = { id: `c${nextClientId}`, socket, name: null, roomId: null };
+    nextClientId += 1;
+    clients.set(client.id, client);
+    const parse = createFrameParser();
+
+    const disconnect = () => {
+      if (!clients.has(client.id)) {
+        return;
+      }
+      leaveCurrentRoom(client);
+      clients.delete(client.id);
+      socket.destroy();
+    };
+
+    socket.on("data", (chunk) => {
+      let messages;
+      try {
+        messages = parse(chunk);
+      } catch {
+        socket.write(encodeFrame(Buffer.alloc(0), { opcode: OPCODES.close }));
+        disconnect();
+        return;
+      }
+      for (const { opcode, payload } of messages) {
+        if (opcode === OPCODES.text) {
+          try {
+            handleMessage(client, payload.toString("utf8"));
+          } catch (error) {
+            // A bug in room or protocol code costs this client, not every room.
+            log(`Erro ao tratar mensagem de ${client.name ?? client.id}: ${error?.message ?? error}`);
+            send(client, "error", { message: "Erro interno do servidor; conexão encerrada." });
+            socket.end(encodeFrame(Buffer.alloc(0), { opcode: OPCODES.close }));
+            disconnect();
+            return;
+          }
+        } else if (opcode === OPCODES.ping) {
+          socket.write(encodeFrame(payload, { opcode: OPCODES.pong }));
+        } else if (opcode === OPCODES.close) {
+          socket.end(encodeFrame(Buffer.alloc(0), { opcode: OPCODES.close }));
+          disconnect();
+          return;
+        }
+      }
+    });
+    socket.on("close", disconnect);
+    socket.on("error", disconnect);
+  }
+
+  const server = http.createServer((request, response) =>
+    serveStatic(request, response, rootDir)
+  );
+  server.on("upgrade", handleUpgrade);
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(options.port ?? NetProtocol.DEFAULT_PORT, options.host ?? "0.0.0.0", () => {
+      resolve({
+        port: server.address().port,
+        close() {
+          rooms.forEach(stopTicks);
+          clients.forEach((client) => client.socket.destroy());
+          return new Promise((done) => server.close(done));
+        },
+      });
+    });
+  });
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--help") {
+      options.help = true;
+    } else if (arg === "--port" || arg === "--host") {
+      const value = argv[i + 1];
+      if (value === undefined || value.startsWith("--")) {
+        throw new Error(`Faltou valor para ${arg}.`);
+      }
+      options[arg.slice(2)] = value;
+      i += 1;
+    } else {
+      throw new Error(`Opção desconhecida: ${arg}\n\n${USAGE}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const port = args.port === undefined ? NetProtocol.DEFAULT_PORT : Number(args.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error("--port deve ser um inteiro entre 0 e 65535.");
+  }
+
+  const host = args.host ?? "0.0.0.0";
+  const running = await startNetServer({ port, host, log: (line) => console.log(line) });
+  console.log(`Servidor Snake em http://${host === "0.0.0.0" ? "localhost" : host}:${running.port}/`);
+  process.on("SIGINT", () => running.close().then(() => process.exit(0)));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
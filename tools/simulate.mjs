@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+// Simulador headless do modo Souls para testes de balanceamento.
+//
+//   node tools/simulate.mjs --runs 500 --seed balance --bot greedy
+//   node tools/simulate.mjs --runs 200 --format csv --out runs.csv
+//   node tools/simulate.mjs --balance tools/balance.example.json
+//
+// `--balance` aceita JSON (RUNE_REWARDS, UNLOCK_COSTS, REROLL_COST) ou um
+// módulo .mjs cujo export default também pode trazer getObjectiveTarget e
+// getDifficultyScale como funções; elas recebem a implementação original como
+// último argumento.
+
+import fs from "node:fs";
+import path from "node:path";
+import vm from "node:vm";
+import { createRequire } from "node:module";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const require = createRequire(import.meta.url);
+const BaseBalanceSim = require("../src/balance-sim.js");
+
+const SRC_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../src");
+const MODULES_BEFORE_DATA = ["snake-logic.js", "run-seed.js", "souls-data.js"];
+const MODULES_AFTER_DATA = [
+  "souls-profile.js",
+  "souls-world.js",
+  "snake-modes.js",
+  "snake-autopilot.js",
+  "balance-sim.js",
+];
+
+const USAGE = `Uso: node tools/simulate.mjs [opções]
+
+  --runs N           quantidade de runs (padrão 100)
+  --seed S           seed base (hex ou texto); cada run deriva a sua
+  --bot ID           ai | greedy | random | scripted (padrão greedy)
+  --script LISTA     direções do bot scripted, ex.: RIGHT,DOWN,-,LEFT
+  --snake ID         cobra usada nas runs (padrão basica)
+  --max-floor N      encerra a run ao concluir este andar
+  --max-minutes M    limite de tempo simulado por run (padrão 10)
+  --balance ARQ      overrides de SoulsData (.json ou .mjs)
+  --format FMT       json | csv (padrão json)
+  --details          inclui cada run no JSON
+  --out ARQ          grava o resultado em arquivo
+  --help             mostra esta ajuda`;
+
+const VALUE_FLAGS = new Set([
+  "runs",
+  "seed",
+  "bot",
+  "script",
+  "snake",
+  "max-floor",
+  "max-minutes",
+  "balance",
+  "format",
+  "out",
+]);
+const BOOLEAN_FLAGS = new Set(["help", "details"]);
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      throw new Error(`Argumento inesperado: ${arg}`);
+    }
+
+    const key = arg.slice(2);
+    if (!VALUE_FLAGS.has(key) && !BOOLEAN_FLAGS.has(key)) {
+      throw new Error(`Opção desconhecida: ${arg}\n\n${USAGE}`);
+    }
+    if (BOOLEAN_FLAGS.has(key)) {
+      options[key] = true;
+      continue;
+    }
+
+    const value = argv[i + 1];
+    if (value === undefined || value.startsWith("--")) {
+      throw new Error(`Faltou valor para --${key}.`);
+    }
+    options[key] = value;
+    i += 1;
+  }
+  return options;
+}
+
+function parsePositiveInt(value, label) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new Error(`${label} deve ser um inteiro positivo.`);
+  }
+  return parsed;
+}
+
+async function loadBalanceOverrides(filePath) {
+  const resolved = path.resolve(filePath);
+  if (resolved.endsWith(".mjs") || resolved.endsWith(".js")) {
+    const loaded = await import(pathToFileURL(resolved).href);
+    return loaded.default ?? loaded;
+  }
+  return JSON.parse(fs.readFileSync(resolved, "utf8"));
+}
+
+function runModule(context, fileName) {
+  const source = fs.readFileSync(path.join(SRC_DIR, fileName), "utf8");
+  vm.runInContext(source, context, { filename: fileName });
+}
+
+function loadSimulator(overrides) {
+  if (!overrides) {
+    return BaseBalanceSim;
+  }
+
+  const unknown = Object.keys(overrides).filter(
+    (key) => !BaseBalanceSim.BALANCE_KEYS.includes(key)
+  );
+  if (unknown.length > 0) {
+    throw new Error(`Chaves de balanceamento desconhecidas: ${unknown.join(", ")}.`);
+  }
+
+  // The game modules read their dependencies from globals first, so a fresh
+  // context with a patched SoulsData runs the real engine against new numbers.
+  const context = vm.createContext({ console });
+  MODULES_BEFORE_DATA.forEach((fileName) => runModule(context, fileName));
+  context.SoulsData = BaseBalanceSim.createSoulsDataVariant(context.SoulsData, overrides);
+  MODULES_AFTER_DATA.forEach((fileName) => runModule(context, fileName));
+  return context.BalanceSim;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const format = args.format ?? "json";
+  if (format !== "json" && format !== "csv") {
+    throw new Error("--format deve ser json ou csv.");
+  }
+
+  const overrides = args.balance ? await loadBalanceOverrides(args.balance) : null;
+  const BalanceSim = loadSimulator(overrides);
+  const runs = args.runs ? parsePositiveInt(args.runs, "--runs") : 100;
+  const maxMinutes = args["max-minutes"]
+    ? parsePositiveInt(args["max-minutes"], "--max-minutes")
+    : null;
+
+  const result = BalanceSim.runSimulation({
+    runs,
+    seed: args.seed,
+    botId: args.bot ?? "greedy",
+    script: args.script ? args.script.split(",") : undefined,
+    soulsSnakeId: args.snake,
+    maxFloor: args["max-floor"] ? parsePositiveInt(args["max-floor"], "--max-floor") : undefined,
+    maxRunMs: maxMinutes ? maxMinutes * 60 * 1000 : undefined,
+    onProgress(done, total) {
+      if (process.stderr.isTTY) {
+        process.stderr.write(`\rSimulando ${done}/${total}`);
+        if (done === total) process.stderr.write("\n");
+      }
+    },
+  });
+
+  const output =
+    format === "csv"
+      ? BalanceSim.formatRunsAsCsv(result.runs)
+      : JSON.stringify(
+        {
+          seed: result.seed,
+          bot: result.bot,
+          balance: overrides ? Object.keys(overrides) : [],
+          summary: result.summary,
+          ...(args.details ? { runs: result.runs } : {}),
+        },
+        null,
+        2
+      );
+
+  if (args.out) {
+    fs.writeFileSync(args.out, `${output}\n`);
+  } else {
+    process.stdout.write(`${output}\n`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});